@@ -1,6 +1,11 @@
 /**
  * Chain-specific configuration for Uniswap V3
  * Contains addresses for Quoter, Router, and Position Manager contracts on different networks
+ * `quoterVersion` pins the Quoter ABI (1 or 2); chains without it are detected from bytecode
+ * `swapRouter02` executes routes that include V2 pairs (mixed V2/V3 paths)
+ * `universalRouter` is Uniswap's command-based router (Permit2, wrap/unwrap, fee
+ * sweeping); `swapTarget` picks which router /dex/swap/populate targets
+ * `feeTiers` lists extra fee tiers to probe on the factory (see feeTierRegistry)
  */
 
 // Uniswap V3 contract addresses by chain ID
@@ -9,6 +14,8 @@ export const UNISWAP_V3_ADDRESSES = {
     '1': {
         quoter: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
         router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        swapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+        universalRouter: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
         positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
         factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984'
     },
@@ -16,6 +23,8 @@ export const UNISWAP_V3_ADDRESSES = {
     '11155111': {
         quoter: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
         router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        swapRouter02: '0x3bFA4769FB09eefC5a80d6E87c3B9C650f7Ae48E',
+        universalRouter: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
         positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
         factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984'
     },
@@ -23,6 +32,7 @@ export const UNISWAP_V3_ADDRESSES = {
     '5': {
         quoter: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
         router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        swapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
         positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
         factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984'
     },
@@ -30,6 +40,7 @@ export const UNISWAP_V3_ADDRESSES = {
     '137': {
         quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
         router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        swapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
         positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
         factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984'
     },
@@ -37,6 +48,7 @@ export const UNISWAP_V3_ADDRESSES = {
     '80001': {
         quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
         router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        swapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
         positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
         factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984'
     },
@@ -44,6 +56,7 @@ export const UNISWAP_V3_ADDRESSES = {
     '42161': {
         quoter: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
         router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        swapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
         positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
         factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984'
     },
@@ -51,13 +64,16 @@ export const UNISWAP_V3_ADDRESSES = {
     '10': {
         quoter: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
         router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        swapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
         positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
         factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984'
     },
     // Base
     '8453': {
         quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+        quoterVersion: 2,
         router: '0x2626664c2603336E57B271c5C0b26F421741e481',
+        swapRouter02: '0x2626664c2603336E57B271c5C0b26F421741e481',
         positionManager: '0x03a520b7C06eF2aC8E3D9518754E9a3b0C10D2B9',
         factory: '0x33128a8fc17869897dE68FCB5B4B4c36d3Ee4fC8'
     },
@@ -65,11 +81,72 @@ export const UNISWAP_V3_ADDRESSES = {
     '56': {
         quoter: '0x78D78E420Da98ad378D7799bE8f4AF69033EB077',
         router: '0x1b81D678ffb9C0263b24A97847620C99d213eB14',
+        swapRouter02: '0xB971eF87ede563556b2ED4b1C0b0019111Dd85d2',
         positionManager: '0x7b8A01B39D58278e5E2e6EC0C0c0b2C8Fc8B5b8',
         factory: '0xdB1d10011AD0Ff90774D2C6Ec2e8d0a2e4F50278'
     }
 };
 
+// Multicall3 is deployed at the same address on every supported chain
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Permit2 is deployed at the same address on every supported chain
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// Blocks a receipt must be buried under before the tx tracker finalizes it
+export const CONFIRMATION_DEPTHS = {
+    '1': 3,
+    '11155111': 2,
+    '5': 2,
+    '137': 32,
+    '80001': 5,
+    '42161': 1,
+    '10': 1,
+    '8453': 1,
+    '56': 15
+};
+
+/**
+ * Confirmation depth for a chain: CONFIRMATIONS_<chainId> env, then CONFIRMATION_DEPTHS, then 1
+ * @param {string|number} chainId - The chain ID
+ * @returns {number}
+ */
+export function getConfirmationDepth(chainId) {
+    const depth = Number(process.env[`CONFIRMATIONS_${chainId}`] || CONFIRMATION_DEPTHS[chainId.toString()] || 1);
+    return Number.isInteger(depth) && depth > 0 ? depth : 1;
+}
+
+export const SWAP_TARGETS = ['swapRouter', 'universalRouter'];
+
+/**
+ * Router that populated swaps target on a chain: SWAP_TARGET_<chainId> env,
+ * then the chain's `swapTarget`, then SwapRouter
+ * @param {string|number} chainId - The chain ID
+ * @returns {'swapRouter'|'universalRouter'}
+ * @throws {Error} If the target is unknown or its router is not deployed on the chain
+ */
+export function getSwapTarget(chainId) {
+    const addresses = getUniswapAddresses(chainId);
+    const target = process.env[`SWAP_TARGET_${chainId}`] || addresses.swapTarget || 'swapRouter';
+    if (!SWAP_TARGETS.includes(target)) {
+        throw new Error(`Unknown swap target "${target}" for chain ${chainId}. Must be one of: ${SWAP_TARGETS.join(', ')}`);
+    }
+    if (target === 'universalRouter' && !addresses.universalRouter) {
+        throw new Error(`Universal Router is not configured for chain ${chainId}`);
+    }
+    return target;
+}
+
+/**
+ * Get the Multicall3 address for a chain (per-chain `multicall` entry wins)
+ * @param {string|number} chainId - The chain ID
+ * @returns {string} Multicall3 contract address
+ */
+export function getMulticallAddress(chainId) {
+    const addresses = UNISWAP_V3_ADDRESSES[chainId.toString()];
+    return (addresses && addresses.multicall) || MULTICALL3_ADDRESS;
+}
+
 /**
  * Get Uniswap V3 addresses for a specific chain ID
  * @param {string|number} chainId - The chain ID
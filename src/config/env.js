@@ -30,7 +30,16 @@ const optionalEnvVars = {
     FORCE_CHAIN_ID: process.env.FORCE_CHAIN_ID, // Force specific chain ID (optional)
     // External price feeds
     COINGECKO_API_KEY: process.env.COINGECKO_API_KEY,
-    WETH_USD_FALLBACK: process.env.WETH_USD_FALLBACK || 2000
+    WETH_USD_FALLBACK: process.env.WETH_USD_FALLBACK || 2000,
+    // Route quoting: onchain (Quoter), offchain (cached pool state, Quoter fallback) or verify (both, compared)
+    QUOTE_MODE: process.env.QUOTE_MODE || 'onchain',
+    // EIP-712 quote signing key (hex); must not be the wallet's PRIVATE_KEY. Unset: quotes are unsigned
+    QUOTE_SIGNER_KEY: process.env.QUOTE_SIGNER_KEY,
+    // How far (bps) a stored quote may move against the user before populate-by-quoteId rejects it
+    QUOTE_REVERIFY_TOLERANCE_BPS: Number(process.env.QUOTE_REVERIFY_TOLERANCE_BPS || 50),
+    // Live quote streams (GET /quote/stream): lifetime of each streamed quote and open streams per IP
+    QUOTE_STREAM_TTL_SEC: Number(process.env.QUOTE_STREAM_TTL_SEC || 30),
+    QUOTE_STREAM_MAX_PER_IP: Number(process.env.QUOTE_STREAM_MAX_PER_IP || 3)
 };
 
 // Validate required environment variables
@@ -45,4 +54,15 @@ if (requiredEnvVars.PRIVATE_KEY && !requiredEnvVars.PRIVATE_KEY.match(/^[0-9a-fA
     throw new Error("PRIVATE_KEY must be a 64-character hexadecimal string without 0x prefix");
 }
 
+// Quote signatures are public; keep their key apart from the wallet that holds funds
+if (optionalEnvVars.QUOTE_SIGNER_KEY) {
+    const quoteSignerKey = optionalEnvVars.QUOTE_SIGNER_KEY.replace(/^0x/, '');
+    if (!quoteSignerKey.match(/^[0-9a-fA-F]{64}$/)) {
+        throw new Error("QUOTE_SIGNER_KEY must be a 64-character hexadecimal string");
+    }
+    if (quoteSignerKey.toLowerCase() === requiredEnvVars.PRIVATE_KEY.toLowerCase()) {
+        throw new Error("QUOTE_SIGNER_KEY must be a separate key from PRIVATE_KEY");
+    }
+}
+
 export default { ...requiredEnvVars, ...optionalEnvVars };
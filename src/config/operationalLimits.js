@@ -30,8 +30,8 @@ export const OPERATIONAL_LIMITS = {
         DEFAULT_TTL: 600 // 10 minutes default
     },
 
-    // Fee tier restrictions
-    ALLOWED_FEES: [500, 3000, 10000],
+    // Fee tier restrictions (fallback; callers pass the chain's registry/risk-policy tiers)
+    ALLOWED_FEES: [100, 500, 3000, 10000],
 
     // Gas limits and pricing
     GAS_LIMITS: {
@@ -94,8 +94,9 @@ export function validateOperationalLimits(swapParams) {
     }
 
     // Validate fee tier
-    if (!OPERATIONAL_LIMITS.ALLOWED_FEES.includes(swapParams.fee)) {
-        errors.push(`Fee must be one of: ${OPERATIONAL_LIMITS.ALLOWED_FEES.join(', ')}`);
+    const allowedFees = swapParams.allowedFees || OPERATIONAL_LIMITS.ALLOWED_FEES;
+    if (!allowedFees.includes(swapParams.fee)) {
+        errors.push(`Fee must be one of: ${allowedFees.join(', ')}`);
     }
 
     // Check if emergency controls are active
@@ -111,6 +112,35 @@ export function validateOperationalLimits(swapParams) {
     };
 }
 
+/**
+ * Validates a custodial swap's USD value against the DAILY_VOLUME_CAP limits
+ * @param {Object} params - amountUsd, userVolumeUsd and totalVolumeUsd (last 24h, before this swap)
+ * @returns {Object} Validation result with success status and any errors
+ */
+export function validateAmountLimits({ amountUsd, userVolumeUsd = 0, totalVolumeUsd = 0 }) {
+    const errors = [];
+    const caps = OPERATIONAL_LIMITS.DAILY_VOLUME_CAP;
+
+    if (!(amountUsd > 0)) {
+        errors.push('Swap value in USD is unknown, so volume caps cannot be checked');
+    } else {
+        if (amountUsd > caps.PER_TRANSACTION) {
+            errors.push(`Swap value $${amountUsd.toFixed(2)} exceeds the $${caps.PER_TRANSACTION} per-transaction cap`);
+        }
+        if (userVolumeUsd + amountUsd > caps.PER_USER) {
+            errors.push(`Daily volume per user is capped at $${caps.PER_USER}`);
+        }
+        if (totalVolumeUsd + amountUsd > caps.TOTAL) {
+            errors.push(`Daily custodial volume is capped at $${caps.TOTAL}`);
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
 /**
  * Gets current operational status
  * @returns {Object} Current operational status
@@ -13,9 +13,18 @@ import quoteRoutes from "./routes/quote.js";
 import tokensTrendingRoutes from "./routes/tokensTrending.js";
 import frontendRoutes from "./routes/frontend.js";
 import notificationRoutes from "./routes/notifications.js";
+import limitOrderRoutes from "./routes/limitOrders.js";
+import recurringOrderRoutes from "./routes/recurringOrders.js";
+import custodialRoutes from "./routes/custodial.js";
 import Notification from "./models/Notification.js";
 import { runAggregatorPeriodically } from "./jobs/swaps-24h-aggregate.js";
+import { runLimitOrderExecutorPeriodically } from "./jobs/limit-order-executor.js";
+import { runRecurringOrderRunnerPeriodically } from "./jobs/recurring-order-runner.js";
+import { runTxTrackerPeriodically } from "./jobs/tx-tracker.js";
+import { runCustodialSendQueuePeriodically } from "./jobs/custodial-send-queue.js";
 import { refreshAllowedTokensFromDB } from "./services/tokenValidation.js";
+import routingEngine from "./services/routingEngine.js";
+import poolStateCache from "./services/poolStateCache.js";
 
 const app = express();
 app.use(cors());
@@ -52,6 +61,9 @@ app.use("/api/token", tokenApprovalRoutes);
 app.use("/quote", quoteRoutes);
 app.use("/frontend", frontendRoutes);
 app.use("/notifications", notificationRoutes);
+app.use("/limit-orders", limitOrderRoutes);
+app.use("/recurring-orders", recurringOrderRoutes);
+app.use("/custodial", custodialRoutes);
 
 app.listen(config.PORT, () => {
     console.log(`Server running on port ${config.PORT}`);
@@ -61,3 +73,22 @@ export default app;
 
 // Start background aggregator (refresh every 2 minutes)
 runAggregatorPeriodically(120_000);
+
+// Re-quote open limit orders and execute the ones whose price is met
+runLimitOrderExecutorPeriodically(30_000);
+
+// Settle and run due DCA/TWAP slices
+runRecurringOrderRunnerPeriodically(15_000);
+
+// Finalize sent transactions once confirmed; expire swaps never sent
+runTxTrackerPeriodically(15_000);
+
+// Resume, settle and fee-bump the backend wallet's queued transactions
+runCustodialSendQueuePeriodically(30_000);
+
+// Keep pool state in memory for off-chain quoting (follows new blocks)
+if (config.QUOTE_MODE !== 'onchain') {
+    routingEngine.ensureProvider()
+        .then(() => poolStateCache.start(routingEngine.provider, routingEngine.chainId))
+        .catch(e => console.warn('Pool state cache not started:', e?.message || e));
+}
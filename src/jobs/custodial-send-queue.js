@@ -0,0 +1,30 @@
+import custodialSendQueue from "../services/custodialSendQueue.js";
+
+/**
+ * Background job: resume the backend wallet's send queue after a restart and
+ * settle, drop or fee-bump its in-flight transactions (see
+ * custodialSendQueue.runOnce). Runs never overlap.
+ */
+
+let running = false;
+
+export async function runCustodialSendQueue() {
+    if (running) return null;
+    running = true;
+    try {
+        return await custodialSendQueue.runOnce();
+    } finally {
+        running = false;
+    }
+}
+
+export async function runCustodialSendQueuePeriodically(intervalMs = 30_000) {
+    // fire and forget loop
+    setInterval(async () => {
+        try {
+            await runCustodialSendQueue();
+        } catch (e) {
+            console.error('custodial-send-queue error:', e.message);
+        }
+    }, intervalMs);
+}
@@ -0,0 +1,30 @@
+import limitOrderService from "../services/limitOrderService.js";
+
+/**
+ * Background job: re-quote open limit orders and execute the ones whose
+ * limit price is met (see limitOrderService.runOnce). Runs never overlap;
+ * a slow pass simply delays the next one.
+ */
+
+let running = false;
+
+export async function executeLimitOrders() {
+    if (running) return null;
+    running = true;
+    try {
+        return await limitOrderService.runOnce();
+    } finally {
+        running = false;
+    }
+}
+
+export async function runLimitOrderExecutorPeriodically(intervalMs = 30_000) {
+    // fire and forget loop
+    setInterval(async () => {
+        try {
+            await executeLimitOrders();
+        } catch (e) {
+            console.error('limit-order-executor error:', e.message);
+        }
+    }, intervalMs);
+}
@@ -0,0 +1,30 @@
+import recurringOrderService from "../services/recurringOrderService.js";
+
+/**
+ * Background job: settle sent DCA/TWAP slices and run the ones that are due
+ * (see recurringOrderService.runOnce). Runs never overlap; a slow pass simply
+ * delays the next one.
+ */
+
+let running = false;
+
+export async function runRecurringOrders() {
+    if (running) return null;
+    running = true;
+    try {
+        return await recurringOrderService.runOnce();
+    } finally {
+        running = false;
+    }
+}
+
+export async function runRecurringOrderRunnerPeriodically(intervalMs = 15_000) {
+    // fire and forget loop
+    setInterval(async () => {
+        try {
+            await runRecurringOrders();
+        } catch (e) {
+            console.error('recurring-order-runner error:', e.message);
+        }
+    }, intervalMs);
+}
@@ -0,0 +1,31 @@
+import txTracker from "../services/txTracker.js";
+
+/**
+ * Background job: follow known tx hashes to their receipts, finalize them
+ * once the chain's confirmation depth is reached, follow speed-ups and cancels
+ * to their replacement and expire swaps that were never sent (see
+ * txTracker.runOnce). Runs never overlap.
+ */
+
+let running = false;
+
+export async function runTxTracker() {
+    if (running) return null;
+    running = true;
+    try {
+        return await txTracker.runOnce();
+    } finally {
+        running = false;
+    }
+}
+
+export async function runTxTrackerPeriodically(intervalMs = 15_000) {
+    // fire and forget loop
+    setInterval(async () => {
+        try {
+            await runTxTracker();
+        } catch (e) {
+            console.error('tx-tracker error:', e.message);
+        }
+    }, intervalMs);
+}
@@ -14,18 +14,22 @@ const RATE_LIMITS = {
     }
 };
 
+// Open long-lived connections (SSE streams) per IP
+const openConnections = new Map();
+
 const generateRateLimitKey = (type, identifier) => {
     return `${type}:${identifier}`;
 };
 
-const checkRateLimit = async (rateLimitKey, limits) => {
+// Requests are weighted (default 1); a request is refused when it would push a window past its limit
+const checkRateLimit = async (rateLimitKey, limits, weight = 1) => {
     try {
         const violations = [];
         
         for (const [timeWindow, maxRequests] of Object.entries(limits)) {
             const rateInfo = await QuoteRequest.getRateLimitInfo(rateLimitKey, timeWindow);
             
-            if (rateInfo.requestCount >= maxRequests) {
+            if (rateInfo.requestCount + weight > maxRequests) {
                 violations.push({
                     timeWindow,
                     maxRequests,
@@ -56,9 +60,10 @@ export const rateLimiter = async (req, res, next) => {
                          'unknown';
         
         const userAddress = req.body?.userAddress || req.query?.userAddress || null;
+        const weight = req.rateLimitWeight || 1;
         
         const ipRateLimitKey = generateRateLimitKey('IP', ipAddress);
-        const ipRateCheck = await checkRateLimit(ipRateLimitKey, RATE_LIMITS.IP);
+        const ipRateCheck = await checkRateLimit(ipRateLimitKey, RATE_LIMITS.IP, weight);
         
         if (!ipRateCheck.allowed) {
             const retryAfter = Math.max(...ipRateCheck.violations.map(v => 
@@ -76,7 +81,7 @@ export const rateLimiter = async (req, res, next) => {
         let userRateCheck = { allowed: true, violations: [] };
         if (userAddress) {
             const userRateLimitKey = generateRateLimitKey('USER', userAddress.toLowerCase());
-            userRateCheck = await checkRateLimit(userRateLimitKey, RATE_LIMITS.USER);
+            userRateCheck = await checkRateLimit(userRateLimitKey, RATE_LIMITS.USER, weight);
             
             if (!userRateCheck.allowed) {
                 const retryAfter = Math.max(...userRateCheck.violations.map(v => 
@@ -97,6 +102,7 @@ export const rateLimiter = async (req, res, next) => {
             userAddress,
             ipRateLimitKey,
             userRateLimitKey: userAddress ? generateRateLimitKey('USER', userAddress.toLowerCase()) : null,
+            weight,
             startTime
         };
         
@@ -107,4 +113,42 @@ export const rateLimiter = async (req, res, next) => {
     }
 };
 
+/**
+ * Set the rate limit weight of a request before rateLimiter runs
+ * @param {Function} weigh - (req) => weight
+ */
+export const rateLimitWeight = (weigh) => (req, res, next) => {
+    req.rateLimitWeight = weigh(req);
+    next();
+};
+
+/**
+ * Cap concurrent long-lived connections (e.g. SSE streams) per IP; the slot
+ * is released when the response closes
+ * @param {number} maxConnections - Open connections allowed per IP
+ */
+export const connectionLimiter = (maxConnections) => (req, res, next) => {
+    const ipAddress = req.ip || req.socket.remoteAddress || 'unknown';
+    const open = openConnections.get(ipAddress) || 0;
+    
+    if (open >= maxConnections) {
+        return res.status(429).json({
+            error: 'Rate limit exceeded',
+            message: 'Too many open connections from this IP address',
+            maxConnections
+        });
+    }
+    
+    openConnections.set(ipAddress, open + 1);
+    res.on('close', () => {
+        const remaining = (openConnections.get(ipAddress) || 1) - 1;
+        if (remaining > 0) {
+            openConnections.set(ipAddress, remaining);
+        } else {
+            openConnections.delete(ipAddress);
+        }
+    });
+    next();
+};
+
 export default rateLimiter;
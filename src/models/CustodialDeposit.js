@@ -0,0 +1,61 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * CustodialDeposit Model
+ * Token transfers into the backend wallet, credited to the address they came
+ * from. Custodial order fills spend from these deposits (see custodialFunds);
+ * one row per Transfer log, so a deposit is never credited twice.
+ */
+const CustodialDeposit = sequelize.define('CustodialDeposit', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4
+    },
+    chainId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // Sender of the Transfer (lowercase); the owner of the deposited funds
+    owner: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    token: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    // Base units
+    amount: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    txHash: {
+        type: DataTypes.STRING(66),
+        allowNull: false
+    },
+    logIndex: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    blockNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    }
+}, {
+    tableName: 'custodial_deposits',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['tx_hash', 'log_index']
+        },
+        {
+            fields: ['chain_id', 'owner', 'token']
+        }
+    ]
+});
+
+export default CustodialDeposit;
@@ -0,0 +1,108 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * CustodialTransaction Model
+ * Send queue entries for the backend wallet: the nonce allocated locally, the
+ * call, the fees of the latest broadcast and every hash broadcast for it (fee
+ * bumps re-sign the same nonce). Rows in queued/sent are resumed on restart.
+ * Lifecycle: queued -> sent -> confirmed / failed / dropped.
+ */
+const CustodialTransaction = sequelize.define('CustodialTransaction', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4
+    },
+    chainId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    fromAddress: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    nonce: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // What the transaction is for (swap, approve, add-liquidity, ...)
+    kind: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    toAddress: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: '0x'
+    },
+    value: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: '0'
+    },
+    gasLimit: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // Gas price of a legacy transaction when maxPriorityFeePerGas is null
+    maxFeePerGas: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    maxPriorityFeePerGas: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // Hash of the latest broadcast; txHashes lists every broadcast, oldest first
+    txHash: {
+        type: DataTypes.STRING(66),
+        allowNull: true
+    },
+    txHashes: {
+        type: DataTypes.JSONB,
+        defaultValue: []
+    },
+    status: {
+        type: DataTypes.ENUM('queued', 'sent', 'confirmed', 'failed', 'dropped'),
+        defaultValue: 'queued'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    lastSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Rows this transaction settles, e.g. { swapId }
+    reference: {
+        type: DataTypes.JSONB,
+        defaultValue: {}
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'custodial_transactions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        {
+            fields: ['chain_id', 'from_address', 'nonce']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['tx_hash']
+        }
+    ]
+});
+
+export default CustodialTransaction;
@@ -0,0 +1,162 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * LimitOrder Model
+ * Off-chain signed (EIP-712) orders: sell amountIn of tokenIn once the route
+ * yields at least minAmountOut of tokenOut (LIMIT), or once tokenIn's USD
+ * price falls to (STOP_LOSS) or rises to (TAKE_PROFIT) triggerPriceUsd, with
+ * minAmountOut as the floor. Amounts are raw base units.
+ * Lifecycle: open -> triggered (populated, waiting for the maker to sign) or
+ * submitted (custodial tx sent) -> filled / failed; open orders can also be
+ * cancelled or expire.
+ */
+const LimitOrder = sequelize.define('LimitOrder', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4
+    },
+    orderKind: {
+        type: DataTypes.ENUM('LIMIT', 'STOP_LOSS', 'TAKE_PROFIT'),
+        allowNull: false,
+        defaultValue: 'LIMIT'
+    },
+    // EIP-712 hash of the signed order
+    orderHash: {
+        type: DataTypes.STRING(66),
+        allowNull: false,
+        unique: true
+    },
+    chainId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    maker: {
+        type: DataTypes.STRING(42),
+        allowNull: false,
+        validate: {
+            isLowercase: true,
+            len: [42, 42]
+        }
+    },
+    tokenIn: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    tokenOut: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    amountIn: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    minAmountOut: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    recipient: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    nonce: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    signature: {
+        type: DataTypes.STRING(132),
+        allowNull: false
+    },
+    // custodial: the backend wallet swaps; notify: the maker is sent a transaction to sign
+    executionMode: {
+        type: DataTypes.ENUM('custodial', 'notify'),
+        allowNull: false,
+        defaultValue: 'notify'
+    },
+    status: {
+        type: DataTypes.ENUM('open', 'triggered', 'submitted', 'filled', 'cancelled', 'expired', 'failed'),
+        allowNull: false,
+        defaultValue: 'open'
+    },
+    // USD price of tokenIn that triggers STOP_LOSS / TAKE_PROFIT orders
+    triggerPriceUsd: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // Latest price feed and pool TWAP readings for triggered kinds
+    lastPriceUsd: {
+        type: DataTypes.DECIMAL(30, 12),
+        allowNull: true
+    },
+    lastTwapPriceUsd: {
+        type: DataTypes.DECIMAL(30, 12),
+        allowNull: true
+    },
+    // Latest re-quote by the executor
+    lastQuotedAmountOut: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    lastCheckedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Execution
+    populationRequestId: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    populatedTransaction: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    swapId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    txHash: {
+        type: DataTypes.STRING(66),
+        allowNull: true
+    },
+    errorMsg: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    triggeredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'limit_orders',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        {
+            fields: ['order_hash']
+        },
+        {
+            fields: ['maker']
+        },
+        {
+            fields: ['chain_id', 'status']
+        },
+        {
+            fields: ['expires_at']
+        }
+    ]
+});
+
+LimitOrder.prototype.isExpired = function() {
+    return new Date() > this.expiresAt;
+};
+
+export default LimitOrder;
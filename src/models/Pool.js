@@ -23,11 +23,17 @@ const Pool = sequelize.define('Pool', {
         type: DataTypes.STRING,
         allowNull: false
     },
+    protocol: {
+        type: DataTypes.ENUM('V3', 'V2'),
+        allowNull: false,
+        defaultValue: 'V3'
+    },
     feeTier: {
         type: DataTypes.INTEGER,
         allowNull: false,
         validate: {
-            isIn: [[500, 3000, 10000]]
+            isInt: true,
+            min: 1
         }
     },
     poolAddress: {
@@ -37,7 +43,7 @@ const Pool = sequelize.define('Pool', {
     },
     tickSpacing: {
         type: DataTypes.INTEGER,
-        allowNull: false
+        allowNull: true // V2 pairs have no ticks
     },
     sqrtPriceX96: {
         type: DataTypes.STRING,
@@ -104,6 +110,9 @@ const Pool = sequelize.define('Pool', {
         {
             fields: ['fee_tier']
         },
+        {
+            fields: ['protocol']
+        },
         {
             fields: ['pool_address']
         },
@@ -69,7 +69,8 @@ Quote.init({
         type: DataTypes.INTEGER, 
         allowNull: false,
         validate: {
-            isIn: [[500, 3000, 10000]]
+            isInt: true,
+            min: 1
         }
     },
     slippageTolerance: { 
@@ -93,6 +94,12 @@ Quote.init({
         allowNull: false 
     },
     
+    // EIP-712 signature over the firm quote (see quoteSigner)
+    signature: { 
+        type: DataTypes.STRING(132), 
+        allowNull: true 
+    },
+    
     // Price impact and gas estimation
     priceImpactPct: { 
         type: DataTypes.STRING, 
@@ -39,7 +39,8 @@ QuoteCache.init({
         type: DataTypes.INTEGER,
         allowNull: false,
         validate: {
-            isIn: [[500, 3000, 10000]]
+            isInt: true,
+            min: 1
         }
     },
     amountIn: {
@@ -167,15 +168,17 @@ QuoteCache.prototype.extendExpiration = async function(minutes = 5) {
     return await this.save();
 };
 
-// Static method to generate cache key
-QuoteCache.generateCacheKey = function(chainId, tokenIn, tokenOut, fee, amountIn, mode = 'EXACT_IN') {
-    const components = [chainId, tokenIn.toLowerCase(), tokenOut.toLowerCase(), fee, amountIn, mode];
+// Static method to generate cache key. Keyed by the request, not the fee tier:
+// the tier is only known once a route was found. amount is the requested
+// amount (the input for EXACT_IN, the desired output for EXACT_OUT).
+QuoteCache.generateCacheKey = function(chainId, tokenIn, tokenOut, amount, mode = 'EXACT_IN', slippagePct = 0.5) {
+    const components = [chainId, tokenIn.toLowerCase(), tokenOut.toLowerCase(), amount, mode, Number(slippagePct)];
     return components.join('_');
 };
 
 // Static method to find cached quote
-QuoteCache.findCachedQuote = async function(chainId, tokenIn, tokenOut, fee, amountIn, mode = 'EXACT_IN') {
-    const cacheKey = QuoteCache.generateCacheKey(chainId, tokenIn, tokenOut, fee, amountIn, mode);
+QuoteCache.findCachedQuote = async function(chainId, tokenIn, tokenOut, amount, mode = 'EXACT_IN', slippagePct = 0.5) {
+    const cacheKey = QuoteCache.generateCacheKey(chainId, tokenIn, tokenOut, amount, mode, slippagePct);
     
     const cachedQuote = await QuoteCache.findOne({
         where: {
@@ -192,13 +195,15 @@ QuoteCache.findCachedQuote = async function(chainId, tokenIn, tokenOut, fee, amo
     return null;
 };
 
-// Static method to store quote in cache
+// Static method to store quote in cache; fee is the first hop's tier,
+// requestedAmount the amount the quote was asked for (the key)
 QuoteCache.storeQuote = async function(quoteData, ttlMinutes = 5) {
     const {
         chainId,
         tokenIn,
         tokenOut,
         fee,
+        requestedAmount,
         amountIn,
         amountOut,
         amountOutMinimum,
@@ -211,11 +216,11 @@ QuoteCache.storeQuote = async function(quoteData, ttlMinutes = 5) {
         source
     } = quoteData;
     
-    const cacheKey = QuoteCache.generateCacheKey(chainId, tokenIn, tokenOut, fee, amountIn, mode);
+    const cacheKey = QuoteCache.generateCacheKey(chainId, tokenIn, tokenOut, requestedAmount, mode, slippagePct);
     const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
     
-    // Use upsert to handle existing entries
-    const [cachedQuote, created] = await QuoteCache.upsert({
+    // Use upsert to handle existing entries (hitCount counts lookups, see findCachedQuote)
+    const [cachedQuote] = await QuoteCache.upsert({
         cacheKey,
         chainId,
         tokenIn: tokenIn.toLowerCase(),
@@ -232,7 +237,6 @@ QuoteCache.storeQuote = async function(quoteData, ttlMinutes = 5) {
         slippagePct,
         expiresAt,
         source,
-        hitCount: created ? 1 : sequelize.literal('hit_count + 1'),
         lastHitAt: new Date()
     });
     
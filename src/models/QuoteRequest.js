@@ -65,7 +65,8 @@ QuoteRequest.init({
         type: DataTypes.INTEGER,
         allowNull: true,
         validate: {
-            isIn: [[500, 3000, 10000]]
+            isInt: true,
+            min: 1
         }
     },
     slippagePct: {
@@ -119,6 +120,12 @@ QuoteRequest.init({
         type: DataTypes.STRING(100),
         allowNull: true
     },
+    // Share of a rate limit request this row counts for (batch items split their batch's weight)
+    rateLimitWeight: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 1
+    },
     
     // Cache hit/miss tracking
     cacheHit: {
@@ -249,7 +256,8 @@ QuoteRequest.getRateLimitInfo = async function(identifier, timeWindow = '1h') {
             startDate = new Date(now - 60 * 60 * 1000);
     }
     
-    const count = await QuoteRequest.count({
+    // Weighted count: a batch counts once for its weight, not once per item
+    const weight = await QuoteRequest.sum('rateLimitWeight', {
         where: {
             rateLimitKey: identifier,
             createdAt: { [Op.gte]: startDate }
@@ -259,7 +267,7 @@ QuoteRequest.getRateLimitInfo = async function(identifier, timeWindow = '1h') {
     return {
         identifier,
         timeWindow,
-        requestCount: count,
+        requestCount: Number(weight) || 0,
         startTime: startDate,
         endTime: now
     };
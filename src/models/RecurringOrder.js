@@ -0,0 +1,181 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+/**
+ * RecurringOrder Model
+ * Off-chain signed (EIP-712) DCA and TWAP schedules: sell sliceAmountIn of
+ * tokenIn every intervalSec, totalSlices times, skipping slices priced above
+ * maxPrice (tokenIn per tokenOut). Amounts are raw base units; each fill is a
+ * Swap row with parentOrderId pointing here.
+ * Lifecycle: active <-> paused -> completed / cancelled / failed.
+ */
+const RecurringOrder = sequelize.define('RecurringOrder', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4
+    },
+    // EIP-712 hash of the signed order
+    orderHash: {
+        type: DataTypes.STRING(66),
+        allowNull: false,
+        unique: true
+    },
+    chainId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    orderType: {
+        type: DataTypes.ENUM('DCA', 'TWAP'),
+        allowNull: false
+    },
+    maker: {
+        type: DataTypes.STRING(42),
+        allowNull: false,
+        validate: {
+            isLowercase: true,
+            len: [42, 42]
+        }
+    },
+    tokenIn: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    tokenOut: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    decimalsIn: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    decimalsOut: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    recipient: {
+        type: DataTypes.STRING(42),
+        allowNull: false
+    },
+    sliceAmountIn: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    totalSlices: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    intervalSec: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // Human-readable tokenIn per tokenOut, null for no cap
+    maxPrice: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // maxPrice as the least tokenOut (base units) a slice must return
+    minSliceAmountOut: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    nonce: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    signature: {
+        type: DataTypes.STRING(132),
+        allowNull: false
+    },
+    // Signed pause/resume/cancel requests must carry this value (replay protection)
+    actionNonce: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'paused', 'completed', 'cancelled', 'failed'),
+        allowNull: false,
+        defaultValue: 'active'
+    },
+    nextRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Progress
+    slicesFilled: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    slicesSkipped: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    slicesFailed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    consecutiveFailures: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    amountInSpent: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: '0'
+    },
+    amountOutReceived: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: '0'
+    },
+    // Slice sent and waiting for its receipt
+    pendingSwapId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    pendingTxHash: {
+        type: DataTypes.STRING(66),
+        allowNull: true
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'recurring_orders',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        {
+            fields: ['order_hash']
+        },
+        {
+            fields: ['maker']
+        },
+        {
+            fields: ['chain_id', 'status', 'next_run_at']
+        }
+    ]
+});
+
+/**
+ * Slices that have been run (filled, skipped, failed or in flight)
+ */
+RecurringOrder.prototype.slicesRun = function() {
+    return this.slicesFilled + this.slicesSkipped + this.slicesFailed + (this.pendingTxHash ? 1 : 0);
+};
+
+export default RecurringOrder;
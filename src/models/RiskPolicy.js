@@ -36,7 +36,7 @@ const RiskPolicy = sequelize.define('RiskPolicy', {
     allowedFees: {
         type: DataTypes.ARRAY(DataTypes.INTEGER),
         allowNull: false,
-        defaultValue: [500, 3000, 10000]
+        defaultValue: [100, 500, 3000, 10000]
     },
     paused: {
         type: DataTypes.BOOLEAN,
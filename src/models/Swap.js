@@ -35,7 +35,8 @@ const Swap = sequelize.define('Swap', {
         type: DataTypes.INTEGER,
         allowNull: false,
         validate: {
-            isIn: [[500, 3000, 10000]]
+            isInt: true,
+            min: 1
         }
     },
     slippagePct: {
@@ -87,7 +88,7 @@ const Swap = sequelize.define('Swap', {
         allowNull: true
     },
     status: {
-        type: DataTypes.ENUM('pending', 'completed', 'failed', 'cancelled'),
+        type: DataTypes.ENUM('pending', 'completed', 'failed', 'cancelled', 'expired'),
         defaultValue: 'pending'
     },
     errorMsg: {
@@ -110,6 +111,11 @@ const Swap = sequelize.define('Swap', {
         type: DataTypes.INTEGER,
         defaultValue: 0
     },
+    // Realized amounts, price, slippage and gas cost read from the receipt (executionReport)
+    execution: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
     isCustodial: {
         type: DataTypes.BOOLEAN,
         defaultValue: false
@@ -122,6 +128,11 @@ const Swap = sequelize.define('Swap', {
         type: DataTypes.STRING,
         allowNull: true
     },
+    // Limit or recurring order this swap executed (one row per fill)
+    parentOrderId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
     metadata: {
         type: DataTypes.JSONB,
         defaultValue: {}
@@ -148,6 +159,9 @@ const Swap = sequelize.define('Swap', {
         },
         {
             fields: ['client_request_id']
+        },
+        {
+            fields: ['parent_order_id']
         }
     ]
 });
@@ -36,7 +36,7 @@ const Transaction = sequelize.define('Transaction', {
         allowNull: true
     },
     status: {
-        type: DataTypes.ENUM('pending', 'confirmed', 'failed'),
+        type: DataTypes.ENUM('pending', 'confirmed', 'failed', 'replaced', 'cancelled'),
         defaultValue: 'pending'
     },
     blockNumber: {
@@ -70,6 +70,11 @@ const Transaction = sequelize.define('Transaction', {
     nonce: {
         type: DataTypes.INTEGER,
         allowNull: true
+    },
+    // Hash of the transaction that used the same nonce (status replaced/cancelled)
+    replacedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
     }
 }, {
     tableName: 'transactions',
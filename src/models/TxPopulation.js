@@ -69,7 +69,7 @@ const TxPopulation = sequelize.define('TxPopulation', {
         allowNull: true
     },
     status: {
-        type: DataTypes.ENUM('generated', 'executed', 'expired', 'abandoned'),
+        type: DataTypes.ENUM('generated', 'executed', 'completed', 'failed', 'expired', 'abandoned'),
         defaultValue: 'generated'
     },
     executedAt: {
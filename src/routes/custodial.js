@@ -0,0 +1,60 @@
+import express from "express";
+import { ethers } from "ethers";
+import rateLimiter from "../middleware/rateLimiter.js";
+import custodialFunds, { CustodialFundsError } from "../services/custodialFunds.js";
+import custodialSendQueue from "../services/custodialSendQueue.js";
+
+const router = express.Router();
+
+/**
+ * Answer a failed custodial funds request: CustodialFundsError carries its own status
+ */
+function sendError(res, error, label) {
+    if (error instanceof CustodialFundsError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...(error.details ? { details: error.details } : {})
+        });
+    }
+    console.error(`${label} failed:`, error);
+    return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+    });
+}
+
+/**
+ * POST /custodial/deposits
+ * Body: { txHash } of a token transfer to the deposit address. Each Transfer
+ * to it is credited to its sender once confirmed; resubmitting is harmless.
+ */
+router.post("/deposits", rateLimiter, async (req, res) => {
+    try {
+        const deposits = await custodialFunds.creditDeposit(req.body.txHash);
+        return res.status(201).json({ success: true, deposits });
+    } catch (error) {
+        return sendError(res, error, '/custodial/deposits');
+    }
+});
+
+/**
+ * GET /custodial/balances/:owner
+ * Deposited, spent and available amounts (base units) per token, and the
+ * address to deposit to. Custodial orders only spend from these balances.
+ */
+router.get("/balances/:owner", async (req, res) => {
+    try {
+        if (!ethers.isAddress(req.params.owner)) {
+            throw new CustodialFundsError('owner must be an address', 400);
+        }
+        const wallet = await custodialSendQueue.ensureWallet();
+        const balances = await custodialFunds.getBalances(custodialSendQueue.chainId, req.params.owner);
+        return res.json({ success: true, depositAddress: wallet.address, balances });
+    } catch (error) {
+        return sendError(res, error, '/custodial/balances');
+    }
+});
+
+export default router;
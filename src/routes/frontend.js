@@ -164,6 +164,9 @@ router.post("/quote", rateLimiter, async (req, res) => {
             slippage: req.body.slippagePct || 0.5,
             route: quote.route,
             estimatedGas: quote.estimatedGas || "0",
+            initializedTicksCrossed: quote.initializedTicksCrossed ?? null,
+            gasCostUsd: quote.gasCostUsd ?? null,
+            netAmountOut: quote.amountOutNet ?? null,
             expiresAt: quote.expiresAt,
             fromCache: quote.fromCache || false
         };
@@ -311,6 +314,7 @@ router.get("/swap/:swapId", rateLimiter, async (req, res) => {
                 slippage: swap.slippagePct,
                 gasUsed: swap.gasUsed,
                 blockNumber: swap.blockNumber,
+                execution: swap.execution,
                 createdAt: swap.createdAt,
                 updatedAt: swap.updatedAt
             },
@@ -0,0 +1,120 @@
+import express from "express";
+import rateLimiter from "../middleware/rateLimiter.js";
+import limitOrderService, { LimitOrderError } from "../services/limitOrderService.js";
+
+const router = express.Router();
+
+/**
+ * Answer a failed limit order request: LimitOrderError carries its own status
+ */
+function sendError(res, error, label) {
+    if (error instanceof LimitOrderError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...(error.details ? { details: error.details } : {})
+        });
+    }
+    console.error(`${label} failed:`, error);
+    return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+    });
+}
+
+/**
+ * GET /limit-orders/typed-data
+ * EIP-712 domain and types for signing orders, cancellations and submissions
+ */
+router.get("/typed-data", async (req, res) => {
+    try {
+        return res.json({ success: true, ...(await limitOrderService.getTypedData()) });
+    } catch (error) {
+        return sendError(res, error, '/limit-orders/typed-data');
+    }
+});
+
+/**
+ * POST /limit-orders
+ * Place a signed order: { order: { maker, tokenIn, tokenOut, amountIn, minAmountOut,
+ * recipient, nonce, expiresAt, executionMode }, signature }
+ */
+router.post("/", rateLimiter, async (req, res) => {
+    try {
+        const order = await limitOrderService.createOrder(req.body.order, req.body.signature);
+        return res.status(201).json({ success: true, order });
+    } catch (error) {
+        return sendError(res, error, '/limit-orders');
+    }
+});
+
+/**
+ * POST /limit-orders/conditional
+ * Place a signed stop-loss/take-profit order: { order: { ...limit order fields,
+ * orderKind: STOP_LOSS | TAKE_PROFIT, triggerPriceUsd }, signature }
+ */
+router.post("/conditional", rateLimiter, async (req, res) => {
+    try {
+        const order = await limitOrderService.createConditionalOrder(req.body.order, req.body.signature);
+        return res.status(201).json({ success: true, order });
+    } catch (error) {
+        return sendError(res, error, '/limit-orders/conditional');
+    }
+});
+
+/**
+ * GET /limit-orders?maker=&status=&kind=&limit=&offset=
+ */
+router.get("/", async (req, res) => {
+    try {
+        const { maker, status, kind, limit, offset } = req.query;
+        const { rows, count } = await limitOrderService.listOrders({ maker, status, kind, limit, offset });
+        return res.json({ success: true, total: count, orders: rows });
+    } catch (error) {
+        return sendError(res, error, '/limit-orders (list)');
+    }
+});
+
+/**
+ * GET /limit-orders/:orderHash
+ * Order status, last re-quote (and price readings for stop-loss/take-profit)
+ * and, once triggered, the transaction to sign
+ */
+router.get("/:orderHash", async (req, res) => {
+    try {
+        const order = await limitOrderService.getOrder(req.params.orderHash);
+        return res.json({ success: true, order });
+    } catch (error) {
+        return sendError(res, error, `/limit-orders/${req.params.orderHash}`);
+    }
+});
+
+/**
+ * POST /limit-orders/:orderHash/cancel
+ * Body: { signature } over CancelLimitOrder { orderHash } by the maker
+ */
+router.post("/:orderHash/cancel", rateLimiter, async (req, res) => {
+    try {
+        const order = await limitOrderService.cancelOrder(req.params.orderHash, req.body.signature);
+        return res.json({ success: true, order });
+    } catch (error) {
+        return sendError(res, error, `/limit-orders/${req.params.orderHash}/cancel`);
+    }
+});
+
+/**
+ * POST /limit-orders/:orderHash/submitted
+ * Body: { txHash, signature } - txHash of the triggered order's transaction the
+ * maker broadcast, signature over SubmitLimitOrder { orderHash, txHash } by the maker
+ */
+router.post("/:orderHash/submitted", rateLimiter, async (req, res) => {
+    try {
+        const order = await limitOrderService.markSubmitted(req.params.orderHash, req.body.txHash, req.body.signature);
+        return res.json({ success: true, order });
+    } catch (error) {
+        return sendError(res, error, `/limit-orders/${req.params.orderHash}/submitted`);
+    }
+});
+
+export default router;
@@ -12,6 +12,8 @@ import config from "../config/env.js";
 import { getUniswapAddresses } from "../config/chains.js";
 import { validateToken } from "../services/tokenValidation.js";
 import { OPERATIONAL_LIMITS } from "../config/operationalLimits.js";
+import feeTierRegistry from "../services/feeTierRegistry.js";
+import custodialSendQueue, { SendQueueError } from "../services/custodialSendQueue.js";
 import axios from "axios";
 
 // Get current directory for ES modules
@@ -24,7 +26,7 @@ const positionManagerABI = JSON.parse(fs.readFileSync(path.join(__dirname, "../.
 const router = express.Router();
 
 // Initialize Ethereum provider and wallet for blockchain interactions
-let provider, wallet, positionManager;
+let provider, wallet, positionManager, chainId;
 
 // Minimal ERC20 ABI for approvals and metadata
 const ERC20_ABI = [
@@ -46,11 +48,19 @@ async function ensureAllowance(tokenAddress, owner, spender, requiredAmount) {
     const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
     const current = await token.allowance(owner, spender);
     if (current < requiredAmount) {
-        const tx = await token.approve(spender, requiredAmount);
+        const tx = await sendFromWallet(token.approve, [spender, requiredAmount], 'approve');
         await tx.wait();
     }
 }
 
+/**
+ * Send a contract call from the backend wallet through the custodial send queue
+ * (local nonces, concurrency limit, fee bumps); the result has `hash` and `wait()`
+ */
+async function sendFromWallet(method, args, kind) {
+    return custodialSendQueue.submit(await method.populateTransaction(...args), { kind });
+}
+
 // Async function to initialize blockchain connections
 async function initializeBlockchain() {
     try {
@@ -59,7 +69,7 @@ async function initializeBlockchain() {
         
         // Get chain ID and corresponding Uniswap V3 addresses
         const network = await provider.getNetwork();
-        let chainId = network.chainId.toString();
+        chainId = network.chainId.toString();
         
         // Allow forcing a specific chain ID via environment variable (useful for testing)
         if (config.FORCE_CHAIN_ID) {
@@ -128,18 +138,21 @@ router.post("/add-liquidity", ensureBlockchainInitialized, async (req, res) => {
         const validatedToken0 = validateToken(token0);
         const validatedToken1 = validateToken(token1);
 
-        // Validate fee tier
+        // Validate fee tier against the chain's enabled tiers
         const feeTier = Number(fee ?? 3000);
-        if (!OPERATIONAL_LIMITS.ALLOWED_FEES.includes(feeTier)) {
-            return res.status(400).json({ error: `Invalid fee tier. Allowed: ${OPERATIONAL_LIMITS.ALLOWED_FEES.join(', ')}` });
+        const tickSpacing = await feeTierRegistry.getTickSpacing(chainId, feeTier, provider);
+        if (tickSpacing === null) {
+            const allowed = await feeTierRegistry.getFees(chainId, provider);
+            return res.status(400).json({ error: `Invalid fee tier. Allowed: ${allowed.join(', ')}` });
         }
 
-        // Ticks (optional, default wide range)
-        const lower = Number.isFinite(Number(tickLower)) ? Number(tickLower) : -60000;
-        const upper = Number.isFinite(Number(tickUpper)) ? Number(tickUpper) : 60000;
-        if (lower >= upper) {
+        // Ticks (optional, default wide range), widened to the tier's tick spacing
+        const requestedLower = Number.isFinite(Number(tickLower)) ? Number(tickLower) : -60000;
+        const requestedUpper = Number.isFinite(Number(tickUpper)) ? Number(tickUpper) : 60000;
+        if (requestedLower >= requestedUpper) {
             return res.status(400).json({ error: "tickLower must be less than tickUpper" });
         }
+        const { tickLower: lower, tickUpper: upper } = feeTierRegistry.snapTicks(requestedLower, requestedUpper, tickSpacing);
 
         // Deadlines
         const ttl = Number.isFinite(Number(ttlSec)) ? Number(ttlSec) : OPERATIONAL_LIMITS.DEADLINE_LIMITS.DEFAULT_TTL;
@@ -161,7 +174,7 @@ router.post("/add-liquidity", ensureBlockchainInitialized, async (req, res) => {
 
         // Execute the liquidity provision transaction
         // This creates a new NFT position representing the liquidity
-        const tx = await positionManager.mint({
+        const tx = await sendFromWallet(positionManager.mint, [{
             token0: validatedToken0,
             token1: validatedToken1,
             fee: feeTier,
@@ -173,16 +186,16 @@ router.post("/add-liquidity", ensureBlockchainInitialized, async (req, res) => {
             amount1Min: amt1Min,
             recipient,
             deadline
-        });
+        }], 'add-liquidity');
 
-        // Wait for transaction confirmation on the blockchain
-        await tx.wait();
+        // Wait for transaction confirmation on the blockchain (a fee bump may change the hash)
+        const receipt = await tx.wait();
         
-        // Return success response with transaction hash
-        res.json({ success: true, txHash: tx.hash });
+        // Return success response with transaction hash and the ticks actually used
+        res.json({ success: true, txHash: receipt.hash, tickLower: lower, tickUpper: upper, tickSpacing });
     } catch (err) {
         // Handle any errors during liquidity provision
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof SendQueueError ? err.status : 500).json({ error: err.message });
     }
 });
 
@@ -212,18 +225,18 @@ router.post("/increase-liquidity", ensureBlockchainInitialized, async (req, res)
         await ensureAllowance(validatedToken0, wallet.address, positionManager.target, amt0Desired);
         await ensureAllowance(validatedToken1, wallet.address, positionManager.target, amt1Desired);
 
-        const tx = await positionManager.increaseLiquidity({
+        const tx = await sendFromWallet(positionManager.increaseLiquidity, [{
             tokenId: BigInt(tokenId),
             amount0Desired: amt0Desired,
             amount1Desired: amt1Desired,
             amount0Min: amt0Min,
             amount1Min: amt1Min,
             deadline
-        });
-        await tx.wait();
-        res.json({ success: true, txHash: tx.hash });
+        }], 'increase-liquidity');
+        const receipt = await tx.wait();
+        res.json({ success: true, txHash: receipt.hash });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof SendQueueError ? err.status : 500).json({ error: err.message });
     }
 });
 
@@ -237,16 +250,16 @@ router.post("/collect", ensureBlockchainInitialized, async (req, res) => {
 
         // Max uint128 for collect
         const MAX_UINT128 = (1n << 128n) - 1n;
-        const tx = await positionManager.collect({
+        const tx = await sendFromWallet(positionManager.collect, [{
             tokenId: BigInt(tokenId),
             recipient: recipient || wallet.address,
             amount0Max: MAX_UINT128,
             amount1Max: MAX_UINT128
-        });
-        await tx.wait();
-        res.json({ success: true, txHash: tx.hash });
+        }], 'collect');
+        const receipt = await tx.wait();
+        res.json({ success: true, txHash: receipt.hash });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof SendQueueError ? err.status : 500).json({ error: err.message });
     }
 });
 
@@ -262,36 +275,35 @@ router.post("/remove-liquidity", ensureBlockchainInitialized, async (req, res) =
         const ttl = Number.isFinite(Number(ttlSec)) ? Number(ttlSec) : OPERATIONAL_LIMITS.DEADLINE_LIMITS.DEFAULT_TTL;
         const deadline = Math.floor(Date.now() / 1000) + Math.min(Math.max(ttl, OPERATIONAL_LIMITS.DEADLINE_LIMITS.MIN_TTL), OPERATIONAL_LIMITS.DEADLINE_LIMITS.MAX_TTL);
 
-        const tx1 = await positionManager.decreaseLiquidity({
+        const tx1 = await sendFromWallet(positionManager.decreaseLiquidity, [{
             tokenId: BigInt(tokenId),
             liquidity: BigInt(liquidity),
             amount0Min: BigInt(amount0Min ?? 0),
             amount1Min: BigInt(amount1Min ?? 0),
             deadline
-        });
-        await tx1.wait();
+        }], 'decrease-liquidity');
+        const receipt1 = await tx1.wait();
 
         let collectTxHash = null;
         if (collect) {
             const MAX_UINT128 = (1n << 128n) - 1n;
-            const tx2 = await positionManager.collect({
+            const tx2 = await sendFromWallet(positionManager.collect, [{
                 tokenId: BigInt(tokenId),
                 recipient: recipient || wallet.address,
                 amount0Max: MAX_UINT128,
                 amount1Max: MAX_UINT128
-            });
-            await tx2.wait();
-            collectTxHash = tx2.hash;
+            }], 'collect');
+            collectTxHash = (await tx2.wait()).hash;
         }
 
         if (burn) {
-            const tx3 = await positionManager.burn(BigInt(tokenId));
+            const tx3 = await sendFromWallet(positionManager.burn, [BigInt(tokenId)], 'burn');
             await tx3.wait();
         }
 
-        res.json({ success: true, txHash: tx1.hash, collectTxHash });
+        res.json({ success: true, txHash: receipt1.hash, collectTxHash });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof SendQueueError ? err.status : 500).json({ error: err.message });
     }
 });
 
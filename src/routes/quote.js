@@ -1,13 +1,25 @@
 import express from "express";
-import rateLimiter from "../middleware/rateLimiter.js";
+import rateLimiter, { rateLimitWeight, connectionLimiter } from "../middleware/rateLimiter.js";
 import quoteService from "../services/quoteService.js";
+import quoteSigner from "../services/quoteSigner.js";
+import quoteStream from "../services/quoteStream.js";
 import { serializeBigInts } from "../utils/bigIntSerializer.js";
 import Quote from "../models/Quote.js";
 import QuoteRequest from "../models/QuoteRequest.js";
 import QuoteCache from "../models/QuoteCache.js";
+import config from "../config/env.js";
 
 const router = express.Router();
 
+// Batch limits: items per call, and items that cost one rate limit request
+const MAX_BATCH_ITEMS = 50;
+const BATCH_ITEMS_PER_REQUEST = 10;
+
+const batchWeight = (req) => {
+    const count = Array.isArray(req.body?.items) ? req.body.items.length : 0;
+    return Math.max(1, Math.ceil(count / BATCH_ITEMS_PER_REQUEST));
+};
+
 /**
  * POST /quote
  * Main quote endpoint with database integration, caching, and rate limiting
@@ -49,6 +61,7 @@ router.post("/", rateLimiter, async (req, res) => {
 /**
  * POST /quote/best
  * Legacy endpoint for exact-in quotes (maintains backward compatibility)
+ * Pass split: true to allow the amount to be split across several routes
  */
 router.post("/best", rateLimiter, async (req, res) => {
     try {
@@ -126,6 +139,146 @@ router.post("/exact-out", rateLimiter, async (req, res) => {
     }
 });
 
+/**
+ * POST /quote/batch
+ * Quote several pairs at once: { items: [{ tokenIn, tokenOut, amountIn | amountOut, mode }] }.
+ * Items share route evaluation and answer individually (an item's failure
+ * does not fail the batch). The batch counts as one request per 10 items
+ * against the rate limit.
+ */
+router.post("/batch", rateLimitWeight(batchWeight), rateLimiter, async (req, res) => {
+    try {
+        const { items } = req.body;
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                error: "items must be a non-empty array"
+            });
+        }
+        if (items.length > MAX_BATCH_ITEMS) {
+            return res.status(400).json({
+                error: `At most ${MAX_BATCH_ITEMS} items per batch`,
+                count: items.length
+            });
+        }
+
+        const weight = batchWeight(req);
+        const requestInfo = {
+            ipAddress: req.rateLimitInfo?.ipAddress || req.ip,
+            userAgent: req.get('User-Agent'),
+            userId: req.body.userId || null,
+            userAddress: req.body.userAddress || null,
+            rateLimitKey: req.rateLimitInfo?.ipRateLimitKey || null,
+            // Each item's log row carries its share so the batch sums to its weight
+            rateLimitWeight: weight / items.length
+        };
+
+        const results = await quoteService.generateBatchQuotes(items, requestInfo);
+        
+        res.set('X-RateLimit-Limit', '30');
+        res.set('X-RateLimit-Window', '1m');
+        res.set('X-RateLimit-Weight', String(weight));
+        
+        return res.json(serializeBigInts({
+            count: results.length,
+            succeeded: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success).length,
+            results
+        }));
+    } catch (error) {
+        console.error("/quote/batch failed:", error);
+        return res.status(500).json({ 
+            error: "Internal error", 
+            details: error.message 
+        });
+    }
+});
+
+/**
+ * POST /quote/verify
+ * Check an EIP-712 signed quote ({ message, signature } as returned in
+ * `signedQuote`): issued by our quote signer, unaltered and not expired.
+ * Unavailable (503) when quote signing is not configured.
+ */
+router.post("/verify", rateLimiter, async (req, res) => {
+    try {
+        if (!quoteSigner.isEnabled()) {
+            return res.status(503).json({ error: "Quote signing is not configured" });
+        }
+        const signedQuote = req.body.signedQuote || req.body;
+        const verification = quoteSigner.verify(signedQuote);
+
+        // Report the stored quote's status too (a valid signature may belong to a used quote)
+        let status = null;
+        if (verification.signer && signedQuote.message?.quoteId) {
+            const stored = await Quote.findOne({ where: { quoteId: signedQuote.message.quoteId } });
+            status = stored ? stored.status : null;
+        }
+
+        return res.json({
+            valid: verification.valid,
+            expired: verification.expired,
+            signer: verification.signer,
+            expectedSigner: quoteSigner.getSignerAddress(),
+            quoteStatus: status,
+            reasons: verification.reasons
+        });
+    } catch (error) {
+        console.error("/quote/verify failed:", error);
+        return res.status(500).json({ 
+            error: "Internal error", 
+            details: error.message 
+        });
+    }
+});
+
+/**
+ * GET /quote/stream
+ * Server-Sent Events stream of live quotes:
+ * ?tokenIn&tokenOut&amountIn (or amountOut with mode=EXACT_OUT)&slippagePct.
+ * Re-checks the route every block and pushes a new firm quote (`quote`) when
+ * the route or amount changed or the current one is half expired, an expiry
+ * countdown (`expiry`) and `end` when the quote is no longer executable.
+ * Open streams are capped per IP.
+ */
+router.get("/stream", rateLimiter, connectionLimiter(config.QUOTE_STREAM_MAX_PER_IP), async (req, res) => {
+    let request;
+    try {
+        const mode = req.query.mode || 'EXACT_IN';
+        request = quoteService.normalizeQuoteParams({
+            ...req.query,
+            mode,
+            amountIn: mode === 'EXACT_OUT' ? (req.query.amountOut ?? req.query.amountIn) : req.query.amountIn,
+            split: false
+        });
+    } catch (error) {
+        return res.status(400).json({ 
+            error: "Invalid stream parameters", 
+            details: error.message 
+        });
+    }
+
+    try {
+        const requestInfo = {
+            ipAddress: req.rateLimitInfo?.ipAddress || req.ip,
+            userAgent: req.get('User-Agent'),
+            userId: req.query.userId || null,
+            userAddress: req.query.userAddress || null,
+            rateLimitKey: req.rateLimitInfo?.ipRateLimitKey || null
+        };
+
+        await quoteStream.open(req, res, request, requestInfo);
+    } catch (error) {
+        console.error("/quote/stream failed:", error);
+        if (!res.headersSent) {
+            return res.status(500).json({ 
+                error: "Internal error", 
+                details: error.message 
+            });
+        }
+        res.end();
+    }
+});
+
 /**
  * GET /quote/stats
  * Get quote statistics from database
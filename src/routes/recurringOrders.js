@@ -0,0 +1,104 @@
+import express from "express";
+import rateLimiter from "../middleware/rateLimiter.js";
+import recurringOrderService, { RecurringOrderError } from "../services/recurringOrderService.js";
+
+const router = express.Router();
+
+/**
+ * Answer a failed recurring order request: RecurringOrderError carries its own status
+ */
+function sendError(res, error, label) {
+    if (error instanceof RecurringOrderError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...(error.details ? { details: error.details } : {})
+        });
+    }
+    console.error(`${label} failed:`, error);
+    return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+    });
+}
+
+/**
+ * GET /recurring-orders/typed-data
+ * EIP-712 domain and types for signing orders and pause/resume/cancel actions
+ */
+router.get("/typed-data", async (req, res) => {
+    try {
+        return res.json({ success: true, ...(await recurringOrderService.getTypedData()) });
+    } catch (error) {
+        return sendError(res, error, '/recurring-orders/typed-data');
+    }
+});
+
+/**
+ * GET /recurring-orders/twap-plan?totalAmountIn=&durationSec=&slices=
+ * Slice size and interval to sign for a TWAP order
+ */
+router.get("/twap-plan", (req, res) => {
+    try {
+        return res.json({ success: true, plan: recurringOrderService.planTwap(req.query) });
+    } catch (error) {
+        return sendError(res, error, '/recurring-orders/twap-plan');
+    }
+});
+
+/**
+ * POST /recurring-orders
+ * Place a signed order: { order: { maker, orderType, tokenIn, tokenOut, recipient,
+ * sliceAmountIn, totalSlices, intervalSec, startAt, maxPrice, nonce }, signature }
+ */
+router.post("/", rateLimiter, async (req, res) => {
+    try {
+        const order = await recurringOrderService.createOrder(req.body.order, req.body.signature);
+        return res.status(201).json({ success: true, order: recurringOrderService.describe(order) });
+    } catch (error) {
+        return sendError(res, error, '/recurring-orders');
+    }
+});
+
+/**
+ * GET /recurring-orders?maker=&status=&limit=&offset=
+ */
+router.get("/", async (req, res) => {
+    try {
+        const { maker, status, limit, offset } = req.query;
+        const { rows, count } = await recurringOrderService.listOrders({ maker, status, limit, offset });
+        return res.json({ success: true, total: count, orders: rows.map(order => recurringOrderService.describe(order)) });
+    } catch (error) {
+        return sendError(res, error, '/recurring-orders (list)');
+    }
+});
+
+/**
+ * GET /recurring-orders/:orderHash
+ * Order progress (slices, amounts spent/received/remaining, average price) and its fills
+ */
+router.get("/:orderHash", async (req, res) => {
+    try {
+        const order = await recurringOrderService.getOrder(req.params.orderHash);
+        const fills = await recurringOrderService.getFills(order);
+        return res.json({ success: true, order: recurringOrderService.describe(order), fills });
+    } catch (error) {
+        return sendError(res, error, `/recurring-orders/${req.params.orderHash}`);
+    }
+});
+
+/**
+ * POST /recurring-orders/:orderHash/:action (pause | resume | cancel)
+ * Body: { signature, actionNonce } over RecurringOrderAction { orderHash, action, actionNonce } by the maker
+ */
+router.post("/:orderHash/:action", rateLimiter, async (req, res) => {
+    try {
+        const order = await recurringOrderService.applyAction(req.params.orderHash, req.params.action, req.body.signature, req.body.actionNonce);
+        return res.json({ success: true, order: recurringOrderService.describe(order) });
+    } catch (error) {
+        return sendError(res, error, `/recurring-orders/${req.params.orderHash}/${req.params.action}`);
+    }
+});
+
+export default router;
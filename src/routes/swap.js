@@ -11,6 +11,7 @@
  *    - USE CASE: High-frequency trading, institutional clients
  * 
  * 2. POST /swap/populate - Non-custodial swap (returns transaction for user to sign)
+ *    - POST /swap/broadcast relays the signed transaction so its status is tracked
  *    - SAFER: User maintains control of their funds
  *    - NO RISK: Backend never touches user tokens
  *    - USE CASE: Retail users, self-custody preferred
@@ -21,140 +22,27 @@
 
 import express from "express";
 import { ethers } from "ethers";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import config from "../config/env.js";
-import { getUniswapAddresses } from "../config/chains.js";
 import { validateToken } from "../services/tokenValidation.js";
 import { validateOperationalLimits, getOperationalStatus } from "../config/operationalLimits.js";
 import { serializeBigInts } from "../utils/bigIntSerializer.js";
 import swapDatabaseService from "../services/swapDatabase.js";
+import routingEngine, { isNativeToken, NATIVE_TOKEN_ADDRESS } from "../services/routingEngine.js";
+import quoteService, { QuoteUnavailableError } from "../services/quoteService.js";
+import quoteSigner from "../services/quoteSigner.js";
+import swapPopulator from "../services/swapPopulator.js";
+import swapSimulator from "../services/swapSimulator.js";
+import executionReportService from "../services/executionReport.js";
+import custodialSendQueue, { SendQueueError } from "../services/custodialSendQueue.js";
+import permitService, { PermitError } from "../services/permitService.js";
+import feeTierRegistry from "../services/feeTierRegistry.js";
+import { getSwapTarget, PERMIT2_ADDRESS } from "../config/chains.js";
 import { v4 as uuidv4 } from 'uuid';
 
-// Get current directory for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Read Uniswap V3 contract ABIs for swap operations
-const routerABI = JSON.parse(fs.readFileSync(path.join(__dirname, "../../node_modules/@uniswap/v3-periphery/artifacts/contracts/SwapRouter.sol/SwapRouter.json"), 'utf8'));
-
-// Create a minimal Quoter ABI since it's not included in the standard package
-// Include both single-hop and multi-hop quoting functions used below
-const quoterABI = {
-  abi: [
-    {
-      "inputs": [
-        {
-          "internalType": "address",
-          "name": "tokenIn",
-          "type": "address"
-        },
-        {
-          "internalType": "address",
-          "name": "tokenOut",
-          "type": "address"
-        },
-        {
-          "internalType": "uint24",
-          "name": "fee",
-          "type": "uint24"
-        },
-        {
-          "internalType": "uint256",
-          "name": "amountIn",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint160",
-          "name": "sqrtPriceLimitX96",
-          "type": "uint160"
-        }
-      ],
-      "name": "quoteExactInputSingle",
-      "outputs": [
-        {
-          "internalType": "uint256",
-          "name": "amountOut",
-          "type": "uint256"
-        }
-      ],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "bytes", "name": "path", "type": "bytes" },
-        { "internalType": "uint256", "name": "amountIn", "type": "uint256" }
-      ],
-      "name": "quoteExactInput",
-      "outputs": [
-        { "internalType": "uint256", "name": "amountOut", "type": "uint256" }
-      ],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "address",
-          "name": "tokenIn",
-          "type": "address"
-        },
-        {
-          "internalType": "address",
-          "name": "tokenOut",
-          "type": "address"
-        },
-        {
-          "internalType": "uint24",
-          "name": "fee",
-          "type": "uint24"
-        },
-        {
-          "internalType": "uint256",
-          "name": "amountOut",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint160",
-          "name": "sqrtPriceLimitX96",
-          "type": "uint160"
-        }
-      ],
-      "name": "quoteExactOutputSingle",
-      "outputs": [
-        {
-          "internalType": "uint256",
-          "name": "amountIn",
-          "type": "uint256"
-        }
-      ],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "bytes", "name": "path", "type": "bytes" },
-        { "internalType": "uint256", "name": "amountOut", "type": "uint256" }
-      ],
-      "name": "quoteExactOutput",
-      "outputs": [
-        { "internalType": "uint256", "name": "amountIn", "type": "uint256" }
-      ],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    }
-  ]
-};
-
 const router = express.Router();
 
-// Initialize Ethereum provider and wallet for blockchain interactions
-let provider, wallet, uniswapRouter, quoter;
-
-// Valid fee tiers for Uniswap V3 pools
-const VALID_FEES = new Set([500, 3000, 10000]);
+// Ethereum provider for blockchain reads and broadcasts (custodial sends go through custodialSendQueue)
+let provider;
 
 // Maximum TTL for swap deadlines (24 hours in seconds)
 const MAX_TTL_SECONDS = 24 * 60 * 60;
@@ -163,13 +51,9 @@ const MAX_TTL_SECONDS = 24 * 60 * 60;
 async function initializeBlockchain() {
     try {
         provider = new ethers.JsonRpcProvider(config.RPC_URL);
-        wallet = new ethers.Wallet(config.PRIVATE_KEY, provider);
         
-        // Get Uniswap addresses for the current chain
-        const network = await provider.getNetwork();
-        const addresses = getUniswapAddresses(network.chainId);
-        uniswapRouter = new ethers.Contract(addresses.router, routerABI.abi, wallet);
-        quoter = new ethers.Contract(addresses.quoter, quoterABI.abi, wallet);
+        // Router contracts for the current chain (shared with the limit order executor)
+        await swapPopulator.ensureContracts();
         
         console.log('✅ Blockchain connections initialized');
     } catch (error) {
@@ -193,59 +77,6 @@ function validateTTL(ttl) {
     }
 }
 
-/**
- * Validate fee tier
- */
-function validateFeeTier(fee) {
-    if (!VALID_FEES.has(fee)) {
-        throw new Error(`Invalid fee tier. Must be one of: ${Array.from(VALID_FEES).join(', ')}`);
-    }
-}
-
-/**
- * Encode V3 path for multi-hop swaps
- */
-function encodeV3Path(pathTokens) {
-    const types = [];
-    const values = [];
-    
-    for (let i = 0; i < pathTokens.length; i++) {
-        if (typeof pathTokens[i] === 'string' && ethers.isAddress(pathTokens[i])) {
-            types.push("address");
-            values.push(pathTokens[i]);
-        } else {
-            types.push("uint24");
-            values.push(pathTokens[i]);
-        }
-    }
-    
-    return ethers.solidityPacked(types, values);
-}
-
-/**
- * Reverse a V3 path token-fee sequence for exactOutput
- * Example: [A,fee1,B,fee2,C] -> [C,fee2,B,fee1,A]
- */
-function reverseV3Path(pathTokens) {
-    const tokens = [];
-    const fees = [];
-    for (let i = 0; i < pathTokens.length; i++) {
-        if (typeof pathTokens[i] === 'string' && ethers.isAddress(pathTokens[i])) {
-            tokens.push(pathTokens[i]);
-        } else {
-            fees.push(pathTokens[i]);
-        }
-    }
-    const reversed = [];
-    for (let i = tokens.length - 1; i >= 0; i--) {
-        reversed.push(tokens[i]);
-        if (i > 0) {
-            reversed.push(fees[i - 1]);
-        }
-    }
-    return reversed;
-}
-
 /**
  * Normalize slippage to basis points (0-10000)
  * - Prefers slippagePct as percent value (e.g. 0.5 => 50 bps)
@@ -269,102 +100,84 @@ function getSlippageBps(slippagePct, slippageTolerance) {
 }
 
 /**
- * Generate route candidates for smart order routing
+ * Swap the native-ETH sentinel for the chain's wrapped native token
+ * (Chain.nativeWrappedAddress) so routing and validation see an ERC20
+ * @returns {Object} { tokenIn, tokenOut, nativeIn, nativeOut, wrappedNative }
  */
-async function generateRouteCandidates(tokenIn, tokenOut, chainId) {
-    const candidates = [];
-    
-    // Single-hop candidates across all fee tiers
-    for (const fee of VALID_FEES) {
-        candidates.push({
-            kind: 'single',
-            route: [{ tokenIn, tokenOut, fee }],
-            pathTokens: [tokenIn, fee, tokenOut],
-            hops: 1
-        });
+async function resolveNativeTokens(tokenIn, tokenOut) {
+    const nativeIn = isNativeToken(tokenIn);
+    const nativeOut = isNativeToken(tokenOut);
+    if (!nativeIn && !nativeOut) {
+        return { tokenIn, tokenOut, nativeIn, nativeOut, wrappedNative: null };
     }
-    
-    // Two-hop via anchor tokens (smart order routing)
-    const anchors = [config.WETH_ADDRESS, config.USDC_ADDRESS, config.USDT_ADDRESS].filter(Boolean);
-    for (const mid of anchors) {
-        if (mid.toLowerCase() === tokenIn.toLowerCase() || mid.toLowerCase() === tokenOut.toLowerCase()) {
-            continue;
-        }
-        
-        for (const feeA of VALID_FEES) {
-            for (const feeB of VALID_FEES) {
-                candidates.push({
-                    kind: 'multi',
-                    route: [
-                        { tokenIn, tokenOut: mid, fee: feeA },
-                        { tokenIn: mid, tokenOut, fee: feeB }
-                    ],
-                    pathTokens: [tokenIn, feeA, mid, feeB, tokenOut],
-                    hops: 2
-                });
-            }
-        }
+    if (nativeIn && nativeOut) {
+        throw new Error('tokenIn and tokenOut cannot both be native ETH');
     }
-    
-    return candidates;
+    await routingEngine.ensureProvider();
+    const wrappedNative = ethers.getAddress(await routingEngine.getNativeWrappedAddress());
+    return {
+        tokenIn: nativeIn ? wrappedNative : tokenIn,
+        tokenOut: nativeOut ? wrappedNative : tokenOut,
+        nativeIn,
+        nativeOut,
+        wrappedNative
+    };
 }
 
 /**
- * Evaluate routes and find the best one
+ * Preflight report for a populated swap signed by `from` (see swapSimulator);
+ * skipped without a sender, and never fails the population itself.
+ * Universal Router swaps pull tokenIn through Permit2, so that is the spender checked
  */
-async function evaluateRoutes(candidates, amountIn, mode = 'EXACT_IN') {
-    const evals = [];
-    
-    for (const candidate of candidates) {
-        try {
-            let result;
-            
-            if (candidate.kind === 'single') {
-                if (mode === 'EXACT_IN') {
-                    result = await quoter.quoteExactInputSingle.staticCall(
-                        candidate.route[0].tokenIn,
-                        candidate.route[0].tokenOut,
-                        candidate.route[0].fee,
-                        amountIn,
-                        0
-                    );
-                } else {
-                    result = await quoter.quoteExactOutputSingle.staticCall(
-                        candidate.route[0].tokenIn,
-                        candidate.route[0].tokenOut,
-                        candidate.route[0].fee,
-                        amountIn,
-                        0
-                    );
-                }
-            } else {
-                const encodedPath = encodeV3Path(candidate.pathTokens);
-                if (mode === 'EXACT_IN') {
-                    result = await quoter.quoteExactInput.staticCall(encodedPath, amountIn);
-                } else {
-                    result = await quoter.quoteExactOutput.staticCall(encodedPath, amountIn);
-                }
-            }
-            
-            if (mode === 'EXACT_IN') {
-                evals.push({ ...candidate, amountOut: result });
-            } else {
-                evals.push({ ...candidate, amountIn: result });
-            }
-        } catch (error) {
-            // Ignore failing routes
-            console.debug(`Route evaluation failed for ${candidate.kind}:`, error.message);
-        }
+async function preflightSwap(from, populatedTransaction, tokenIn, requiredIn, { nativeIn = false, permitted = false, routerTarget = 'swapRouter' } = {}) {
+    if (!from || !ethers.isAddress(from)) {
+        return { ok: null, skipped: true, reason: 'userAddress is required to simulate the swap' };
     }
-    
-    // Sort by best output (EXACT_IN) or lowest input (EXACT_OUT)
-    if (mode === 'EXACT_IN') {
-        evals.sort((a, b) => Number(b.amountOut - a.amountOut));
-    } else {
-        evals.sort((a, b) => Number(a.amountIn - b.amountIn));
+    try {
+        return await swapSimulator.preflight({
+            provider,
+            from: ethers.getAddress(from),
+            transaction: populatedTransaction,
+            tokenIn: nativeIn ? null : tokenIn,
+            requiredIn,
+            permitted,
+            ...(routerTarget === 'universalRouter' ? { spender: PERMIT2_ADDRESS } : {})
+        });
+    } catch (error) {
+        console.error('Swap preflight failed:', error);
+        return { ok: null, skipped: true, reason: `Simulation unavailable: ${error.shortMessage || error.message}` };
+    }
+}
+
+/**
+ * Permit the user can sign instead of approving the router. SwapRouter swaps
+ * get one when the preflight found the allowance short and tokenIn supports
+ * EIP-2612 (or DAI's permit); Universal Router swaps get a Permit2
+ * PermitSingle whenever Permit2 does not already allow the router. The offer
+ * is stored on the TxPopulation for POST /swap/populate/permit; like the
+ * preflight, it never fails the population itself
+ */
+async function offerPermit({ population, preflight, routerTarget, chainId, tokenIn, userAddress, spender, value, deadline }) {
+    if (preflight.skipped || preflight.allowance.notRequired) {
+        return null;
+    }
+    if (routerTarget !== 'universalRouter' && preflight.allowance.ok !== false) {
+        return null;
+    }
+    try {
+        const params = { provider, chainId, token: tokenIn, owner: userAddress, spender, value, deadline };
+        const offer = routerTarget === 'universalRouter'
+            ? await permitService.buildPermit2Offer(params)
+            : await permitService.buildOffer(params);
+        if (!offer) {
+            return null;
+        }
+        await swapDatabaseService.updateTxPopulationPayload(population.requestId, { permit: offer });
+        return { type: offer.type, typedData: permitService.getTypedData(offer) };
+    } catch (error) {
+        console.error('Permit offer failed:', error);
+        return null;
     }
-    
-    return evals;
 }
 
 /**
@@ -465,7 +278,8 @@ router.post("/swap", async (req, res) => {
             slippageTolerance,
             ttl,
             fee,
-            chainId
+            chainId,
+            allowedFees: await feeTierRegistry.getAllowedFees(chainId, riskPolicy.allowedFees, provider)
         });
 
         if (!operationalStatus.allowed) {
@@ -509,40 +323,20 @@ router.post("/swap", async (req, res) => {
             amountInWei = ethers.parseUnits(amountIn, tokenInValid.decimals);
             deadline = Math.floor(Date.now() / 1000) + ttl;
 
-            // Build or select route and quote
+            // Resolve route (client-provided or auto-selected) through the shared routing engine
             try {
-                let routeInfo;
-                if (providedPath) {
-                    routeInfo = { kind: 'multi', path: providedPath, pathTokens: providedPathTokens || null };
-                    expectedOut = await quoter.quoteExactInput.staticCall(providedPath, amountInWei);
-                } else if (providedRoute && Array.isArray(providedRoute) && providedRoute.length > 1) {
-                    const pathTokens = [];
-                    for (let i = 0; i < providedRoute.length; i++) {
-                        const hop = providedRoute[i];
-                        pathTokens.push(hop.tokenIn);
-                        pathTokens.push(hop.fee);
-                        if (i === providedRoute.length - 1) {
-                            pathTokens.push(hop.tokenOut);
-                        }
-                    }
-                    const path = encodeV3Path(pathTokens);
-                    routeInfo = { kind: 'multi', path, pathTokens };
-                    expectedOut = await quoter.quoteExactInput.staticCall(path, amountInWei);
-                } else if (providedRoute && Array.isArray(providedRoute) && providedRoute.length === 1) {
-                    const hop = providedRoute[0];
-                    routeInfo = { kind: 'single', fee: hop.fee };
-                    expectedOut = await quoter.quoteExactInputSingle.staticCall(
-                        hop.tokenIn, hop.tokenOut, hop.fee, amountInWei, 0
-                    );
-                } else {
-                    // Auto-route selection
-                    const candidates = await generateRouteCandidates(tokenIn, tokenOut, chainId);
-                    const evals = await evaluateRoutes(candidates, amountInWei, 'EXACT_IN');
-                    if (evals.length === 0) throw new Error('No executable route');
-                    const best = evals[0];
-                    expectedOut = best.amountOut;
-                    routeInfo = best;
-                }
+                const routeInfo = await routingEngine.findBestRoute({
+                    tokenIn,
+                    tokenOut,
+                    amount: amountInWei,
+                    mode: 'EXACT_IN',
+                    path: providedPath,
+                    pathTokens: providedPathTokens,
+                    route: providedRoute,
+                    decimalsIn: tokenInValid.decimals,
+                    decimalsOut: tokenOutValid.decimals
+                });
+                expectedOut = routeInfo.amountOut;
 
                 // Compute minOut using bps
                 minOut = (expectedOut * BigInt(10000 - slippageBps)) / 10000n;
@@ -567,41 +361,21 @@ router.post("/swap", async (req, res) => {
             const amountOutWei = ethers.parseUnits(amountOutMinimum, tokenOutValid.decimals);
             deadline = Math.floor(Date.now() / 1000) + ttl;
 
-            // Build or select route and quote
+            // Resolve route (client-provided or auto-selected) through the shared routing engine
+            // A provided path must already be reversed (tokenOut->tokenIn) for exactOutput
             try {
-                let routeInfo;
-                if (providedPath) {
-                    // For exactOutput, path must be reversed (tokenOut->tokenIn)
-                    routeInfo = { kind: 'multi', path: providedPath, pathTokens: providedPathTokens || null };
-                    requiredIn = await quoter.quoteExactOutput.staticCall(providedPath, amountOutWei);
-                } else if (providedRoute && Array.isArray(providedRoute) && providedRoute.length > 1) {
-                    const pathTokens = [];
-                    for (let i = providedRoute.length - 1; i >= 0; i--) {
-                        const hop = providedRoute[i];
-                        pathTokens.push(hop.tokenOut);
-                        pathTokens.push(hop.fee);
-                        if (i === 0) {
-                            pathTokens.push(hop.tokenIn);
-                        }
-                    }
-                    const path = encodeV3Path(pathTokens);
-                    routeInfo = { kind: 'multi', path, pathTokens };
-                    requiredIn = await quoter.quoteExactOutput.staticCall(path, amountOutWei);
-                } else if (providedRoute && Array.isArray(providedRoute) && providedRoute.length === 1) {
-                    const hop = providedRoute[0];
-                    routeInfo = { kind: 'single', fee: hop.fee };
-                    requiredIn = await quoter.quoteExactOutputSingle.staticCall(
-                        hop.tokenIn, hop.tokenOut, hop.fee, amountOutWei, 0
-                    );
-                } else {
-                    // Auto-route selection
-                    const candidates = await generateRouteCandidates(tokenIn, tokenOut, chainId);
-                    const evals = await evaluateRoutes(candidates, amountOutWei, 'EXACT_OUT');
-                    if (evals.length === 0) throw new Error('No executable route');
-                    const best = evals[0];
-                    requiredIn = best.amountIn;
-                    routeInfo = best;
-                }
+                const routeInfo = await routingEngine.findBestRoute({
+                    tokenIn,
+                    tokenOut,
+                    amount: amountOutWei,
+                    mode: 'EXACT_OUT',
+                    path: providedPath,
+                    pathTokens: providedPathTokens,
+                    route: providedRoute,
+                    decimalsIn: tokenInValid.decimals,
+                    decimalsOut: tokenOutValid.decimals
+                });
+                requiredIn = routeInfo.amountIn;
 
                 // Compute maxIn using bps
                 maxIn = (requiredIn * BigInt(10000 + slippageBps)) / 10000n;
@@ -618,14 +392,14 @@ router.post("/swap", async (req, res) => {
             }
         }
 
-        // Create swap record in database
+        // Create swap record in database; the fee tier is the one the route executes on, not the requested one
         const swapRecord = await swapDatabaseService.createSwap({
             chainId,
             mode,
             tokenIn,
             tokenOut,
             recipient,
-            feeTier: fee,
+            feeTier: routingEngine.entryFee(req._tpayRouteInfo, mode) ?? Number(fee),
             slippagePct: slippageTolerance,
             ttlSec: ttl,
             deadline: new Date(deadline * 1000),
@@ -650,36 +424,29 @@ router.post("/swap", async (req, res) => {
         // Execute swap on blockchain
         let txHash, gasUsed, gasPrice;
         try {
-            let tx;
-            const routeInfo = req._tpayRouteInfo;
-            if (routeInfo && routeInfo.kind === 'multi') {
-                const pathBytes = routeInfo.path || encodeV3Path(routeInfo.pathTokens);
-                const swapParams = {
-                    path: pathBytes,
-                    recipient,
-                    deadline,
-                    amountIn: amountInWei,
-                    amountOutMinimum: minOut
-                };
-                tx = await uniswapRouter.exactInput(swapParams);
-            } else {
-                const swapParams = {
-                    tokenIn,
-                    tokenOut,
-                    fee: routeInfo?.fee || fee,
-                    recipient,
-                    deadline,
-                    amountIn: amountInWei,
-                    amountOutMinimum: minOut,
-                    sqrtPriceLimitX96: 0
-                };
-                tx = await uniswapRouter.exactInputSingle(swapParams);
-            }
+            const swapCall = routingEngine.buildSwapCall(req._tpayRouteInfo, {
+                mode,
+                tokenIn,
+                tokenOut,
+                recipient,
+                deadline,
+                amountIn: amountInWei,
+                amountOutMinimum: minOut,
+                amountOut: expectedOut,
+                amountInMaximum: maxIn
+            });
+            const { contract: swapContract, args: swapArgs } = swapPopulator.resolveSwapCall(swapCall);
+            const tx = await custodialSendQueue.submit(
+                await swapContract[swapCall.method].populateTransaction(...swapArgs),
+                { kind: 'swap', reference: { swapId: swapRecord.id } }
+            );
+            await swapDatabaseService.updateSwapStatus(swapRecord.id, 'pending', tx.hash);
             const receipt = await tx.wait();
 
-            txHash = tx.hash;
+            // A fee bump may have mined under a different hash than the first broadcast
+            txHash = receipt.hash;
             gasUsed = receipt.gasUsed;
-            gasPrice = tx.gasPrice;
+            gasPrice = receipt.gasPrice;
 
             // Update swap status to completed
             await swapDatabaseService.updateSwapStatus(swapRecord.id, 'completed', txHash, {
@@ -688,13 +455,14 @@ router.post("/swap", async (req, res) => {
                 blockNumber: receipt.blockNumber,
                 confirmations: receipt.confirmations
             });
+            await executionReportService.recordForSwap(swapRecord, receipt);
 
             // Create transaction record
             await swapDatabaseService.upsertTransaction({
                 txHash,
                 chainId,
-                fromAddress: wallet.address,
-                toAddress: uniswapRouter.target,
+                fromAddress: receipt.from,
+                toAddress: swapContract.target,
                 gasLimit: tx.gasLimit,
                 gasUsed: Number(gasUsed),
                 gasPrice: gasPrice.toString(),
@@ -724,6 +492,15 @@ router.post("/swap", async (req, res) => {
             });
 
         } catch (error) {
+            // Still unmined after the wait: the queue keeps it going and the tx tracker settles the swap
+            if (error instanceof SendQueueError && error.status === 504) {
+                return res.status(202).json({
+                    success: true,
+                    swapId: swapRecord.id,
+                    txHash: error.details.txHash,
+                    status: 'pending'
+                });
+            }
             console.error('Swap execution failed:', error);
 
             // Update swap status to failed
@@ -731,7 +508,7 @@ router.post("/swap", async (req, res) => {
                 errorMsg: error.message
             });
 
-            res.status(500).json({
+            res.status(error instanceof SendQueueError ? error.status : 500).json({
                 success: false,
                 error: 'Swap execution failed',
                 swapId: swapRecord.id,
@@ -818,7 +595,8 @@ router.post("/swap/exact-out", async (req, res) => {
             slippageTolerance,
             ttl,
             fee,
-            chainId
+            chainId,
+            allowedFees: await feeTierRegistry.getAllowedFees(chainId, riskPolicy.allowedFees, provider)
         });
 
         if (!operationalStatus.allowed) {
@@ -851,16 +629,17 @@ router.post("/swap/exact-out", async (req, res) => {
         const amountInMaximumWei = ethers.parseUnits(amountInMaximum, tokenInValid.decimals);
         const deadline = Math.floor(Date.now() / 1000) + ttl;
 
-        // Get quote for exact output
-        let requiredIn;
+        // Get quote for exact output on the requested fee tier
+        let requiredIn, routeInfo;
         try {
-            requiredIn = await quoter.quoteExactOutputSingle.staticCall(
+            routeInfo = await routingEngine.findBestRoute({
                 tokenIn,
                 tokenOut,
-                fee,
-                amountOutWei,
-                0
-            );
+                amount: amountOutWei,
+                mode: 'EXACT_OUT',
+                route: [{ tokenIn, tokenOut, fee }]
+            });
+            requiredIn = routeInfo.amountIn;
         } catch (error) {
             console.error('Quote failed:', error);
             return res.status(400).json({
@@ -911,24 +690,27 @@ router.post("/swap/exact-out", async (req, res) => {
         // Execute swap on blockchain
         let txHash, gasUsed, gasPrice;
         try {
-            let tx;
-            const routeInfo = { kind: 'single', fee };
-            const swapParams = {
+            const swapCall = routingEngine.buildSwapCall(routeInfo, {
+                mode: 'EXACT_OUT',
                 tokenIn,
                 tokenOut,
-                fee: routeInfo.fee,
                 recipient,
                 deadline,
                 amountOut: amountOutWei,
-                amountInMaximum: amountInMaximumWei,
-                sqrtPriceLimitX96: 0
-            };
-            tx = await uniswapRouter.exactOutputSingle(swapParams);
+                amountInMaximum: amountInMaximumWei
+            });
+            const { contract: swapContract, args: swapArgs } = swapPopulator.resolveSwapCall(swapCall);
+            const tx = await custodialSendQueue.submit(
+                await swapContract[swapCall.method].populateTransaction(...swapArgs),
+                { kind: 'swap', reference: { swapId: swapRecord.id } }
+            );
+            await swapDatabaseService.updateSwapStatus(swapRecord.id, 'pending', tx.hash);
             const receipt = await tx.wait();
 
-            txHash = tx.hash;
+            // A fee bump may have mined under a different hash than the first broadcast
+            txHash = receipt.hash;
             gasUsed = receipt.gasUsed;
-            gasPrice = tx.gasPrice;
+            gasPrice = receipt.gasPrice;
 
             // Update swap status to completed
             await swapDatabaseService.updateSwapStatus(swapRecord.id, 'completed', txHash, {
@@ -937,13 +719,14 @@ router.post("/swap/exact-out", async (req, res) => {
                 blockNumber: receipt.blockNumber,
                 confirmations: receipt.confirmations
             });
+            await executionReportService.recordForSwap(swapRecord, receipt);
 
             // Create transaction record
             await swapDatabaseService.upsertTransaction({
                 txHash,
                 chainId,
-                fromAddress: wallet.address,
-                toAddress: uniswapRouter.target,
+                fromAddress: receipt.from,
+                toAddress: swapContract.target,
                 gasLimit: tx.gasLimit,
                 gasUsed: Number(gasUsed),
                 gasPrice: gasPrice.toString(),
@@ -973,6 +756,15 @@ router.post("/swap/exact-out", async (req, res) => {
             });
 
         } catch (error) {
+            // Still unmined after the wait: the queue keeps it going and the tx tracker settles the swap
+            if (error instanceof SendQueueError && error.status === 504) {
+                return res.status(202).json({
+                    success: true,
+                    swapId: swapRecord.id,
+                    txHash: error.details.txHash,
+                    status: 'pending'
+                });
+            }
             console.error('Exact-out swap execution failed:', error);
 
             // Update swap status to failed
@@ -980,7 +772,7 @@ router.post("/swap/exact-out", async (req, res) => {
                 errorMsg: error.message
             });
 
-            res.status(500).json({
+            res.status(error instanceof SendQueueError ? error.status : 500).json({
                 success: false,
                 error: 'Exact-out swap execution failed',
                 swapId: swapRecord.id,
@@ -1001,32 +793,112 @@ router.post("/swap/exact-out", async (req, res) => {
 /**
  * POST /swap/populate - Non-custodial transaction population
  * Returns populated transaction for user to sign
+ * With `quoteId`, tokens, amounts, slippage and route come from the stored
+ * quote (re-verified on-chain); the client supplies recipient and ttl.
+ * A `signedQuote` (as returned by /quote) is checked against the quote signer
+ * and the stored signature before its quoteId is used.
+ * With `userAddress`, the transaction is simulated at the latest block and the
+ * response carries a `preflight` report (balance, allowance, decoded revert).
+ * tokenIn or tokenOut may be the native ETH sentinel (0xEeee...EEeE): the
+ * route runs through the wrapped native token inside a router multicall.
+ * When the router allowance is short and tokenIn supports permit, `permit`
+ * holds typed data to sign and submit to /swap/populate/permit.
+ * The chain's swap target (see getSwapTarget) picks SwapRouter or the
+ * Universal Router; the latter pulls tokenIn through Permit2.
  */
 router.post("/swap/populate", async (req, res) => {
     try {
         const {
+            recipient,
+            ttl,
+            clientRequestId = uuidv4(),
+            userAddress,
+            path: providedPath,
+            route: providedRoute,
+            pathTokens: providedPathTokens,
+            split,
+            signedQuote
+        } = req.body;
+        const nativeIn = isNativeToken(req.body.tokenIn);
+        const nativeOut = isNativeToken(req.body.tokenOut);
+        let { quoteId } = req.body;
+        let {
             tokenIn,
             tokenOut,
             amountIn,
             amountOutMinimum,
-            recipient,
             fee,
             slippageTolerance,
             slippagePct,
-            ttl,
-            mode = 'EXACT_IN',
-            clientRequestId = uuidv4(),
-            userAddress,
-            path: providedPath,
-            route: providedRoute,
-            pathTokens: providedPathTokens
+            mode = 'EXACT_IN'
         } = req.body;
 
+        // Signed quotes must be untampered and unexpired
+        if (signedQuote) {
+            const verification = quoteSigner.verify(signedQuote);
+            if (!verification.valid) {
+                return res.status(verification.expired ? 410 : 400).json({
+                    success: false,
+                    error: 'Invalid signed quote',
+                    details: verification.reasons
+                });
+            }
+            if (quoteId && quoteId !== signedQuote.message.quoteId) {
+                return res.status(400).json({ success: false, error: 'quoteId does not match the signed quote' });
+            }
+            quoteId = signedQuote.message.quoteId;
+        }
+
+        // A stored quote pins everything about the trade except recipient and deadline
+        let storedQuote = null;
+        if (quoteId) {
+            try {
+                storedQuote = await quoteService.getExecutableQuote(quoteId);
+            } catch (error) {
+                if (error instanceof QuoteUnavailableError) {
+                    return res.status(error.status).json({ success: false, error: error.message });
+                }
+                throw error;
+            }
+            // Signatures are deterministic: a valid one that differs from ours signs other terms
+            if (signedQuote && String(signedQuote.signature).toLowerCase() !== String(storedQuote.signature || '').toLowerCase()) {
+                return res.status(400).json({ success: false, error: 'Signed quote does not match the issued quote' });
+            }
+            tokenIn = ethers.getAddress(storedQuote.tokenIn);
+            tokenOut = ethers.getAddress(storedQuote.tokenOut);
+            mode = storedQuote.mode;
+            fee = storedQuote.fee;
+            amountIn = storedQuote.amountIn;
+            amountOutMinimum = storedQuote.amountOut;
+            slippagePct = Number(storedQuote.slippageTolerance ?? 0.5);
+            slippageTolerance = slippagePct;
+        }
+
+        // Native ETH replaces the wrapped native token (for a stored quote, only the one it was quoted with)
+        let wrappedNative = null;
+        if (nativeIn || nativeOut) {
+            let resolved;
+            try {
+                resolved = await resolveNativeTokens(nativeIn ? NATIVE_TOKEN_ADDRESS : tokenIn, nativeOut ? NATIVE_TOKEN_ADDRESS : tokenOut);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            wrappedNative = resolved.wrappedNative;
+            if (storedQuote && ((nativeIn && tokenIn !== wrappedNative) || (nativeOut && tokenOut !== wrappedNative))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Native ETH can only stand in for the wrapped native token of the stored quote'
+                });
+            }
+            tokenIn = resolved.tokenIn;
+            tokenOut = resolved.tokenOut;
+        }
+
         // Validate required fields
         if (!tokenIn || !tokenOut || !recipient || !fee || (!slippageTolerance && slippagePct === undefined) || !ttl) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: tokenIn, tokenOut, recipient, fee, slippageTolerance or slippagePct, ttl'
+                error: 'Missing required fields: recipient, ttl and either quoteId or tokenIn, tokenOut, fee, slippageTolerance or slippagePct'
             });
         }
 
@@ -1062,7 +934,8 @@ router.post("/swap/populate", async (req, res) => {
             slippageTolerance,
             ttl,
             fee,
-            chainId
+            chainId,
+            allowedFees: await feeTierRegistry.getAllowedFees(chainId, riskPolicy.allowedFees, provider)
         });
 
         if (!operationalStatus.allowed) {
@@ -1094,7 +967,38 @@ router.post("/swap/populate", async (req, res) => {
         let amountInWei, expectedOut, minOut, requiredIn, maxIn;
         let deadline;
 
-        if (mode === 'EXACT_IN') {
+        if (storedQuote) {
+            deadline = Math.floor(Date.now() / 1000) + ttl;
+            try {
+                const verified = await quoteService.reverifyQuote(storedQuote, {
+                    decimalsIn: tokenInValid.decimals,
+                    decimalsOut: tokenOutValid.decimals
+                });
+                req._tpayRouteInfo = verified.routeInfo;
+                if (mode === 'EXACT_IN') {
+                    // The quoted minimum is what the user accepted
+                    amountInWei = verified.amountIn;
+                    expectedOut = verified.amountOut;
+                    minOut = ethers.parseUnits(String(storedQuote.amountOutMinimum), tokenOutValid.decimals);
+                } else {
+                    requiredIn = verified.amountIn;
+                    maxIn = (requiredIn * BigInt(10000 + getSlippageBps(slippagePct, slippageTolerance))) / 10000n;
+                    amountInWei = maxIn;
+                    expectedOut = verified.amountOut;
+                    minOut = verified.amountOut;
+                }
+            } catch (error) {
+                if (error instanceof QuoteUnavailableError) {
+                    return res.status(error.status).json({ success: false, error: error.message, details: error.details });
+                }
+                console.error('Quote re-verification failed:', error);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Failed to re-verify stored quote',
+                    details: error.message
+                });
+            }
+        } else if (mode === 'EXACT_IN') {
             if (!amountIn) {
                 return res.status(400).json({
                     success: false,
@@ -1106,35 +1010,22 @@ router.post("/swap/populate", async (req, res) => {
             deadline = Math.floor(Date.now() / 1000) + ttl;
 
             try {
-                let routeInfo;
-                if (providedPath) {
-                    routeInfo = { kind: 'multi', path: providedPath, pathTokens: providedPathTokens || null };
-                    expectedOut = await quoter.quoteExactInput.staticCall(providedPath, amountInWei);
-                } else if (providedRoute && Array.isArray(providedRoute) && providedRoute.length > 1) {
-                    const pathTokensSel = [];
-                    for (let i = 0; i < providedRoute.length; i++) {
-                        const hop = providedRoute[i];
-                        pathTokensSel.push(hop.tokenIn);
-                        pathTokensSel.push(hop.fee);
-                        if (i === providedRoute.length - 1) {
-                            pathTokensSel.push(hop.tokenOut);
-                        }
-                    }
-                    const pathSel = encodeV3Path(pathTokensSel);
-                    routeInfo = { kind: 'multi', path: pathSel, pathTokens: pathTokensSel };
-                    expectedOut = await quoter.quoteExactInput.staticCall(pathSel, amountInWei);
-                } else if (providedRoute && Array.isArray(providedRoute) && providedRoute.length === 1) {
-                    const hop = providedRoute[0];
-                    routeInfo = { kind: 'single', fee: hop.fee };
-                    expectedOut = await quoter.quoteExactInputSingle.staticCall(hop.tokenIn, hop.tokenOut, hop.fee, amountInWei, 0);
-                } else {
-                    const candidates = await generateRouteCandidates(tokenIn, tokenOut, chainId);
-                    const evals = await evaluateRoutes(candidates, amountInWei, 'EXACT_IN');
-                    if (evals.length === 0) throw new Error('No executable route');
-                    const best = evals[0];
-                    expectedOut = best.amountOut;
-                    routeInfo = best;
-                }
+                // A split is only searched for when the client did not pin a route
+                const useSplit = (split === true || split === 'true') && !providedPath && !providedRoute;
+                const routeInfo = useSplit
+                    ? await routingEngine.findBestSplit({ tokenIn, tokenOut, amount: amountInWei, decimalsOut: tokenOutValid.decimals })
+                    : await routingEngine.findBestRoute({
+                        tokenIn,
+                        tokenOut,
+                        amount: amountInWei,
+                        mode: 'EXACT_IN',
+                        path: providedPath,
+                        pathTokens: providedPathTokens,
+                        route: providedRoute,
+                        decimalsIn: tokenInValid.decimals,
+                        decimalsOut: tokenOutValid.decimals
+                    });
+                expectedOut = routeInfo.amountOut;
                 minOut = (expectedOut * BigInt(10000 - getSlippageBps(slippagePct, slippageTolerance))) / 10000n;
                 req._tpayRouteInfo = routeInfo;
             } catch (error) {
@@ -1156,33 +1047,18 @@ router.post("/swap/populate", async (req, res) => {
             deadline = Math.floor(Date.now() / 1000) + ttl;
 
             try {
-                let routeInfo;
-                if (providedPath) {
-                    routeInfo = { kind: 'multi', path: providedPath, pathTokens: providedPathTokens || null };
-                    requiredIn = await quoter.quoteExactOutput.staticCall(providedPath, amountOutWei);
-                } else if (providedRoute && Array.isArray(providedRoute) && providedRoute.length > 1) {
-                    const pathTokensSel = [];
-                    for (let i = providedRoute.length - 1; i >= 0; i--) {
-                        const hop = providedRoute[i];
-                        pathTokensSel.push(hop.tokenOut);
-                        pathTokensSel.push(hop.fee);
-                        if (i === 0) pathTokensSel.push(hop.tokenIn);
-                    }
-                    const pathSel = encodeV3Path(pathTokensSel);
-                    routeInfo = { kind: 'multi', path: pathSel, pathTokens: pathTokensSel };
-                    requiredIn = await quoter.quoteExactOutput.staticCall(pathSel, amountOutWei);
-                } else if (providedRoute && Array.isArray(providedRoute) && providedRoute.length === 1) {
-                    const hop = providedRoute[0];
-                    routeInfo = { kind: 'single', fee: hop.fee };
-                    requiredIn = await quoter.quoteExactOutputSingle.staticCall(hop.tokenIn, hop.tokenOut, hop.fee, amountOutWei, 0);
-                } else {
-                    const candidates = await generateRouteCandidates(tokenIn, tokenOut, chainId);
-                    const evals = await evaluateRoutes(candidates, amountOutWei, 'EXACT_OUT');
-                    if (evals.length === 0) throw new Error('No executable route');
-                    const best = evals[0];
-                    requiredIn = best.amountIn;
-                    routeInfo = best;
-                }
+                const routeInfo = await routingEngine.findBestRoute({
+                    tokenIn,
+                    tokenOut,
+                    amount: amountOutWei,
+                    mode: 'EXACT_OUT',
+                    path: providedPath,
+                    pathTokens: providedPathTokens,
+                    route: providedRoute,
+                    decimalsIn: tokenInValid.decimals,
+                    decimalsOut: tokenOutValid.decimals
+                });
+                requiredIn = routeInfo.amountIn;
                 const bps = getSlippageBps(slippagePct, slippageTolerance);
                 maxIn = (requiredIn * BigInt(10000 + bps)) / 10000n;
                 amountInWei = maxIn;
@@ -1198,154 +1074,77 @@ router.post("/swap/populate", async (req, res) => {
             }
         }
 
-        // Estimate gas
-        let estimatedGas;
-        try {
-            const routeInfo = req._tpayRouteInfo;
-            if (mode === 'EXACT_IN') {
-                if (routeInfo && routeInfo.kind === 'multi') {
-                    const gasParams = {
-                        path: routeInfo.path || encodeV3Path(routeInfo.pathTokens),
-                        recipient,
-                        deadline,
-                        amountIn: amountInWei,
-                        amountOutMinimum: minOut
-                    };
-                    estimatedGas = await uniswapRouter.exactInput.estimateGas(gasParams);
-                } else {
-                    const swapParams = {
-                        tokenIn,
-                        tokenOut,
-                        fee: routeInfo?.fee || fee,
-                        recipient,
-                        deadline,
-                        amountIn: amountInWei,
-                        amountOutMinimum: minOut,
-                        sqrtPriceLimitX96: 0
-                    };
-                    estimatedGas = await uniswapRouter.exactInputSingle.estimateGas(swapParams);
-                }
-            } else {
-                if (routeInfo && routeInfo.kind === 'multi') {
-                    const gasParams = {
-                        path: routeInfo.path || encodeV3Path(routeInfo.pathTokens),
-                        recipient,
-                        deadline,
-                        amountOut: ethers.parseUnits(amountOutMinimum, tokenOutValid.decimals),
-                        amountInMaximum: amountInWei
-                    };
-                    estimatedGas = await uniswapRouter.exactOutput.estimateGas(gasParams);
-                } else {
-                    const swapParams = {
-                        tokenIn,
-                        tokenOut,
-                        fee: routeInfo?.fee || fee,
-                        recipient,
-                        deadline,
-                        amountOut: ethers.parseUnits(amountOutMinimum, tokenOutValid.decimals),
-                        amountInMaximum: amountInWei,
-                        sqrtPriceLimitX96: 0
-                    };
-                    estimatedGas = await uniswapRouter.exactOutputSingle.estimateGas(swapParams);
+        // Claim the stored quote before building on it, so it is redeemed at most once
+        if (storedQuote) {
+            try {
+                await quoteService.claimQuote(storedQuote);
+            } catch (error) {
+                if (error instanceof QuoteUnavailableError) {
+                    return res.status(error.status).json({ success: false, error: error.message });
                 }
+                throw error;
             }
-        } catch (error) {
-            console.error('Gas estimation failed:', error);
-            estimatedGas = '500000'; // Default fallback
         }
 
-        // Create transaction population record
-        const population = await swapDatabaseService.createTxPopulation({
-            chainId,
-            requestId: clientRequestId,
-            payload: {
+        // Build the transaction and its TxPopulation record on the chain's router
+        const routerTarget = getSwapTarget(chainId);
+        let populated;
+        try {
+            populated = await swapPopulator.populate({
+                routeInfo: req._tpayRouteInfo,
+                chainId,
+                mode,
                 tokenIn,
                 tokenOut,
-                fee,
                 recipient,
                 deadline,
-                mode,
-                ...(mode === 'EXACT_IN' ? {
-                    amountIn: amountInWei.toString(),
-                    amountOutMinimum: minOut.toString()
-                } : {
-                    amountOut: ethers.parseUnits(amountOutMinimum, tokenOutValid.decimals).toString(),
-                    amountInMaximum: amountInWei.toString()
-                })
-            },
-            estimatedGas: estimatedGas.toString(),
+                amountIn: amountInWei,
+                amountOutMinimum: minOut,
+                amountOut: expectedOut,
+                decimalsIn: tokenInValid.decimals,
+                decimalsOut: tokenOutValid.decimals,
+                fee,
+                slippagePct: slippageTolerance,
+                requestId: clientRequestId,
+                quoteId: storedQuote ? storedQuote.quoteId : null,
+                userAddress,
+                clientIp: req.ip,
+                userAgent: req.get('User-Agent'),
+                nativeIn,
+                nativeOut,
+                routerTarget
+            });
+        } catch (error) {
+            if (storedQuote) {
+                await quoteService.releaseQuote(storedQuote);
+            }
+            throw error;
+        }
+        const { population, populatedTransaction, estimatedGas, splitLegs } = populated;
+
+        // Link the quote to the population it was executed through
+        if (storedQuote) {
+            await storedQuote.markAsUsed(population.id);
+        }
+
+        const preflight = await preflightSwap(userAddress, populatedTransaction, tokenIn, amountInWei, { nativeIn, routerTarget });
+        const permit = await offerPermit({
+            population,
+            preflight,
+            routerTarget,
+            chainId,
             tokenIn,
-            tokenOut,
-            mode,
-            slippagePct: slippageTolerance,
-            deadline: new Date(deadline * 1000),
-            amountIn: ethers.formatUnits(amountInWei, tokenInValid.decimals),
-            amountOut: ethers.formatUnits(expectedOut, tokenOutValid.decimals),
             userAddress,
-            clientIp: req.ip,
-            userAgent: req.get('User-Agent')
+            spender: populatedTransaction.to,
+            value: amountInWei,
+            deadline
         });
 
-        // Build transaction data
-        const swapParams = mode === 'EXACT_IN' ? {
-            tokenIn,
-            tokenOut,
-            fee,
-            recipient,
-            deadline,
-            amountIn: amountInWei,
-            amountOutMinimum: minOut,
-            sqrtPriceLimitX96: 0
-        } : {
-            tokenIn,
-            tokenOut,
-            fee,
-            recipient,
-            deadline,
-            amountOut: ethers.parseUnits(amountOutMinimum, tokenOutValid.decimals),
-            amountInMaximum: amountInWei,
-            sqrtPriceLimitX96: 0
-        };
-
-        let populatedTx;
-        const routeInfo = req._tpayRouteInfo;
-        if (mode === 'EXACT_IN') {
-            if (routeInfo && routeInfo.kind === 'multi') {
-                const txParams = {
-                    path: routeInfo.path || encodeV3Path(routeInfo.pathTokens),
-                    recipient,
-                    deadline,
-                    amountIn: amountInWei,
-                    amountOutMinimum: minOut
-                };
-                populatedTx = await uniswapRouter.exactInput.populateTransaction(txParams);
-            } else {
-                populatedTx = await uniswapRouter.exactInputSingle.populateTransaction(swapParams);
-            }
-        } else {
-            if (routeInfo && routeInfo.kind === 'multi') {
-                const txParams = {
-                    path: routeInfo.path || encodeV3Path(routeInfo.pathTokens),
-                    recipient,
-                    deadline,
-                    amountOut: ethers.parseUnits(amountOutMinimum, tokenOutValid.decimals),
-                    amountInMaximum: amountInWei
-                };
-                populatedTx = await uniswapRouter.exactOutput.populateTransaction(txParams);
-            } else {
-                populatedTx = await uniswapRouter.exactOutputSingle.populateTransaction(swapParams);
-            }
-        }
-
         res.json({
             success: true,
             requestId: clientRequestId,
-            populatedTransaction: {
-                to: populatedTx.to,
-                data: populatedTx.data,
-                value: populatedTx.value?.toString() || '0',
-                gasLimit: estimatedGas.toString()
-            },
+            ...(storedQuote ? { quoteId: storedQuote.quoteId } : {}),
+            populatedTransaction,
             swapDetails: {
                 mode,
                 tokenIn,
@@ -1355,9 +1154,14 @@ router.post("/swap/populate", async (req, res) => {
                 fee,
                 slippageTolerance,
                 deadline: new Date(deadline * 1000).toISOString(),
-                recipient
+                recipient,
+                ...(splitLegs ? { split: splitLegs } : {}),
+                ...(wrappedNative ? { nativeIn, nativeOut, wrappedNative } : {}),
+                routerTarget
             },
             estimatedGas: estimatedGas.toString(),
+            preflight,
+            permit,
             chainId
         });
 
@@ -1371,14 +1175,252 @@ router.post("/swap/populate", async (req, res) => {
     }
 });
 
+/**
+ * POST /swap/populate/permit - Embed a signed permit into a populated swap
+ * Body: { requestId, signature } over the `permit.typedData` returned by /swap/populate
+ * Returns the swap rebuilt as one router multicall (selfPermit + swap), so the
+ * user needs no separate approve transaction
+ */
+router.post("/swap/populate/permit", async (req, res) => {
+    try {
+        const { requestId, signature } = req.body;
+        if (!requestId || !signature) {
+            return res.status(400).json({ success: false, error: 'requestId and signature are required' });
+        }
+
+        const population = await swapDatabaseService.getTxPopulation(requestId);
+        if (!population) {
+            return res.status(404).json({ success: false, error: 'Populated swap not found' });
+        }
+        const { permit: offer, permitApplied, deadline } = population.payload;
+        if (!offer) {
+            return res.status(400).json({ success: false, error: 'No permit was offered for this swap' });
+        }
+        if (population.status !== 'generated' || permitApplied) {
+            return res.status(409).json({ success: false, error: 'Swap was already executed or already carries a permit' });
+        }
+        if (deadline <= Math.floor(Date.now() / 1000)) {
+            return res.status(410).json({ success: false, error: 'Swap deadline has passed; populate it again' });
+        }
+
+        let sig;
+        try {
+            sig = permitService.verifySignature(offer, signature);
+        } catch (error) {
+            if (error instanceof PermitError) {
+                return res.status(error.status).json({ success: false, error: error.message, details: error.details });
+            }
+            throw error;
+        }
+
+        const populatedTransaction = await swapPopulator.populateWithPermit(population, offer, sig);
+        const { gasLimit, ...transaction } = populatedTransaction;
+        await swapDatabaseService.updateTxPopulationPayload(requestId, { transaction, permitApplied: true }, { estimatedGas: gasLimit });
+
+        // A Permit2 permit only moves the Permit2 allowance; the token must still allow Permit2
+        const preflight = offer.type === 'permit2'
+            ? await preflightSwap(offer.owner, populatedTransaction, offer.token, BigInt(offer.value), { routerTarget: 'universalRouter' })
+            : await preflightSwap(offer.owner, populatedTransaction, offer.token, BigInt(offer.value), { permitted: true });
+
+        res.json({
+            success: true,
+            requestId,
+            populatedTransaction,
+            permit: { type: offer.type, token: offer.token, spender: offer.spender, value: offer.value },
+            estimatedGas: gasLimit,
+            preflight,
+            chainId: population.chainId
+        });
+
+    } catch (error) {
+        console.error('Permit population endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /swap/broadcast - Broadcast a populated swap the user signed in their wallet
+ * Body: { requestId, signedTransaction } (raw signed tx, 0x hex)
+ * The transaction's chain, sender, to, data and value must match the stored
+ * TxPopulation; the population is then claimed (marked executed), the
+ * transaction sent and recorded as a Transaction, so the tx tracker follows
+ * it to its receipt. A rejected send hands the population back.
+ */
+router.post("/swap/broadcast", async (req, res) => {
+    try {
+        const { requestId, signedTransaction } = req.body;
+        if (!requestId || !signedTransaction) {
+            return res.status(400).json({ success: false, error: 'requestId and signedTransaction are required' });
+        }
+
+        const population = await swapDatabaseService.getTxPopulation(requestId);
+        if (!population) {
+            return res.status(404).json({ success: false, error: 'Populated swap not found' });
+        }
+        const { transaction: expected, deadline } = population.payload;
+        if (!expected) {
+            return res.status(400).json({ success: false, error: 'Populated swap has no stored transaction to verify against' });
+        }
+        if (population.status !== 'generated') {
+            return res.status(409).json({ success: false, error: `Swap is already ${population.status}`, txHash: population.txHash });
+        }
+        if (deadline <= Math.floor(Date.now() / 1000)) {
+            return res.status(410).json({ success: false, error: 'Swap deadline has passed; populate it again' });
+        }
+
+        let tx;
+        try {
+            tx = ethers.Transaction.from(signedTransaction);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: 'Malformed signed transaction', details: error.message });
+        }
+        if (!tx.isSigned()) {
+            return res.status(400).json({ success: false, error: 'Transaction is not signed' });
+        }
+
+        const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+        const mismatches = [];
+        if (tx.chainId !== BigInt(population.chainId)) mismatches.push('chainId');
+        if (!sameAddress(tx.to, expected.to)) mismatches.push('to');
+        if (tx.data.toLowerCase() !== expected.data.toLowerCase()) mismatches.push('data');
+        if (tx.value !== BigInt(expected.value || 0)) mismatches.push('value');
+        if (population.userAddress && !sameAddress(tx.from, population.userAddress)) mismatches.push('from');
+        if (mismatches.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Signed transaction does not match the populated swap',
+                details: { mismatches }
+            });
+        }
+
+        // Claimed before sending, so of two broadcasts of one population only one reaches the node
+        const txHash = tx.hash;
+        if (!(await swapDatabaseService.claimTxPopulation(requestId, txHash))) {
+            return res.status(409).json({ success: false, error: 'Swap has already been broadcast' });
+        }
+
+        try {
+            await provider.broadcastTransaction(signedTransaction);
+        } catch (error) {
+            // A node that already has the transaction (a retried request) has accepted it
+            if (!/already known|known transaction/i.test(`${error.message} ${error.error?.message ?? ''}`)) {
+                await swapDatabaseService.releaseTxPopulation(requestId, txHash);
+                console.error('Broadcast rejected by node:', error.shortMessage || error.message);
+                return res.status(502).json({
+                    success: false,
+                    error: 'Node rejected the transaction',
+                    details: error.shortMessage || error.message,
+                    code: error.code
+                });
+            }
+        }
+
+        await swapDatabaseService.upsertTransaction({
+            txHash,
+            chainId: population.chainId,
+            fromAddress: tx.from,
+            toAddress: tx.to,
+            gasLimit: Number(tx.gasLimit),
+            gasPrice: (tx.maxFeePerGas ?? tx.gasPrice ?? 0n).toString(),
+            value: tx.value.toString(),
+            nonce: tx.nonce,
+            status: 'pending',
+            raw: { requestId, type: tx.type }
+        });
+
+        res.json({
+            success: true,
+            requestId,
+            txHash,
+            from: tx.from,
+            nonce: tx.nonce,
+            chainId: population.chainId
+        });
+
+    } catch (error) {
+        console.error('Broadcast endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Handler for /wrap and /unwrap: a WETH9 deposit/withdraw for the user to sign
+ * Body: { amount (ETH, decimal string), userAddress? (for the gas estimate) }
+ */
+function populateWrapHandler(direction) {
+    return async (req, res) => {
+        try {
+            const { amount, userAddress } = req.body;
+            let amountWei;
+            try {
+                amountWei = ethers.parseEther(String(amount));
+            } catch {
+                amountWei = 0n;
+            }
+            if (amountWei <= 0n) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'amount must be a positive ETH amount'
+                });
+            }
+            if (userAddress && !ethers.isAddress(userAddress)) {
+                return res.status(400).json({ success: false, error: 'Invalid userAddress' });
+            }
+
+            await routingEngine.ensureProvider();
+            const wrappedNative = ethers.getAddress(await routingEngine.getNativeWrappedAddress());
+            const populatedTransaction = await swapPopulator.populateWrap(wrappedNative, direction, amountWei, userAddress || null);
+
+            res.json({
+                success: true,
+                populatedTransaction,
+                details: {
+                    direction,
+                    amount: ethers.formatEther(amountWei),
+                    wrappedNative
+                },
+                chainId: swapPopulator.chainId
+            });
+        } catch (error) {
+            console.error(`/${direction} endpoint error:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                details: error.message
+            });
+        }
+    };
+}
+
+/**
+ * POST /wrap - Non-custodial ETH -> wrapped native (Chain.nativeWrappedAddress)
+ */
+router.post("/wrap", populateWrapHandler('wrap'));
+
+/**
+ * POST /unwrap - Non-custodial wrapped native -> ETH
+ */
+router.post("/unwrap", populateWrapHandler('unwrap'));
+
 /**
  * POST /swap/populate/exact-out - Non-custodial exact-out transaction population
+ * With `userAddress`, the response carries a `preflight` report checked against amountInMaximum.
+ * Like /swap/populate, the chain's swap target picks SwapRouter or the
+ * Universal Router, and a short allowance gets a `permit` offer.
  */
 router.post("/swap/populate/exact-out", async (req, res) => {
     try {
         const {
-            tokenIn,
-            tokenOut,
+            tokenIn: requestedTokenIn,
+            tokenOut: requestedTokenOut,
             amountOut,
             amountInMaximum,
             recipient,
@@ -1390,13 +1432,22 @@ router.post("/swap/populate/exact-out", async (req, res) => {
         } = req.body;
 
         // Validate required fields
-        if (!tokenIn || !tokenOut || !amountOut || !amountInMaximum || !recipient || !fee || !slippageTolerance || !ttl) {
+        if (!requestedTokenIn || !requestedTokenOut || !amountOut || !amountInMaximum || !recipient || !fee || !slippageTolerance || !ttl) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields: tokenIn, tokenOut, amountOut, amountInMaximum, recipient, fee, slippageTolerance, ttl'
             });
         }
 
+        // Native ETH routes through the wrapped native token
+        let native;
+        try {
+            native = await resolveNativeTokens(requestedTokenIn, requestedTokenOut);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        const { tokenIn, tokenOut, nativeIn, nativeOut, wrappedNative } = native;
+
         // Check for duplicate request
         const existingRequest = await swapDatabaseService.checkClientRequestId(clientRequestId);
         if (existingRequest.populationExists) {
@@ -1421,7 +1472,8 @@ router.post("/swap/populate/exact-out", async (req, res) => {
             slippageTolerance,
             ttl,
             fee,
-            chainId
+            chainId,
+            allowedFees: await feeTierRegistry.getAllowedFees(chainId, riskPolicy.allowedFees, provider)
         });
 
         if (!operationalStatus.allowed) {
@@ -1454,16 +1506,17 @@ router.post("/swap/populate/exact-out", async (req, res) => {
         const amountInMaximumWei = ethers.parseUnits(amountInMaximum, tokenInValid.decimals);
         const deadline = Math.floor(Date.now() / 1000) + ttl;
 
-        // Get quote for exact output
-        let requiredIn;
+        // Get quote for exact output on the requested fee tier
+        let requiredIn, routeInfo;
         try {
-            requiredIn = await quoter.quoteExactOutputSingle.staticCall(
+            routeInfo = await routingEngine.findBestRoute({
                 tokenIn,
                 tokenOut,
-                fee,
-                amountOutWei,
-                0
-            );
+                amount: amountOutWei,
+                mode: 'EXACT_OUT',
+                route: [{ tokenIn, tokenOut, fee }]
+            });
+            requiredIn = routeInfo.amountIn;
         } catch (error) {
             console.error('Quote failed:', error);
             return res.status(400).json({
@@ -1482,75 +1535,49 @@ router.post("/swap/populate/exact-out", async (req, res) => {
             });
         }
 
-        // Estimate gas
-        let estimatedGas;
-        try {
-            const swapParams = {
-                tokenIn,
-                tokenOut,
-                fee,
-                recipient,
-                deadline,
-                amountOut: amountOutWei,
-                amountInMaximum: amountInMaximumWei,
-                sqrtPriceLimitX96: 0
-            };
-            estimatedGas = await uniswapRouter.exactOutputSingle.estimateGas(swapParams);
-        } catch (error) {
-            console.error('Gas estimation failed:', error);
-            estimatedGas = '500000'; // Default fallback
-        }
-
-        // Create transaction population record
-        const population = await swapDatabaseService.createTxPopulation({
+        // Build the transaction and its TxPopulation record on the chain's router
+        const routerTarget = getSwapTarget(chainId);
+        const { populatedTransaction, population, estimatedGas } = await swapPopulator.populate({
+            routeInfo,
             chainId,
-            requestId: clientRequestId,
-            payload: {
-                tokenIn,
-                tokenOut,
-                fee,
-                recipient,
-                deadline,
-                mode: 'EXACT_OUT',
-                amountOut: amountOutWei.toString(),
-                amountInMaximum: amountInMaximumWei.toString()
-            },
-            estimatedGas: estimatedGas.toString(),
+            mode: 'EXACT_OUT',
             tokenIn,
             tokenOut,
-            mode: 'EXACT_OUT',
+            recipient,
+            deadline,
+            amountIn: amountInMaximumWei,
+            amountOutMinimum: amountOutWei,
+            amountOut: amountOutWei,
+            decimalsIn: tokenInValid.decimals,
+            decimalsOut: tokenOutValid.decimals,
+            fee,
             slippagePct: slippageTolerance,
-            deadline: new Date(deadline * 1000),
-            amountIn: ethers.formatUnits(requiredIn, tokenInValid.decimals),
-            amountOut,
+            requestId: clientRequestId,
             userAddress,
             clientIp: req.ip,
-            userAgent: req.get('User-Agent')
+            userAgent: req.get('User-Agent'),
+            nativeIn,
+            nativeOut,
+            routerTarget
         });
 
-        // Build transaction data
-        const swapParams = {
+        const preflight = await preflightSwap(userAddress, populatedTransaction, tokenIn, amountInMaximumWei, { nativeIn, routerTarget });
+        const permit = await offerPermit({
+            population,
+            preflight,
+            routerTarget,
+            chainId,
             tokenIn,
-            tokenOut,
-            fee,
-            recipient,
-            deadline,
-            amountOut: amountOutWei,
-            amountInMaximum: amountInMaximumWei,
-            sqrtPriceLimitX96: 0
-        };
-
-        const populatedTx = await uniswapRouter.exactOutputSingle.populateTransaction(swapParams);
+            userAddress,
+            spender: populatedTransaction.to,
+            value: amountInMaximumWei,
+            deadline
+        });
 
         res.json({
             success: true,
             requestId: clientRequestId,
-            populatedTransaction: {
-                to: populatedTx.to,
-                data: populatedTx.data,
-                value: populatedTx.value?.toString() || '0',
-                gasLimit: estimatedGas.toString()
-            },
+            populatedTransaction,
             swapDetails: {
                 mode: 'EXACT_OUT',
                 tokenIn,
@@ -1560,9 +1587,13 @@ router.post("/swap/populate/exact-out", async (req, res) => {
                 fee,
                 slippageTolerance,
                 deadline: new Date(deadline * 1000).toISOString(),
-                recipient
+                recipient,
+                ...(wrappedNative ? { nativeIn, nativeOut, wrappedNative } : {}),
+                routerTarget
             },
             estimatedGas: estimatedGas.toString(),
+            preflight,
+            permit,
             chainId
         });
 
@@ -1578,6 +1609,7 @@ router.post("/swap/populate/exact-out", async (req, res) => {
 
 /**
  * GET /swap/:swapId - Get swap details
+ * Confirmed swaps carry `execution`: realized amounts and price, slippage against the quote, gas cost in USD
  */
 router.get("/swap/:swapId", async (req, res) => {
     try {
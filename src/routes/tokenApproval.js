@@ -1,6 +1,7 @@
 import express from "express";
 import { ethers } from "ethers";
 import TokenApprovalService from "../services/tokenApproval.js";
+import { SendQueueError } from "../services/custodialSendQueue.js";
 
 const router = express.Router();
 const tokenApprovalService = new TokenApprovalService();
@@ -19,7 +20,7 @@ router.post("/approve", async (req, res) => {
         const result = await tokenApprovalService.approveToken(tokenAddress, spender, amount);
         res.json({ success: true, message: "Token approval successful", data: result });
     } catch (error) {
-        res.status(500).json({ success: false, message: "Token approval failed", error: error.message });
+        res.status(error instanceof SendQueueError ? error.status : 500).json({ success: false, message: "Token approval failed", error: error.message });
     }
 });
 
@@ -37,7 +38,7 @@ router.post("/approve-unlimited", async (req, res) => {
         const result = await tokenApprovalService.approveToken(tokenAddress, spender);
         res.json({ success: true, message: "Unlimited token approval successful", data: result });
     } catch (error) {
-        res.status(500).json({ success: false, message: "Unlimited token approval failed", error: error.message });
+        res.status(error instanceof SendQueueError ? error.status : 500).json({ success: false, message: "Unlimited token approval failed", error: error.message });
     }
 });
 
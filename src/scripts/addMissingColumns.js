@@ -0,0 +1,132 @@
+import { connectDB, sequelize } from '../config/database.js';
+
+/**
+ * Script to bring tables created by an earlier db:init up to the current models.
+ * sequelize.sync runs with alter: false, so columns and enum values added to a
+ * model since a table was created are never added to it. Every step is
+ * idempotent and skipped for tables that do not exist yet (db:init creates them
+ * complete).
+ */
+
+// Enum types created before the columns that use them (Sequelize names them enum_<table>_<column>)
+const ENUM_TYPES = [
+    { table: 'pools', name: 'enum_pools_protocol', values: ['V3', 'V2'] }
+];
+
+// Quote and QuoteRequest are not underscored, so their columns keep the attribute name
+const COLUMNS = [
+    { table: 'swaps', column: 'parent_order_id', definition: 'UUID' },
+    { table: 'pools', column: 'protocol', definition: `"enum_pools_protocol" NOT NULL DEFAULT 'V3'` },
+    { table: 'quotes', column: 'signature', definition: 'VARCHAR(132)' },
+    { table: 'quote_requests', column: 'rateLimitWeight', definition: 'FLOAT NOT NULL DEFAULT 1' },
+    { table: 'swaps', column: 'execution', definition: 'JSONB' },
+    { table: 'transactions', column: 'replaced_by', definition: 'VARCHAR(255)' }
+];
+
+// Columns that became optional (V2 pairs have no tick spacing)
+const NULLABLE = [
+    { table: 'pools', column: 'tick_spacing' }
+];
+
+// New values are appended in model order, "before" keeps them next to their neighbours
+const ENUM_VALUES = [
+    { table: 'swaps', name: 'enum_swaps_status', values: ['expired'] },
+    { table: 'tx_populations', name: 'enum_tx_populations_status', values: ['completed', 'failed'], before: 'expired' },
+    { table: 'transactions', name: 'enum_transactions_status', values: ['replaced', 'cancelled'] }
+];
+
+const INDEXES = [
+    { table: 'swaps', name: 'swaps_parent_order_id', column: 'parent_order_id' },
+    { table: 'pools', name: 'pools_protocol', column: 'protocol' }
+];
+
+const tableExists = async (table) => {
+    const [rows] = await sequelize.query(`
+        SELECT EXISTS (
+            SELECT FROM information_schema.tables
+            WHERE table_name = :table
+        );
+    `, { replacements: { table } });
+    return rows[0].exists;
+};
+
+const typeExists = async (name) => {
+    const [rows] = await sequelize.query(
+        'SELECT EXISTS (SELECT FROM pg_type WHERE typname = :name);',
+        { replacements: { name } }
+    );
+    return rows[0].exists;
+};
+
+const addMissingColumns = async () => {
+    try {
+        console.log('Starting missing column update...');
+
+        // Connect to database
+        await connectDB();
+
+        const existing = new Set();
+        for (const table of new Set([...COLUMNS, ...NULLABLE, ...ENUM_VALUES].map(step => step.table))) {
+            if (await tableExists(table)) {
+                existing.add(table);
+            } else {
+                console.log(`${table} table does not exist. It will be created by db:init.`);
+            }
+        }
+
+        for (const { table, name, values } of ENUM_TYPES) {
+            if (!existing.has(table) || await typeExists(name)) continue;
+            const list = values.map(value => `'${value}'`).join(', ');
+            await sequelize.query(`CREATE TYPE "${name}" AS ENUM (${list})`);
+            console.log(`Created enum type ${name}`);
+        }
+
+        for (const { table, column, definition } of COLUMNS) {
+            if (!existing.has(table)) continue;
+            await sequelize.query(`ALTER TABLE "${table}" ADD COLUMN IF NOT EXISTS "${column}" ${definition}`);
+            console.log(`${table}.${column} is present`);
+        }
+
+        // ADD VALUE cannot run inside a transaction block, so each value is its own statement
+        for (const { table, name, values, before } of ENUM_VALUES) {
+            if (!existing.has(table)) continue;
+            for (const value of values) {
+                const position = before ? ` BEFORE '${before}'` : '';
+                await sequelize.query(`ALTER TYPE "${name}" ADD VALUE IF NOT EXISTS '${value}'${position}`);
+            }
+            console.log(`${name} has ${values.join(', ')}`);
+        }
+
+        for (const { table, column } of NULLABLE) {
+            if (!existing.has(table)) continue;
+            await sequelize.query(`ALTER TABLE "${table}" ALTER COLUMN "${column}" DROP NOT NULL`);
+            console.log(`${table}.${column} is nullable`);
+        }
+
+        for (const { table, name, column } of INDEXES) {
+            if (!existing.has(table)) continue;
+            await sequelize.query(`CREATE INDEX IF NOT EXISTS "${name}" ON "${table}" ("${column}")`);
+        }
+
+        console.log('Missing column update completed successfully!');
+
+    } catch (error) {
+        console.error('Failed to add missing columns:', error);
+        throw error;
+    }
+};
+
+// Run the update
+if (import.meta.url === `file://${process.argv[1]}`) {
+    addMissingColumns()
+        .then(() => {
+            console.log('Column update completed successfully!');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Column update failed:', error);
+            process.exit(1);
+        });
+}
+
+export default addMissingColumns;
@@ -14,6 +14,10 @@ import QuoteRequest from '../models/QuoteRequest.js';
 import QuoteCache from '../models/QuoteCache.js';
 import Quote from '../models/Quote.js';
 import TokenStats24h from '../models/TokenStats24h.js';
+import LimitOrder from '../models/LimitOrder.js';
+import RecurringOrder from '../models/RecurringOrder.js';
+import CustodialTransaction from '../models/CustodialTransaction.js';
+import CustodialDeposit from '../models/CustodialDeposit.js';
 
 import Notification from '../models/Notification.js';
 
@@ -42,6 +46,9 @@ const setupAssociations = () => {
     Swap.belongsTo(Token, { foreignKey: 'tokenOut', as: 'tokenOutToken' });
     Swap.hasOne(Transaction, { foreignKey: 'txHash', sourceKey: 'txHash', as: 'transaction' });
 
+    // RecurringOrder associations (each fill is a Swap)
+    RecurringOrder.hasMany(Swap, { foreignKey: 'parentOrderId', as: 'fills', constraints: false });
+
     // Transaction associations
     Transaction.belongsTo(Chain, { foreignKey: 'chainId', as: 'chain' });
     Transaction.hasMany(Swap, { foreignKey: 'txHash', sourceKey: 'txHash', as: 'swaps' });
@@ -145,6 +152,10 @@ const initDatabase = async () => {
         console.log('- quote_requests');
         console.log('- quote_cache');
         console.log('- notifications');
+        console.log('- limit_orders');
+        console.log('- recurring_orders');
+        console.log('- custodial_transactions');
+        console.log('- custodial_deposits');
         
         process.exit(0);
     } catch (error) {
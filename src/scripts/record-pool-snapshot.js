@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import config from '../config/env.js';
+import { getUniswapAddresses } from '../config/chains.js';
+import { QUOTER_ABI } from '../services/routingEngine.js';
+import poolStateCache from '../services/poolStateCache.js';
+
+/**
+ * Record a pool snapshot for the off-chain quoting self-test
+ * Captures the cached quoting state of one pool plus Quoter results for a set
+ * of amounts in both directions, all at the same block.
+ *
+ * Usage: node src/scripts/record-pool-snapshot.js <poolAddress> <amount...> [--quoter <address>] [--out <file>]
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const parseArgs = (argv) => {
+    const args = { amounts: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--quoter') args.quoter = argv[++i];
+        else if (argv[i] === '--out') args.out = argv[++i];
+        else if (!args.pool) args.pool = argv[i];
+        else args.amounts.push(BigInt(argv[i]));
+    }
+    return args;
+};
+
+const recordQuote = async (quoter, method, args, blockTag) => {
+    try {
+        const result = await quoter[method].staticCall(...args, { blockTag });
+        return result.toString();
+    } catch (error) {
+        return { error: error.shortMessage || error.message };
+    }
+};
+
+const recordPoolSnapshot = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.pool || args.amounts.length === 0) {
+        throw new Error('Usage: record-pool-snapshot.js <poolAddress> <amount...> [--quoter <address>] [--out <file>]');
+    }
+
+    const provider = new ethers.JsonRpcProvider(config.RPC_URL);
+    const network = await provider.getNetwork();
+    const chainId = network.chainId.toString();
+    const blockNumber = await provider.getBlockNumber();
+
+    poolStateCache.provider = provider;
+    poolStateCache.chainId = chainId;
+    const state = await poolStateCache.loadPool(args.pool, blockNumber);
+
+    const quoterAddress = args.quoter || getUniswapAddresses(chainId).quoter;
+    const quoter = new ethers.Contract(quoterAddress, QUOTER_ABI, provider);
+
+    const quotes = [];
+    for (const amount of args.amounts) {
+        for (const [tokenIn, tokenOut] of [[state.token0, state.token1], [state.token1, state.token0]]) {
+            const quoteArgs = [tokenIn, tokenOut, state.fee, amount, 0];
+            quotes.push({
+                tokenIn,
+                tokenOut,
+                amount: amount.toString(),
+                exactInput: await recordQuote(quoter, 'quoteExactInputSingle', quoteArgs, blockNumber),
+                exactOutput: await recordQuote(quoter, 'quoteExactOutputSingle', quoteArgs, blockNumber)
+            });
+        }
+    }
+
+    const snapshot = {
+        chainId,
+        blockNumber,
+        recordedAt: new Date().toISOString(),
+        pool: poolStateCache.snapshot(state),
+        quotes
+    };
+
+    const out = args.out || path.join(__dirname, 'fixtures', 'pool-snapshots', `${state.address.toLowerCase()}.json`);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(snapshot, null, 2) + '\n');
+    console.log(`Recorded ${quotes.length} quotes for ${state.address} at block ${blockNumber} -> ${out}`);
+    provider.destroy();
+};
+
+recordPoolSnapshot().catch((error) => {
+    console.error('Pool snapshot recording failed:', error);
+    process.exit(1);
+});
@@ -183,7 +183,7 @@ const riskPoliciesData = [
         chainId: 11155111,
         maxSlippageBps: 5000,
         maxTtlSec: 86400,
-        allowedFees: [500, 3000, 10000],
+        allowedFees: [100, 500, 3000, 10000],
         paused: false,
         maxAmountIn: null,
         maxAmountOut: null,
@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+import routingEngine, { QUOTER_ABI, encodeV3Path, decodeV3Path, reverseV3Path } from '../services/routingEngine.js';
+import multicallQuoter from '../services/multicallQuoter.js';
+
+// Custodial /swap route resolution: a client-supplied path is quoted as-is
+// (no hop list, route null) and the Swap row's fee tier is read from the
+// path's tokenIn hop; engine routes keep their first hop's fee. Quotes come
+// from a multicallQuoter stand-in that answers the Quoter calls it is sent.
+
+const CHAIN_ID = 11155111;
+const WETH = '0x1111111111111111111111111111111111111111';
+const DAI = '0x3333333333333333333333333333333333333333';
+const USDC = '0x2222222222222222222222222222222222222222';
+
+const quoterIface = new ethers.Interface(QUOTER_ABI);
+const sent = [];
+multicallQuoter.aggregate = async (_provider, _multicall, calls) => calls.map(({ method, callData }) => {
+  const tx = quoterIface.parseTransaction({ data: callData });
+  sent.push({ method, path: tx.args[0] });
+  const given = method.endsWith('Single') ? tx.args[3] : tx.args[1];
+  const amount = method.startsWith('quoteExactInput') ? given * 3000n : given / 3000n;
+  return { success: true, returnData: quoterIface.encodeFunctionResult(method, [amount]) };
+});
+routingEngine.provider = new ethers.JsonRpcProvider('http://127.0.0.1:9', CHAIN_ID, { staticNetwork: true });
+routingEngine.quoter = new ethers.Contract(ethers.ZeroAddress, QUOTER_ABI, routingEngine.provider);
+routingEngine.chainId = String(CHAIN_ID);
+routingEngine.quoteMode = 'onchain';
+routingEngine.getGasContext = async () => null;
+routingEngine.generateRouteCandidates = async () => {
+  throw new Error('A client-supplied path must not search for a route');
+};
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const run = async () => {
+  console.log('Running custodial route self-test...');
+  const hops = [WETH, 500, DAI, 100, USDC];
+
+  // Paths round-trip through the decoder; malformed ones are rejected
+  assert(decodeV3Path(encodeV3Path(hops)).join() === hops.join(), 'Path did not decode to its hops');
+  let threw = false;
+  try {
+    decodeV3Path(encodeV3Path(hops).slice(0, -2));
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Truncated path decoded');
+
+  // EXACT_IN with a client path: quoted as-is, route null, fee from the first hop
+  const exactIn = await routingEngine.findBestRoute({
+    tokenIn: WETH, tokenOut: USDC, amount: 10n ** 18n, mode: 'EXACT_IN', path: encodeV3Path(hops), pathTokens: hops
+  });
+  assert(exactIn.route === null && exactIn.amountOut === 3000n * 10n ** 18n, 'Client path not quoted as-is');
+  assert(sent[0].method === 'quoteExactInput' && sent[0].path === encodeV3Path(hops).toLowerCase(), 'Client path not sent to the Quoter');
+  assert(routingEngine.entryFee(exactIn, 'EXACT_IN') === 500, 'EXACT_IN fee tier not read from the path');
+
+  // EXACT_OUT paths arrive reversed (tokenOut first): tokenIn's hop is the last one
+  const exactOut = await routingEngine.findBestRoute({
+    tokenIn: WETH, tokenOut: USDC, amount: 3000n * 10n ** 6n, mode: 'EXACT_OUT', path: encodeV3Path(reverseV3Path(hops))
+  });
+  assert(exactOut.route === null && sent[1].method === 'quoteExactOutput', 'Reversed client path not quoted as-is');
+  assert(routingEngine.entryFee(exactOut, 'EXACT_OUT') === 500, 'EXACT_OUT fee tier not read from the reversed path');
+
+  // Engine routes keep their first hop's fee; unreadable paths leave the requested fee to the caller
+  const routed = await routingEngine.findBestRoute({
+    tokenIn: WETH, tokenOut: USDC, amount: 10n ** 18n, mode: 'EXACT_IN', route: [{ tokenIn: WETH, tokenOut: USDC, fee: 3000 }]
+  });
+  assert(routingEngine.entryFee(routed, 'EXACT_IN') === 3000, 'Route fee tier not taken from its first hop');
+  assert(routingEngine.entryFee({ route: null, path: '0x1234' }) === null, 'Malformed path produced a fee tier');
+  assert((routingEngine.entryFee({ kind: 'split', legs: [] }) ?? 3000) === 3000, 'Split route did not fall back to the requested fee');
+
+  routingEngine.provider.destroy();
+  console.log('Custodial route self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,234 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import CustodialTransaction from '../models/CustodialTransaction.js';
+import Swap from '../models/Swap.js';
+import TxPopulation from '../models/TxPopulation.js';
+import Notification from '../models/Notification.js';
+import custodialSendQueue from '../services/custodialSendQueue.js';
+import swapDatabaseService from '../services/swapDatabase.js';
+import executionReportService from '../services/executionReport.js';
+import routingEngine from '../services/routingEngine.js';
+import limitOrderService from '../services/limitOrderService.js';
+import recurringOrderService from '../services/recurringOrderService.js';
+
+// Local JSON-RPC stand-in for the backend wallet's node: nonce counts from
+// `state`, raw transactions recorded as they are broadcast and receipts only
+// for hashes listed in `state.mined`. CustodialTransaction rows live in memory.
+
+const CHAIN_ID = 11155111;
+const ROUTER = '0xE592427A0AEce92De3Edee1F18E0157C05861564';
+const GWEI = 10n ** 9n;
+const ZERO_HASH = '0x' + '00'.repeat(32);
+
+const state = { pending: 5, latest: 5, baseFee: 44n * GWEI, priorityFee: 2n * GWEI, broadcasts: [], mined: {} };
+
+// In-memory CustodialTransaction store
+const rows = [];
+const matches = (row, where = {}) => Object.entries(where).every(([key, value]) =>
+  Array.isArray(value) ? value.includes(row[key]) : row[key] === value);
+const asInstance = (row) => Object.assign(row, {
+  get: () => ({ ...row }),
+  update: async (fields) => Object.assign(row, fields, { updatedAt: new Date() }),
+  reload: async () => row
+});
+
+CustodialTransaction.count = async ({ where }) => rows.filter(row => matches(row, where)).length;
+CustodialTransaction.max = async (field, { where }) => {
+  const values = rows.filter(row => matches(row, where)).map(row => row[field]);
+  return values.length ? Math.max(...values) : null;
+};
+CustodialTransaction.create = async (fields) => {
+  const row = asInstance({
+    id: String(rows.length + 1),
+    status: 'queued',
+    attempts: 0,
+    txHash: null,
+    txHashes: [],
+    lastSentAt: null,
+    error: null,
+    ...fields
+  });
+  rows.push(row);
+  return row;
+};
+CustodialTransaction.findAll = async ({ where }) => rows.filter(row => matches(row, where)).sort((a, b) => a.nonce - b.nonce);
+CustodialTransaction.findByPk = async (id) => rows.find(row => row.id === id) || null;
+
+// Rows following a hash; swaps are kept so settlement can read the current one
+const moved = [];
+const swaps = [];
+Swap.findByPk = async (id) => swaps.find(swap => swap.id === id) || null;
+Swap.update = async (fields, { where }) => {
+  moved.push({ model: 'Swap', from: where.txHash, to: fields.txHash });
+  swaps.filter(swap => swap.txHash === where.txHash).forEach(swap => Object.assign(swap, fields));
+  return [1];
+};
+swapDatabaseService.updateSwapStatus = async (id, status, txHash) => Object.assign(await Swap.findByPk(id), { status, txHash });
+executionReportService.recordForSwap = async () => null;
+Notification.create = async (fields) => fields;
+TxPopulation.update = async (fields, { where }) => { moved.push({ model: 'TxPopulation', from: where.txHash, to: fields.txHash }); return [1]; };
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  switch (msg.method) {
+    case 'eth_chainId': return reply(ethers.toQuantity(CHAIN_ID));
+    case 'eth_blockNumber': return reply('0x100');
+    case 'eth_gasPrice': return reply(ethers.toQuantity(state.baseFee + state.priorityFee));
+    case 'eth_maxPriorityFeePerGas': return reply(ethers.toQuantity(state.priorityFee));
+    case 'eth_getBlockByNumber': return reply({
+      hash: '0x' + 'ab'.repeat(32),
+      parentHash: ZERO_HASH,
+      number: '0x100',
+      timestamp: ethers.toQuantity(Math.floor(Date.now() / 1000)),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: '0x1c9c380',
+      gasUsed: '0x0',
+      miner: ethers.ZeroAddress,
+      extraData: '0x',
+      baseFeePerGas: ethers.toQuantity(state.baseFee),
+      transactions: []
+    });
+    case 'eth_getTransactionCount': {
+      const [, tag] = msg.params;
+      return reply(ethers.toQuantity(tag === 'pending' ? state.pending : state.latest));
+    }
+    case 'eth_sendRawTransaction': {
+      const tx = ethers.Transaction.from(msg.params[0]);
+      state.broadcasts.push({ hash: tx.hash, nonce: tx.nonce, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas });
+      state.pending = Math.max(state.pending, tx.nonce + 1);
+      return reply(tx.hash);
+    }
+    case 'eth_getTransactionReceipt': {
+      const mined = state.mined[msg.params[0]];
+      if (!mined) return reply(null);
+      return reply({
+        transactionHash: msg.params[0],
+        transactionIndex: '0x0',
+        blockHash: '0x' + 'cd'.repeat(32),
+        blockNumber: '0x100',
+        from: mined.from,
+        to: ROUTER,
+        cumulativeGasUsed: '0x5208',
+        gasUsed: '0x5208',
+        effectiveGasPrice: ethers.toQuantity(state.baseFee),
+        contractAddress: null,
+        logs: [],
+        logsBloom: '0x' + '00'.repeat(256),
+        status: mined.status,
+        type: '0x2'
+      });
+    }
+    default: return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const run = async () => {
+  console.log('Running custodial send queue self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const connect = () => new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, CHAIN_ID, { staticNetwork: true, batchMaxCount: 1 });
+  const providers = [connect()];
+  const wallet = new ethers.Wallet('0x' + '11'.repeat(32), providers[0]);
+  const useWallet = (queue, signer = wallet) => Object.assign(queue, { wallet: signer, chainId: CHAIN_ID });
+  // ethers reuses an identical request's answer for 250ms; let it lapse as a new block would
+  const nextBlock = () => new Promise(resolve => setTimeout(resolve, 300));
+  const stale = (row) => { row.lastSentAt = new Date(Date.now() - 10 * 60 * 1000); };
+  useWallet(custodialSendQueue);
+
+  // Concurrent submits get consecutive nonces from the node's pending count, broadcast in order
+  const call = (i) => ({ to: ROUTER, data: '0x414bf389', value: 0n, gasLimit: 200000n + BigInt(i) });
+  swaps.push({ id: 'swap-0', status: 'pending', txHash: null });
+  const sent = await Promise.all([0, 1, 2].map(i => custodialSendQueue.submit(call(i), { kind: 'swap', reference: { swapId: `swap-${i}` } })));
+  assert(sent.map(tx => tx.nonce).join() === '5,6,7', `Expected nonces 5,6,7, got ${sent.map(tx => tx.nonce)}`);
+  assert(state.broadcasts.map(b => b.nonce).join() === '5,6,7', `Broadcast out of order: ${state.broadcasts.map(b => b.nonce)}`);
+  assert(rows.every(row => row.status === 'sent' && row.txHash === row.txHashes[0]), 'Entries not recorded as sent');
+  assert(rows[0].maxFeePerGas === (90n * GWEI).toString(), `Unexpected maxFeePerGas ${rows[0].maxFeePerGas}`);
+  swaps[0].txHash = sent[0].hash;
+
+  // First bump of a stuck entry is clamped to MAX_GAS_PRICE (100 gwei) and re-signs the same nonce
+  const [first] = rows;
+  const firstHash = first.txHash;
+  stale(first);
+  let stats = await custodialSendQueue.runOnce();
+  assert(stats.sent === 3, `Expected 3 sent entries, got ${JSON.stringify(stats)}`);
+  const bump = state.broadcasts[3];
+  assert(bump && bump.nonce === 5, 'Stuck entry was not re-sent with its nonce');
+  assert(bump.maxFeePerGas === 100n * GWEI, `Bump not capped at MAX_GAS_PRICE: ${bump.maxFeePerGas}`);
+  assert(bump.maxPriorityFeePerGas === 2250000000n, `Priority fee not bumped 12.5%: ${bump.maxPriorityFeePerGas}`);
+  assert(first.txHash === bump.hash && first.txHashes.join() === [firstHash, bump.hash].join(), 'Bumped hash not recorded');
+  assert(moved.some(m => m.model === 'Swap' && m.from === firstHash && m.to === bump.hash), 'Swap txHash not moved to the replacement');
+  assert(moved.some(m => m.model === 'TxPopulation' && m.from === firstHash && m.to === bump.hash), 'TxPopulation txHash not moved to the replacement');
+
+  // At the cap a 10% replacement is impossible: the entry keeps waiting with its last fees
+  stale(first);
+  await nextBlock();
+  await custodialSendQueue.runOnce();
+  assert(state.broadcasts.length === 4, 'Entry re-sent although the cap allows no valid replacement');
+  assert(first.status === 'sent' && first.maxFeePerGas === (100n * GWEI).toString(), 'Capped entry changed');
+  assert(Date.now() - first.lastSentAt.getTime() < 60 * 1000, 'Capped entry not rescheduled');
+
+  // Restart: the node lost its mempool and one submit was queued but never broadcast
+  const { chainId, fromAddress, kind, toAddress, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas } = rows[2];
+  const lost = await CustodialTransaction.create({ chainId, fromAddress, nonce: 8, kind, toAddress, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas });
+  state.pending = 6;
+  state.latest = 6;
+  state.mined[bump.hash] = { from: wallet.address, status: '0x1' };
+  providers.push(connect());
+  const restarted = useWallet(new custodialSendQueue.constructor(), wallet.connect(providers[1]));
+  const broadcastsBefore = state.broadcasts.length;
+  stats = await restarted.runOnce();
+  assert(stats.recovered === 1 && lost.status === 'sent' && lost.txHash, `Queued entry not re-sent: ${JSON.stringify(stats)}`);
+  assert(state.broadcasts.length === broadcastsBefore + 1 && state.broadcasts.at(-1).nonce === 8, 'Recovery broadcast wrong');
+  assert(first.status === 'confirmed' && first.txHash === bump.hash, 'Sent entry not settled from the bumped receipt after restart');
+  assert(stats.confirmed === 1 && stats.sent === 3, `Unexpected pass counts ${JSON.stringify(stats)}`);
+
+  // Orders keep the hash send() returned; settling follows their swap to the bumped one that mined
+  routingEngine.provider = providers[1];
+  const order = (fields) => ({ ...fields, update: async function (changes) { return Object.assign(this, changes); } });
+  const limit = order({ orderKind: 'LIMIT', swapId: 'swap-0', txHash: firstHash, status: 'submitted', tokenOut: ROUTER, recipient: wallet.address });
+  assert(await limitOrderService.checkSubmitted(limit) === 'filled', 'Limit order not filled from the bumped transaction');
+  assert(limit.status === 'filled' && limit.txHash === bump.hash, 'Limit order not moved to the mined hash');
+  assert(swaps[0].status === 'completed' && swaps[0].txHash === bump.hash, 'Swap not completed with the mined hash');
+  swaps[0].status = 'pending';
+  const recurring = order({
+    pendingSwapId: 'swap-0', pendingTxHash: firstHash, tokenOut: ROUTER, recipient: wallet.address,
+    slicesFilled: 0, consecutiveFailures: 0, sliceAmountIn: '100', amountInSpent: '0', amountOutReceived: '0'
+  });
+  assert(await recurringOrderService.settleSlice(recurring) === 'filled', 'Recurring slice not filled from the bumped transaction');
+  assert(recurring.pendingTxHash === null && recurring.slicesFilled === 1, 'Recurring order still waiting on the dead hash');
+
+  // The restarted counter continues past the highest in-flight nonce, not the node's count
+  const next = await restarted.submit(call(3), { kind: 'swap' });
+  assert(next.nonce === 9, `Expected nonce 9 after restart, got ${next.nonce}`);
+
+  // A sent entry whose nonce was used by something else is dropped
+  state.latest = 8;
+  await nextBlock();
+  stats = await restarted.runOnce();
+  assert(rows[1].status === 'dropped' && rows[2].status === 'dropped', 'Entries with a used nonce not dropped');
+  assert(stats.dropped === 2, `Unexpected pass counts ${JSON.stringify(stats)}`);
+
+  providers.forEach(provider => provider.destroy());
+  server.close();
+  console.log('Custodial send queue self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
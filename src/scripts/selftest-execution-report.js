@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import executionReportService, { decodeSwapLogs, realizedAmounts } from '../services/executionReport.js';
+
+// Replays swap receipt logs (fixtures/swap-receipts, in the node's receipt
+// format) through the execution report decoder and checks the realized amounts,
+// their source and every hop against the values written in each fixture.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const RECEIPT_DIR = path.join(__dirname, 'fixtures', 'swap-receipts');
+
+const loadReceipts = () => fs.readdirSync(RECEIPT_DIR)
+  .filter(f => f.endsWith('.json'))
+  .map(f => ({ file: f, ...JSON.parse(fs.readFileSync(path.join(RECEIPT_DIR, f), 'utf8')) }));
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const json = (value) => JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v));
+const HOP_FIELDS = ['pool', 'protocol', 'tokenIn', 'tokenOut', 'amountIn', 'amountOut'];
+const hopsJson = (hops) => json(hops.map(hop => HOP_FIELDS.map(field => hop[field])));
+
+const run = async () => {
+  console.log('Running execution report self-test...');
+  const vectors = loadReceipts();
+  assert(vectors.length >= 6, `Expected at least 6 receipt vectors, found ${vectors.length}`);
+
+  for (const { file, swap, receipt, expected } of vectors) {
+    const result = realizedAmounts(receipt.logs, { ...swap, payer: receipt.from });
+    assert(result.amountIn.toString() === expected.amountIn, `${file}: amountIn ${result.amountIn}, expected ${expected.amountIn}`);
+    assert(result.amountOut.toString() === expected.amountOut, `${file}: amountOut ${result.amountOut}, expected ${expected.amountOut}`);
+    assert(json(result.sources) === json(expected.sources), `${file}: sources ${json(result.sources)}, expected ${json(expected.sources)}`);
+    assert(hopsJson(result.hops) === hopsJson(expected.hops), `${file}: hops ${json(result.hops)}, expected ${json(expected.hops)}`);
+  }
+
+  const byName = Object.fromEntries(vectors.map(v => [v.file.replace(/\.json$/, ''), v]));
+
+  // Approval, Sync, Deposit and Withdrawal logs are not transfers or swaps
+  const multihop = decodeSwapLogs(byName['v3-multihop-fee-split'].receipt.logs);
+  assert(multihop.transfers.length === 6 && multihop.hops.length === 2, 'Fee-split receipt decoded wrong');
+  const v2 = decodeSwapLogs(byName['v2-multihop'].receipt.logs);
+  assert(v2.transfers.length === 3 && v2.hops.every(hop => hop.protocol === 'V2'), 'V2 receipt decoded wrong');
+  assert(decodeSwapLogs(byName['native-out'].receipt.logs).transfers.length === 2, 'Withdrawal decoded as a transfer');
+
+  // The payer is whoever sent the transaction: with the user as payer the custodial
+  // receipt has no tokenIn transfer to count and falls back to the pool
+  const custodial = byName['custodial-payer'];
+  const asUser = realizedAmounts(custodial.receipt.logs, { ...custodial.swap, payer: custodial.swap.recipient });
+  assert(asUser.sources.amountIn === 'pool', 'Transfer from the backend wallet counted for the user');
+
+  // The service report takes the payer from receipt.from, not from the swap's user
+  executionReportService.getDecimals = async (token) => (token.toLowerCase() === custodial.swap.tokenIn.toLowerCase() ? 6 : 18);
+  executionReportService.getNativeUsdPrice = async () => 2500;
+  const report = await executionReportService.build({
+    chainId: 11155111,
+    mode: 'EXACT_IN',
+    userAddress: custodial.swap.recipient,
+    tokenIn: custodial.swap.tokenIn,
+    tokenOut: custodial.swap.tokenOut,
+    recipient: custodial.swap.recipient,
+    amountIn: '100',
+    expectedOut: '0.04'
+  }, { ...custodial.receipt, gasUsed: 150000n, gasPrice: 2000000000n, blockNumber: 1234 });
+  assert(report.amountIn === '100.0' && report.amountOut === '0.0398', `Report amounts ${report.amountIn} / ${report.amountOut}`);
+  assert(report.sources.amountIn === 'transfer', 'Report did not take the payer from receipt.from');
+  assert(report.slippagePct === 0.5, `Report slippage ${report.slippagePct}, expected 0.5`);
+  assert(report.gasCostWei === '300000000000000' && report.gasCostUsd === 0.75, `Report gas cost ${report.gasCostWei} / ${report.gasCostUsd}`);
+
+  console.log('Receipt vectors:', vectors.length);
+  console.log('Execution report self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import feeTierRegistry, { FACTORY_FEE_ABI } from '../services/feeTierRegistry.js';
+import { MULTICALL3_ABI } from '../services/multicallQuoter.js';
+import { MULTICALL3_ADDRESS, UNISWAP_V3_ADDRESSES } from '../config/chains.js';
+import { validateOperationalLimits } from '../config/operationalLimits.js';
+import { MIN_TICK, MAX_TICK } from '../utils/v3Math.js';
+import Pool from '../models/Pool.js';
+import Quote from '../models/Quote.js';
+import QuoteCache from '../models/QuoteCache.js';
+import QuoteRequest from '../models/QuoteRequest.js';
+import Swap from '../models/Swap.js';
+
+// Per-chain fee tier registry: tick spacings read from a local stand-in for
+// the factory (through Multicall3), the canonical defaults when the factory
+// cannot be read, the risk-policy intersection and tick snapping.
+
+const CHAIN_ID = 11155111;
+const FACTORY = UNISWAP_V3_ADDRESSES[String(CHAIN_ID)].factory;
+
+const factoryIface = new ethers.Interface(FACTORY_FEE_ABI);
+const multicallIface = new ethers.Interface(MULTICALL3_ABI);
+
+// Fee -> tick spacing the factory reports (missing = 0, not enabled)
+const state = { spacings: { 100: 1, 500: 10, 3000: 60, 10000: 200, 2500: 50 }, down: false, aggregates: 0, probed: [] };
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  switch (msg.method) {
+    case 'eth_chainId': return reply(ethers.toQuantity(CHAIN_ID));
+    case 'eth_blockNumber': return reply('0x1');
+    case 'eth_call': {
+      if (state.down) return { jsonrpc: '2.0', id: msg.id, error: { code: -32000, message: 'node unavailable' } };
+      const { to, data } = msg.params[0];
+      if (to.toLowerCase() !== MULTICALL3_ADDRESS.toLowerCase()) break;
+      state.aggregates++;
+      const [calls] = multicallIface.decodeFunctionData('aggregate3', data);
+      const out = calls.map(c => {
+        if (c.target.toLowerCase() !== FACTORY.toLowerCase()) return { success: false, returnData: '0x' };
+        const [fee] = factoryIface.decodeFunctionData('feeAmountTickSpacing', c.callData);
+        state.probed.push(Number(fee));
+        return { success: true, returnData: factoryIface.encodeFunctionResult('feeAmountTickSpacing', [state.spacings[Number(fee)] || 0]) };
+      });
+      return reply(multicallIface.encodeFunctionResult('aggregate3', [out]));
+    }
+  }
+  return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const run = async () => {
+  console.log('Running fee tier registry self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, CHAIN_ID, { staticNetwork: true, batchMaxCount: 1 });
+  // ethers reuses an identical request's answer for 250ms
+  const settle = () => new Promise(resolve => setTimeout(resolve, 300));
+
+  // Before the factory is read: the canonical tiers, 0.01% included
+  assert((await feeTierRegistry.getFees(CHAIN_ID)).join() === '100,500,3000,10000', 'Default tiers wrong');
+  assert(await feeTierRegistry.getTickSpacing(CHAIN_ID, 100) === 1, '100 tier should have tick spacing 1');
+
+  // The factory is probed for the defaults plus the chain config's extra tiers, in one round-trip
+  UNISWAP_V3_ADDRESSES[String(CHAIN_ID)].feeTiers = [2500];
+  state.spacings[10000] = 0;
+  assert((await feeTierRegistry.getFees(CHAIN_ID, provider)).join() === '100,500,2500,3000', 'Factory tiers not read');
+  assert(state.aggregates === 1 && state.probed.sort((a, b) => a - b).join() === '100,500,2500,3000,10000', `Unexpected probes ${state.probed}`);
+  assert(await feeTierRegistry.getTickSpacing(CHAIN_ID, 2500) === 50, 'Extra tier spacing wrong');
+  assert(!(await feeTierRegistry.isValidFee(CHAIN_ID, 10000)) && await feeTierRegistry.getTickSpacing(CHAIN_ID, 10000) === null, 'Disabled tier still valid');
+
+  // Rows routed through such a tier save: models only require a positive integer fee
+  const feeFields = [[Pool, 'feeTier'], [Swap, 'feeTier'], [Quote, 'fee'], [QuoteCache, 'fee'], [QuoteRequest, 'fee']];
+  const validates = async (model, field, fee) => model.build({ [field]: fee }).validate({ fields: [field] }).then(() => true, () => false);
+  for (const [model, field] of feeFields) {
+    assert(await validates(model, field, 2500), `${model.name}.${field} rejected an enabled extra tier`);
+    assert(!(await validates(model, field, 0)) && !(await validates(model, field, 12.5)), `${model.name}.${field} accepted an invalid fee`);
+  }
+
+  // Cached until invalidated; a failed read keeps the last known tiers, a cold cache falls back to the defaults
+  await feeTierRegistry.getFees(CHAIN_ID, provider);
+  assert(state.aggregates === 1, 'Tiers re-read inside the cache window');
+  state.down = true;
+  feeTierRegistry.cache.get(String(CHAIN_ID)).timestamp = 0;
+  assert((await feeTierRegistry.getFees(CHAIN_ID, provider)).join() === '100,500,2500,3000', 'Stale tiers not kept when the read fails');
+  feeTierRegistry.invalidate(CHAIN_ID);
+  await settle();
+  assert((await feeTierRegistry.getFees(CHAIN_ID, provider)).join() === '100,500,3000,10000', 'Defaults not used on a cold failed read');
+  state.down = false;
+  state.spacings = { 500: 0, 3000: 0 };
+  feeTierRegistry.invalidate();
+  await settle();
+  assert((await feeTierRegistry.getFees(CHAIN_ID, provider)).join() === '100,500,3000,10000', 'A factory with no tiers should fall back to the defaults');
+  delete UNISWAP_V3_ADDRESSES[String(CHAIN_ID)].feeTiers;
+
+  // Risk policy: enabled tiers it lists, or every enabled tier without a list
+  feeTierRegistry.invalidate();
+  assert((await feeTierRegistry.getAllowedFees(CHAIN_ID, [500, 3000, 7777])).join() === '500,3000', 'Policy intersection wrong');
+  assert((await feeTierRegistry.getAllowedFees(CHAIN_ID, [])).join() === '100,500,3000,10000', 'Empty policy should allow every tier');
+  const limits = validateOperationalLimits({ slippageTolerance: 0.5, ttlSec: 600, fee: 100, allowedFees: await feeTierRegistry.getAllowedFees(CHAIN_ID) });
+  assert(limits.isValid, `100 tier rejected by operational limits: ${limits.errors}`);
+  assert(!validateOperationalLimits({ slippageTolerance: 0.5, ttlSec: 600, fee: 100, allowedFees: [500, 3000] }).isValid, 'Tier outside the policy accepted');
+
+  // Ticks widen outward to the spacing and stay within the usable range
+  const snap = (lower, upper, spacing) => Object.values(feeTierRegistry.snapTicks(lower, upper, spacing)).join();
+  assert(snap(-105, 95, 60) === '-120,120', 'Range not widened to the spacing');
+  assert(snap(-120, 120, 60) === '-120,120', 'Aligned range changed');
+  assert(snap(-7, 3, 1) === '-7,3', 'Spacing 1 should keep every tick');
+  assert(snap(MIN_TICK, MAX_TICK, 60) === '-887220,887220', 'Range not clamped to usable ticks (60)');
+  assert(snap(MIN_TICK, MAX_TICK, 200) === '-887200,887200', 'Range not clamped to usable ticks (200)');
+
+  provider.destroy();
+  server.close();
+  console.log('Fee tier registry self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
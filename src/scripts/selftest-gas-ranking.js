@@ -0,0 +1,94 @@
+import routingEngine from '../services/routingEngine.js';
+import priceFeedService from '../services/priceFeedService.js';
+
+// Net-of-gas route ranking: the gas context (base fee, native and cost token
+// USD prices) prices each route's gas estimate in the token the trade is
+// measured in, and routes are ranked by what is left after gas. Quotes come
+// from a local stand-in for quoteLocally, the chain from a stub provider.
+
+const WETH = '0x1111111111111111111111111111111111111111';
+const USDC = '0x2222222222222222222222222222222222222222';
+const DAI = '0x3333333333333333333333333333333333333333';
+const GWEI = 10n ** 9n;
+
+const chain = { baseFeePerGas: 20n * GWEI, gasPrice: 30n * GWEI };
+routingEngine.provider = {
+  getBlock: async () => ({ baseFeePerGas: chain.baseFeePerGas }),
+  getFeeData: async () => ({ gasPrice: chain.gasPrice })
+};
+routingEngine.quoter = {};
+routingEngine.chainId = '11155111';
+routingEngine.quoteMode = 'offchain';
+routingEngine.nativeWrapped.set('11155111', WETH);
+
+const prices = { [WETH]: 2000, [USDC]: 1, [DAI]: 1 };
+priceFeedService.getTokenPrice = async (token) => prices[token] ?? 0;
+
+// The direct pool pays 1000 USDC; the two-hop route pays 1.5 USDC more
+const direct = routingEngine.candidateFromRoute([{ tokenIn: WETH, tokenOut: USDC, fee: 500 }]);
+const twoHop = routingEngine.candidateFromRoute([{ tokenIn: WETH, tokenOut: DAI, fee: 500 }, { tokenIn: DAI, tokenOut: USDC, fee: 100 }]);
+routingEngine.quoteLocally = (candidate, amount, mode) => {
+  const gross = candidate.hops === 2 ? 1001500000n : 1000000000n;
+  return mode === 'EXACT_IN' ? gross * BigInt(amount) / 10n ** 18n : (BigInt(amount) * 10n ** 18n) / gross;
+};
+routingEngine.generateRouteCandidates = async () => [direct, twoHop];
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const run = async () => {
+  console.log('Running gas-aware ranking self-test...');
+  const params = { tokenIn: WETH, tokenOut: USDC, decimalsIn: 18, decimalsOut: 6 };
+
+  // Gas is priced in tokenOut for EXACT_IN and in tokenIn for EXACT_OUT
+  let context = await routingEngine.getGasContext({ ...params, mode: 'EXACT_IN' });
+  assert(context.baseFeeWei === 20n * GWEI && context.nativeUsd === 2000 && context.costToken === USDC && context.costDecimals === 6, 'EXACT_IN gas context wrong');
+  const exactOutContext = await routingEngine.getGasContext({ ...params, mode: 'EXACT_OUT' });
+  assert(exactOutContext.costToken === WETH && exactOutContext.costDecimals === 18, 'EXACT_OUT gas not priced in tokenIn');
+  assert(await routingEngine.getGasContext({ tokenIn: WETH, tokenOut: USDC }) === null, 'Context built without decimals');
+  prices[USDC] = 0;
+  assert(await routingEngine.getGasContext({ ...params, tokenOut: '0x4444444444444444444444444444444444444444' }) === null, 'Context built without a price');
+  prices[USDC] = 1;
+  chain.baseFeePerGas = null;
+  assert((await routingEngine.getGasContext({ ...params })).baseFeeWei === 30n * GWEI, 'Pre-London chain not priced by gasPrice');
+  chain.baseFeePerGas = 20n * GWEI;
+
+  // 80k gas at 20 gwei is 0.0016 ETH, $3.20, 3.2 USDC
+  const priced = routingEngine.applyGasCost({ gasEstimate: 80000n, amountOut: 1000000000n }, 'EXACT_IN', context);
+  assert(priced.gasCostWei === 1600000n * GWEI && priced.gasCostUsd.toFixed(2) === '3.20', 'Gas cost wrong');
+  assert(priced.gasCostToken === 3200000n && priced.netAmountOut === 996800000n, 'Net output wrong');
+  const pricedIn = routingEngine.applyGasCost({ gasEstimate: 80000n, amountIn: 10n ** 18n }, 'EXACT_OUT', exactOutContext);
+  assert(pricedIn.netAmountIn === 10n ** 18n + 16n * 10n ** 14n, 'Net input wrong');
+
+  // The extra hop's gas (3.2 USDC) outweighs its 1.5 USDC better price: the direct pool wins
+  let best = await routingEngine.findBestRoute({ ...params, amount: 10n ** 18n });
+  assert(best.hops === 1 && best.netAmountOut === 996800000n, `Expected the direct pool net of gas, got ${best.hops} hops`);
+  const ranked = await routingEngine.evaluateRoutes([direct, twoHop], 10n ** 18n, 'EXACT_IN', { gasContext: context });
+  assert(ranked[1].amountOut > ranked[0].amountOut, 'Gross amounts should favour the two-hop route');
+
+  // Cheap gas flips it back to the better price
+  chain.baseFeePerGas = 1n * GWEI;
+  best = await routingEngine.findBestRoute({ ...params, amount: 10n ** 18n });
+  assert(best.hops === 2, 'Two-hop route should win when gas is cheap');
+
+  // Without decimals the routes are ranked by gross amounts and carry no gas pricing
+  chain.baseFeePerGas = 20n * GWEI;
+  best = await routingEngine.findBestRoute({ tokenIn: WETH, tokenOut: USDC, amount: 10n ** 18n });
+  assert(best.hops === 2 && best.netAmountOut === undefined, 'Gross ranking expected without decimals');
+
+  // EXACT_OUT ranks by the lowest input including gas
+  best = await routingEngine.findBestRoute({ ...params, amount: 1000000000n, mode: 'EXACT_OUT' });
+  assert(best.hops === 1 && best.netAmountIn === best.amountIn + best.gasCostToken, 'EXACT_OUT not ranked by net input');
+
+  // Equal net amounts fall back to fewer hops
+  const tie = routingEngine.rankRoutes([{ hops: 2, amountOut: 5n, netAmountOut: 4n }, { hops: 1, amountOut: 4n, netAmountOut: 4n }]);
+  assert(tie[0].hops === 1, 'Tie not broken by hop count');
+
+  console.log('Gas-aware ranking self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+import { ethers } from 'ethers';
+import LimitOrder from '../models/LimitOrder.js';
+import Notification from '../models/Notification.js';
+import limitOrderService, { LIMIT_ORDER_TYPES, CANCEL_TYPES, SUBMIT_TYPES, LimitOrderError } from '../services/limitOrderService.js';
+import routingEngine from '../services/routingEngine.js';
+import quoteService from '../services/quoteService.js';
+import swapPopulator from '../services/swapPopulator.js';
+import swapDatabaseService from '../services/swapDatabase.js';
+import custodialExecutor from '../services/custodialExecutor.js';
+import custodialFunds from '../services/custodialFunds.js';
+import priceFeedService from '../services/priceFeedService.js';
+import feeTierRegistry from '../services/feeTierRegistry.js';
+
+// Signed limit orders end to end over an in-memory LimitOrder table: the
+// maker's EIP-712 signature on orders, cancellations and submissions, the
+// executor's re-quote against the limit, the custodial funding gate (deposits
+// and daily volume caps) and the check that a submitted transaction is the
+// prepared one, sent by the maker. Quotes, population and the chain are stubs.
+
+const CHAIN_ID = 11155111;
+const WETH = ethers.getAddress(process.env.WETH_ADDRESS);
+const USDC = ethers.getAddress(process.env.USDC_ADDRESS);
+const maker = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+const domain = limitOrderService.getDomain(CHAIN_ID);
+
+// Chain, feature flags and deposits
+const chain = { transactions: new Map() };
+routingEngine.provider = { getTransaction: async (hash) => chain.transactions.get(hash) || null };
+routingEngine.quoter = {};
+routingEngine.chainId = String(CHAIN_ID);
+feeTierRegistry.cache.set(String(CHAIN_ID), { tiers: new Map([[500, 10], [3000, 60]]), timestamp: Date.now() });
+const flags = { CUSTODIAL_MODE: true, SWAP_ENABLED: true };
+swapDatabaseService.isFeatureEnabled = async (key) => Boolean(flags[key]);
+swapDatabaseService.getRiskPolicy = async () => ({ allowedFees: [] });
+const funds = { available: 0n, userVolumeUsd: 0 };
+custodialFunds.getBalance = async () => ({ available: funds.available });
+custodialFunds.getDailyVolumeUsd = async (chainId, owner) => (owner ? funds.userVolumeUsd : 0);
+priceFeedService.getTokenPrice = async () => 3000;
+
+// Quotes: 1 WETH pays `market` USDC on the 500 pool
+let market = 2900n * 10n ** 6n;
+quoteService.getTokenDecimals = async (token) => (token.toLowerCase() === USDC.toLowerCase() ? 6 : 18);
+routingEngine.findBestRoute = async ({ amount }) => ({ route: [{ tokenIn: WETH, tokenOut: USDC, fee: 500 }], amountOut: (BigInt(amount) * market) / 10n ** 18n });
+const ROUTER = '0x000000000000000000000000000000000000F00D';
+swapPopulator.populate = async ({ amountOutMinimum, deadline }) => ({
+  populatedTransaction: { to: ROUTER, data: ethers.toBeHex(amountOutMinimum, 32) + ethers.toBeHex(deadline, 32).slice(2), value: '0' }
+});
+const sent = [];
+custodialExecutor.send = async (populatedTransaction, requestId, swapData) => {
+  sent.push(swapData);
+  return { swap: { id: 7 }, txHash: ethers.id('custodial'), error: null };
+};
+
+// LimitOrder table and notifications in memory
+const rows = [];
+const notices = [];
+LimitOrder.findOne = async ({ where }) => rows.find(row => row.orderHash === where.orderHash) || null;
+LimitOrder.create = async (fields) => {
+  const row = LimitOrder.build(fields);
+  rows.push(row);
+  return row;
+};
+LimitOrder.prototype.update = async function (values) {
+  this.set(values);
+  return this;
+};
+Notification.create = async (notice) => notices.push(notice);
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const rejects = async (promise, status, pattern = /./) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error instanceof LimitOrderError && error.status === status && pattern.test(error.message);
+  }
+  return false;
+};
+
+const makeOrder = (fields = {}) => ({
+  maker: maker.address,
+  tokenIn: WETH,
+  tokenOut: USDC,
+  amountIn: String(10n ** 18n),
+  minAmountOut: String(3000n * 10n ** 6n),
+  recipient: maker.address,
+  nonce: '1',
+  expiresAt: String(Math.floor(Date.now() / 1000) + 3600),
+  executionMode: 'notify',
+  ...fields
+});
+const signOrder = (order, wallet = maker) => wallet.signTypedData(domain, LIMIT_ORDER_TYPES, order);
+
+const run = async () => {
+  console.log('Running limit order self-test...');
+
+  // Only the maker's signature places an order, once
+  const order = makeOrder();
+  assert(await rejects(limitOrderService.createOrder(order, await signOrder(order, stranger)), 400, /not signed by the maker/), 'Order signed by someone else accepted');
+  assert(await rejects(limitOrderService.createOrder(order, '0x1234'), 400, /Malformed/), 'Malformed signature accepted');
+  assert(await rejects(limitOrderService.createOrder({ ...order, tokenOut: WETH }, await signOrder(order)), 400, /differ/), 'Same-token order accepted');
+  const placed = await limitOrderService.createOrder(order, await signOrder(order));
+  assert(placed.orderHash === ethers.TypedDataEncoder.hash(domain, LIMIT_ORDER_TYPES, order) && placed.status === 'open', 'Order not stored under its EIP-712 hash');
+  assert(notices.at(-1).title === 'Limit order placed' && notices.at(-1).userAddress === maker.address.toLowerCase(), 'Maker not notified');
+  assert(await rejects(limitOrderService.createOrder(order, await signOrder(order)), 409), 'Duplicate order accepted');
+  flags.CUSTODIAL_MODE = false;
+  const custodialOrder = makeOrder({ nonce: '2', executionMode: 'custodial' });
+  assert(await rejects(limitOrderService.createOrder(custodialOrder, await signOrder(custodialOrder)), 403), 'Custodial order accepted while custodial mode is off');
+  flags.CUSTODIAL_MODE = true;
+
+  // Below the limit the order stays open; at the limit it is prepared for the maker to sign
+  assert(await limitOrderService.checkOrder(placed) === null && placed.lastQuotedAmountOut === String(2900n * 10n ** 6n), 'Order executed below its limit');
+  assert(await rejects(limitOrderService.markSubmitted(placed.orderHash, ethers.id('early'), '0x'), 409), 'Open order marked submitted');
+  market = 3100n * 10n ** 6n;
+  assert(await limitOrderService.checkOrder(placed) === 'triggered' && placed.status === 'triggered', 'Order not triggered at its limit');
+  const prepared = placed.populatedTransaction;
+  assert(BigInt(prepared.data.slice(0, 66)) === (3100n * 10n ** 6n * 995n) / 1000n, 'Fill not protected by the slippage minimum');
+  assert(notices.at(-1).metadata.populatedTransaction.to === ROUTER, 'Prepared transaction not sent to the maker');
+
+  // Submission: signed by the maker, and the transaction must be the prepared one from the maker
+  const txHash = ethers.id('maker-tx');
+  const signSubmit = (hash, wallet = maker) => wallet.signTypedData(domain, SUBMIT_TYPES, { orderHash: placed.orderHash, txHash: hash });
+  assert(await rejects(limitOrderService.markSubmitted(placed.orderHash, '0x1234', await signSubmit(txHash)), 400, /32-byte/), 'Short txHash accepted');
+  assert(await rejects(limitOrderService.markSubmitted(placed.orderHash, txHash, await signSubmit(txHash, stranger)), 403), 'Submission signed by someone else accepted');
+  assert(await rejects(limitOrderService.markSubmitted(placed.orderHash, txHash, await signSubmit(ethers.id('other'))), 403), 'Signature over another txHash accepted');
+  assert(await rejects(limitOrderService.markSubmitted(placed.orderHash, txHash, await signSubmit(txHash)), 409, /not found/), 'Unknown transaction accepted');
+  chain.transactions.set(txHash, { hash: txHash, from: maker.address, to: ROUTER, data: prepared.data.replace(/.$/, 'f'), value: 0n });
+  try {
+    await limitOrderService.markSubmitted(placed.orderHash, txHash, await signSubmit(txHash));
+    throw new Error('Transaction with other calldata accepted');
+  } catch (error) {
+    assert(error.status === 400 && error.details.mismatches.join() === 'data', `Unexpected mismatch report: ${error.message}`);
+  }
+  chain.transactions.set(txHash, { hash: txHash, from: stranger.address, to: ROUTER, data: prepared.data, value: 1n });
+  assert(await rejects(limitOrderService.markSubmitted(placed.orderHash, txHash, await signSubmit(txHash)), 400), 'Transaction from another sender accepted');
+  chain.transactions.set(txHash, { hash: txHash, from: maker.address, to: ROUTER, data: prepared.data, value: 0n });
+  await limitOrderService.markSubmitted(placed.orderHash, txHash, await signSubmit(txHash));
+  assert(placed.status === 'submitted' && placed.txHash === txHash, 'Matching submission not recorded');
+
+  // Cancellation needs the maker's signature
+  const other = await limitOrderService.createOrder(makeOrder({ nonce: '3' }), await signOrder(makeOrder({ nonce: '3' })));
+  const cancelSig = (wallet) => wallet.signTypedData(domain, CANCEL_TYPES, { orderHash: other.orderHash });
+  assert(await rejects(limitOrderService.cancelOrder(other.orderHash, await cancelSig(stranger)), 403), 'Cancellation by someone else accepted');
+  await limitOrderService.cancelOrder(other.orderHash, await cancelSig(maker));
+  assert(other.status === 'cancelled', 'Order not cancelled');
+  assert(await rejects(limitOrderService.cancelOrder(other.orderHash, await cancelSig(maker)), 409), 'Cancelled order cancelled again');
+
+  // Custodial fills spend only what the maker deposited, within the daily volume caps
+  const custodial = await limitOrderService.createOrder(custodialOrder, await signOrder(custodialOrder));
+  assert(await limitOrderService.checkOrder(custodial) === 'failed' && /insufficient deposited balance/.test(custodial.errorMsg), 'Unfunded custodial order sent');
+  custodial.set({ status: 'open', errorMsg: null });
+  funds.available = 10n ** 18n;
+  funds.userVolumeUsd = 99000;
+  assert(await limitOrderService.checkOrder(custodial) === 'failed' && /per user/.test(custodial.errorMsg), 'Daily volume cap not enforced');
+  custodial.set({ status: 'open', errorMsg: null });
+  funds.userVolumeUsd = 0;
+  assert(await limitOrderService.checkOrder(custodial) === 'submitted' && custodial.swapId === 7, 'Funded custodial order not sent');
+  assert(sent.length === 1 && sent[0].amountInWei === custodial.amountIn && sent[0].userAddress === maker.address.toLowerCase(), 'Fill not charged to the maker');
+
+  console.log('Limit order self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import routingEngine, { QUOTER_ABI } from '../services/routingEngine.js';
+import multicallQuoter, { MULTICALL3_ABI } from '../services/multicallQuoter.js';
+import { MULTICALL3_ADDRESS } from '../config/chains.js';
+
+// Local JSON-RPC stand-in: answers Multicall3 aggregate3 and direct Quoter
+// eth_calls with deterministic quotes so batching can be checked offline.
+
+const QUOTER = '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6';
+const TOKEN_A = '0x1111111111111111111111111111111111111111';
+const TOKEN_B = '0x2222222222222222222222222222222222222222';
+const ANCHOR = '0x3333333333333333333333333333333333333333';
+
+const quoterIface = new ethers.Interface(QUOTER_ABI);
+const multicallIface = new ethers.Interface(MULTICALL3_ABI);
+
+const state = { ethCalls: 0, delayMs: 0, multicallDeployed: true };
+
+// fee 500 -> x2, fee 3000 -> x3, fee 10000 -> revert, multi-hop -> x4
+const quote = (callData) => {
+  const tx = quoterIface.parseTransaction({ data: callData });
+  if (tx.name === 'quoteExactInputSingle') {
+    const fee = Number(tx.args[2]);
+    if (fee === 10000) return null;
+    return quoterIface.encodeFunctionResult(tx.name, [tx.args[3] * (fee === 500 ? 2n : 3n)]);
+  }
+  if (tx.name === 'quoteExactInput') {
+    return quoterIface.encodeFunctionResult(tx.name, [tx.args[1] * 4n]);
+  }
+  return null;
+};
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  const fail = (message) => ({ jsonrpc: '2.0', id: msg.id, error: { code: 3, message, data: '0x' } });
+  switch (msg.method) {
+    case 'eth_chainId': return reply('0xaa36a7');
+    case 'net_version': return reply('11155111');
+    case 'eth_blockNumber': return reply('0x1');
+    case 'eth_call': {
+      state.ethCalls += 1;
+      const { to, data } = msg.params[0];
+      if (to.toLowerCase() === MULTICALL3_ADDRESS.toLowerCase()) {
+        if (!state.multicallDeployed) return reply('0x');
+        const [calls] = multicallIface.decodeFunctionData('aggregate3', data);
+        const out = calls.map(c => {
+          const r = quote(c.callData);
+          return r ? { success: true, returnData: r } : { success: false, returnData: '0x' };
+        });
+        return reply(multicallIface.encodeFunctionResult('aggregate3', [out]));
+      }
+      const r = quote(data);
+      return r ? reply(r) : fail('execution reverted');
+    }
+    default: return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    setTimeout(() => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(answer));
+    }, state.delayMs);
+  });
+});
+
+const run = async () => {
+  console.log('Running Multicall route evaluation self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const provider = new ethers.JsonRpcProvider(url, 11155111, { staticNetwork: true, batchMaxCount: 1 });
+  routingEngine.provider = provider;
+  routingEngine.chainId = '11155111';
+  routingEngine.quoter = new ethers.Contract(QUOTER, QUOTER_ABI, provider);
+
+  const candidates = [
+    ...[500, 3000, 10000].map(fee => routingEngine.candidateFromRoute([{ tokenIn: TOKEN_A, tokenOut: TOKEN_B, fee }])),
+    routingEngine.candidateFromRoute([
+      { tokenIn: TOKEN_A, tokenOut: ANCHOR, fee: 500 },
+      { tokenIn: ANCHOR, tokenOut: TOKEN_B, fee: 500 }
+    ])
+  ];
+
+  // All candidates in one aggregate3 round-trip, reverts dropped, best first
+  let evals = await routingEngine.evaluateRoutes(candidates, 1000n);
+  if (state.ethCalls !== 1) throw new Error(`Expected 1 eth_call, saw ${state.ethCalls}`);
+  if (evals.length !== 3) throw new Error(`Expected 3 routes, got ${evals.length}`);
+  if (evals[0].hops !== 2 || evals[0].amountOut !== 4000n) throw new Error('Multi-hop route should rank first');
+  if (evals[2].amountOut !== 2000n) throw new Error('500 tier should rank last');
+
+  // Batches are bounded by batchSize
+  state.ethCalls = 0;
+  evals = await routingEngine.evaluateRoutes(candidates, 1000n, 'EXACT_IN', { batchSize: 2 });
+  if (state.ethCalls !== 2 || evals.length !== 3) throw new Error('batchSize not honoured');
+
+  // No Multicall3 on the chain: direct Quoter calls still produce quotes
+  state.multicallDeployed = false;
+  evals = await routingEngine.evaluateRoutes(candidates, 1000n);
+  if (evals.length !== 3 || evals[0].amountOut !== 4000n) throw new Error('Direct-call fallback failed');
+  state.multicallDeployed = true;
+
+  // A slow RPC is cut off by the time budget instead of stalling the quote
+  state.delayMs = 400;
+  const started = Date.now();
+  evals = await routingEngine.evaluateRoutes(candidates, 1000n, 'EXACT_IN', { timeBudgetMs: 100 });
+  if (evals.length !== 0) throw new Error('Timed-out batch should yield no routes');
+  if (Date.now() - started > 300) throw new Error('Time budget not enforced');
+  if (multicallQuoter.timeBudgetMs <= 0) throw new Error('Default time budget missing');
+
+  // Let the late response drain before shutting the stand-in down
+  await new Promise(resolve => setTimeout(resolve, 500));
+  provider.destroy();
+  server.close();
+  console.log('Multicall route evaluation self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import Chain from '../models/Chain.js';
+import routingEngine, { NATIVE_TOKEN_ADDRESS, isNativeToken } from '../services/routingEngine.js';
+import swapPopulator from '../services/swapPopulator.js';
+import swapDatabaseService from '../services/swapDatabase.js';
+import { getUniswapAddresses } from '../config/chains.js';
+
+// Native ETH legs: the wrapped native token comes from the Chain table, and
+// swaps that pay or receive ETH become router multicalls (msg.value in,
+// unwrapWETH9 out, refundETH after EXACT_OUT). The populator is run against
+// a local JSON-RPC stand-in that only answers gas estimates.
+
+const CHAIN_ID = 11155111;
+const WRAPPED = '0x00000000000000000000000000000000000000E1';
+const USDC = '0x2222222222222222222222222222222222222222';
+const DAI = '0x3333333333333333333333333333333333333333';
+const RECIPIENT = '0x000000000000000000000000000000000000bEEF';
+const ROUTER = getUniswapAddresses(CHAIN_ID).router;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const routerABI = JSON.parse(fs.readFileSync(path.join(__dirname, '../../node_modules/@uniswap/v3-periphery/artifacts/contracts/SwapRouter.sol/SwapRouter.json'), 'utf8'));
+const routerIface = new ethers.Interface(routerABI.abi);
+const wethIface = new ethers.Interface(['function deposit() payable', 'function withdraw(uint256 wad)']);
+
+const estimates = [];
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  switch (msg.method) {
+    case 'eth_chainId': return reply(ethers.toQuantity(CHAIN_ID));
+    case 'eth_blockNumber': return reply('0x1');
+    case 'eth_estimateGas':
+      estimates.push(msg.params[0]);
+      return reply('0x30d40');
+    default: return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+let chainRow = { nativeWrappedAddress: WRAPPED };
+let chainLookups = 0;
+Chain.findOne = async () => {
+  chainLookups++;
+  return chainRow;
+};
+const populations = [];
+swapDatabaseService.createTxPopulation = async (fields) => {
+  populations.push(fields);
+  return { id: populations.length, ...fields };
+};
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const decode = (call) => call.params.map(data => routerIface.parseTransaction({ data }));
+
+const run = async () => {
+  console.log('Running native ETH self-test...');
+  routingEngine.chainId = String(CHAIN_ID);
+
+  // The sentinel, in any case, is native ETH; the wrapped token comes from the Chain row (cached)
+  assert(isNativeToken(NATIVE_TOKEN_ADDRESS.toLowerCase()) && !isNativeToken(WRAPPED) && !isNativeToken(null), 'Native sentinel not recognised');
+  assert(await routingEngine.getNativeWrappedAddress() === WRAPPED, 'Wrapped native not read from the Chain table');
+  await routingEngine.getNativeWrappedAddress();
+  assert(chainLookups === 1, 'Wrapped native lookup not cached');
+  routingEngine.nativeWrapped.clear();
+  chainRow = null;
+  assert(await routingEngine.getNativeWrappedAddress() === process.env.WETH_ADDRESS, 'No fallback to WETH_ADDRESS without a Chain row');
+  routingEngine.nativeWrapped.clear();
+  chainRow = { nativeWrappedAddress: WRAPPED };
+
+  const single = routingEngine.candidateFromRoute([{ tokenIn: WRAPPED, tokenOut: USDC, fee: 500 }]);
+  const reverse = routingEngine.candidateFromRoute([{ tokenIn: USDC, tokenOut: WRAPPED, fee: 500 }]);
+  const base = { recipient: RECIPIENT, deadline: 1234, routerAddress: ROUTER };
+
+  // ETH in, EXACT_IN: the swap is paid with msg.value
+  let call = routingEngine.buildSwapCall(single, { ...base, mode: 'EXACT_IN', tokenIn: WRAPPED, tokenOut: USDC, amountIn: 10n ** 18n, amountOutMinimum: 2900n, nativeIn: true });
+  let calls = decode(call);
+  assert(call.method === 'multicall' && call.value === 10n ** 18n && calls.length === 1, 'Native input not a paid multicall');
+  assert(calls[0].name === 'exactInputSingle' && calls[0].args[0].recipient === RECIPIENT, 'Native input swap wrong');
+
+  // ETH out: swap into the router, unwrapWETH9 pays the recipient at least the minimum
+  call = routingEngine.buildSwapCall(reverse, { ...base, mode: 'EXACT_IN', tokenIn: USDC, tokenOut: WRAPPED, amountIn: 3000n, amountOutMinimum: 99n, nativeOut: true });
+  calls = decode(call);
+  assert(call.value === 0n && calls.map(c => c.name).join() === 'exactInputSingle,unwrapWETH9', 'Native output not unwrapped');
+  assert(calls[0].args[0].recipient === ROUTER && calls[1].args[0] === 99n && calls[1].args[1] === RECIPIENT, 'Native output not routed through the router');
+
+  // ETH in, EXACT_OUT: the maximum is sent and refundETH returns what is left
+  call = routingEngine.buildSwapCall(single, { ...base, mode: 'EXACT_OUT', tokenIn: WRAPPED, tokenOut: USDC, amountOut: 3000n, amountInMaximum: 2n * 10n ** 18n, nativeIn: true });
+  calls = decode(call);
+  assert(call.value === 2n * 10n ** 18n && calls.map(c => c.name).join() === 'exactOutputSingle,refundETH', 'Native EXACT_OUT input not refunded');
+
+  // ETH out, EXACT_OUT: the exact amount is unwrapped
+  call = routingEngine.buildSwapCall(reverse, { ...base, mode: 'EXACT_OUT', tokenIn: USDC, tokenOut: WRAPPED, amountOut: 10n ** 18n, amountInMaximum: 3100n, nativeOut: true });
+  calls = decode(call);
+  assert(calls.map(c => c.name).join() === 'exactOutputSingle,unwrapWETH9' && calls[1].args[0] === 10n ** 18n, 'Native EXACT_OUT output not unwrapped exactly');
+
+  // Multi-hop and split routes keep their inner calls; a split's sweepToken gives way to unwrapWETH9
+  const multi = routingEngine.candidateFromRoute([{ tokenIn: USDC, tokenOut: DAI, fee: 100 }, { tokenIn: DAI, tokenOut: WRAPPED, fee: 3000 }]);
+  call = routingEngine.buildSwapCall(multi, { ...base, mode: 'EXACT_IN', tokenIn: USDC, tokenOut: WRAPPED, amountIn: 3000n, amountOutMinimum: 1n, nativeOut: true });
+  assert(decode(call).map(c => c.name).join() === 'exactInput,unwrapWETH9', 'Multi-hop native output wrong');
+  const split = {
+    kind: 'split',
+    legs: [{ ...reverse, amountIn: 2000n, amountOut: 60n }, { ...multi, amountIn: 1000n, amountOut: 30n }]
+  };
+  call = routingEngine.buildSwapCall(split, { ...base, mode: 'EXACT_IN', tokenIn: USDC, tokenOut: WRAPPED, amountIn: 3000n, amountOutMinimum: 85n, nativeOut: true });
+  calls = decode(call);
+  assert(calls.map(c => c.name).join() === 'exactInputSingle,exactInput,unwrapWETH9' && calls[2].args[0] === 85n, 'Split native output not unwrapped for the aggregate minimum');
+
+  // The populator sends the value with the multicall and records the native legs
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, CHAIN_ID, { staticNetwork: true, batchMaxCount: 1 });
+  swapPopulator.provider = provider;
+  swapPopulator.uniswapRouter = new ethers.Contract(ROUTER, routerABI.abi, provider);
+  const { populatedTransaction } = await swapPopulator.populate({
+    routeInfo: single,
+    chainId: CHAIN_ID,
+    mode: 'EXACT_IN',
+    tokenIn: WRAPPED,
+    tokenOut: USDC,
+    recipient: RECIPIENT,
+    deadline: 1234,
+    amountIn: 10n ** 18n,
+    amountOutMinimum: 2900n,
+    amountOut: 3000n,
+    decimalsIn: 18,
+    decimalsOut: 6,
+    fee: 500,
+    slippagePct: 0.005,
+    requestId: 'native-1',
+    nativeIn: true
+  });
+  assert(populatedTransaction.to === ROUTER && populatedTransaction.value === String(10n ** 18n), 'Populated native swap carries no value');
+  assert(routerIface.parseTransaction({ data: populatedTransaction.data }).name === 'multicall', 'Populated native swap not a multicall');
+  assert(BigInt(estimates.at(-1).value) === 10n ** 18n, 'Gas not estimated with the value');
+  assert(populations.at(-1).payload.nativeIn === true && populations.at(-1).payload.nativeOut === false, 'Native legs not recorded');
+
+  // Standalone wrap and unwrap
+  const wrap = await swapPopulator.populateWrap(WRAPPED, 'wrap', 5n * 10n ** 17n, RECIPIENT);
+  assert(wrap.to === WRAPPED && wrap.value === String(5n * 10n ** 17n) && wethIface.parseTransaction({ data: wrap.data }).name === 'deposit', 'Wrap wrong');
+  assert(wrap.gasLimit === '200000' && estimates.at(-1).from.toLowerCase() === RECIPIENT.toLowerCase(), 'Wrap gas not estimated for the sender');
+  const unwrap = await swapPopulator.populateWrap(WRAPPED, 'unwrap', 5n * 10n ** 17n);
+  const withdraw = wethIface.parseTransaction({ data: unwrap.data });
+  assert(unwrap.value === '0' && withdraw.name === 'withdraw' && withdraw.args[0] === 5n * 10n ** 17n, 'Unwrap wrong');
+  assert(unwrap.gasLimit === '60000', 'Unwrap without a sender should use the fixed gas limit');
+
+  provider.destroy();
+  server.close();
+  console.log('Native ETH self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+import { ethers } from 'ethers';
+import Pool from '../models/Pool.js';
+import pathFinder from '../services/pathFinder.js';
+import routingEngine, { QUOTER_ABI } from '../services/routingEngine.js';
+
+// Runs the multi-hop path search over an in-memory Pool table: the liquidity
+// floor, hop limit, ranking by bottleneck TVL and the routing engine's use of
+// graph paths (with the anchor heuristic for pairs the table does not know).
+
+const CHAIN_ID = 11155111;
+const token = (n) => ethers.getAddress('0x' + n.toString(16).padStart(40, '0'));
+const [A, B, C, D, E, F] = [1, 2, 3, 4, 5, 6].map(n => token(0x1000 + n));
+const poolAddress = (n) => token(0x9000 + n);
+
+let pools = [
+  { token0: A, token1: B, feeTier: 500, tvl: 2000000, poolAddress: poolAddress(1) },
+  { token0: B, token1: D, feeTier: 3000, tvl: 800000, poolAddress: poolAddress(2) },
+  { token0: A, token1: C, feeTier: 3000, tvl: 5000000, poolAddress: poolAddress(3) },
+  { token0: C, token1: D, feeTier: 500, tvl: 4000000, poolAddress: poolAddress(4) },
+  { token0: A, token1: D, feeTier: 10000, tvl: 50000, poolAddress: poolAddress(5) },
+  // Below the $10k floor: never an edge
+  { token0: A, token1: D, feeTier: 100, tvl: 500, poolAddress: poolAddress(6) },
+  // Not valued yet: raw liquidity (V3) or reserves (V2) decide
+  { token0: D, token1: E, feeTier: 3000, tvl: 0, liquidity: '1000', poolAddress: poolAddress(7) },
+  { token0: D, token1: F, feeTier: 3000, tvl: 0, liquidity: '0', poolAddress: poolAddress(8) },
+  { token0: C, token1: F, feeTier: 3000, tvl: 0, protocol: 'V2', reserve0: '5', reserve1: '7', poolAddress: poolAddress(9) },
+  { token0: B, token1: F, feeTier: 3000, tvl: 0, protocol: 'V2', reserve0: '5', reserve1: '0', poolAddress: poolAddress(10) }
+];
+let loads = 0;
+Pool.findAll = async ({ where }) => {
+  loads++;
+  return pools.filter(pool => where.chainId === CHAIN_ID && pool.isActive !== false);
+};
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const describe = (path) => path.route.map(hop => `${hop.tokenIn.slice(-1)}-${hop.fee}-${hop.tokenOut.slice(-1)}`).join(' ');
+
+const run = async () => {
+  console.log('Running path finder self-test...');
+
+  // Every simple path within maxHops, deepest bottleneck first, fewer hops on ties
+  const paths = await pathFinder.findPaths(CHAIN_ID, A, D);
+  const found = paths.map(describe);
+  assert(found[0] === '1-3000-3 3-500-4', `Deepest path not first: ${found.join(' | ')}`);
+  assert(found[1] === '1-500-2 2-3000-4', `Second path wrong: ${found.join(' | ')}`);
+  assert(found.includes('1-10000-4'), 'Direct pool above the floor missing');
+  assert(!found.some(p => p.includes('1-100-4')), 'Pool below the TVL floor used');
+  assert(paths.every(p => p.hops <= pathFinder.maxHops), 'Path longer than maxHops');
+  assert(paths.every(p => new Set(p.route.map(hop => hop.tokenIn)).size === p.hops), 'Path revisits a token');
+  assert(paths[0].fees.join() === '3000,500' && paths[0].minTvlUsd === 4000000, 'Path fees or bottleneck wrong');
+  assert(paths[0].route[0].poolAddress === poolAddress(3) && paths[0].route[0].protocol === 'V3', 'Pool address or protocol lost');
+
+  // Unvalued pools: V3 needs in-range liquidity, V2 needs both reserves
+  const toE = (await pathFinder.findPaths(CHAIN_ID, A, E)).map(describe);
+  assert(toE.length > 0 && toE.every(p => p.endsWith('4-3000-5')), `Liquid unvalued V3 pool not used: ${toE.join(' | ')}`);
+  const toF = await pathFinder.findPaths(CHAIN_ID, A, F);
+  assert(toF.length > 0 && toF.every(p => p.route.at(-1).tokenIn === C && p.route.at(-1).protocol === 'V2'),
+    `Only the V2 pair with reserves should reach F: ${toF.map(describe).join(' | ')}`);
+
+  // Hop limit and top-K
+  const direct = await pathFinder.findPaths(CHAIN_ID, A, D, { maxHops: 1 });
+  assert(direct.length === 1 && direct[0].hops === 1, 'maxHops 1 returned multi-hop paths');
+  const capped = await pathFinder.findPaths(CHAIN_ID, A, E, { maxHops: 10 });
+  assert(capped.every(p => p.hops <= pathFinder.maxHopsLimit), 'maxHops not clamped to maxHopsLimit');
+  assert((await pathFinder.findPaths(CHAIN_ID, A, D, { topK: 2 })).length === 2, 'topK ignored');
+
+  // The graph is cached per chain and floor until invalidated
+  const before = loads;
+  await pathFinder.findPaths(CHAIN_ID, A, D);
+  assert(loads === before, 'Graph reloaded inside the cache window');
+  pools = pools.map(pool => pool.poolAddress === poolAddress(3) ? { ...pool, isActive: false } : pool);
+  pathFinder.invalidate(CHAIN_ID);
+  const reloaded = (await pathFinder.findPaths(CHAIN_ID, A, D)).map(describe);
+  assert(loads === before + 1 && reloaded[0] === '1-500-2 2-3000-4', `Invalidated graph not reloaded: ${reloaded.join(' | ')}`);
+
+  // The routing engine turns graph paths into candidates, and falls back to anchors
+  routingEngine.provider = new ethers.JsonRpcProvider('http://127.0.0.1:9', CHAIN_ID, { staticNetwork: true });
+  routingEngine.quoter = new ethers.Contract(ethers.ZeroAddress, QUOTER_ABI, routingEngine.provider);
+  routingEngine.chainId = CHAIN_ID;
+  const graph = await routingEngine.generateRouteCandidates(A, D);
+  assert(graph.length === reloaded.length && graph.every(c => c.source === 'graph'), 'Graph paths not used as candidates');
+  assert(graph[0].kind === 'multi' && graph[0].hops === 2 && graph[0].pathTokens.join() === [A, 500, B, 3000, D].join(), 'Graph candidate malformed');
+  const mixed = (await routingEngine.generateRouteCandidates(A, F)).find(c => c.route.some(hop => hop.protocol === 'V2'));
+  assert(mixed && mixed.kind === 'mixed', 'Route with a V2 hop not marked mixed');
+  const unknown = token(0x2000);
+  const anchors = await routingEngine.generateRouteCandidates(unknown, A);
+  assert(anchors.length > 0 && anchors.every(c => c.source === 'anchor'), 'Unknown pair did not fall back to anchor routes');
+
+  routingEngine.provider.destroy();
+  console.log('Path finder self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
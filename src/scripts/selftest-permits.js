@@ -0,0 +1,201 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import permitService, { PermitError } from '../services/permitService.js';
+import swapPopulator from '../services/swapPopulator.js';
+import swapDatabaseService from '../services/swapDatabase.js';
+import { RoutePlanner } from '../services/universalRouter.js';
+import { PERMIT2_ADDRESS, getUniswapAddresses } from '../config/chains.js';
+
+// Gasless approvals: permit support probed from token contracts served by a
+// local JSON-RPC stand-in (EIP-2612, DAI-style and a token without permit),
+// the cache on Token.riskFlags.permit, offers and their signatures, Permit2
+// allowances, and the signed permit embedded ahead of the swap.
+
+const CHAIN_ID = 11155111;
+const ROUTER = getUniswapAddresses(CHAIN_ID).router;
+const UNIVERSAL_ROUTER = getUniswapAddresses(CHAIN_ID).universalRouter;
+const TOKEN_2612 = '0x00000000000000000000000000000000000000C1';
+const TOKEN_DAI = '0x00000000000000000000000000000000000000C2';
+const TOKEN_PLAIN = '0x00000000000000000000000000000000000000C3';
+const USDC = '0x2222222222222222222222222222222222222222';
+const owner = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+const probeIface = new ethers.Interface([
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function PERMIT_TYPEHASH() view returns (bytes32)',
+  'function nonces(address owner) view returns (uint256)',
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function allowance(address owner, address spender) view returns (uint256)'
+]);
+const permit2Iface = new ethers.Interface(['function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)']);
+const separator = (name, version, token) => ethers.TypedDataEncoder.hashDomain({ name, version, chainId: CHAIN_ID, verifyingContract: token });
+
+// Token contracts: functions they implement (missing ones revert)
+const TOKENS = {
+  [TOKEN_2612.toLowerCase()]: {
+    DOMAIN_SEPARATOR: [separator('Test USD', '2', TOKEN_2612)],
+    PERMIT_TYPEHASH: [ethers.id('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)')],
+    name: ['Test USD'],
+    nonces: [3n]
+  },
+  [TOKEN_DAI.toLowerCase()]: {
+    DOMAIN_SEPARATOR: [separator('Dai Stablecoin', '1', TOKEN_DAI)],
+    PERMIT_TYPEHASH: [ethers.id('Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)')],
+    name: ['Dai Stablecoin'],
+    version: ['1'],
+    nonces: [0n]
+  },
+  [TOKEN_PLAIN.toLowerCase()]: { name: ['Plain'] }
+};
+const state = { calls: 0, permit2: [0n, 0, 5], permit2Approval: 0n };
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  const revert = { jsonrpc: '2.0', id: msg.id, error: { code: 3, message: 'execution reverted', data: '0x' } };
+  switch (msg.method) {
+    case 'eth_chainId': return reply(ethers.toQuantity(CHAIN_ID));
+    case 'eth_blockNumber': return reply('0x1');
+    case 'eth_estimateGas': return reply('0x3d090');
+    case 'eth_call': {
+      state.calls++;
+      const { to, data } = msg.params[0];
+      if (to.toLowerCase() === PERMIT2_ADDRESS.toLowerCase()) {
+        return reply(permit2Iface.encodeFunctionResult('allowance', state.permit2));
+      }
+      const fn = probeIface.getFunction(data.slice(0, 10));
+      if (!fn) return revert;
+      const results = fn.name === 'allowance' ? [state.permit2Approval] : TOKENS[to.toLowerCase()]?.[fn.name];
+      return results ? reply(probeIface.encodeFunctionResult(fn.name, results)) : revert;
+    }
+    default: return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+// Token table: one row for the EIP-2612 token
+const tokenRow = {
+  riskFlags: { honeypot: false },
+  update: async function (values) {
+    Object.assign(this, values);
+    return this;
+  }
+};
+swapDatabaseService.getTokenByAddress = async (address) => (address.toLowerCase() === TOKEN_2612.toLowerCase() ? tokenRow : null);
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const throwsStatus = (fn, status) => {
+  try {
+    fn();
+  } catch (error) {
+    return error instanceof PermitError && error.status === status;
+  }
+  return false;
+};
+
+const run = async () => {
+  console.log('Running permit self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, CHAIN_ID, { staticNetwork: true, batchMaxCount: 1 });
+
+  // Detection: the domain must hash to DOMAIN_SEPARATOR (version 2 found by the fallback list)
+  assert(JSON.stringify(await permitService.detect(provider, CHAIN_ID, TOKEN_2612)) === '{"type":"eip2612","name":"Test USD","version":"2"}', 'EIP-2612 token not detected');
+  assert((await permitService.detect(provider, CHAIN_ID, TOKEN_DAI)).type === 'dai', 'DAI-style permit not detected');
+  assert((await permitService.detect(provider, CHAIN_ID, TOKEN_PLAIN)).type === null, 'Token without permit detected');
+
+  // A node outage is an error, not "no permit"
+  const down = { call: async () => { throw Object.assign(new Error('connection refused'), { code: 'NETWORK_ERROR' }); } };
+  let failed = false;
+  try {
+    await permitService.getSupport(down, CHAIN_ID, TOKEN_PLAIN);
+  } catch (error) {
+    failed = error.code === 'NETWORK_ERROR';
+  }
+  assert(failed && !permitService.cache.has(`${CHAIN_ID}:${TOKEN_PLAIN.toLowerCase()}`), 'Transport error cached as unsupported');
+
+  // Support is cached in memory and on Token.riskFlags.permit, next to the other flags
+  const support = await permitService.getSupport(provider, CHAIN_ID, TOKEN_2612);
+  assert(support.type === 'eip2612' && tokenRow.riskFlags.permit.type === 'eip2612' && tokenRow.riskFlags.honeypot === false, 'Support not stored on the token');
+  const callsBefore = state.calls;
+  await permitService.getSupport(provider, CHAIN_ID, TOKEN_2612);
+  permitService.cache.clear();
+  assert((await permitService.getSupport(provider, CHAIN_ID, TOKEN_2612)).version === '2' && state.calls === callsBefore, 'Cached support re-probed');
+  tokenRow.riskFlags.permit.checkedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+  permitService.cache.clear();
+  // ethers reuses an identical request's answer for 250ms
+  await new Promise(resolve => setTimeout(resolve, 300));
+  await permitService.getSupport(provider, CHAIN_ID, TOKEN_2612);
+  assert(state.calls > callsBefore && Date.now() - new Date(tokenRow.riskFlags.permit.checkedAt).getTime() < 60000, 'Week-old support not re-probed');
+
+  // Offers carry the token's nonce; only the owner's signature is accepted
+  const deadline = Math.floor(Date.now() / 1000) + 600;
+  const offer = await permitService.buildOffer({ provider, chainId: CHAIN_ID, token: TOKEN_2612, owner: owner.address, spender: ROUTER, value: 1000n, deadline });
+  assert(offer.type === 'eip2612' && offer.nonce === '3' && offer.domain.version === '2', 'EIP-2612 offer wrong');
+  assert(await permitService.buildOffer({ provider, chainId: CHAIN_ID, token: TOKEN_PLAIN, owner: owner.address, spender: ROUTER, value: 1n, deadline }) === null, 'Offer built without permit support');
+  const typed = permitService.getTypedData(offer);
+  const sig = permitService.verifySignature(offer, await owner.signTypedData(typed.domain, typed.types, typed.message));
+  assert(throwsStatus(() => permitService.verifySignature(offer, '0x1234'), 400), 'Malformed permit signature accepted');
+  const strangerSig = await stranger.signTypedData(typed.domain, typed.types, typed.message);
+  assert(throwsStatus(() => permitService.verifySignature(offer, strangerSig), 401), 'Permit signed by someone else accepted');
+  const daiOffer = await permitService.buildOffer({ provider, chainId: CHAIN_ID, token: TOKEN_DAI, owner: owner.address, spender: ROUTER, value: 1000n, deadline });
+  assert(permitService.getTypedData(daiOffer).message.allowed === true, 'DAI permit not an unlimited allowance');
+
+  // The permit runs at the head of the router multicall; an existing multicall is flattened
+  swapPopulator.provider = provider;
+  const routerABI = JSON.parse(fs.readFileSync(path.join(path.dirname(fileURLToPath(import.meta.url)), '../../node_modules/@uniswap/v3-periphery/artifacts/contracts/SwapRouter.sol/SwapRouter.json'), 'utf8'));
+  swapPopulator.uniswapRouter = new ethers.Contract(ROUTER, routerABI.abi, provider);
+  swapPopulator.swapRouter02 = null;
+  const routerIface = swapPopulator.uniswapRouter.interface;
+  const swapData = routerIface.encodeFunctionData('exactInputSingle', [{ tokenIn: TOKEN_2612, tokenOut: USDC, fee: 500, recipient: owner.address, deadline, amountIn: 1000n, amountOutMinimum: 1n, sqrtPriceLimitX96: 0 }]);
+  let tx = await swapPopulator.populateWithPermit({ payload: { deadline, transaction: { to: ROUTER, data: swapData, value: '0' } } }, offer, sig);
+  let calls = routerIface.parseTransaction({ data: tx.data }).args[0];
+  assert(tx.gasLimit === '250000' && calls.length === 2 && calls[1] === swapData, 'Permit not prepended to the swap');
+  assert(routerIface.parseTransaction({ data: calls[0] }).name === 'selfPermitIfNecessary', 'EIP-2612 permit not applied with selfPermitIfNecessary');
+  const multicall = routerIface.encodeFunctionData('multicall', [[swapData, routerIface.encodeFunctionData('refundETH', [])]]);
+  tx = await swapPopulator.populateWithPermit({ payload: { deadline, transaction: { to: ROUTER, data: multicall, value: '5' } } }, offer, sig);
+  calls = routerIface.parseTransaction({ data: tx.data }).args[0];
+  assert(calls.length === 3 && routerIface.parseTransaction({ data: calls[2] }).name === 'refundETH' && tx.value === '5', 'Existing multicall not flattened');
+
+  // Permit2: no offer while its allowance covers the swap; otherwise a PermitSingle until the deadline
+  state.permit2 = [1000n, deadline + 60, 5];
+  assert(await permitService.buildPermit2Offer({ provider, chainId: CHAIN_ID, token: USDC, owner: owner.address, spender: UNIVERSAL_ROUTER, value: 1000n, deadline }) === null, 'Permit2 offer built although the allowance covers the swap');
+  state.permit2 = [1000n, deadline - 60, 5];
+  state.permit2Approval = 10n ** 30n;
+  const permit2Offer = await permitService.buildPermit2Offer({ provider, chainId: CHAIN_ID, token: USDC, owner: owner.address, spender: UNIVERSAL_ROUTER, value: 1000n, deadline });
+  assert(permit2Offer.type === 'permit2' && permit2Offer.nonce === '5' && permit2Offer.permit2Approved, 'Permit2 offer wrong');
+  const permitSingle = permitService.getTypedData(permit2Offer);
+  assert(permitSingle.message.details.expiration === deadline && permitSingle.message.sigDeadline === deadline, 'PermitSingle does not lapse with the swap');
+  const permit2Sig = permitService.verifySignature(permit2Offer, await owner.signTypedData(permitSingle.domain, permitSingle.types, permitSingle.message));
+  const planner = new RoutePlanner().addCommand('SWEEP', [USDC, owner.address, 0n]);
+  tx = await swapPopulator.populateWithPermit({ payload: { transaction: { to: UNIVERSAL_ROUTER, data: planner.encode(deadline), value: '0' } } }, permit2Offer, permit2Sig);
+  const permitted = RoutePlanner.decode(tx.data);
+  assert(permitted.planner.commandNames.join() === 'PERMIT2_PERMIT,SWEEP' && permitted.deadline === BigInt(deadline), 'Permit2 permit not the first command');
+  state.permit2Approval = 0n;
+  const unapproved = await permitService.buildPermit2Offer({ provider, chainId: CHAIN_ID, token: USDC, owner: owner.address, spender: UNIVERSAL_ROUTER, value: 1000n, deadline });
+  assert(unapproved.permit2Approved === false, 'Missing Permit2 approval not reported');
+
+  provider.destroy();
+  server.close();
+  console.log('Permit self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
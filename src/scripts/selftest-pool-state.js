@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import poolStateCache, { POOL_STATE_ABI } from '../services/poolStateCache.js';
+import routingEngine, { QUOTER_ABI } from '../services/routingEngine.js';
+import { quoteExactInputSingle, quoteExactOutputSingle, PoolStateMissingError } from '../utils/v3Math.js';
+
+// Replays recorded pool snapshots (see record-pool-snapshot.js) through the
+// local V3 math and checks every locally computed quote against the Quoter
+// result recorded at the same block.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'pool-snapshots');
+
+const loadSnapshots = () => fs.readdirSync(SNAPSHOT_DIR)
+  .filter(f => f.endsWith('.json'))
+  .map(f => ({ file: f, ...JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, f), 'utf8')) }));
+
+const compare = (label, expected, compute) => {
+  let local;
+  try {
+    local = compute().toString();
+  } catch (error) {
+    if (error instanceof PoolStateMissingError) return 'fallback';
+    local = { error: error.message };
+  }
+  const expectedOk = typeof expected === 'string';
+  const localOk = typeof local === 'string';
+  if (!expectedOk && !localOk) return 'both-revert';
+  if (expected !== local) {
+    throw new Error(`${label}: quoter ${JSON.stringify(expected)}, local ${JSON.stringify(local)}`);
+  }
+  return 'match';
+};
+
+const run = async () => {
+  console.log('Running pool state (off-chain quoting) self-test...');
+  const snapshots = loadSnapshots();
+  if (snapshots.length === 0) throw new Error('No pool snapshots recorded');
+
+  const tally = { match: 0, fallback: 0, 'both-revert': 0 };
+  for (const snap of snapshots) {
+    const state = poolStateCache.hydrate(snap.chainId, snap.pool);
+    for (const q of snap.quotes) {
+      const zeroForOne = q.tokenIn.toLowerCase() === state.token0.toLowerCase();
+      const label = `${snap.file} ${zeroForOne ? '0->1' : '1->0'} ${q.amount}`;
+      tally[compare(`${label} exactInput`, q.exactInput, () => quoteExactInputSingle(state, zeroForOne, q.amount))]++;
+      tally[compare(`${label} exactOutput`, q.exactOutput, () => quoteExactOutputSingle(state, zeroForOne, q.amount))]++;
+    }
+  }
+  if (tally.match < 40) throw new Error(`Too few comparable quotes: ${JSON.stringify(tally)}`);
+  console.log('Snapshot quotes:', tally);
+
+  // Routing engine in offchain mode answers from the cache without any RPC
+  const snap = snapshots[0];
+  const state = poolStateCache.hydrate(snap.chainId, snap.pool);
+  const originalCompute = poolStateCache.computePoolAddress;
+  poolStateCache.computePoolAddress = () => state.address;
+  routingEngine.provider = new ethers.JsonRpcProvider('http://127.0.0.1:9', Number(snap.chainId), { staticNetwork: true });
+  routingEngine.quoter = new ethers.Contract(ethers.ZeroAddress, QUOTER_ABI, routingEngine.provider);
+  routingEngine.chainId = snap.chainId;
+  routingEngine.quoteMode = 'offchain';
+
+  const recorded = snap.quotes.find(q => typeof q.exactInput === 'string' && q.exactInput !== '0');
+  const candidate = routingEngine.candidateFromRoute([{ tokenIn: recorded.tokenIn, tokenOut: recorded.tokenOut, fee: state.fee }]);
+  const [best] = await routingEngine.evaluateRoutes([candidate], BigInt(recorded.amount));
+  if (!best || best.amountOut.toString() !== recorded.exactInput) throw new Error('Offchain route evaluation mismatch');
+
+  // A Swap event moves the cached price/tick/liquidity
+  poolStateCache.chainId = snap.chainId;
+  const iface = new ethers.Interface(POOL_STATE_ABI);
+  const event = iface.getEvent('Swap');
+  const encoded = iface.encodeEventLog(event, [ethers.ZeroAddress, ethers.ZeroAddress, 1n, -1n, state.sqrtPriceX96 + 1n, state.liquidity + 5n, state.tick]);
+  poolStateCache.applyLogs([{ ...encoded, address: state.address, blockNumber: (snap.blockNumber || 0) + 1, index: 0 }]);
+  if (state.sqrtPriceX96 !== BigInt(snap.pool.sqrtPriceX96) + 1n || state.liquidity !== BigInt(snap.pool.liquidity) + 5n) {
+    throw new Error('Swap event not applied to cached state');
+  }
+
+  poolStateCache.computePoolAddress = originalCompute;
+  routingEngine.provider.destroy();
+  console.log('Pool state self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
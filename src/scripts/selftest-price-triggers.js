@@ -0,0 +1,222 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import { Op } from 'sequelize';
+import Pool from '../models/Pool.js';
+import Token from '../models/Token.js';
+import LimitOrder from '../models/LimitOrder.js';
+import Notification from '../models/Notification.js';
+import limitOrderService, { CONDITIONAL_ORDER_TYPES, LimitOrderError } from '../services/limitOrderService.js';
+import priceFeedService from '../services/priceFeedService.js';
+import routingEngine from '../services/routingEngine.js';
+import quoteService from '../services/quoteService.js';
+import swapPopulator from '../services/swapPopulator.js';
+import swapDatabaseService from '../services/swapDatabase.js';
+import custodialExecutor from '../services/custodialExecutor.js';
+import custodialFunds from '../services/custodialFunds.js';
+import feeTierRegistry from '../services/feeTierRegistry.js';
+import { OPERATIONAL_LIMITS } from '../config/operationalLimits.js';
+
+// Stop-loss and take-profit orders: pool TWAPs read from a local stand-in for
+// the pools' observe(), triggers that need both the price feed and the TWAP
+// past the threshold, and the exit swap prepared for the maker or sent
+// custodially within OPERATIONAL_LIMITS. Tables, quotes and population are stubs.
+
+const CHAIN_ID = 11155111;
+const WETH = ethers.getAddress(process.env.WETH_ADDRESS);
+const USDC = ethers.getAddress(process.env.USDC_ADDRESS);
+const LINK = '0x779877A7B0D9E8603169DdbD7836e478b4624789';
+const WETH_USDC_POOL = '0x00000000000000000000000000000000000000B1';
+const LINK_WETH_POOL = '0x00000000000000000000000000000000000000B2';
+const maker = ethers.Wallet.createRandom();
+const domain = limitOrderService.getDomain(CHAIN_ID);
+const WINDOW = limitOrderService.twapWindowSec;
+
+const observeIface = new ethers.Interface(['function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)']);
+
+// Mean tick per pool over the window (token1 per token0 = 1.0001^tick, in base units)
+const tickFor = (price) => Math.round(Math.log(price) / Math.log(1.0001));
+const meanTicks = {
+  // token0 USDC (6), token1 WETH (18): WETH at $3000
+  [WETH_USDC_POOL.toLowerCase()]: tickFor(10 ** 12 / 3000),
+  // token0 LINK (18), token1 WETH (18): LINK at 0.005 WETH
+  [LINK_WETH_POOL.toLowerCase()]: tickFor(0.005)
+};
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  switch (msg.method) {
+    case 'eth_chainId': return reply(ethers.toQuantity(CHAIN_ID));
+    case 'eth_blockNumber': return reply('0x1');
+    case 'eth_call': {
+      const { to, data } = msg.params[0];
+      const tick = meanTicks[to.toLowerCase()];
+      if (tick === undefined) break;
+      const [secondsAgos] = observeIface.decodeFunctionData('observe', data);
+      // Cumulative ticks grow by the mean tick every second up to now (secondsAgo 0)
+      const now = 1000000n;
+      const cumulatives = secondsAgos.map(ago => BigInt(tick) * (now - ago));
+      return reply(observeIface.encodeFunctionResult('observe', [cumulatives, secondsAgos.map(() => 0n)]));
+    }
+  }
+  return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+// Pool and Token tables
+const pools = [
+  { chainId: CHAIN_ID, token0: USDC.toLowerCase(), token1: WETH.toLowerCase(), poolAddress: WETH_USDC_POOL },
+  { chainId: CHAIN_ID, token0: LINK.toLowerCase(), token1: WETH.toLowerCase(), poolAddress: LINK_WETH_POOL }
+];
+Pool.findOne = async ({ where }) => {
+  const [{ token0, token1 }] = where[Op.or];
+  const [a, b] = [token0[Op.iLike], token1[Op.iLike]];
+  return pools.find(p => [p.token0, p.token1].sort().join() === [a, b].sort().join()) || null;
+};
+const decimals = { [USDC.toLowerCase()]: 6, [WETH.toLowerCase()]: 18, [LINK.toLowerCase()]: 18 };
+Token.findOne = async ({ where }) => ({ decimals: decimals[where.address] });
+
+// Price feed (spot), chain, flags and funds
+const spot = { [WETH]: 3000, [LINK]: 15 };
+priceFeedService.getTokenPrice = async (token) => spot[ethers.getAddress(token)] ?? 0;
+routingEngine.provider = {};
+routingEngine.quoter = {};
+routingEngine.chainId = String(CHAIN_ID);
+feeTierRegistry.cache.set(String(CHAIN_ID), { tiers: new Map([[500, 10], [3000, 60]]), timestamp: Date.now() });
+swapDatabaseService.isFeatureEnabled = async () => true;
+swapDatabaseService.getRiskPolicy = async () => ({ allowedFees: [] });
+custodialFunds.getBalance = async () => ({ available: 10n ** 24n });
+custodialFunds.getDailyVolumeUsd = async () => 0;
+quoteService.getTokenDecimals = async (token) => decimals[token.toLowerCase()];
+routingEngine.findBestRoute = async ({ amount }) => ({ route: [{ tokenIn: WETH, tokenOut: USDC, fee: 500 }], amountOut: (BigInt(amount) * 2900n) / 10n ** 12n });
+swapPopulator.populate = async ({ amountOutMinimum }) => ({ populatedTransaction: { to: ethers.ZeroAddress, data: ethers.toBeHex(amountOutMinimum, 32), value: '0' } });
+const sent = [];
+custodialExecutor.send = async (populatedTransaction, requestId, swapData) => {
+  sent.push(swapData);
+  return { swap: { id: 9 }, txHash: ethers.id('exit'), error: null };
+};
+
+const rows = [];
+const notices = [];
+LimitOrder.findOne = async ({ where }) => rows.find(row => row.orderHash === where.orderHash) || null;
+LimitOrder.create = async (fields) => {
+  const row = LimitOrder.build(fields);
+  rows.push(row);
+  return row;
+};
+LimitOrder.prototype.update = async function (values) {
+  this.set(values);
+  return this;
+};
+Notification.create = async (notice) => notices.push(notice);
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const near = (value, expected) => Math.abs(value - expected) / expected < 0.001;
+const rejects = async (promise, status) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error instanceof LimitOrderError && error.status === status;
+  }
+  return false;
+};
+
+const conditionalOrder = (fields) => ({
+  maker: maker.address,
+  tokenIn: WETH,
+  tokenOut: USDC,
+  amountIn: String(10n ** 18n),
+  minAmountOut: '0',
+  recipient: maker.address,
+  nonce: String(rows.length + 1),
+  expiresAt: String(Math.floor(Date.now() / 1000) + 3600),
+  executionMode: 'notify',
+  orderKind: 'STOP_LOSS',
+  triggerPriceUsd: '2800',
+  ...fields
+});
+const place = async (fields) => {
+  const order = conditionalOrder(fields);
+  return limitOrderService.createConditionalOrder(order, await maker.signTypedData(domain, CONDITIONAL_ORDER_TYPES, order));
+};
+// Move the pool TWAP and drop the cached readings (ethers reuses an identical request's answer for 250ms)
+const setTwap = async (pool, price) => {
+  if (price === null) delete meanTicks[pool.toLowerCase()];
+  else meanTicks[pool.toLowerCase()] = tickFor(price);
+  priceFeedService.cache.clear();
+  await new Promise(resolve => setTimeout(resolve, 300));
+};
+
+const run = async () => {
+  console.log('Running price trigger self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  priceFeedService.provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, CHAIN_ID, { staticNetwork: true, batchMaxCount: 1 });
+
+  // TWAP: against a stablecoin directly, otherwise through WETH; stablecoins are $1
+  assert(near(await priceFeedService.getTwapPrice(WETH, String(CHAIN_ID), WINDOW), 3000), 'WETH TWAP not read from the USDC pool');
+  assert(near(await priceFeedService.getTwapPrice(LINK, String(CHAIN_ID), WINDOW), 15), 'LINK TWAP not priced through WETH');
+  assert(await priceFeedService.getTwapPrice(USDC, String(CHAIN_ID), WINDOW) === 1, 'Stablecoin TWAP not $1');
+  assert(await priceFeedService.getTwapPrice('0x0000000000000000000000000000000000000C01', String(CHAIN_ID), WINDOW) === 0, 'Unpriceable token not 0');
+
+  // Conditional orders need a known kind and a positive trigger; minAmountOut 0 sells at market
+  assert(await rejects(place({ orderKind: 'TRAILING' }), 400), 'Unknown order kind accepted');
+  assert(await rejects(place({ triggerPriceUsd: '-5' }), 400), 'Negative trigger accepted');
+  const stopLoss = await place({});
+  assert(stopLoss.orderKind === 'STOP_LOSS' && stopLoss.triggerPriceUsd === '2800', 'Stop-loss not stored');
+
+  // Spot alone (one manipulated block) does not trigger: the TWAP must confirm
+  spot[WETH] = 2700;
+  assert(await limitOrderService.checkOrder(stopLoss) === null && stopLoss.status === 'open', 'Stop-loss triggered on spot alone');
+  assert(stopLoss.lastPriceUsd === 2700 && near(stopLoss.lastTwapPriceUsd, 3000), 'Trigger readings not recorded');
+  spot[WETH] = 3000;
+  await setTwap(WETH_USDC_POOL, 10 ** 12 / 2750);
+  assert(await limitOrderService.checkOrder(stopLoss) === null, 'Stop-loss triggered on the TWAP alone');
+
+  // Both past the threshold: the exit swap is prepared for the maker to sign
+  spot[WETH] = 2700;
+  assert(await limitOrderService.checkOrder(stopLoss) === 'triggered' && stopLoss.populatedTransaction, 'Stop-loss not triggered');
+  const ready = notices.at(-1);
+  assert(ready.title === 'Stop-loss order ready to sign' && ready.metadata.triggerPriceUsd === '2800' && ready.metadata.populatedTransaction, 'Maker not sent the prepared exit');
+  assert(/stop-loss price was reached/.test(ready.message), 'Notification does not name the trigger');
+
+  // Take-profit fires on the way up; a missing TWAP never triggers
+  const takeProfit = await place({ orderKind: 'TAKE_PROFIT', triggerPriceUsd: '3200' });
+  assert(!(await limitOrderService.isTriggerCrossed(takeProfit)), 'Take-profit triggered below its price');
+  spot[WETH] = 3300;
+  await setTwap(WETH_USDC_POOL, 10 ** 12 / 3250);
+  assert(await limitOrderService.isTriggerCrossed(takeProfit), 'Take-profit not triggered above its price');
+  await setTwap(WETH_USDC_POOL, null);
+  assert(!(await limitOrderService.isTriggerCrossed(takeProfit)) && takeProfit.lastTwapPriceUsd === null, 'Triggered without a TWAP');
+  await setTwap(WETH_USDC_POOL, 10 ** 12 / 2750);
+  spot[WETH] = 2700;
+
+  // Custodial exits run within OPERATIONAL_LIMITS
+  const custodial = await place({ executionMode: 'custodial' });
+  OPERATIONAL_LIMITS.EMERGENCY_CONTROLS.PAUSE_SWAPS = true;
+  assert(await limitOrderService.checkOrder(custodial) === 'failed' && /paused/.test(custodial.errorMsg), 'Custodial exit sent while swaps are paused');
+  assert(notices.at(-1).title === 'Stop-loss order failed', 'Failure not notified');
+  OPERATIONAL_LIMITS.EMERGENCY_CONTROLS.PAUSE_SWAPS = false;
+  custodial.set({ status: 'open', errorMsg: null });
+  assert(await limitOrderService.checkOrder(custodial) === 'submitted' && custodial.swapId === 9, 'Custodial exit not sent');
+  assert(sent.length === 1 && sent[0].minOut === '2885.5', `Exit not protected by the quote slippage: ${sent[0]?.minOut}`);
+
+  priceFeedService.provider.destroy();
+  server.close();
+  console.log('Price trigger self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
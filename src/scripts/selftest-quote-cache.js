@@ -0,0 +1,222 @@
+import Quote from '../models/Quote.js';
+import QuoteCache from '../models/QuoteCache.js';
+import QuoteRequest from '../models/QuoteRequest.js';
+import routingEngine from '../services/routingEngine.js';
+import priceFeedService from '../services/priceFeedService.js';
+import quoteService from '../services/quoteService.js';
+import quoteSigner from '../services/quoteSigner.js';
+import quoteStream from '../services/quoteStream.js';
+import config from '../config/env.js';
+
+// Quote cache round trip through quoteService with in-memory models, and the
+// live quote stream's signing and storing. Rows are built and validated by
+// Sequelize before they are kept, so a write the database would reject fails
+// here too. Routing is stubbed to a single V3 pool, the stream's block source
+// to a provider stand-in.
+
+const WETH = '0x7b79995e5f793A07Bc00c21412e50Ecae098E7f9';
+const USDC = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const CHAIN_ID = 11155111;
+const SIGNER_KEY = '0x' + '5a'.repeat(32);
+
+// In-memory stores
+const cache = new Map();
+const quotes = [];
+const requests = [];
+
+QuoteCache.upsert = async (values) => {
+  const row = QuoteCache.build(values);
+  await row.validate();
+  cache.set(values.cacheKey, row);
+  return [row, true];
+};
+QuoteCache.findOne = async ({ where }) => {
+  const row = cache.get(where.cacheKey);
+  return row && row.expiresAt > new Date() ? row : null;
+};
+QuoteCache.prototype.save = async function () { return this; };
+
+Quote.create = async (values) => {
+  const row = Quote.build(values);
+  await row.validate();
+  quotes.push(row);
+  return row;
+};
+QuoteRequest.create = async (values) => { requests.push({ ...values }); return values; };
+QuoteRequest.update = async (values, { where }) => {
+  Object.assign(requests.find(r => r.requestId === where.requestId) || {}, values);
+  return [1];
+};
+
+// Routing: one WETH/USDC 0.05% pool at `price` USDC per WETH, counting route searches and evaluations
+let price = 2500n;
+let searches = 0;
+let evaluations = 0;
+quoteService.provider = {};
+quoteService.getTokenDecimals = async (token) => (token === USDC ? 6 : 18);
+priceFeedService.getTokenPrice = async () => 0;
+routingEngine.getChainId = async () => CHAIN_ID;
+routingEngine.generateRouteCandidates = async (tokenIn, tokenOut) => {
+  searches++;
+  return [routingEngine.candidateFromRoute([{ tokenIn, tokenOut, fee: 500 }])];
+};
+routingEngine.getGasContext = async () => null;
+routingEngine.evaluateRouteSets = async (sets) => sets.map(({ candidates, amount, mode }) => {
+  evaluations++;
+  const usdc = (amount * price) / 10n ** 12n;
+  return [{ ...candidates[0], amountIn: mode === 'EXACT_IN' ? amount : usdc, amountOut: mode === 'EXACT_IN' ? usdc : amount, gasEstimate: 120000n }];
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const run = async () => {
+  console.log('Running quote cache self-test...');
+  const requestInfo = { ipAddress: '127.0.0.1', rateLimitKey: 'ip:127.0.0.1' };
+  const item = { tokenIn: WETH, tokenOut: USDC, amountIn: '1.5', slippagePct: 0.5 };
+
+  // Without a signer key quotes are issued and stored unsigned
+  config.QUOTE_SIGNER_KEY = undefined;
+  const unsigned = await quoteService.generateQuote({ ...item, amountIn: '0.1' }, requestInfo);
+  assert(unsigned.quoteId && unsigned.signedQuote === null, 'Quote signed without a signer key');
+  assert(quotes.at(-1).signature === null, 'Unsigned quote stored with a signature');
+  assert(!quoteSigner.verify({ message: {}, signature: '0x' }).valid, 'Verification passed without a signer key');
+  config.QUOTE_SIGNER_KEY = SIGNER_KEY;
+  quotes.length = 0;
+  cache.clear();
+  searches = 0;
+  evaluations = 0;
+
+  // First batch quotes the item and caches it under the request, with the route's fee tier
+  const [first] = await quoteService.generateBatchQuotes([item], requestInfo);
+  assert(first.success, `First batch failed: ${first.error}`);
+  assert(first.quote.fromCache === false && first.quote.amountOut === '3750.0', `Unexpected first quote ${JSON.stringify(first.quote)}`);
+  assert(cache.size === 1, 'Quote was not cached');
+  const [row] = cache.values();
+  assert(row.fee === 500, `Cached fee ${row.fee}, expected the route's 500`);
+  assert(quotes.length === 1 && quotes[0].fee === 500, 'Stored quote fee wrong');
+
+  // The same item again is answered from the cache without a route search, the cached route re-quoted
+  const [again] = await quoteService.generateBatchQuotes([item], requestInfo);
+  assert(again.success && again.quote.fromCache === true, `Repeated batch item not served from cache: ${JSON.stringify(again)}`);
+  assert(searches === 1 && evaluations === 2, `Route searched ${searches} times, evaluated ${evaluations} times`);
+  assert(requests.at(-1).cacheHit === true, 'Cache hit not logged');
+
+  // A hit is a firm quote of its own: quotes are single-use, so it gets a new quoteId and signature
+  assert(again.quote.quoteId && again.quote.quoteId !== first.quote.quoteId, 'Cache hit reused or lacks a quoteId');
+  assert(quoteSigner.verify(again.quote.signedQuote).valid, 'Cache hit signed quote does not verify');
+  assert(again.quote.signedQuote.message.quoteId === again.quote.quoteId, 'Signed quote is for another quoteId');
+  assert(again.quote.signedQuote.message.amountOut === first.quote.signedQuote.message.amountOut, 'Cache hit re-signed other amounts');
+  assert(again.quote.signedQuote.message.routeHash === first.quote.signedQuote.message.routeHash, 'Cache hit re-signed another route');
+  assert(quotes.length === 2 && quotes[1].quoteId === again.quote.quoteId, 'Cache hit quote not stored');
+  assert(requests.at(-1).quoteId === again.quote.quoteId, 'Cache hit logged without its quoteId');
+  assert(cache.size === 1 && [...cache.values()][0] === row, 'Cache hit rewrote the cache entry');
+
+  // A hit signs what the cached route pays now, never the cached amounts
+  price = 2400n;
+  const moved = await quoteService.generateQuote(item, requestInfo);
+  assert(moved.fromCache === true && moved.amountOut === '3600.0', `Cache hit issued stale amounts: ${moved.amountOut}`);
+  assert(quoteSigner.verify(moved.signedQuote).valid && moved.signedQuote.message.amountOut === '3600000000', 'Cache hit signed stale amounts');
+  assert(searches === 1, 'Cache hit searched for a route');
+  price = 2500n;
+
+  // Another slippage or amount is a different quote
+  const [looser] = await quoteService.generateBatchQuotes([{ ...item, slippagePct: 1 }], requestInfo);
+  assert(looser.success && looser.quote.fromCache === false, 'Quote with another slippage served from cache');
+  const single = await quoteService.generateQuote({ ...item, amountIn: '2' }, requestInfo);
+  assert(single.fromCache === false && searches === 3, 'Quote for another amount served from cache');
+
+  // EXACT_OUT is keyed by the desired output, so it hits too
+  const exactOut = { tokenIn: USDC, tokenOut: WETH, amountIn: '1', mode: 'EXACT_OUT' };
+  await quoteService.generateBatchQuotes([exactOut], requestInfo);
+  const [outAgain] = await quoteService.generateBatchQuotes([exactOut], requestInfo);
+  assert(outAgain.success && outAgain.quote.fromCache === true, 'Repeated EXACT_OUT item not served from cache');
+  assert(outAgain.quote.amountIn === '2500.0' && quoteSigner.verify(outAgain.quote.signedQuote).valid, 'EXACT_OUT cache hit re-issued wrong');
+
+  // Live quotes: a stream re-quoted on quiet blocks signs and stores nothing new
+  let livePrice = 2500n;
+  routingEngine.findBestRoute = async ({ tokenIn, tokenOut, amount }) => ({
+    ...routingEngine.candidateFromRoute([{ tokenIn, tokenOut, fee: 500 }]),
+    amountIn: amount,
+    amountOut: (amount * livePrice) / 10n ** 12n,
+    gasEstimate: 120000n
+  });
+  const events = [];
+  const res = { set() {}, flushHeaders() {}, write: (chunk) => events.push(chunk.split('\n')[0].slice(7)), end() {} };
+  const req = { on() {} };
+  quoteStream.startListening = async () => {};
+  const stored = quotes.length;
+  const cached = cache.size;
+  await quoteStream.open(req, res, quoteService.normalizeQuoteParams(item), requestInfo);
+  const [sub] = quoteStream.subscriptions.values();
+  const firstLive = sub.quote;
+  assert(events.length === 1 && firstLive.quoteId && quotes.length === stored + 1, 'First live quote not issued');
+  assert(requests.at(-1).quoteId === firstLive.quoteId, 'Stream did not log its first quote');
+
+  await quoteStream.requote(sub, 2);
+  await quoteStream.requote(sub, 3);
+  assert(sub.quote === firstLive && events.length === 1 && quotes.length === stored + 1, 'Unchanged live quote re-signed or re-sent');
+
+  livePrice = 2501n;
+  await quoteStream.requote(sub, 4);
+  assert(sub.quote.quoteId !== firstLive.quoteId && sub.quote.amountOut === '3751.5', 'Moved amount not re-issued');
+  assert(events.length === 2 && quotes.length === stored + 2, 'Moved live quote not sent and stored');
+
+  // Past half its lifetime the same quote is renewed before it can lapse
+  sub.quote.expiresAt = Math.floor(Date.now() / 1000) + sub.request.ttlSec / 2 - 1;
+  await quoteStream.requote(sub, 5);
+  assert(events.length === 3 && quotes.length === stored + 3 && sub.quote.amountOut === '3751.5', 'Aging live quote not renewed');
+  assert(cache.size === cached, 'Live quotes written to the quote cache');
+  quoteStream.end(sub, 'test');
+
+  // Streams opening together share one block listener and one ticker
+  delete quoteStream.startListening;
+  const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const attached = [];
+  routingEngine.ensureProvider = () => pause(10);
+  routingEngine.provider = {
+    on: async (event, fn) => {
+      await pause(10);
+      attached.push(fn);
+    },
+    off: (event, fn) => attached.splice(attached.indexOf(fn), 1)
+  };
+  const stream = () => {
+    const opened = { id: quoteStream.nextId++, closed: false };
+    quoteStream.subscriptions.set(opened.id, opened);
+    return opened;
+  };
+  const [a, b] = [stream(), stream()];
+  await Promise.all([quoteStream.startListening(), quoteStream.startListening()]);
+  assert(attached.length === 1 && quoteStream.ticker !== null, `Concurrent opens attached ${attached.length} block listeners`);
+  quoteStream.close(a);
+  quoteStream.close(b);
+  assert(attached.length === 0 && quoteStream.ticker === null, 'Block listener or ticker left behind');
+
+  // The only stream closing while the provider is still being set up leaves nothing running
+  const early = stream();
+  let attaching = quoteStream.startListening();
+  await pause(5);
+  quoteStream.close(early);
+  await attaching;
+  assert(attached.length === 0 && quoteStream.listener === null && quoteStream.ticker === null, 'Listener or ticker started with no streams');
+
+  // A stream opening as the last one closes mid-attach still ends up listening
+  const closing = stream();
+  attaching = quoteStream.startListening();
+  await pause(15);
+  quoteStream.close(closing);
+  const late = stream();
+  await Promise.all([attaching, quoteStream.startListening()]);
+  assert(attached.length === 1 && quoteStream.listener === attached[0] && quoteStream.ticker !== null, 'Stream opened mid-teardown left without a listener');
+  quoteStream.close(late);
+  assert(attached.length === 0 && quoteStream.ticker === null, 'Listener left behind after the last stream closed');
+
+  console.log('Quote cache self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+import { ethers } from 'ethers';
+import Quote from '../models/Quote.js';
+import quoteService, { QuoteUnavailableError } from '../services/quoteService.js';
+import routingEngine, { QUOTER_ABI } from '../services/routingEngine.js';
+
+// Populating from a stored quoteId: only active, unexpired quotes load, the
+// stored route is re-quoted (offchain, through a quoteLocally stand-in) and
+// rejected once it has moved against the user past the tolerance, the quote
+// is claimed by one populate at a time (and handed back if populate fails),
+// and it is linked to the population it was executed through.
+
+const CHAIN_ID = 11155111;
+const WETH = '0x1111111111111111111111111111111111111111';
+const USDC = '0x2222222222222222222222222222222222222222';
+const DAI = '0x3333333333333333333333333333333333333333';
+
+// Current market: 3000 USDC per WETH on the 500 pool, 2990 on the 3000 pool
+const market = { 500: 3000n, 3000: 2990n };
+const quoted = [];
+routingEngine.quoteLocally = (candidate, amount, mode) => {
+  quoted.push(candidate.route.map(hop => hop.fee).join('/'));
+  const price = market[candidate.route[0].fee] * 10n ** 6n;
+  return mode === 'EXACT_IN' ? (BigInt(amount) * price) / 10n ** 18n : (BigInt(amount) * 10n ** 18n) / price;
+};
+routingEngine.getGasContext = async () => null;
+routingEngine.generateRouteCandidates = async () => {
+  throw new Error('Stored quotes must not search for a new route');
+};
+
+// Quote table in memory; save() records the row's state
+const rows = new Map();
+const saved = [];
+Quote.findOne = async ({ where }) => rows.get(where.quoteId) || null;
+// Conditional UPDATE: only rows still matching every where field change
+Quote.update = async (fields, { where }) => {
+  const matching = [...rows.values()].filter(row => Object.entries(where).every(([key, value]) => (row[key] ?? null) === value));
+  matching.forEach(row => Object.assign(row, fields));
+  return [matching.length];
+};
+Quote.prototype.save = async function () {
+  saved.push({ quoteId: this.quoteId, status: this.status, swapId: this.swapId });
+  return this;
+};
+const store = (quoteId, fields) => {
+  const row = Quote.build({
+    id: rows.size + 1,
+    quoteId,
+    chainId: String(CHAIN_ID),
+    tokenIn: WETH,
+    tokenOut: USDC,
+    amountIn: '1.0',
+    amountOut: '3000.0',
+    amountOutMinimum: '2985.0',
+    mode: 'EXACT_IN',
+    fee: 500,
+    route: [{ tokenIn: WETH, tokenOut: USDC, fee: 500 }],
+    status: 'active',
+    expiresAt: new Date(Date.now() + 60000),
+    ...fields
+  });
+  rows.set(quoteId, row);
+  return row;
+};
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const rejects = async (promise, status) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error instanceof QuoteUnavailableError && error.status === status;
+  }
+  return false;
+};
+
+const run = async () => {
+  console.log('Running quote populate self-test...');
+  routingEngine.provider = new ethers.JsonRpcProvider('http://127.0.0.1:9', CHAIN_ID, { staticNetwork: true });
+  routingEngine.quoter = new ethers.Contract(ethers.ZeroAddress, QUOTER_ABI, routingEngine.provider);
+  routingEngine.chainId = String(CHAIN_ID);
+  routingEngine.quoteMode = 'offchain';
+  const decimals = { decimalsIn: 18, decimalsOut: 6 };
+
+  // Only active, unexpired quotes can be executed
+  const active = store('q_active', {});
+  assert(await quoteService.getExecutableQuote('q_active') === active, 'Active quote not loaded');
+  assert(await rejects(quoteService.getExecutableQuote('q_missing'), 404), 'Unknown quote not a 404');
+  store('q_used', { status: 'used' });
+  assert(await rejects(quoteService.getExecutableQuote('q_used'), 409), 'Used quote not a 409');
+  const stale = store('q_stale', { expiresAt: new Date(Date.now() - 1000) });
+  assert(await rejects(quoteService.getExecutableQuote('q_stale'), 410), 'Expired quote not a 410');
+  assert(stale.status === 'expired' && saved.at(-1).quoteId === 'q_stale', 'Expired quote not marked expired');
+
+  // The stored route is re-quoted as is, not searched for again
+  let verified = await quoteService.reverifyQuote(active, decimals);
+  assert(quoted.at(-1) === '500' && verified.routeInfo.route[0].fee === 500, 'Stored route not re-quoted');
+  assert(verified.amountIn === 10n ** 18n && verified.freshAmount === 3000n * 10n ** 6n && verified.driftBps === 0, 'Unchanged quote reported drift');
+
+  // Within the tolerance (50 bps by default) the quote stands; past it the quote is refused
+  market[500] = 2990n;
+  verified = await quoteService.reverifyQuote(active, decimals);
+  assert(verified.driftBps === 33, `Expected 33 bps drift, got ${verified.driftBps}`);
+  market[500] = 2980n;
+  assert(await rejects(quoteService.reverifyQuote(active, decimals), 409), 'Drift past the tolerance accepted');
+  assert(!(await rejects(quoteService.reverifyQuote(active, { ...decimals, toleranceBps: 100 }), 409)), 'Explicit tolerance ignored');
+  // Moving in the user's favour is never drift
+  market[500] = 3100n;
+  assert((await quoteService.reverifyQuote(active, decimals)).driftBps < 0, 'Better price counted as drift');
+
+  // EXACT_OUT re-quotes the input: paying more is drift
+  const exactOut = store('q_out', { mode: 'EXACT_OUT', amountIn: '1.0', amountOut: '3000.0' });
+  market[500] = 3000n;
+  assert((await quoteService.reverifyQuote(exactOut, decimals)).freshAmount === 10n ** 18n, 'EXACT_OUT input not re-quoted');
+  market[500] = 2950n;
+  assert(await rejects(quoteService.reverifyQuote(exactOut, decimals), 409), 'EXACT_OUT drift past the tolerance accepted');
+
+  // A split quote re-quotes each leg at its stored size
+  market[500] = 3000n;
+  const split = store('q_split', {
+    route: {
+      legs: [
+        { percent: 60, amountIn: '0.6', route: [{ tokenIn: WETH, tokenOut: USDC, fee: 500 }] },
+        { percent: 40, amountIn: '0.4', route: [{ tokenIn: WETH, tokenOut: DAI, fee: 3000 }, { tokenIn: DAI, tokenOut: USDC, fee: 100 }] }
+      ]
+    },
+    amountOut: '2996.0'
+  });
+  verified = await quoteService.reverifyQuote(split, decimals);
+  assert(verified.routeInfo.kind === 'split' && verified.routeInfo.legs.map(leg => leg.percent).join() === '60,40', 'Split legs not kept');
+  assert(verified.routeInfo.amountOut === 1800n * 10n ** 6n + 1196n * 10n ** 6n && verified.driftBps === 0, 'Split not re-quoted per leg');
+
+  // Of two concurrent populates only the first claim wins; a failed populate hands the quote back
+  const contested = store('q_contested', {});
+  const [first, second] = await Promise.all([quoteService.getExecutableQuote('q_contested'), quoteService.getExecutableQuote('q_contested')]);
+  const claims = await Promise.allSettled([quoteService.claimQuote(first), quoteService.claimQuote(second)]);
+  assert(claims[0].status === 'fulfilled' && contested.status === 'used', 'First claim did not take the quote');
+  assert(claims[1].status === 'rejected' && claims[1].reason instanceof QuoteUnavailableError && claims[1].reason.status === 409, 'Second claim not refused');
+  await quoteService.releaseQuote(first);
+  assert(contested.status === 'active' && contested.usedAt === null, 'Failed populate did not release the quote');
+  await quoteService.claimQuote(contested);
+  assert(await rejects(quoteService.getExecutableQuote('q_contested'), 409), 'Claimed quote executable again');
+
+  // Executing links the quote to its population and retires it
+  await quoteService.claimQuote(active);
+  await active.markAsUsed(42);
+  await quoteService.releaseQuote(active);
+  assert(active.status === 'used', 'Quote released after it was linked to a population');
+  assert(saved.at(-1).status === 'used' && saved.at(-1).swapId === 42, 'Quote not linked to the population');
+  assert(await rejects(quoteService.getExecutableQuote('q_active'), 409), 'Used quote executable again');
+
+  routingEngine.provider.destroy();
+  console.log('Quote populate self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
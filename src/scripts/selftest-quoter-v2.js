@@ -0,0 +1,139 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import routingEngine, { QUOTER_ABI, QUOTER_V2_ABI } from '../services/routingEngine.js';
+import { getUniswapAddresses, MULTICALL3_ADDRESS } from '../config/chains.js';
+import { MULTICALL3_ABI } from '../services/multicallQuoter.js';
+
+// Local JSON-RPC stand-in for a QuoterV2 (or V1) deployment: bytecode for
+// version detection, and quotes (direct or through Multicall3) that carry
+// the post-swap prices, initialized ticks crossed and a gas estimate.
+
+const CHAIN_ID = 11155111;
+const QUOTER = getUniswapAddresses(CHAIN_ID).quoter;
+const TOKEN_A = '0x1111111111111111111111111111111111111111';
+const TOKEN_B = '0x2222222222222222222222222222222222222222';
+const ANCHOR = '0x3333333333333333333333333333333333333333';
+const V2_SELECTOR = ethers.id('quoteExactInputSingle((address,address,uint256,uint24,uint160))').slice(2, 10);
+
+const v1Iface = new ethers.Interface(QUOTER_ABI);
+const v2Iface = new ethers.Interface(QUOTER_V2_ABI);
+const multicallIface = new ethers.Interface(MULTICALL3_ABI);
+
+const state = { version: 2, code: `0x6080604052${'63' + V2_SELECTOR}14`, getCode: 0 };
+
+// Single hop: x2 with fee/500 ticks crossed and 90k + fee gas; multi-hop: x3, one tick per hop, 200k gas
+const quote = (callData) => {
+  if (state.version === 1) {
+    const tx = v1Iface.parseTransaction({ data: callData });
+    const amount = tx.name === 'quoteExactInputSingle' ? tx.args[3] : tx.args[1];
+    return v1Iface.encodeFunctionResult(tx.name, [amount * (tx.name === 'quoteExactInputSingle' ? 2n : 3n)]);
+  }
+  const tx = v2Iface.parseTransaction({ data: callData });
+  if (tx.name === 'quoteExactInputSingle') {
+    const [params] = tx.args;
+    return v2Iface.encodeFunctionResult(tx.name, [params.amountIn * 2n, 79228162514264337593543950336n, Number(params.fee) / 500, 90000n + params.fee]);
+  }
+  if (tx.name === 'quoteExactOutputSingle') {
+    const [params] = tx.args;
+    return v2Iface.encodeFunctionResult(tx.name, [params.amount / 2n, 79228162514264337593543950336n, 1, 95000n]);
+  }
+  return v2Iface.encodeFunctionResult(tx.name, [tx.args[1] * 3n, [1n, 2n], [1, 2], 200000n]);
+};
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  switch (msg.method) {
+    case 'eth_chainId': return reply(ethers.toQuantity(CHAIN_ID));
+    case 'eth_blockNumber': return reply('0x1');
+    case 'eth_getCode':
+      state.getCode++;
+      return reply(state.code);
+    case 'eth_call': {
+      const { to, data } = msg.params[0];
+      if (to.toLowerCase() === MULTICALL3_ADDRESS.toLowerCase()) {
+        const [calls] = multicallIface.decodeFunctionData('aggregate3', data);
+        const out = calls.map(c => ({ success: true, returnData: quote(c.callData) }));
+        return reply(multicallIface.encodeFunctionResult('aggregate3', [out]));
+      }
+      return reply(quote(data));
+    }
+    default: return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const run = async () => {
+  console.log('Running QuoterV2 self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, CHAIN_ID, { staticNetwork: true, batchMaxCount: 1 });
+  routingEngine.provider = provider;
+  routingEngine.chainId = String(CHAIN_ID);
+  routingEngine.quoteMode = 'onchain';
+
+  // Version detection: bytecode sniffing (cached per chain), or the chain config's pin
+  assert(await routingEngine.detectQuoterVersion(CHAIN_ID, getUniswapAddresses(CHAIN_ID)) === 2, 'QuoterV2 bytecode not detected');
+  assert(await routingEngine.detectQuoterVersion(CHAIN_ID, getUniswapAddresses(CHAIN_ID)) === 2 && state.getCode === 1, 'Detected version not cached');
+  routingEngine.quoterVersions.clear();
+  state.code = '0x6080604052';
+  // ethers reuses an identical request's answer for 250ms
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert(await routingEngine.detectQuoterVersion(CHAIN_ID, getUniswapAddresses(CHAIN_ID)) === 1, 'V1 bytecode not treated as V1');
+  assert(await routingEngine.detectQuoterVersion(8453, getUniswapAddresses(8453)) === 2 && state.getCode === 2, 'Pinned quoterVersion not used');
+
+  const single = (fee) => routingEngine.candidateFromRoute([{ tokenIn: TOKEN_A, tokenOut: TOKEN_B, fee }]);
+  const multi = routingEngine.candidateFromRoute([
+    { tokenIn: TOKEN_A, tokenOut: ANCHOR, fee: 500 },
+    { tokenIn: ANCHOR, tokenOut: TOKEN_B, fee: 500 }
+  ]);
+  const candidates = [single(500), single(3000), multi];
+
+  // QuoterV2 takes a struct for single hops; EXACT_OUT names the amount `amount`
+  routingEngine.quoterVersion = 2;
+  routingEngine.quoter = new ethers.Contract(QUOTER, QUOTER_V2_ABI, provider);
+  const exactIn = routingEngine.buildQuoteCall(single(500), 1000n, 'EXACT_IN');
+  assert(exactIn.args.length === 1 && exactIn.args[0].amountIn === 1000n, 'V2 EXACT_IN params not a struct with amountIn');
+  const exactOut = routingEngine.buildQuoteCall(single(500), 1000n, 'EXACT_OUT');
+  assert(exactOut.method === 'quoteExactOutputSingle' && exactOut.args[0].amount === 1000n, 'V2 EXACT_OUT params not a struct with amount');
+
+  // Evaluations carry the Quoter's gas estimate, ticks crossed and post-swap prices
+  let evals = await routingEngine.evaluateRoutes(candidates, 1000n);
+  assert(evals.length === 3 && evals[0].hops === 2 && evals[0].amountOut === 3000n, 'Multi-hop V2 quote should rank first');
+  const byFee = (list, fee) => list.find(e => e.hops === 1 && e.route[0].fee === fee);
+  assert(evals.every(e => e.gasEstimateSource === 'quoter'), 'Quoter gas estimates not used');
+  assert(byFee(evals, 3000).gasEstimate === 93000n && byFee(evals, 3000).initializedTicksCrossed === 6, 'Single-hop gas or ticks wrong');
+  assert(evals[0].gasEstimate === 200000n && evals[0].initializedTicksCrossed === 3, 'Multi-hop ticks not summed');
+  assert(evals[0].sqrtPriceX96After.join() === '1,2' && byFee(evals, 500).sqrtPriceX96After.length === 1, 'Post-swap prices not kept per hop');
+  assert(await routingEngine.quoteCandidate(single(500), 1000n, 'EXACT_OUT') === 500n, 'Direct V2 quote wrong');
+
+  // V1 answers only the amount: gas comes from the hop/tick model
+  state.version = 1;
+  routingEngine.quoterVersion = 1;
+  routingEngine.quoter = new ethers.Contract(QUOTER, QUOTER_ABI, provider);
+  evals = await routingEngine.evaluateRoutes(candidates, 1000n);
+  assert(evals.length === 3 && evals.every(e => e.gasEstimateSource === 'model'), 'V1 quotes not priced by the gas model');
+  assert(evals[0].gasEstimate === routingEngine.estimateRouteGas(multi), 'V1 gas model wrong');
+  assert(evals.every(e => e.initializedTicksCrossed === null && e.sqrtPriceX96After === null), 'V1 quotes report V2-only fields');
+
+  provider.destroy();
+  server.close();
+  console.log('QuoterV2 self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,196 @@
+import { ethers } from 'ethers';
+import RecurringOrder from '../models/RecurringOrder.js';
+import Notification from '../models/Notification.js';
+import recurringOrderService, { RECURRING_ORDER_TYPES, ORDER_ACTION_TYPES, RecurringOrderError } from '../services/recurringOrderService.js';
+import routingEngine from '../services/routingEngine.js';
+import quoteService from '../services/quoteService.js';
+import swapPopulator from '../services/swapPopulator.js';
+import swapDatabaseService from '../services/swapDatabase.js';
+import custodialExecutor from '../services/custodialExecutor.js';
+
+// Signed DCA/TWAP orders over an in-memory RecurringOrder table: TWAP
+// planning, the maxPrice floor, the runner's interval grid, slice accounting
+// across skipped, failed and settled slices, completion, and the maker's
+// signed pause/resume/cancel with its replay nonce. Routing, funding checks,
+// population, sends and settlement are stubs.
+
+const CHAIN_ID = 11155111;
+const WETH = ethers.getAddress(process.env.WETH_ADDRESS);
+const USDC = ethers.getAddress(process.env.USDC_ADDRESS);
+const maker = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+const domain = recurringOrderService.getDomain(CHAIN_ID);
+
+routingEngine.provider = {};
+routingEngine.quoter = {};
+routingEngine.chainId = String(CHAIN_ID);
+swapDatabaseService.isFeatureEnabled = async () => true;
+quoteService.getTokenDecimals = async (token) => (token.toLowerCase() === USDC.toLowerCase() ? 6 : 18);
+
+// 1 WETH pays `market` USDC on the 500 pool; each stage can be made to throw
+let market = 3000n * 10n ** 6n;
+const faults = { blocker: null, populate: null, send: null };
+routingEngine.findBestRoute = async ({ amount }) => ({ route: [{ tokenIn: WETH, tokenOut: USDC, fee: 500 }], amountOut: (BigInt(amount) * market) / 10n ** 18n });
+custodialExecutor.getBlocker = async () => {
+  if (faults.blocker) throw faults.blocker;
+  return null;
+};
+swapPopulator.populate = async ({ amountOutMinimum }) => {
+  if (faults.populate) throw faults.populate;
+  return { populatedTransaction: { to: ethers.ZeroAddress, data: ethers.toBeHex(amountOutMinimum, 32), value: '0' } };
+};
+const sent = [];
+custodialExecutor.send = async (populatedTransaction, requestId, swapData) => {
+  if (faults.send) return { swap: null, txHash: null, error: faults.send };
+  sent.push(swapData);
+  return { swap: { id: ethers.id(requestId).slice(0, 34) }, txHash: ethers.id(requestId), error: null };
+};
+let settled = null;
+custodialExecutor.settle = async () => settled;
+
+// RecurringOrder table and notifications in memory
+const rows = [];
+const notices = [];
+RecurringOrder.findOne = async ({ where }) => rows.find(row => row.orderHash === where.orderHash) || null;
+RecurringOrder.create = async (fields) => {
+  const row = RecurringOrder.build(fields);
+  rows.push(row);
+  return row;
+};
+RecurringOrder.prototype.update = async function (values) {
+  this.set(values);
+  return this;
+};
+Notification.create = async (notice) => notices.push(notice);
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const rejects = async (promise, status, pattern = /./) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error instanceof RecurringOrderError && error.status === status && pattern.test(error.message);
+  }
+  return false;
+};
+
+const makeOrder = (fields = {}) => ({
+  maker: maker.address,
+  orderType: 'DCA',
+  tokenIn: WETH,
+  tokenOut: USDC,
+  recipient: maker.address,
+  sliceAmountIn: String(10n ** 18n),
+  totalSlices: '3',
+  intervalSec: '60',
+  startAt: String(Math.floor(Date.now() / 1000)),
+  maxPrice: '',
+  nonce: '1',
+  ...fields
+});
+const signOrder = (order, wallet = maker) => wallet.signTypedData(domain, RECURRING_ORDER_TYPES, order);
+const signAction = (orderHash, action, actionNonce, wallet = maker) => wallet.signTypedData(domain, ORDER_ACTION_TYPES, { orderHash, action, actionNonce });
+const near = (date, ms) => Math.abs(date.getTime() - ms) < 1000;
+
+const run = async () => {
+  console.log('Running recurring order self-test...');
+
+  // TWAP plans split the total into equal slices over the duration; the remainder is reported
+  const plan = recurringOrderService.planTwap({ totalAmountIn: String(10n ** 18n + 7n), durationSec: 3600, slices: 4 });
+  assert(plan.sliceAmountIn === '250000000000000001' && plan.remainder === '3', 'TWAP slices do not add up to the total');
+  assert(plan.totalSlices === 4 && plan.intervalSec === 1200, 'TWAP slices not spread over the duration');
+  assert(await rejects((async () => recurringOrderService.planTwap({ totalAmountIn: '100', durationSec: 3600, slices: 1 }))(), 400), 'Single-slice TWAP planned');
+  assert(await rejects((async () => recurringOrderService.planTwap({ totalAmountIn: '100', durationSec: 100, slices: 4 }))(), 400, /apart/), 'TWAP slices planned under the minimum interval');
+
+  // maxPrice (tokenIn per tokenOut) becomes the least output a slice must return, rounded up
+  assert(recurringOrderService.minOutForMaxPrice(10n ** 18n, '0.0005', 18, 6) === 2000n * 10n ** 6n, 'Exact maxPrice floor miscomputed');
+  assert(recurringOrderService.minOutForMaxPrice(10n ** 18n, '0.0003', 18, 6) === 3333333334n, 'maxPrice floor rounded down');
+
+  // Only the maker's signature places an order, once
+  const order = makeOrder({ maxPrice: '0.0003' });
+  assert(await rejects(recurringOrderService.createOrder(order, await signOrder(order, stranger)), 400, /not signed by the maker/), 'Order signed by someone else accepted');
+  const dca = await recurringOrderService.createOrder(order, await signOrder(order));
+  assert(dca.orderHash === ethers.TypedDataEncoder.hash(domain, RECURRING_ORDER_TYPES, order) && dca.status === 'active', 'Order not stored under its EIP-712 hash');
+  assert(dca.minSliceAmountOut === '3333333334', 'maxPrice not stored as the slice floor');
+  assert(await rejects(recurringOrderService.createOrder(order, await signOrder(order)), 409), 'Duplicate order accepted');
+
+  // Schedule keeps to the interval grid, but a runner that fell behind does not catch up in a burst
+  const now = Date.now();
+  dca.nextRunAt = new Date(now - 10 * 1000);
+  assert(near(recurringOrderService.schedule(dca).nextRunAt, now + 50 * 1000), 'Next run left the interval grid');
+  dca.nextRunAt = new Date(now - 10 * 60 * 1000);
+  assert(near(recurringOrderService.schedule(dca).nextRunAt, now + 60 * 1000), 'Runner behind schedule caught up in a burst');
+  dca.nextRunAt = new Date(now);
+
+  // A slice priced above maxPrice is skipped and the order moves on
+  market = 3000n * 10n ** 6n;
+  assert(await recurringOrderService.runSlice(dca) === 'skipped' && dca.slicesSkipped === 1 && /maxPrice/.test(dca.lastError), 'Slice above maxPrice not skipped');
+  assert(near(dca.nextRunAt, now + 60 * 1000) && dca.slicesRun() === 1, 'Skipped slice not accounted for');
+
+  // At the price the slice is sent at the floor, counted while in flight, then settled
+  market = 3400n * 10n ** 6n;
+  assert(await recurringOrderService.runSlice(dca) === 'sent' && dca.pendingTxHash && dca.slicesRun() === 2, 'Slice not sent');
+  assert(sent.at(-1).minOut === '3383.0' && sent.at(-1).metadata.slice === 2, 'Slice not protected by its slippage minimum');
+  assert(await recurringOrderService.settleSlice(dca) === null && dca.slicesRun() === 2, 'Pending slice settled');
+  settled = { success: true, amountOut: 3400n * 10n ** 6n };
+  assert(await recurringOrderService.settleSlice(dca) === 'filled' && !dca.pendingTxHash, 'Slice not settled');
+  assert(dca.slicesFilled === 1 && dca.slicesRun() === 2 && dca.amountOutReceived === String(3400n * 10n ** 6n), 'Fill not accounted for');
+  assert(await recurringOrderService.completeIfDone(dca) === false, 'Order completed with slices left');
+
+  // A funding check that throws fails the last slice instead of stranding it; then the order completes
+  faults.blocker = new Error('balance lookup failed');
+  assert(await recurringOrderService.runSlice(dca) === 'failed' && dca.slicesFailed === 1 && dca.consecutiveFailures === 1, 'Throwing funding check not counted as a failed slice');
+  assert(dca.lastError === 'balance lookup failed' && dca.nextRunAt === null && dca.slicesRun() === 3, 'Last failed slice left scheduled');
+  faults.blocker = null;
+  assert(await recurringOrderService.completeIfDone(dca) === true && dca.status === 'completed' && dca.closedAt, 'Finished order not completed');
+  assert(notices.at(-1).title === 'DCA order completed' && notices.at(-1).severity === 'success', 'Maker not told the order completed');
+
+  // Population and send failures are rescheduled; enough in a row fail the order
+  const twap = makeOrder({ orderType: 'TWAP', nonce: '2', sliceAmountIn: plan.sliceAmountIn, totalSlices: '4', intervalSec: '1200' });
+  const timed = await recurringOrderService.createOrder(twap, await signOrder(twap));
+  const first = timed.nextRunAt.getTime();
+  faults.populate = new Error('populate failed');
+  assert(await recurringOrderService.runSlice(timed) === 'failed' && timed.slicesFailed === 1, 'Throwing population not counted as a failed slice');
+  assert(timed.nextRunAt.getTime() === first + 1200 * 1000 && timed.lastRunAt, 'Failed population left the slice due');
+  faults.populate = null;
+  faults.send = { shortMessage: 'nonce too low' };
+  assert(await recurringOrderService.runSlice(timed) === 'failed' && timed.consecutiveFailures === 2 && timed.lastError === 'nonce too low', 'Failed send not counted');
+  faults.send = null;
+  assert(await recurringOrderService.runSlice(timed) === 'sent', 'Slice not sent after failures');
+  settled = { success: false };
+  assert(await recurringOrderService.settleSlice(timed) === 'reverted' && timed.status === 'failed' && timed.nextRunAt === null, 'Order not failed after three failures in a row');
+  assert(timed.slicesFailed === 3 && timed.slicesRun() === 3 && await recurringOrderService.completeIfDone(timed) === false, 'Failed order completed');
+
+  // Pause, resume and cancel are signed by the maker over the current actionNonce
+  const third = makeOrder({ nonce: '3' });
+  const paused = await recurringOrderService.createOrder(third, await signOrder(third));
+  const hash = paused.orderHash;
+  const pauseSig = await signAction(hash, 'pause', 0);
+  assert(await rejects(recurringOrderService.applyAction(hash, 'stop', pauseSig, 0), 400), 'Unknown action accepted');
+  assert(await rejects(recurringOrderService.applyAction(hash, 'pause', await signAction(hash, 'pause', 0, stranger), 0), 403), 'Pause by someone else accepted');
+  assert(await rejects(recurringOrderService.applyAction(hash, 'pause', await signAction(hash, 'cancel', 0), 0), 403), 'Signature over another action accepted');
+  assert(await rejects(recurringOrderService.applyAction(hash, 'resume', await signAction(hash, 'resume', 0), 0), 409), 'Active order resumed');
+  await recurringOrderService.applyAction(hash, 'pause', pauseSig, 0);
+  assert(paused.status === 'paused' && paused.actionNonce === 1, 'Order not paused');
+  assert(await rejects(recurringOrderService.applyAction(hash, 'resume', await signAction(hash, 'resume', 0), 0), 409, /Stale/), 'Resume over a spent actionNonce accepted');
+  await recurringOrderService.applyAction(hash, 'resume', await signAction(hash, 'resume', 1), 1);
+  assert(paused.status === 'active' && paused.actionNonce === 2 && near(paused.nextRunAt, Date.now()), 'Order not resumed');
+  assert(await rejects(recurringOrderService.applyAction(hash, 'pause', pauseSig, 0), 409, /Stale/), 'Replayed pause accepted');
+
+  // A cancelled order still settles the slice it had in flight, and is not completed
+  assert(await recurringOrderService.runSlice(paused) === 'sent', 'Slice not sent');
+  await recurringOrderService.applyAction(hash, 'cancel', await signAction(hash, 'cancel', 2), 2);
+  assert(paused.status === 'cancelled' && paused.nextRunAt === null && paused.actionNonce === 3, 'Order not cancelled');
+  assert(await rejects(recurringOrderService.applyAction(hash, 'cancel', await signAction(hash, 'cancel', 3), 3), 409), 'Cancelled order cancelled again');
+  settled = { success: true, amountOut: 3400n * 10n ** 6n };
+  assert(await recurringOrderService.settleSlice(paused) === 'filled' && paused.slicesFilled === 1, 'Cancelled order dropped its slice in flight');
+  assert(await recurringOrderService.completeIfDone(paused) === false && paused.status === 'cancelled', 'Cancelled order completed');
+
+  console.log('Recurring order self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
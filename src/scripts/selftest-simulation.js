@@ -0,0 +1,125 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import swapSimulator from '../services/swapSimulator.js';
+
+// Local JSON-RPC stand-in for the swap preflight: an ERC20 answering
+// balanceOf/allowance from `state` and a router whose eth_call reverts with
+// whatever `state.revert` holds. Every eth_call must carry the pinned block.
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const ROUTER = '0xE592427A0AEce92De3Edee1F18E0157C05861564';
+const USER = '0x2222222222222222222222222222222222222222';
+const BLOCK = 0x1234;
+
+const erc20 = new ethers.Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)'
+]);
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const errorString = (reason) => '0x08c379a0' + coder.encode(['string'], [reason]).slice(2);
+const panic = (code) => '0x4e487b71' + coder.encode(['uint256'], [code]).slice(2);
+
+const state = { balance: 1000n, allowance: 1000n, revert: null, blockTags: [], routerFrom: null };
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  switch (msg.method) {
+    case 'eth_chainId': return reply('0xaa36a7');
+    case 'net_version': return reply('11155111');
+    case 'eth_blockNumber': return reply(ethers.toQuantity(BLOCK));
+    case 'eth_call': {
+      const [{ from, to, data }, blockTag] = msg.params;
+      state.blockTags.push(blockTag);
+      if (to.toLowerCase() === TOKEN) {
+        const tx = erc20.parseTransaction({ data });
+        const value = tx.name === 'balanceOf' ? state.balance : state.allowance;
+        return reply(erc20.encodeFunctionResult(tx.name, [value]));
+      }
+      state.routerFrom = from;
+      if (state.revert) {
+        return { jsonrpc: '2.0', id: msg.id, error: { code: 3, message: 'execution reverted', data: state.revert } };
+      }
+      return reply(coder.encode(['uint256'], [1990n]));
+    }
+    default: return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+const run = async () => {
+  console.log('Running swap simulation self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, 11155111, { staticNetwork: true, batchMaxCount: 1 });
+  const transaction = { to: ROUTER, data: '0x414bf389', value: '0' };
+  const preflight = () => swapSimulator.preflight({ provider, from: USER, transaction, tokenIn: TOKEN, requiredIn: 500n });
+
+  // Funded, approved and the call succeeds
+  let report = await preflight();
+  if (!report.ok || report.issues.length !== 0) throw new Error(`Expected a clean preflight, got ${JSON.stringify(report.issues)}`);
+  if (report.blockNumber !== BLOCK) throw new Error('Block number not reported');
+  if (state.blockTags.length !== 3 || state.blockTags.some(tag => tag !== ethers.toQuantity(BLOCK))) {
+    throw new Error(`eth_calls not pinned to the latest block: ${state.blockTags}`);
+  }
+  if (state.routerFrom?.toLowerCase() !== USER) throw new Error('Router call not simulated from the user');
+  if (report.allowance.spender !== ROUTER) throw new Error('Allowance not checked against the router');
+
+  // Missing approval: the router pulls with STF
+  state.allowance = 100n;
+  state.revert = errorString('STF');
+  report = await preflight();
+  const codes = report.issues.map(i => i.code);
+  if (report.ok || report.allowance.ok !== false || report.allowance.available !== '100') throw new Error('Low allowance not reported');
+  if (!codes.includes('INSUFFICIENT_ALLOWANCE') || !codes.includes('TRANSFER_FROM_FAILED')) throw new Error(`STF not decoded: ${codes}`);
+  if (report.balance.ok !== true) throw new Error('Balance wrongly flagged');
+
+  // Short balance
+  state.allowance = 1000n;
+  state.balance = 499n;
+  report = await preflight();
+  if (report.balance.ok !== false || !report.issues.some(i => i.code === 'INSUFFICIENT_BALANCE')) throw new Error('Low balance not reported');
+  state.balance = 1000n;
+
+  // Router reason strings
+  const cases = [
+    ['Too little received', 'INSUFFICIENT_OUTPUT'],
+    ['Too much requested', 'EXCESSIVE_INPUT'],
+    ['Transaction too old', 'DEADLINE_EXPIRED']
+  ];
+  for (const [reason, code] of cases) {
+    state.revert = errorString(reason);
+    report = await preflight();
+    if (report.ok || report.call.revert.code !== code || report.call.revert.reason !== reason) {
+      throw new Error(`"${reason}" decoded as ${JSON.stringify(report.call.revert)}`);
+    }
+  }
+
+  // Unknown reason, Panic and custom errors
+  state.revert = errorString('Something else');
+  report = await preflight();
+  if (report.call.revert.code !== 'REVERTED' || report.call.revert.reason !== 'Something else') throw new Error('Unknown reason not passed through');
+  state.revert = panic(0x11n);
+  report = await preflight();
+  if (report.call.revert.code !== 'PANIC' || report.call.revert.reason !== 'Panic(0x11)') throw new Error('Panic not decoded');
+  state.revert = '0xdeadbeef';
+  report = await preflight();
+  if (report.call.revert.code !== 'CUSTOM_ERROR' || report.call.revert.reason !== '0xdeadbeef') throw new Error('Custom error not reported');
+
+  provider.destroy();
+  server.close();
+  console.log('Swap simulation self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
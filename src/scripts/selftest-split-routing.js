@@ -0,0 +1,114 @@
+import { ethers } from 'ethers';
+import routingEngine, { QUOTER_ABI } from '../services/routingEngine.js';
+
+// Split-route search over synthetic constant-product pools: routes are quoted
+// by a local stand-in for quoteLocally (offchain mode), so the chunked
+// allocation, pool-disjointness, leg cap, net-of-gas comparison and the
+// multicall encoding run unchanged without a node.
+
+const CHAIN_ID = 11155111;
+const token = (n) => ethers.getAddress('0x' + n.toString(16).padStart(40, '0'));
+const [A, B, C, D] = [1, 2, 3, 4].map(n => token(0x1000 + n));
+const ROUTER = token(0xfeed);
+const RECIPIENT = token(0xbeef);
+
+// Pool depth by pool key; every hop loses its fee (ppm) and slips along x*y=k
+const DEPTH = {
+  [`${A}-${B}-500`]: 10n ** 12n,
+  [`${A}-${B}-3000`]: 6n * 10n ** 11n,
+  [`${A}-${C}-500`]: 5n * 10n ** 11n,
+  [`${C}-${B}-500`]: 5n * 10n ** 11n,
+  [`${C}-${B}-3000`]: 10n ** 13n,
+  [`${A}-${D}-500`]: 10n ** 12n
+};
+const hopOut = (hop, amount) => {
+  const depth = DEPTH[`${hop.tokenIn}-${hop.tokenOut}-${hop.fee}`];
+  const net = amount * BigInt(1000000 - hop.fee);
+  return (depth * net) / (depth * 1000000n + net);
+};
+routingEngine.quoteLocally = (candidate, amount) => candidate.route.reduce((value, hop) => hopOut(hop, value), BigInt(amount));
+
+const candidates = [
+  [{ tokenIn: A, tokenOut: B, fee: 500 }],
+  [{ tokenIn: A, tokenOut: B, fee: 3000 }],
+  [{ tokenIn: A, tokenOut: C, fee: 500 }, { tokenIn: C, tokenOut: B, fee: 500 }],
+  // Shares the A/C pool with the route above: only the stronger of the two can be a leg
+  [{ tokenIn: A, tokenOut: C, fee: 500 }, { tokenIn: C, tokenOut: B, fee: 3000 }],
+  // V2 hop: mixed routes are never split
+  [{ tokenIn: A, tokenOut: D, fee: 500 }, { tokenIn: D, tokenOut: B, fee: 3000, protocol: 'V2', poolAddress: token(0x9001) }]
+].map(route => routingEngine.candidateFromRoute(route));
+routingEngine.generateRouteCandidates = async () => candidates;
+routingEngine.loadV2Reserves = async () => new Map([[token(0x9001).toLowerCase(), { reserve0: 10n ** 12n, reserve1: 10n ** 12n }]]);
+
+let gasContext = null;
+routingEngine.getGasContext = async () => gasContext;
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const run = async () => {
+  console.log('Running split routing self-test...');
+  routingEngine.provider = new ethers.JsonRpcProvider('http://127.0.0.1:9', CHAIN_ID, { staticNetwork: true });
+  routingEngine.quoter = new ethers.Contract(ethers.ZeroAddress, QUOTER_ABI, routingEngine.provider);
+  routingEngine.chainId = CHAIN_ID;
+  routingEngine.quoteMode = 'offchain';
+
+  // A small trade stays on the cheapest pool
+  const small = await routingEngine.findBestSplit({ tokenIn: A, tokenOut: B, amount: 10n ** 6n });
+  assert(small.kind === 'single' && small.route[0].fee === 500, `Small trade split: ${small.kind}`);
+
+  // A large trade is spread over pool-disjoint routes and beats the best single route
+  const total = 4n * 10n ** 11n;
+  const split = await routingEngine.findBestSplit({ tokenIn: A, tokenOut: B, amount: total });
+  assert(split.kind === 'split', `Large trade not split: ${split.kind}`);
+  assert(split.legs.length >= 2 && split.legs.length <= routingEngine.maxSplitLegs, `Unexpected leg count ${split.legs.length}`);
+  assert(split.legs.reduce((sum, leg) => sum + leg.amountIn, 0n) === total, 'Leg inputs do not add up to the amount');
+  assert(split.legs.reduce((sum, leg) => sum + leg.percent, 0) === 100, 'Leg percents do not add up to 100');
+  assert(split.legs.every(leg => leg.percent % 10 === 0), 'Legs not allocated in 10% chunks');
+  assert(split.amountOut === split.legs.reduce((sum, leg) => sum + leg.amountOut, 0n), 'Split output is not the sum of its legs');
+  assert(split.legs.every(leg => leg.amountOut === routingEngine.quoteLocally(leg, leg.amountIn)), 'Legs not re-quoted at their exact size');
+  assert(split.amountOut > split.single.amountOut, 'Split does not beat the single route');
+  assert(split.legs.filter(leg => leg.route[0].tokenOut === C).length === 1, 'Both routes through the A/C pool used as legs');
+  const evaluated = await routingEngine.evaluateRoutes(candidates, total);
+  assert(evaluated.some(e => e.kind === 'mixed') && !split.legs.some(leg => leg.kind === 'mixed'), 'Mixed route not quoted, or used as a leg');
+  const pools = split.legs.flatMap(leg => routingEngine.poolKeys(leg));
+  assert(new Set(pools).size === pools.length, 'Legs share a pool');
+  assert(split.legs[0].amountIn >= split.legs.at(-1).amountIn, 'Largest leg not first');
+
+  // Leg cap
+  const two = await routingEngine.findBestSplit({ tokenIn: A, tokenOut: B, amount: total, maxLegs: 2 });
+  assert(two.kind === 'split' && two.legs.length === 2, `maxLegs 2 gave ${two.legs?.length} legs`);
+
+  // Gas so dear that the extra legs cost more than they gain: the single route wins on net output
+  gasContext = { baseFeeWei: 10n ** 15n, nativeUsd: 2000, tokenUsd: 1, costToken: B, costDecimals: 6 };
+  const priced = await routingEngine.findBestSplit({ tokenIn: A, tokenOut: B, amount: total, decimalsOut: 6 });
+  assert(priced.kind !== 'split' && priced.netAmountOut !== undefined, 'Split kept although it loses on net output');
+  gasContext = null;
+
+  // One multicall: each leg swaps into the router, sweepToken enforces the aggregate minimum
+  const minOut = (split.amountOut * 995n) / 1000n;
+  const call = routingEngine.buildSwapCall(split, { mode: 'EXACT_IN', tokenIn: A, tokenOut: B, recipient: RECIPIENT, deadline: 1, amountIn: total, amountOutMinimum: minOut, routerAddress: ROUTER });
+  assert(call.method === 'multicall' && call.params.length === split.legs.length + 1, 'Split multicall has the wrong number of calls');
+  const iface = new ethers.Interface([
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function sweepToken(address token, uint256 amountMinimum, address recipient)'
+  ]);
+  const decoded = call.params.map(data => iface.parseTransaction({ data }));
+  decoded.slice(0, -1).forEach((tx, i) => {
+    const [params] = tx.args;
+    assert(params.recipient === ROUTER && params.amountOutMinimum === 0n, `Leg ${i} does not swap into the router`);
+    assert(params.amountIn === split.legs[i].amountIn, `Leg ${i} amountIn wrong`);
+  });
+  const sweep = decoded.at(-1);
+  assert(sweep.name === 'sweepToken' && sweep.args[0] === B && sweep.args[1] === minOut && sweep.args[2] === RECIPIENT, 'sweepToken wrong');
+
+  routingEngine.provider.destroy();
+  console.log('Split routing self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
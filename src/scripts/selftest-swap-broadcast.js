@@ -0,0 +1,169 @@
+import http from 'http';
+import express from 'express';
+import request from 'supertest';
+import { ethers } from 'ethers';
+import config from '../config/env.js';
+import TxPopulation from '../models/TxPopulation.js';
+import swapPopulator from '../services/swapPopulator.js';
+import swapDatabaseService from '../services/swapDatabase.js';
+
+// POST /swap/broadcast relays a wallet-signed populated swap: the signed
+// transaction must match the stored population field for field (chainId, to,
+// data, value, sender), the population is claimed with a conditional UPDATE
+// so one broadcast wins, a node rejection hands it back and a node that
+// already knows the transaction counts as sent. The node is a local JSON-RPC
+// stand-in and the TxPopulation table lives in memory.
+
+const CHAIN_ID = 11155111;
+const ROUTER = '0x000000000000000000000000000000000000F00D';
+const OTHER = '0x000000000000000000000000000000000000bEEF';
+const DATA = '0x414bf389' + '00'.repeat(64);
+const user = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+// Node: replies to sendRawTransaction with `node.reply` ('ok', or an RPC error message)
+const node = { reply: 'ok', sent: [] };
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  switch (msg.method) {
+    case 'eth_chainId': return reply(ethers.toQuantity(CHAIN_ID));
+    case 'eth_blockNumber': return reply('0x10');
+    case 'eth_sendRawTransaction':
+      node.sent.push(msg.params[0]);
+      if (node.reply !== 'ok') return { jsonrpc: '2.0', id: msg.id, error: { code: -32000, message: node.reply } };
+      return reply(ethers.keccak256(msg.params[0]));
+    default: return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+  }
+};
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+// TxPopulation table in memory; reads take a moment and return a copy, like a
+// database row, so two concurrent broadcasts both load before either claims
+const rows = new Map();
+TxPopulation.findOne = async ({ where }) => {
+  const row = rows.get(where.requestId);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return row ? structuredClone(row) : null;
+};
+// Conditional UPDATE: only rows still matching every where field change
+TxPopulation.update = async (fields, { where }) => {
+  const matching = [...rows.values()].filter(row => Object.entries(where).every(([key, value]) => (row[key] ?? null) === value));
+  matching.forEach(row => Object.assign(row, fields));
+  return [matching.length];
+};
+const recorded = [];
+swapDatabaseService.upsertTransaction = async (fields) => recorded.push(fields);
+swapPopulator.ensureContracts = async () => {};
+
+const store = (requestId, fields = {}) => {
+  rows.set(requestId, {
+    requestId,
+    chainId: CHAIN_ID,
+    userAddress: user.address.toLowerCase(),
+    status: 'generated',
+    txHash: null,
+    payload: {
+      transaction: { to: ROUTER, data: DATA, value: '5' },
+      deadline: Math.floor(Date.now() / 1000) + 600
+    },
+    ...fields
+  });
+  return rows.get(requestId);
+};
+const sign = (fields = {}, wallet = user) => wallet.signTransaction({
+  type: 2,
+  chainId: CHAIN_ID,
+  nonce: 0,
+  to: ROUTER,
+  data: DATA,
+  value: 5n,
+  gasLimit: 300000n,
+  maxFeePerGas: 10n ** 9n,
+  maxPriorityFeePerGas: 10n ** 8n,
+  ...fields
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const run = async () => {
+  console.log('Running swap broadcast self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  config.RPC_URL = `http://127.0.0.1:${server.address().port}`;
+  const { default: swapRouter } = await import('../routes/swap.js');
+  const app = express();
+  app.use(express.json());
+  app.use('/', swapRouter);
+  const broadcast = (requestId, signedTransaction) => request(app).post('/swap/broadcast').send({ requestId, signedTransaction });
+
+  // Each field the user could have altered is checked against the population on its own
+  const population = store('req-1');
+  const mismatch = async (signed, field) => {
+    const res = await broadcast('req-1', signed);
+    assert(res.status === 400 && res.body.details.mismatches.join() === field, `${field} mismatch reported as ${JSON.stringify(res.body)}`);
+  };
+  await mismatch(await sign({ to: OTHER }), 'to');
+  await mismatch(await sign({ data: DATA.replace(/.$/, '1') }), 'data');
+  await mismatch(await sign({ value: 6n }), 'value');
+  await mismatch(await sign({ chainId: 1 }), 'chainId');
+  await mismatch(await sign({}, stranger), 'from');
+  let res = await broadcast('req-1', ethers.Transaction.from({ type: 2, chainId: CHAIN_ID, to: ROUTER, data: DATA, value: 5n }).unsignedSerialized);
+  assert(res.status === 400 && /not signed/.test(res.body.error), 'Unsigned transaction accepted');
+  res = await broadcast('req-1', '0x1234');
+  assert(res.status === 400 && /Malformed/.test(res.body.error), 'Malformed transaction accepted');
+  assert(node.sent.length === 0 && population.status === 'generated', 'Mismatched transaction sent');
+
+  // Missing, expired and already broadcast populations are refused before any send
+  res = await broadcast('req-unknown', await sign());
+  assert(res.status === 404, 'Unknown population broadcast');
+  store('req-expired', { payload: { ...population.payload, deadline: Math.floor(Date.now() / 1000) - 1 } });
+  res = await broadcast('req-expired', await sign());
+  assert(res.status === 410, 'Expired population broadcast');
+
+  // A node rejection hands the population back for another attempt
+  const signed = await sign();
+  const hash = ethers.Transaction.from(signed).hash;
+  node.reply = 'insufficient funds for gas * price + value';
+  res = await broadcast('req-1', signed);
+  assert(res.status === 502 && node.sent.length === 1, 'Node rejection not reported');
+  assert(population.status === 'generated' && population.txHash === null && population.executedAt === null, 'Rejected population not handed back');
+
+  // The matching transaction is sent once and the population claimed with its hash
+  node.reply = 'ok';
+  res = await broadcast('req-1', signed);
+  assert(res.status === 200 && res.body.txHash === hash && res.body.from === user.address, 'Matching transaction not broadcast');
+  assert(population.status === 'executed' && population.txHash === hash && recorded.at(-1).txHash === hash, 'Broadcast not recorded');
+  res = await broadcast('req-1', signed);
+  assert(res.status === 409 && res.body.txHash === hash && node.sent.length === 2, 'Executed population broadcast again');
+
+  // Of two concurrent broadcasts of one population only one reaches the node
+  const racing = store('req-2');
+  const [first, second] = await Promise.all([broadcast('req-2', signed), broadcast('req-2', signed)]);
+  assert([first.status, second.status].sort().join() === '200,409' && node.sent.length === 3, `Concurrent broadcasts answered ${first.status}/${second.status}`);
+  assert(racing.status === 'executed' && racing.txHash === hash, 'Concurrent broadcast not claimed');
+
+  // A node that already has the transaction (a retried request) counts as sent
+  const known = store('req-3');
+  node.reply = 'already known';
+  res = await broadcast('req-3', signed);
+  assert(res.status === 200 && res.body.txHash === hash, `Already known transaction reported as ${res.status}`);
+  assert(known.status === 'executed' && known.txHash === hash && recorded.at(-1).raw.requestId === 'req-3', 'Already known transaction not recorded');
+
+  server.close();
+  console.log('Swap broadcast self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
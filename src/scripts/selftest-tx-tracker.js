@@ -0,0 +1,353 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import { Op } from 'sequelize';
+import Swap from '../models/Swap.js';
+import Transaction from '../models/Transaction.js';
+import TxPopulation from '../models/TxPopulation.js';
+import Notification from '../models/Notification.js';
+import routingEngine from '../services/routingEngine.js';
+import swapDatabaseService from '../services/swapDatabase.js';
+import executionReportService from '../services/executionReport.js';
+import txTracker from '../services/txTracker.js';
+
+// Receipt tracking: rows settle once buried under the confirmation depth,
+// unsent swaps and populations expire, and unmined hashes are checked for
+// speed-ups, cancels and drops.
+//
+// Local JSON-RPC stand-in for a chain: blocks of legacy transactions, a
+// mempool, receipts and per-block nonces. With `chain.archive` off, nonces
+// older than the last 128 blocks fail like a pruned node. Swap, TxPopulation,
+// Transaction and Notification rows live in memory.
+
+const CHAIN_ID = 11155111;
+const WALLET = '0x000000000000000000000000000000000000a11c';
+const ROUTER = '0xE592427A0AEce92De3Edee1F18E0157C05861564';
+const USER = '0x000000000000000000000000000000000000bEEF';
+const PRUNED_WINDOW = 128;
+
+const chain = { blocks: [], mempool: new Map(), archive: true, countTags: [] };
+const head = () => chain.blocks.length - 1;
+const q = (value) => ethers.toQuantity(value);
+const blockHash = (number) => ethers.id(`block-${number}`);
+let sent = 0;
+
+const transaction = ({ from = WALLET, nonce, to = ROUTER, data = '0x414bf389', value = 0n }) => ({
+  hash: ethers.id(`tx-${sent++}`), from, nonce, to, data, value
+});
+const submit = (tx) => {
+  chain.mempool.set(tx.hash, tx);
+  return tx;
+};
+const mine = (txs = [], status = 1) => {
+  for (const tx of txs) chain.mempool.delete(tx.hash);
+  chain.blocks.push({ number: chain.blocks.length, txs: txs.map(tx => ({ ...tx, status })) });
+};
+const mineEmpty = (count) => {
+  for (let i = 0; i < count; i++) mine();
+};
+const findMined = (hash) => {
+  for (const block of chain.blocks) {
+    const index = block.txs.findIndex(tx => tx.hash === hash);
+    if (index >= 0) return { block, index, tx: block.txs[index] };
+  }
+  return null;
+};
+
+const txJson = (tx, block = null, index = 0) => ({
+  hash: tx.hash,
+  from: tx.from,
+  to: tx.to,
+  nonce: q(tx.nonce),
+  gas: q(300000),
+  gasPrice: q(10n ** 9n),
+  input: tx.data,
+  value: q(tx.value),
+  type: '0x0',
+  chainId: q(CHAIN_ID),
+  v: q(CHAIN_ID * 2 + 35),
+  r: '0x' + '11'.repeat(32),
+  s: '0x' + '22'.repeat(32),
+  blockHash: block ? blockHash(block.number) : null,
+  blockNumber: block ? q(block.number) : null,
+  transactionIndex: block ? q(index) : null
+});
+const blockJson = (block, full) => ({
+  hash: blockHash(block.number),
+  parentHash: block.number > 0 ? blockHash(block.number - 1) : ethers.ZeroHash,
+  number: q(block.number),
+  timestamp: q(1700000000 + block.number * 12),
+  nonce: '0x0000000000000000',
+  difficulty: '0x0',
+  gasLimit: q(30000000),
+  gasUsed: '0x0',
+  miner: ethers.ZeroAddress,
+  extraData: '0x',
+  baseFeePerGas: q(10n ** 9n),
+  transactions: block.txs.map((tx, i) => (full ? txJson(tx, block, i) : tx.hash))
+});
+const receiptJson = ({ block, index, tx }) => ({
+  transactionHash: tx.hash,
+  blockHash: blockHash(block.number),
+  blockNumber: q(block.number),
+  transactionIndex: q(index),
+  from: tx.from,
+  to: tx.to,
+  gasUsed: q(120000),
+  cumulativeGasUsed: q(120000),
+  effectiveGasPrice: q(10n ** 9n),
+  logs: [],
+  logsBloom: '0x' + '00'.repeat(256),
+  status: q(tx.status),
+  contractAddress: null,
+  type: '0x0'
+});
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  const fail = (message) => ({ jsonrpc: '2.0', id: msg.id, error: { code: -32000, message } });
+  switch (msg.method) {
+    case 'eth_chainId': return reply(q(CHAIN_ID));
+    case 'eth_blockNumber': return reply(q(head()));
+    case 'eth_getTransactionReceipt': {
+      const mined = findMined(msg.params[0]);
+      return reply(mined ? receiptJson(mined) : null);
+    }
+    case 'eth_getTransactionByHash': {
+      const mined = findMined(msg.params[0]);
+      if (mined) return reply(txJson(mined.tx, mined.block, mined.index));
+      const pending = chain.mempool.get(msg.params[0]);
+      return reply(pending ? txJson(pending) : null);
+    }
+    case 'eth_getTransactionCount': {
+      const [address, tag] = msg.params;
+      const at = tag === 'latest' || tag === 'pending' ? head() : Number(tag);
+      chain.countTags.push(tag);
+      if (!chain.archive && at <= head() - PRUNED_WINDOW) return fail('missing trie node');
+      const count = chain.blocks.slice(0, at + 1).flatMap(block => block.txs).filter(tx => tx.from.toLowerCase() === address.toLowerCase()).length;
+      return reply(q(count));
+    }
+    case 'eth_getBlockByNumber': {
+      const block = chain.blocks[Number(msg.params[0])];
+      return reply(block ? blockJson(block, msg.params[1]) : null);
+    }
+    default: return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+// In-memory tables; where clauses support equality, arrays and the Op.ne/iLike/lt the tracker uses
+const matchesValue = (value, condition) => {
+  if (Array.isArray(condition)) return condition.includes(value);
+  if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.getOwnPropertySymbols(condition).every(op => {
+      const arg = condition[op];
+      if (op === Op.ne) return (value ?? null) !== arg;
+      if (op === Op.iLike) return typeof value === 'string' && value.toLowerCase() === arg.toLowerCase();
+      if (op === Op.lt) return value !== null && value !== undefined && value < arg;
+      throw new Error(`Unsupported operator ${String(op)}`);
+    });
+  }
+  return (value ?? null) === condition;
+};
+const matches = (row, where = {}) => Object.entries(where).every(([key, condition]) => matchesValue(row[key], condition));
+const table = (model) => {
+  const rows = [];
+  const asInstance = (row) => Object.assign(row, {
+    update: async (fields) => Object.assign(row, fields)
+  });
+  model.findAll = async ({ where, limit }) => rows.filter(row => matches(row, where)).slice(0, limit ?? rows.length);
+  model.findOne = async ({ where }) => rows.find(row => matches(row, where)) || null;
+  model.update = async (fields, { where }) => {
+    const matching = rows.filter(row => matches(row, where));
+    matching.forEach(row => Object.assign(row, fields));
+    return [matching.length];
+  };
+  return {
+    rows,
+    add: (fields) => {
+      const row = asInstance({ id: String(rows.length + 1), ...fields });
+      rows.push(row);
+      return row;
+    }
+  };
+};
+const swaps = table(Swap);
+const populations = table(TxPopulation);
+const transactions = table(Transaction);
+swapDatabaseService.upsertTransaction = async (fields) => {
+  const existing = transactions.rows.find(row => row.txHash.toLowerCase() === fields.txHash.toLowerCase());
+  if (existing) return existing.update(fields);
+  return transactions.add({ status: 'pending', raw: {}, ...fields });
+};
+const reported = [];
+executionReportService.recordForSwap = async (swap, receipt) => {
+  reported.push({ swapId: swap.id, txHash: receipt.hash });
+  swap.execution = { txHash: receipt.hash };
+};
+const notifications = [];
+Notification.create = async (fields) => {
+  notifications.push(fields);
+  return fields;
+};
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const future = () => new Date(Date.now() + 60 * 60 * 1000);
+const past = () => new Date(Date.now() - 60 * 1000);
+const transactionRow = (hash) => transactions.rows.find(row => row.txHash.toLowerCase() === hash.toLowerCase());
+
+const run = async () => {
+  console.log('Running tx tracker self-test...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, CHAIN_ID, { staticNetwork: true, batchMaxCount: 1, cacheTimeout: -1 });
+  routingEngine.provider = provider;
+  routingEngine.quoter = {};
+  routingEngine.getChainId = async () => CHAIN_ID;
+  process.env[`CONFIRMATIONS_${CHAIN_ID}`] = '1';
+  mineEmpty(200);
+  let nonce = 0;
+
+  // Speed-up: the original is seen pending, then the same call mines under another hash
+  const slow = submit(transaction({ nonce }));
+  const spedUpSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: slow.hash, deadline: future(), userAddress: USER });
+  const spedUpPopulation = populations.add({ chainId: CHAIN_ID, status: 'executed', txHash: slow.hash, deadline: future(), userAddress: USER });
+  let stats = await txTracker.runOnce();
+  assert(stats.tracked === 1 && stats.replaced === 0 && transactionRow(slow.hash).raw.seenAtBlock === head(), 'Pending original not remembered with the block it was seen at');
+  mineEmpty(40);
+  const fast = transaction({ nonce: nonce++, data: '0x414bf38900' });
+  chain.mempool.delete(slow.hash);
+  mine([fast]);
+  mineEmpty(40);
+  chain.countTags.length = 0;
+  stats = await txTracker.runOnce();
+  assert(stats.replaced === 1, `Speed-up not detected: ${JSON.stringify(stats)}`);
+  const searches = chain.countTags.filter(tag => tag !== 'latest').length;
+  assert(searches <= 10, `Nonce search took ${searches} lookups over 81 blocks`);
+  assert(spedUpSwap.status === 'pending' && spedUpSwap.txHash === fast.hash && spedUpSwap.metadata.replacedTxHashes[0] === slow.hash, 'Swap did not follow the speed-up');
+  assert(spedUpPopulation.status === 'executed' && spedUpPopulation.txHash === fast.hash, 'Population did not follow the speed-up');
+  assert(transactionRow(slow.hash).status === 'replaced' && transactionRow(slow.hash).replacedBy === fast.hash, 'Original not linked to its replacement');
+  assert(transactionRow(fast.hash).status === 'pending' && transactionRow(fast.hash).raw.replaces === slow.hash, 'Replacement not tracked');
+  assert(notifications.at(-1).title === 'Transaction sped up' && notifications.at(-1).userAddress === USER.toLowerCase(), 'Speed-up not notified');
+  stats = await txTracker.runOnce();
+  assert(stats.completed === 1 && spedUpSwap.status === 'completed' && spedUpPopulation.status === 'completed', 'Replacement not settled on the next pass');
+  assert(reported.at(-1).swapId === spedUpSwap.id && reported.at(-1).txHash === fast.hash, 'Execution report not recorded from the replacement');
+
+  // Cancel: a 0x self-send takes the nonce
+  const cancelled = submit(transaction({ nonce }));
+  const cancelledSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: cancelled.hash, deadline: future(), userAddress: USER });
+  const cancelledPopulation = populations.add({ chainId: CHAIN_ID, status: 'executed', txHash: cancelled.hash, deadline: future(), userAddress: USER });
+  await txTracker.runOnce();
+  chain.mempool.delete(cancelled.hash);
+  const cancel = transaction({ nonce: nonce++, to: WALLET, data: '0x' });
+  mine([cancel]);
+  stats = await txTracker.runOnce();
+  assert(stats.cancelled === 1 && cancelledSwap.status === 'cancelled' && cancelledSwap.metadata.replacedBy === cancel.hash, `Cancel not detected: ${JSON.stringify(stats)}`);
+  assert(cancelledPopulation.status === 'abandoned' && transactionRow(cancelled.hash).status === 'cancelled', 'Cancelled rows not closed');
+  assert(notifications.at(-1).title === 'Transaction cancelled', 'Cancel not notified');
+
+  // A nonce used after the pass's head block is left alone, not reported dropped
+  const late = submit(transaction({ nonce }));
+  const lateSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: late.hash, deadline: future(), userAddress: USER });
+  await txTracker.runOnce();
+  const passHead = head();
+  chain.mempool.delete(late.hash);
+  const lateReplacement = transaction({ nonce: nonce++, data: '0x414bf38901' });
+  mine([lateReplacement]);
+  assert(await txTracker.track(provider, CHAIN_ID, late.hash, passHead, 1) === null, 'Nonce used after the head block settled the hash');
+  assert(lateSwap.status === 'pending' && lateSwap.txHash === late.hash && transactionRow(late.hash).status === 'pending', 'Rows changed for a nonce used after the head block');
+  stats = await txTracker.runOnce();
+  assert(stats.replaced === 1 && stats.dropped === 0 && lateSwap.txHash === lateReplacement.hash, 'Later pass did not follow the replacement');
+  await txTracker.runOnce();
+
+  // Pruned node: no historical nonces, so only the last 128 blocks are scanned
+  chain.archive = false;
+  const pruned = transaction({ nonce });
+  const prunedSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: pruned.hash, deadline: future(), userAddress: USER });
+  transactions.add({ chainId: CHAIN_ID, txHash: pruned.hash, fromAddress: WALLET, toAddress: ROUTER, nonce, status: 'pending', raw: {} });
+  mineEmpty(20);
+  const prunedReplacement = transaction({ nonce: nonce++, data: '0x414bf38902' });
+  mine([prunedReplacement]);
+  mineEmpty(5);
+  stats = await txTracker.runOnce();
+  assert(stats.replaced === 1 && prunedSwap.txHash === prunedReplacement.hash, `Recent replacement not found without archive state: ${JSON.stringify(stats)}`);
+  await txTracker.runOnce();
+
+  // ...and a replacement older than that window is reported dropped
+  const old = transaction({ nonce });
+  const oldSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: old.hash, deadline: future(), userAddress: USER });
+  const oldPopulation = populations.add({ chainId: CHAIN_ID, status: 'executed', txHash: old.hash, deadline: future(), userAddress: USER });
+  transactions.add({ chainId: CHAIN_ID, txHash: old.hash, fromAddress: WALLET, toAddress: ROUTER, nonce, status: 'pending', raw: {} });
+  mine([transaction({ nonce: nonce++, data: '0x414bf38903' })]);
+  mineEmpty(PRUNED_WINDOW + 10);
+  stats = await txTracker.runOnce();
+  assert(stats.dropped === 1 && oldSwap.status === 'failed' && oldPopulation.status === 'abandoned', `Unfound replacement not dropped: ${JSON.stringify(stats)}`);
+  assert(transactionRow(old.hash).status === 'failed' && notifications.at(-1).title === 'Transaction dropped', 'Dropped hash not closed and notified');
+  chain.archive = true;
+
+  // Lost: past the deadline, unknown to the node and its nonce still unused
+  const lost = transaction({ nonce });
+  const lostSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: lost.hash, deadline: past(), userAddress: USER });
+  const lostPopulation = populations.add({ chainId: CHAIN_ID, status: 'executed', txHash: lost.hash, deadline: past(), userAddress: USER });
+  transactions.add({ chainId: CHAIN_ID, txHash: lost.hash, fromAddress: WALLET, toAddress: ROUTER, nonce, status: 'pending', raw: {} });
+  const waiting = submit(transaction({ from: USER, nonce: 0 }));
+  const waitingSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: waiting.hash, deadline: past(), userAddress: USER });
+  assert(await txTracker.isLost(provider, lost.hash) && !(await txTracker.isLost(provider, waiting.hash)), 'isLost wrong');
+  stats = await txTracker.runOnce();
+  assert(stats.dropped === 1 && lostSwap.status === 'failed' && lostPopulation.status === 'abandoned', `Lost transaction not dropped: ${JSON.stringify(stats)}`);
+  assert(transactionRow(lost.hash).status === 'failed' && notifications.at(-1).metadata.kind === 'lost', 'Lost transaction not closed and notified');
+  assert(waitingSwap.status === 'pending', 'Transaction still in the mempool dropped');
+  chain.mempool.delete(waiting.hash);
+
+  // Rows settle only once the receipt is buried under the chain's confirmation depth (3 here)
+  process.env[`CONFIRMATIONS_${CHAIN_ID}`] = '3';
+  const ok = transaction({ nonce: nonce++ });
+  const reverted = transaction({ nonce: nonce++ });
+  const okSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: ok.hash, deadline: future(), userAddress: USER });
+  const okPopulation = populations.add({ chainId: CHAIN_ID, status: 'executed', txHash: ok.hash, deadline: future(), userAddress: USER });
+  const revertedSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: reverted.hash, deadline: future(), userAddress: USER });
+  const revertedPopulation = populations.add({ chainId: CHAIN_ID, status: 'executed', txHash: reverted.hash, deadline: future(), userAddress: USER });
+  mine([ok]);
+  mine([reverted], 0);
+  stats = await txTracker.runOnce();
+  assert(stats.confirming === 2 && okSwap.status === 'pending' && okSwap.blockNumber === head() - 1 && okSwap.confirmations === 2, `Shallow receipt settled: ${JSON.stringify(stats)}`);
+  assert(okPopulation.status === 'executed' && transactionRow(ok.hash).status === 'pending', 'Population or transaction settled before the depth');
+  mineEmpty(1);
+  stats = await txTracker.runOnce();
+  assert(stats.completed === 1 && stats.confirming === 1 && okSwap.status === 'completed' && okSwap.confirmations === 3, `Buried receipt not completed: ${JSON.stringify(stats)}`);
+  assert(okPopulation.status === 'completed' && transactionRow(ok.hash).status === 'confirmed' && reported.at(-1).swapId === okSwap.id, 'Completed rows not finalized');
+  assert(revertedSwap.status === 'pending', 'Reverted receipt settled before the depth');
+  mineEmpty(1);
+  stats = await txTracker.runOnce();
+  assert(stats.failed === 1 && revertedSwap.status === 'failed' && revertedSwap.errorMsg === 'Transaction reverted', `Reverted swap not failed: ${JSON.stringify(stats)}`);
+  assert(revertedPopulation.status === 'failed' && transactionRow(reverted.hash).status === 'failed', 'Reverted population or transaction not failed');
+  assert(reported.at(-1).swapId === okSwap.id, 'Execution report recorded for a reverted swap');
+
+  // Swaps and populations with no transaction by their deadline expire; the rest wait
+  const unsentSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: null, deadline: past() });
+  const openSwap = swaps.add({ chainId: CHAIN_ID, status: 'pending', txHash: null, deadline: future() });
+  const unsentPopulation = populations.add({ chainId: CHAIN_ID, status: 'generated', txHash: null, deadline: past() });
+  const openPopulation = populations.add({ chainId: CHAIN_ID, status: 'generated', txHash: null, deadline: future() });
+  stats = await txTracker.runOnce();
+  assert(stats.expired === 2 && unsentSwap.status === 'expired' && unsentPopulation.status === 'expired', `Unsent rows not expired: ${JSON.stringify(stats)}`);
+  assert(openSwap.status === 'pending' && openPopulation.status === 'generated', 'Rows expired before their deadline');
+
+  provider.destroy();
+  server.close();
+  console.log('Tx tracker self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
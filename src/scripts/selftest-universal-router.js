@@ -0,0 +1,176 @@
+import { ethers } from 'ethers';
+import routingEngine from '../services/routingEngine.js';
+import universalRouter, {
+  RoutePlanner, UR_ADDRESS_THIS, UR_MSG_SENDER, UR_CONTRACT_BALANCE, UR_ALLOW_REVERT
+} from '../services/universalRouter.js';
+import { PERMIT_TYPES } from '../services/permitService.js';
+import { PROTOCOL_V2 } from '../services/poolAdapters.js';
+
+// Universal Router encoder checked against hand-assembled calldata: each
+// vector is written out word by word from the ABI layout of the command
+// inputs and of execute(bytes,bytes[],uint256), independent of the encoder.
+
+const WETH = '0x7b79995e5f793A07Bc00c21412e50Ecae098E7f9';
+const USDC = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const USDT = '0xaA8E23Fb1079EA71e0a56F48a2aA51851D8433D0';
+const RECIPIENT = '0x000000000000000000000000000000000000dEaD';
+const FEE_RECIPIENT = '0x000000000000000000000000000000000000bEEF';
+const UNIVERSAL_ROUTER = '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD';
+const DEADLINE = 1700000000; // 0x6553f100
+
+const word = (hex) => hex.padStart(64, '0');
+const wordRight = (hex) => hex.padEnd(64, '0');
+const hex = (...words) => '0x' + words.join('');
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+// WRAP_ETH(ADDRESS_THIS, 1 ETH)
+const WRAP_INPUT = hex(
+  word('2'),
+  word('de0b6b3a7640000')
+);
+
+// V3_SWAP_EXACT_IN(RECIPIENT, 1 ETH, 1000 USDC, WETH-500-USDC, payerIsUser=false)
+const SWAP_INPUT = hex(
+  word('dead'),
+  word('de0b6b3a7640000'),
+  word('3b9aca00'),
+  word('a0'), // offset of path
+  word('0'),
+  word('2b'), // path length (20 + 3 + 20 bytes)
+  '7b79995e5f793a07bc00c21412e50ecae098e7f9' + '0001f4' + '1c7d4b196cb0c7b01d',
+  wordRight('743fbc6116a902379c7238')
+);
+
+// execute(0x0b00, [WRAP_INPUT, SWAP_INPUT], DEADLINE)
+const EXECUTE_CALLDATA = '0x3593564c' + [
+  word('60'), // offset of commands
+  word('a0'), // offset of inputs
+  word('6553f100'),
+  word('2'), wordRight('0b00'),
+  word('2'), // inputs length
+  word('40'), word('a0'), // element offsets
+  word('40'), WRAP_INPUT.slice(2),
+  word('100'), SWAP_INPUT.slice(2)
+].join('');
+
+// PERMIT2_PERMIT({ USDC, 1000e6, DEADLINE, nonce 0 }, UNIVERSAL_ROUTER, DEADLINE), 65-byte signature
+const SIGNATURE = '0x' + '11'.repeat(32) + '22'.repeat(32) + '1b';
+const PERMIT_INPUT = hex(
+  word('1c7d4b196cb0c7b01d743fbc6116a902379c7238'),
+  word('3b9aca00'),
+  word('6553f100'),
+  word('0'),
+  word('3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad'),
+  word('6553f100'),
+  word('e0'), // offset of signature
+  word('41'),
+  '11'.repeat(32),
+  '22'.repeat(32),
+  wordRight('1b')
+);
+
+const PERMIT_SINGLE = {
+  details: { token: USDC, amount: 1000000000n, expiration: DEADLINE, nonce: 0 },
+  spender: UNIVERSAL_ROUTER,
+  sigDeadline: DEADLINE
+};
+
+const run = async () => {
+  console.log('Running Universal Router encoder self-test...');
+
+  // Known constants: execute selector and Permit2's PermitSingle typehash
+  assert(ethers.id('execute(bytes,bytes[],uint256)').slice(0, 10) === '0x3593564c', 'execute selector mismatch');
+  const permitSingleType = ethers.TypedDataEncoder.from(PERMIT_TYPES.permit2).encodeType('PermitSingle');
+  assert(ethers.id(permitSingleType) === '0xf3841cd1ff0085026a6327b620b67997ce40f282c88a8e905a7a5626e310f3d0', 'PermitSingle typehash mismatch');
+
+  // Planner output matches the hand-assembled vectors
+  const planner = new RoutePlanner()
+    .addCommand('WRAP_ETH', [UR_ADDRESS_THIS, ethers.parseEther('1')])
+    .addCommand('V3_SWAP_EXACT_IN', [RECIPIENT, ethers.parseEther('1'), 1000000000n, ethers.solidityPacked(['address', 'uint24', 'address'], [WETH, 500, USDC]), false]);
+  assert(planner.inputs[0] === WRAP_INPUT, 'WRAP_ETH input mismatch');
+  assert(planner.inputs[1] === SWAP_INPUT, 'V3_SWAP_EXACT_IN input mismatch');
+  assert(planner.encode(DEADLINE) === EXECUTE_CALLDATA, 'execute calldata mismatch');
+  assert(new RoutePlanner().addCommand('PERMIT2_PERMIT', [PERMIT_SINGLE, SIGNATURE]).inputs[0] === PERMIT_INPUT, 'PERMIT2_PERMIT input mismatch');
+
+  // The route builder produces the same calldata for a native-in single hop
+  const single = routingEngine.candidateFromRoute([{ tokenIn: WETH, tokenOut: USDC, fee: 500 }]);
+  const nativeCall = universalRouter.buildSwapCall(single, {
+    mode: 'EXACT_IN', tokenOut: USDC, recipient: RECIPIENT, deadline: DEADLINE,
+    amountIn: ethers.parseEther('1'), amountOutMinimum: 1000000000n, nativeIn: true
+  });
+  assert(nativeCall.data === EXECUTE_CALLDATA, 'native-in route calldata mismatch');
+  assert(nativeCall.value === ethers.parseEther('1'), 'native-in value mismatch');
+
+  // decode round-trips and the allow-revert flag survives
+  const { planner: decoded, deadline } = RoutePlanner.decode(EXECUTE_CALLDATA);
+  assert(deadline === BigInt(DEADLINE), 'decoded deadline mismatch');
+  assert(decoded.commandNames.join() === 'WRAP_ETH,V3_SWAP_EXACT_IN', 'decoded commands mismatch');
+  assert(decoded.decodeInput(1)[0] === RECIPIENT, 'decoded recipient mismatch');
+  const flagged = new RoutePlanner().addCommand('SWEEP', [USDC, RECIPIENT, 0n], true);
+  assert(flagged.commandBytes === ethers.hexlify(Uint8Array.from([0x04 | UR_ALLOW_REVERT])), 'allow-revert flag missing');
+
+  // A Permit2 permit is prepended ahead of every command
+  const permitted = RoutePlanner.decode(universalRouter.prependPermit2(EXECUTE_CALLDATA, PERMIT_SINGLE, SIGNATURE)).planner;
+  assert(permitted.commandNames.join() === 'PERMIT2_PERMIT,WRAP_ETH,V3_SWAP_EXACT_IN', 'permit not prepended');
+  assert(permitted.inputs[0] === PERMIT_INPUT, 'prepended permit input mismatch');
+
+  // Fee and native output: swap into the router, pay the fee portion, unwrap the rest
+  const feeCall = universalRouter.buildSwapCall(routingEngine.candidateFromRoute([{ tokenIn: USDC, tokenOut: WETH, fee: 500 }]), {
+    mode: 'EXACT_IN', tokenOut: WETH, recipient: RECIPIENT, deadline: DEADLINE,
+    amountIn: 1000000000n, amountOutMinimum: 10000n, nativeOut: true, fee: { recipient: FEE_RECIPIENT, bips: 25 }
+  });
+  const feePlan = RoutePlanner.decode(feeCall.data).planner;
+  assert(feePlan.commandNames.join() === 'V3_SWAP_EXACT_IN,PAY_PORTION,UNWRAP_WETH', `fee plan: ${feePlan.commandNames}`);
+  assert(feePlan.decodeInput(0)[0] === ethers.getAddress(UR_ADDRESS_THIS) && feePlan.decodeInput(0)[4] === true, 'fee swap should settle in the router, paid by the user');
+  assert(feePlan.decodeInput(1)[2] === 25n, 'fee bips mismatch');
+  assert(feePlan.decodeInput(2)[0] === RECIPIENT && feePlan.decodeInput(2)[1] === 9975n, 'unwrap minimum should net out the fee');
+  assert(feeCall.value === 0n, 'token input should send no value');
+
+  // EXACT_OUT with native input refunds the unspent wrapped ETH to the sender
+  const exactOut = universalRouter.buildSwapCall(single, {
+    mode: 'EXACT_OUT', tokenOut: USDC, recipient: RECIPIENT, deadline: DEADLINE,
+    amountOut: 1000000000n, amountInMaximum: ethers.parseEther('1'), nativeIn: true
+  });
+  const exactOutPlan = RoutePlanner.decode(exactOut.data).planner;
+  assert(exactOutPlan.commandNames.join() === 'WRAP_ETH,V3_SWAP_EXACT_OUT,UNWRAP_WETH', `exact-out plan: ${exactOutPlan.commandNames}`);
+  assert(exactOutPlan.decodeInput(1)[3] === ethers.solidityPacked(['address', 'uint24', 'address'], [USDC, 500, WETH]), 'exact-out path should be reversed');
+  assert(exactOutPlan.decodeInput(2)[0] === UR_MSG_SENDER && exactOutPlan.decodeInput(2)[1] === 0n, 'refund should go to the sender');
+
+  // Mixed V2/V3: later segments spend the router balance
+  const mixed = routingEngine.candidateFromRoute([
+    { tokenIn: USDC, tokenOut: WETH, fee: 3000, protocol: PROTOCOL_V2 },
+    { tokenIn: WETH, tokenOut: USDT, fee: 500 }
+  ]);
+  const mixedPlan = RoutePlanner.decode(universalRouter.buildSwapCall(mixed, {
+    mode: 'EXACT_IN', tokenOut: USDT, recipient: RECIPIENT, deadline: DEADLINE, amountIn: 1000n, amountOutMinimum: 900n
+  }).data).planner;
+  assert(mixedPlan.commandNames.join() === 'V2_SWAP_EXACT_IN,V3_SWAP_EXACT_IN', `mixed plan: ${mixedPlan.commandNames}`);
+  const [v2Leg, v3Leg] = [mixedPlan.decodeInput(0), mixedPlan.decodeInput(1)];
+  assert(v2Leg[0] === ethers.getAddress(UR_ADDRESS_THIS) && v2Leg[2] === 0n && v2Leg[4] === true, 'V2 segment should pay into the router');
+  assert(v3Leg[1] === UR_CONTRACT_BALANCE && v3Leg[2] === 900n && v3Leg[4] === false, 'V3 segment should spend the router balance');
+
+  // Split: legs into the router, one sweep enforcing the aggregate minimum
+  const split = {
+    kind: 'split',
+    legs: [
+      { ...routingEngine.candidateFromRoute([{ tokenIn: USDC, tokenOut: WETH, fee: 500 }]), amountIn: 600n },
+      { ...routingEngine.candidateFromRoute([{ tokenIn: USDC, tokenOut: WETH, fee: 3000 }]), amountIn: 400n }
+    ]
+  };
+  const splitPlan = RoutePlanner.decode(universalRouter.buildSwapCall(split, {
+    mode: 'EXACT_IN', tokenOut: WETH, recipient: RECIPIENT, deadline: DEADLINE, amountIn: 1000n, amountOutMinimum: 50n
+  }).data).planner;
+  assert(splitPlan.commandNames.join() === 'V3_SWAP_EXACT_IN,V3_SWAP_EXACT_IN,SWEEP', `split plan: ${splitPlan.commandNames}`);
+  assert(splitPlan.decodeInput(0)[1] === 600n && splitPlan.decodeInput(0)[2] === 0n, 'split leg amounts mismatch');
+  assert(splitPlan.decodeInput(2)[2] === 50n, 'sweep should enforce the aggregate minimum');
+
+  console.log('Universal Router encoder self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
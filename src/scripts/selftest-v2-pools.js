@@ -0,0 +1,149 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import routingEngine from '../services/routingEngine.js';
+import swapPopulator from '../services/swapPopulator.js';
+import { MULTICALL3_ABI } from '../services/multicallQuoter.js';
+import { MULTICALL3_ADDRESS, getUniswapAddresses } from '../config/chains.js';
+import {
+  v2Adapter, getAmountOutV2, getAmountInV2, segmentRoute, V2_PAIR_ABI, SWAP_ROUTER02_ABI,
+  ROUTER02_ADDRESS_THIS, ROUTER02_CONTRACT_BALANCE
+} from '../services/poolAdapters.js';
+
+// V2-style pairs in routing: constant-product math against the Uniswap V2
+// formula, reserves read through Multicall3 from a local JSON-RPC stand-in,
+// mixed V2/V3 quoting and the SwapRouter02 multicall that executes it.
+
+const CHAIN_ID = 11155111;
+const WETH = '0x1111111111111111111111111111111111111111';
+const USDC = '0x2222222222222222222222222222222222222222';
+const DAI = '0x3333333333333333333333333333333333333333';
+const PAIR = '0x00000000000000000000000000000000000000A1';
+const DEAD_PAIR = '0x00000000000000000000000000000000000000A2';
+const RECIPIENT = '0x000000000000000000000000000000000000bEEF';
+
+const pairIface = new ethers.Interface(V2_PAIR_ABI);
+const multicallIface = new ethers.Interface(MULTICALL3_ABI);
+const router02Iface = new ethers.Interface(SWAP_ROUTER02_ABI);
+
+// DAI/USDC pair: token0 = USDC (lower address), 2M USDC (6 dec) against 2M DAI (18 dec)
+const RESERVES = { [PAIR.toLowerCase()]: [2000000n * 10n ** 6n, 2000000n * 10n ** 18n] };
+const state = { aggregates: 0 };
+
+const handle = (msg) => {
+  const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+  switch (msg.method) {
+    case 'eth_chainId': return reply(ethers.toQuantity(CHAIN_ID));
+    case 'eth_blockNumber': return reply('0x1');
+    case 'eth_call': {
+      const { to, data } = msg.params[0];
+      if (to.toLowerCase() !== MULTICALL3_ADDRESS.toLowerCase()) break;
+      state.aggregates++;
+      const [calls] = multicallIface.decodeFunctionData('aggregate3', data);
+      const out = calls.map(c => {
+        const reserves = RESERVES[c.target.toLowerCase()];
+        return reserves
+          ? { success: true, returnData: pairIface.encodeFunctionResult('getReserves', [...reserves, 0]) }
+          : { success: false, returnData: '0x' };
+      });
+      return reply(multicallIface.encodeFunctionResult('aggregate3', [out]));
+    }
+  }
+  return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'method not found' } };
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(answer));
+  });
+});
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+const throws = (fn, pattern) => {
+  try {
+    fn();
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+  return false;
+};
+
+const run = async () => {
+  console.log('Running V2 pool adapter self-test...');
+
+  // Fee 3000 pips is Uniswap V2's 997/1000
+  const [reserveIn, reserveOut, amountIn] = [5000n * 10n ** 18n, 9000000n * 10n ** 6n, 10n ** 18n];
+  const v2Formula = (amountIn * 997n * reserveOut) / (reserveIn * 1000n + amountIn * 997n);
+  assert(getAmountOutV2(amountIn, reserveIn, reserveOut) === v2Formula, 'getAmountOutV2 differs from the V2 formula');
+  const needed = getAmountInV2(v2Formula, reserveIn, reserveOut);
+  assert(needed <= amountIn && getAmountOutV2(needed, reserveIn, reserveOut) >= v2Formula, 'getAmountInV2 does not round up to the exact output');
+  assert(getAmountOutV2(amountIn, reserveIn, reserveOut, 100) > v2Formula, 'Lower fee should pay more');
+  assert(throws(() => getAmountOutV2(amountIn, 0n, reserveOut), /insufficient liquidity/), 'Empty pair not rejected');
+  assert(throws(() => getAmountInV2(reserveOut, reserveIn, reserveOut), /insufficient liquidity/), 'Output above the reserve not rejected');
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, CHAIN_ID, { staticNetwork: true, batchMaxCount: 1 });
+
+  // Every pair in one Multicall3 round-trip; pairs that fail are left out
+  const reserves = await v2Adapter.loadReserves(provider, MULTICALL3_ADDRESS, [PAIR, DEAD_PAIR, PAIR.toLowerCase()]);
+  assert(state.aggregates === 1 && reserves.size === 1, `Expected one round-trip and one pair, got ${state.aggregates}/${reserves.size}`);
+
+  // Reserves are oriented by token order
+  const daiToUsdc = { tokenIn: DAI, tokenOut: USDC, fee: 3000, protocol: 'V2', poolAddress: PAIR };
+  const usdcToDai = { ...daiToUsdc, tokenIn: USDC, tokenOut: DAI };
+  assert(v2Adapter.hopReserves(usdcToDai, reserves).reserveIn === RESERVES[PAIR.toLowerCase()][0], 'token0 input not oriented');
+  assert(v2Adapter.hopReserves(daiToUsdc, reserves).reserveIn === RESERVES[PAIR.toLowerCase()][1], 'token1 input not oriented');
+  const daiOut = v2Adapter.quoteExactIn(usdcToDai, 1000n * 10n ** 6n, reserves);
+  assert(daiOut < 1000n * 10n ** 18n && daiOut > 996n * 10n ** 18n, `Unexpected DAI out ${daiOut}`);
+  assert(throws(() => v2Adapter.quoteExactIn({ ...daiToUsdc, poolAddress: DEAD_PAIR }, 1n, reserves), /no reserves/), 'Missing pair quoted');
+
+  // Consecutive hops of one protocol form a segment
+  const wethToUsdc = { tokenIn: WETH, tokenOut: USDC, fee: 500 };
+  const segments = segmentRoute([wethToUsdc, usdcToDai, { tokenIn: DAI, tokenOut: WETH, fee: 3000, protocol: 'V2', poolAddress: PAIR }]);
+  assert(segments.map(s => `${s.protocol}:${s.hops.length}`).join() === 'V3:1,V2:2', 'Route not segmented by protocol');
+
+  // A mixed route: the V3 segment (from the local quote stand-in) feeds the V2 pair
+  routingEngine.provider = provider;
+  routingEngine.quoter = {};
+  routingEngine.chainId = String(CHAIN_ID);
+  routingEngine.quoteMode = 'offchain';
+  routingEngine.quoteLocally = (candidate, amount) => BigInt(amount) * 3000n / 10n ** 12n;
+  const mixed = routingEngine.candidateFromRoute([wethToUsdc, usdcToDai]);
+  assert(mixed.kind === 'mixed' && routingEngine.supportsMixed('EXACT_IN') && !routingEngine.supportsMixed('EXACT_OUT'), 'Mixed route support wrong');
+  const [evaluated] = await routingEngine.evaluateRoutes([mixed], 10n ** 18n);
+  assert(evaluated && evaluated.amountOut === v2Adapter.quoteExactIn(usdcToDai, 3000n * 10n ** 6n, reserves), 'Mixed quote is not V3 then V2');
+  assert((await routingEngine.evaluateRoutes([mixed], 10n ** 18n, 'EXACT_OUT')).length === 0, 'Mixed route quoted for EXACT_OUT');
+
+  // One SwapRouter02 multicall: the V3 segment leaves USDC in the router, the V2 segment spends it
+  const minOut = evaluated.amountOut * 99n / 100n;
+  const call = routingEngine.buildSwapCall(evaluated, { mode: 'EXACT_IN', tokenIn: WETH, tokenOut: DAI, recipient: RECIPIENT, deadline: 1234, amountIn: 10n ** 18n, amountOutMinimum: minOut });
+  assert(call.router === 'swapRouter02' && call.args[0] === 1234 && call.args[1].length === 2, 'Mixed call not a SwapRouter02 multicall');
+  const [v3Leg, v2Leg] = call.args[1].map(data => router02Iface.parseTransaction({ data }));
+  assert(v3Leg.name === 'exactInput' && v3Leg.args[0].recipient === ROUTER02_ADDRESS_THIS && v3Leg.args[0].amountIn === 10n ** 18n && v3Leg.args[0].amountOutMinimum === 0n, 'V3 segment wrong');
+  assert(v2Leg.name === 'swapExactTokensForTokens' && v2Leg.args[0] === ROUTER02_CONTRACT_BALANCE && v2Leg.args[1] === minOut, 'V2 segment amounts wrong');
+  assert(v2Leg.args[2].join() === [USDC, DAI].join() && v2Leg.args[3] === RECIPIENT, 'V2 segment path or recipient wrong');
+  assert(throws(() => routingEngine.buildSwapCall(evaluated, { mode: 'EXACT_OUT' }), /EXACT_IN/), 'Mixed EXACT_OUT call built');
+
+  // The populator sends it to SwapRouter02
+  swapPopulator.uniswapRouter = new ethers.Contract(getUniswapAddresses(CHAIN_ID).router, [], provider);
+  swapPopulator.swapRouter02 = new ethers.Contract(getUniswapAddresses(CHAIN_ID).swapRouter02, SWAP_ROUTER02_ABI, provider);
+  const { contract, args } = swapPopulator.resolveSwapCall(call);
+  assert(contract === swapPopulator.swapRouter02 && args.length === 2, 'Mixed call not sent to SwapRouter02');
+  swapPopulator.swapRouter02 = null;
+  assert(throws(() => swapPopulator.resolveSwapCall(call), /SwapRouter02 is not configured/), 'Missing SwapRouter02 not reported');
+
+  provider.destroy();
+  server.close();
+  console.log('V2 pool adapter self-test passed.');
+};
+
+run().catch((e) => {
+  console.error('Self-test failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,191 @@
+import { ethers } from 'ethers';
+import Swap from '../models/Swap.js';
+import routingEngine from './routingEngine.js';
+import swapDatabaseService from './swapDatabase.js';
+import feeTierRegistry from './feeTierRegistry.js';
+import executionReportService from './executionReport.js';
+import custodialSendQueue from './custodialSendQueue.js';
+import custodialFunds from './custodialFunds.js';
+import priceFeedService from './priceFeedService.js';
+import { validateOperationalLimits, validateAmountLimits } from '../config/operationalLimits.js';
+
+/**
+ * Custodial Executor
+ * Sends populated swaps from the backend wallet on behalf of the order jobs
+ * (limit and recurring orders) through custodialSendQueue, which owns the
+ * wallet's nonces. Each execution is gated on the CUSTODIAL_MODE
+ * and SWAP_ENABLED flags plus OPERATIONAL_LIMITS, and spends only what the
+ * maker deposited (custodialFunds). It is recorded as a Swap row and
+ * settled from its receipt, including the amount the recipient received.
+ */
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+class CustodialExecutor {
+    constructor() {
+        // Tail of the funding lock: balance checks and the Swap rows that spend them run one at a time
+        this.tail = Promise.resolve();
+    }
+
+    exclusive(fn) {
+        const run = this.tail.then(fn);
+        this.tail = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Reason a custodial execution is not allowed right now, or null
+     * @param {Object} params - chainId, fee (first hop), ttlSec, slippagePct (percent),
+     *   maker, tokenIn, amountIn (base units) and decimalsIn of the funds spent
+     */
+    async getBlocker({ chainId, fee, ttlSec, slippagePct, maker, tokenIn, amountIn, decimalsIn }) {
+        if (!(await swapDatabaseService.isFeatureEnabled('CUSTODIAL_MODE'))) {
+            return 'custodial execution is disabled';
+        }
+        if (!(await swapDatabaseService.isFeatureEnabled('SWAP_ENABLED'))) {
+            return 'swaps are temporarily unavailable';
+        }
+        const riskPolicy = await swapDatabaseService.getRiskPolicy(chainId);
+        const limits = validateOperationalLimits({
+            slippageTolerance: slippagePct,
+            ttlSec,
+            fee,
+            chainId,
+            allowedFees: await feeTierRegistry.getAllowedFees(chainId, riskPolicy.allowedFees, routingEngine.provider)
+        });
+        if (!limits.isValid) {
+            return limits.errors.join('; ');
+        }
+        const { reason } = await this.getFundingBlocker({
+            chainId,
+            maker,
+            tokenIn,
+            amountIn: BigInt(amountIn),
+            amount: ethers.formatUnits(amountIn, decimalsIn)
+        });
+        return reason;
+    }
+
+    /**
+     * Whether the maker's deposited balance covers the swap and it stays within
+     * the DAILY_VOLUME_CAP limits
+     * @param {Object} params - chainId, maker, tokenIn, amountIn (base units), amount (decimal string)
+     * @returns {Object} { reason, amountUsd } - reason is null when the swap may be sent
+     */
+    async getFundingBlocker({ chainId, maker, tokenIn, amountIn, amount }) {
+        const { available } = await custodialFunds.getBalance(chainId, maker, tokenIn);
+        if (available < amountIn) {
+            return { reason: `insufficient deposited balance (${available} of ${amountIn} base units available)`, amountUsd: null };
+        }
+
+        const priceUsd = await priceFeedService.getTokenPrice(tokenIn, String(chainId));
+        const amountUsd = Number(amount) * (priceUsd || 0);
+        const limits = validateAmountLimits({
+            amountUsd,
+            userVolumeUsd: await custodialFunds.getDailyVolumeUsd(chainId, maker),
+            totalVolumeUsd: await custodialFunds.getDailyVolumeUsd(chainId)
+        });
+        return { reason: limits.isValid ? null : limits.errors.join('; '), amountUsd };
+    }
+
+    /**
+     * Record the swap and send its populated transaction from the backend wallet.
+     * The maker's balance is checked again and the Swap row that spends it is
+     * created under the funding lock, so concurrent fills cannot overspend.
+     * @param {Object} populatedTransaction - swapPopulator.populate result ({ to, data, value, gasLimit })
+     * @param {string} requestId - TxPopulation requestId, marked executed once sent
+     * @param {Object} swapData - swapDatabaseService.createSwap fields (userAddress is the maker)
+     * @returns {Object} { swap, txHash, error } - error is set when the send failed (the swap, if
+     *   recorded, is marked failed); swap is null when the funds no longer cover it
+     */
+    async send(populatedTransaction, requestId, swapData) {
+        const { swap, reason } = await this.exclusive(async () => {
+            const funding = await this.getFundingBlocker({
+                chainId: swapData.chainId,
+                maker: swapData.userAddress,
+                tokenIn: swapData.tokenIn,
+                amountIn: BigInt(swapData.amountInWei),
+                amount: swapData.amountIn
+            });
+            if (funding.reason) {
+                return { swap: null, reason: funding.reason };
+            }
+            return {
+                swap: await swapDatabaseService.createSwap({
+                    ...swapData,
+                    isCustodial: true,
+                    clientRequestId: requestId,
+                    metadata: { ...(swapData.metadata || {}), amountInUsd: funding.amountUsd }
+                }),
+                reason: null
+            };
+        });
+        if (!swap) {
+            return { swap: null, txHash: null, error: new Error(reason) };
+        }
+
+        try {
+            const tx = await custodialSendQueue.submit({
+                to: populatedTransaction.to,
+                data: populatedTransaction.data,
+                value: BigInt(populatedTransaction.value),
+                gasLimit: BigInt(populatedTransaction.gasLimit)
+            }, { kind: 'swap', reference: { swapId: swap.id, requestId } });
+            await swapDatabaseService.updateSwapStatus(swap.id, 'pending', tx.hash);
+            await swapDatabaseService.updateTxPopulationStatus(requestId, 'executed', tx.hash);
+            return { swap, txHash: tx.hash, error: null };
+        } catch (error) {
+            await swapDatabaseService.updateSwapStatus(swap.id, 'failed', null, { errorMsg: error.message });
+            return { swap, txHash: null, error };
+        }
+    }
+
+    /**
+     * Settle a sent swap from its receipt. With swapId the swap's current txHash
+     * is followed: a fee bump in the send queue moves the swap to the replacement,
+     * while the caller may still hold the hash send() returned
+     * @param {Object} params - txHash, swapId?, tokenOut and recipient (to read the amount received)
+     * @returns {Object|null} { success, receipt, amountOut, txHash } - amountOut in base units (null
+     *   without tokenOut), txHash the one that mined; null while pending or the lookup failed
+     */
+    async settle({ txHash, swapId = null, tokenOut = null, recipient = null }) {
+        const swap = swapId ? await Swap.findByPk(swapId) : null;
+        const hash = swap?.txHash || txHash;
+        let receipt;
+        try {
+            receipt = await routingEngine.provider.getTransactionReceipt(hash);
+        } catch (error) {
+            console.warn(`Receipt lookup failed for ${hash}:`, error.message);
+            return null;
+        }
+        if (!receipt) return null;
+
+        const success = receipt.status === 1;
+        const amountOut = success && tokenOut && recipient ? this.receivedAmount(receipt, tokenOut, recipient) : null;
+        if (swapId) {
+            await swapDatabaseService.updateSwapStatus(swapId, success ? 'completed' : 'failed', hash, {
+                gasUsed: Number(receipt.gasUsed),
+                blockNumber: receipt.blockNumber,
+                ...(success ? {} : { errorMsg: 'Transaction reverted' }),
+                ...(amountOut !== null ? { metadata: { ...(swap?.metadata || {}), amountOutWei: amountOut.toString() } } : {})
+            });
+            if (success && swap) {
+                await executionReportService.recordForSwap(swap, receipt);
+            }
+        }
+        return { success, receipt, amountOut, txHash: hash };
+    }
+
+    /**
+     * Sum of tokenOut Transfer logs to the recipient in a receipt
+     */
+    receivedAmount(receipt, tokenOut, recipient) {
+        const token = tokenOut.toLowerCase();
+        const to = ethers.zeroPadValue(recipient, 32).toLowerCase();
+        return receipt.logs
+            .filter(log => log.address.toLowerCase() === token && log.topics[0] === TRANSFER_TOPIC && log.topics[2]?.toLowerCase() === to)
+            .reduce((sum, log) => sum + BigInt(log.data), 0n);
+    }
+}
+
+export default new CustodialExecutor();
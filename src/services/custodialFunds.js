@@ -0,0 +1,148 @@
+import { ethers } from 'ethers';
+import { Op } from 'sequelize';
+import CustodialDeposit from '../models/CustodialDeposit.js';
+import Swap from '../models/Swap.js';
+import routingEngine from './routingEngine.js';
+import custodialSendQueue from './custodialSendQueue.js';
+
+/**
+ * Custodial Funds
+ * What each maker may spend from the backend wallet. A maker funds custodial
+ * orders by transferring tokens to the backend wallet and submitting the
+ * transaction hash; every confirmed Transfer to the wallet is credited to its
+ * sender. Order fills (custodial Swap rows with a parentOrderId) that are
+ * pending or completed are spent; a failed fill spends nothing.
+ */
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const SPENDING_STATUSES = ['pending', 'completed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A deposit that cannot be credited; `status` is the HTTP status to answer with
+ */
+export class CustodialFundsError extends Error {
+    constructor(message, status, details = null) {
+        super(message);
+        this.name = 'CustodialFundsError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const sum = (values) => values.reduce((total, value) => total + BigInt(value || 0), 0n);
+
+class CustodialFunds {
+    constructor() {
+        this.minConfirmations = 3;
+    }
+
+    /**
+     * Credit the Transfers to the backend wallet in a mined transaction.
+     * Idempotent: logs credited before are skipped
+     * @returns {Object[]} Deposits credited by this call
+     */
+    async creditDeposit(txHash) {
+        if (!ethers.isHexString(txHash, 32)) {
+            throw new CustodialFundsError('txHash must be a 32-byte hex string', 400);
+        }
+        const wallet = await custodialSendQueue.ensureWallet();
+        const chainId = custodialSendQueue.chainId;
+
+        const receipt = await routingEngine.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            throw new CustodialFundsError('Transaction is not mined yet', 409);
+        }
+        if (receipt.status !== 1) {
+            throw new CustodialFundsError('Transaction reverted', 400);
+        }
+        const confirmations = await receipt.confirmations();
+        if (confirmations < this.minConfirmations) {
+            throw new CustodialFundsError(`Wait for ${this.minConfirmations} confirmations`, 409, { confirmations });
+        }
+
+        const to = ethers.zeroPadValue(wallet.address, 32).toLowerCase();
+        const transfers = receipt.logs.filter(log => log.topics.length === 3
+            && log.topics[0] === TRANSFER_TOPIC
+            && log.topics[2].toLowerCase() === to);
+        if (transfers.length === 0) {
+            throw new CustodialFundsError(`Transaction has no token transfer to ${wallet.address}`, 400);
+        }
+
+        const credited = [];
+        for (const log of transfers) {
+            const [deposit, created] = await CustodialDeposit.findOrCreate({
+                where: { txHash: receipt.hash.toLowerCase(), logIndex: log.index },
+                defaults: {
+                    chainId,
+                    owner: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)).toLowerCase(),
+                    token: log.address.toLowerCase(),
+                    amount: BigInt(log.data).toString(),
+                    blockNumber: receipt.blockNumber
+                }
+            });
+            if (created) credited.push(deposit);
+        }
+        return credited;
+    }
+
+    /**
+     * Deposited, spent and available amounts (base units) of one token
+     * @returns {Object} { deposited, spent, available } as bigint
+     */
+    async getBalance(chainId, owner, token) {
+        const deposits = await CustodialDeposit.findAll({
+            where: { chainId, owner: owner.toLowerCase(), token: token.toLowerCase() },
+            attributes: ['amount']
+        });
+        const fills = await Swap.findAll({
+            where: {
+                chainId,
+                isCustodial: true,
+                userAddress: owner.toLowerCase(),
+                tokenIn: token.toLowerCase(),
+                parentOrderId: { [Op.ne]: null },
+                status: { [Op.in]: SPENDING_STATUSES }
+            },
+            attributes: ['amountInWei']
+        });
+        const deposited = sum(deposits.map(d => d.amount));
+        const spent = sum(fills.map(f => f.amountInWei));
+        return { deposited, spent, available: deposited - spent };
+    }
+
+    /**
+     * Balances of every token the owner deposited (JSON-safe)
+     */
+    async getBalances(chainId, owner) {
+        const tokens = await CustodialDeposit.findAll({
+            where: { chainId, owner: owner.toLowerCase() },
+            attributes: ['token'],
+            group: ['token']
+        });
+        const balances = [];
+        for (const { token } of tokens) {
+            const { deposited, spent, available } = await this.getBalance(chainId, owner, token);
+            balances.push({ token, deposited: deposited.toString(), spent: spent.toString(), available: available.toString() });
+        }
+        return balances;
+    }
+
+    /**
+     * USD value of the order fills sent in the last 24 hours, for one owner or all of them
+     */
+    async getDailyVolumeUsd(chainId, owner = null) {
+        const where = {
+            chainId,
+            isCustodial: true,
+            parentOrderId: { [Op.ne]: null },
+            status: { [Op.in]: SPENDING_STATUSES },
+            createdAt: { [Op.gte]: new Date(Date.now() - DAY_MS) }
+        };
+        if (owner) where.userAddress = owner.toLowerCase();
+        const fills = await Swap.findAll({ where, attributes: ['metadata'] });
+        return fills.reduce((total, fill) => total + Number(fill.metadata?.amountInUsd || 0), 0);
+    }
+}
+
+export default new CustodialFunds();
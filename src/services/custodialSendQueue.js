@@ -0,0 +1,377 @@
+import { ethers } from 'ethers';
+import config from '../config/env.js';
+import CustodialTransaction from '../models/CustodialTransaction.js';
+import Swap from '../models/Swap.js';
+import TxPopulation from '../models/TxPopulation.js';
+import routingEngine from './routingEngine.js';
+import { OPERATIONAL_LIMITS } from '../config/operationalLimits.js';
+
+/**
+ * Custodial Send Queue
+ * Every transaction from the backend wallet (custodial swaps, order fills,
+ * liquidity calls and their approvals) goes through here. Nonces are
+ * allocated locally under one lock, so concurrent requests never race on them;
+ * at most RISK_LIMITS.MAX_CONCURRENT_SWAPS transactions are in flight. A
+ * broadcast with no receipt after STUCK_AFTER_MS is re-signed with the same
+ * nonce and bumped fees, never above GAS_LIMITS.MAX_GAS_PRICE. Entries are
+ * CustodialTransaction rows, so a restart resumes broadcasting and monitoring.
+ */
+
+const { MAX_GAS_PRICE, GAS_BUFFER_PERCENT } = OPERATIONAL_LIMITS.GAS_LIMITS;
+const { MAX_CONCURRENT_SWAPS } = OPERATIONAL_LIMITS.RISK_LIMITS;
+const MAX_GAS_PRICE_WEI = BigInt(MAX_GAS_PRICE);
+
+// A broadcast still unmined after this long is re-sent with higher fees
+const STUCK_AFTER_MS = 3 * 60 * 1000;
+
+// Nodes only accept a same-nonce replacement paying at least 10% more; bump by 12.5%
+const FEE_BUMP_PERCENT = 125n;
+const MIN_REPLACEMENT_PERCENT = 110n;
+
+const WAIT_POLL_MS = 3000;
+const WAIT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const IN_FLIGHT = ['queued', 'sent'];
+
+export class SendQueueError extends Error {
+    constructor(message, status, details = null) {
+        super(message);
+        this.name = 'SendQueueError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const bumped = (value) => (value * (1000n + FEE_BUMP_PERCENT)) / 1000n;
+const minReplacement = (value) => (value * MIN_REPLACEMENT_PERCENT) / 100n;
+const min = (a, b) => (a < b ? a : b);
+const max = (a, b) => (a > b ? a : b);
+
+class CustodialSendQueue {
+    constructor() {
+        this.wallet = null;
+        this.chainId = null;
+        // Next nonce to hand out; null until synced with the chain and the queue
+        this.nextNonce = null;
+        this.recovered = false;
+        // Tail of the lock: nonce allocation, broadcasts and refreshes run one at a time
+        this.tail = Promise.resolve();
+    }
+
+    /**
+     * Run fn once every operation scheduled before it has finished
+     */
+    exclusive(fn) {
+        const run = this.tail.then(fn);
+        this.tail = run.catch(() => {});
+        return run;
+    }
+
+    async ensureWallet() {
+        if (!this.wallet) {
+            await routingEngine.ensureProvider();
+            this.chainId = Number(await routingEngine.getChainId());
+            this.wallet = new ethers.Wallet(config.PRIVATE_KEY, routingEngine.provider);
+        }
+        return this.wallet;
+    }
+
+    /**
+     * Queue a transaction from the backend wallet and broadcast it with the next nonce
+     * @param {Object} tx - { to, data?, value?, gasLimit? }, e.g. from a contract method's populateTransaction()
+     * @param {Object} options - kind (label such as 'swap' or 'approve'), reference (rows it settles, e.g. { swapId })
+     * @returns {Object} { id, hash, nonce, to, data, value, gasLimit, wait(timeoutMs?) }; wait resolves
+     *   with the receipt of whichever broadcast mined and throws if it reverted or was dropped
+     * @throws {SendQueueError} 429 when MAX_CONCURRENT_SWAPS transactions are in flight, 503 when
+     *   the network gas price is above MAX_GAS_PRICE, 502 when the node rejects the broadcast
+     */
+    async submit(tx, { kind = 'contract-call', reference = {} } = {}) {
+        const wallet = await this.ensureWallet();
+        const record = await this.exclusive(async () => {
+            const inFlight = await CustodialTransaction.count({
+                where: { chainId: this.chainId, fromAddress: wallet.address, status: IN_FLIGHT }
+            });
+            if (inFlight >= MAX_CONCURRENT_SWAPS) {
+                throw new SendQueueError('Too many custodial transactions in flight; try again shortly', 429, {
+                    inFlight,
+                    limit: MAX_CONCURRENT_SWAPS
+                });
+            }
+
+            const fees = await this.getNetworkFees();
+            if (fees.current > MAX_GAS_PRICE_WEI) {
+                throw new SendQueueError('Network gas price is above the custodial maximum', 503, {
+                    gasPrice: fees.current.toString(),
+                    maxGasPrice: MAX_GAS_PRICE_WEI.toString()
+                });
+            }
+            const value = BigInt(tx.value ?? 0);
+            const gasLimit = tx.gasLimit
+                ? BigInt(tx.gasLimit)
+                : (await wallet.estimateGas({ to: tx.to, data: tx.data, value }) * BigInt(100 + GAS_BUFFER_PERCENT)) / 100n;
+
+            const entry = await CustodialTransaction.create({
+                chainId: this.chainId,
+                fromAddress: wallet.address,
+                nonce: await this.allocateNonce(),
+                kind,
+                toAddress: ethers.getAddress(tx.to),
+                data: tx.data || '0x',
+                value: value.toString(),
+                gasLimit: gasLimit.toString(),
+                maxFeePerGas: min(fees.maxFeePerGas, MAX_GAS_PRICE_WEI).toString(),
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas === null
+                    ? null
+                    : min(fees.maxPriorityFeePerGas, min(fees.maxFeePerGas, MAX_GAS_PRICE_WEI)).toString(),
+                reference
+            });
+            await this.broadcastQueued(entry);
+            return entry;
+        });
+        return this.handle(record);
+    }
+
+    /**
+     * Nonce for a new entry: the wallet's pending count, or past the highest in-flight entry
+     */
+    async allocateNonce() {
+        if (this.nextNonce === null) {
+            const [pending, highest] = await Promise.all([
+                this.wallet.provider.getTransactionCount(this.wallet.address, 'pending'),
+                CustodialTransaction.max('nonce', {
+                    where: { chainId: this.chainId, fromAddress: this.wallet.address, status: IN_FLIGHT }
+                })
+            ]);
+            this.nextNonce = Math.max(pending, Number.isInteger(highest) ? highest + 1 : 0);
+        }
+        return this.nextNonce;
+    }
+
+    /**
+     * First broadcast of a queued entry. A rejected one is failed and the nonce
+     * counter resynced, so the next entry reuses the nonce instead of leaving a gap
+     */
+    async broadcastQueued(entry) {
+        try {
+            await this.broadcast(entry);
+            if (this.nextNonce !== null) {
+                this.nextNonce = Math.max(this.nextNonce, entry.nonce + 1);
+            }
+        } catch (error) {
+            this.nextNonce = null;
+            await entry.update({ status: 'failed', error: error.shortMessage || error.message });
+            throw new SendQueueError('Node rejected the transaction', 502, error.shortMessage || error.message);
+        }
+    }
+
+    /**
+     * Sign the entry with its nonce (and `fees`, replacing the stored ones) and
+     * send it; a node that already has this exact transaction counts as sent.
+     * With tolerateRejection a rejected broadcast is still recorded as sent and
+     * left to refresh (used on restart, when the nonce may already be mined)
+     */
+    async broadcast(entry, fees = {}, { tolerateRejection = false } = {}) {
+        const signed = await this.wallet.signTransaction(this.toRequest({ ...entry.get(), ...fees }));
+        const hash = ethers.Transaction.from(signed).hash;
+        try {
+            await this.wallet.provider.broadcastTransaction(signed);
+        } catch (error) {
+            if (tolerateRejection) {
+                console.warn(`Broadcast of ${hash} (nonce ${entry.nonce}) rejected:`, error.shortMessage || error.message);
+            } else if (!/already known|known transaction/i.test(error.message)) {
+                throw error;
+            }
+        }
+        const txHashes = entry.txHashes.includes(hash) ? entry.txHashes : [...entry.txHashes, hash];
+        await entry.update({ ...fees, status: 'sent', txHash: hash, txHashes, attempts: entry.attempts + 1, lastSentAt: new Date() });
+        return hash;
+    }
+
+    toRequest(entry) {
+        const fees = entry.maxPriorityFeePerGas === null || entry.maxPriorityFeePerGas === undefined
+            ? { type: 0, gasPrice: BigInt(entry.maxFeePerGas) }
+            : { type: 2, maxFeePerGas: BigInt(entry.maxFeePerGas), maxPriorityFeePerGas: BigInt(entry.maxPriorityFeePerGas) };
+        return {
+            to: entry.toAddress,
+            data: entry.data,
+            value: BigInt(entry.value),
+            gasLimit: BigInt(entry.gasLimit),
+            nonce: entry.nonce,
+            chainId: entry.chainId,
+            ...fees
+        };
+    }
+
+    /**
+     * Fees the network asks for now
+     * @returns {Object} { current (what a tx pays now), maxFeePerGas, maxPriorityFeePerGas (null on legacy chains) }
+     */
+    async getNetworkFees() {
+        const feeData = await this.wallet.provider.getFeeData();
+        if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+            const block = await this.wallet.provider.getBlock('latest');
+            return {
+                current: (block?.baseFeePerGas ?? 0n) + feeData.maxPriorityFeePerGas,
+                maxFeePerGas: feeData.maxFeePerGas,
+                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+            };
+        }
+        return { current: feeData.gasPrice, maxFeePerGas: feeData.gasPrice, maxPriorityFeePerGas: null };
+    }
+
+    /**
+     * Settle a sent entry from its receipts, mark it dropped when another
+     * transaction used its nonce, or bump its fees once it is stuck
+     * @returns {Object} { entry, receipt } - receipt of the mined broadcast, if any
+     */
+    async refresh(entry) {
+        const provider = this.wallet.provider;
+        if (entry.status === 'confirmed' || entry.status === 'failed') {
+            return { entry, receipt: entry.txHash ? await provider.getTransactionReceipt(entry.txHash) : null };
+        }
+        if (entry.status !== 'sent') {
+            return { entry, receipt: null };
+        }
+
+        // Read before the receipts: a nonce used by then and no receipt of ours means someone else used it
+        const minedNonces = await provider.getTransactionCount(entry.fromAddress, 'latest');
+        for (const hash of [...entry.txHashes].reverse()) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) {
+                const success = receipt.status === 1;
+                await entry.update({ status: success ? 'confirmed' : 'failed', txHash: receipt.hash, error: success ? null : 'Transaction reverted' });
+                return { entry, receipt };
+            }
+        }
+        if (minedNonces > entry.nonce) {
+            await entry.update({ status: 'dropped', error: 'Nonce used by another transaction' });
+            return { entry, receipt: null };
+        }
+
+        if (Date.now() - new Date(entry.lastSentAt).getTime() >= STUCK_AFTER_MS) {
+            await this.bump(entry);
+        }
+        return { entry, receipt: null };
+    }
+
+    /**
+     * Re-send a stuck entry with fees raised by FEE_BUMP_PERCENT (or to the
+     * network's current ask if higher), capped at MAX_GAS_PRICE. At the cap the
+     * entry keeps waiting with its last fees
+     */
+    async bump(entry) {
+        const fees = await this.getNetworkFees();
+        const previousMax = BigInt(entry.maxFeePerGas);
+        const maxFeePerGas = min(max(bumped(previousMax), fees.maxFeePerGas), MAX_GAS_PRICE_WEI);
+        let maxPriorityFeePerGas = null;
+        if (entry.maxPriorityFeePerGas !== null) {
+            const previousPriority = BigInt(entry.maxPriorityFeePerGas);
+            maxPriorityFeePerGas = min(max(bumped(previousPriority), fees.maxPriorityFeePerGas ?? 0n), maxFeePerGas);
+            if (maxPriorityFeePerGas < minReplacement(previousPriority)) {
+                maxPriorityFeePerGas = null;
+            }
+        }
+        if (maxFeePerGas < minReplacement(previousMax) || (entry.maxPriorityFeePerGas !== null && maxPriorityFeePerGas === null)) {
+            console.warn(`Custodial tx ${entry.txHash} (nonce ${entry.nonce}) is stuck at the MAX_GAS_PRICE cap`);
+            await entry.update({ lastSentAt: new Date() });
+            return null;
+        }
+
+        const previousHash = entry.txHash;
+        let hash;
+        try {
+            hash = await this.broadcast(entry, {
+                maxFeePerGas: maxFeePerGas.toString(),
+                maxPriorityFeePerGas: maxPriorityFeePerGas?.toString() ?? null
+            });
+        } catch (error) {
+            console.error(`Fee bump of ${previousHash} failed:`, error.shortMessage || error.message);
+            return null;
+        }
+
+        // Rows following the old hash move to the replacement
+        await Swap.update({ txHash: hash }, { where: { txHash: previousHash } });
+        await TxPopulation.update({ txHash: hash }, { where: { txHash: previousHash } });
+        console.log(`Bumped custodial tx nonce ${entry.nonce}: ${previousHash} -> ${hash}`);
+        return hash;
+    }
+
+    /**
+     * Caller's view of an entry (mirrors an ethers TransactionResponse)
+     */
+    handle(entry) {
+        return {
+            id: entry.id,
+            hash: entry.txHash,
+            nonce: entry.nonce,
+            to: entry.toAddress,
+            data: entry.data,
+            value: BigInt(entry.value),
+            gasLimit: BigInt(entry.gasLimit),
+            wait: (timeoutMs = WAIT_TIMEOUT_MS) => this.waitFor(entry.id, timeoutMs)
+        };
+    }
+
+    /**
+     * Receipt of an entry once mined
+     * @throws {SendQueueError} when it reverted (500), was dropped (409) or is still
+     *   unmined after timeoutMs (504; the entry stays queued and keeps being bumped)
+     */
+    async waitFor(id, timeoutMs = WAIT_TIMEOUT_MS) {
+        const startedAt = Date.now();
+        for (;;) {
+            const { entry, receipt } = await this.exclusive(async () => this.refresh(await CustodialTransaction.findByPk(id)));
+            if (entry.status === 'confirmed') {
+                return receipt;
+            }
+            if (entry.status === 'failed') {
+                throw new SendQueueError(`Transaction ${entry.txHash} failed: ${entry.error}`, 500, { txHash: entry.txHash });
+            }
+            if (entry.status === 'dropped') {
+                throw new SendQueueError(`Transaction nonce ${entry.nonce} was used by another transaction`, 409, { txHashes: entry.txHashes });
+            }
+            if (Date.now() - startedAt >= timeoutMs) {
+                throw new SendQueueError('Transaction not mined yet; it stays queued', 504, { txHash: entry.txHash, id });
+            }
+            await new Promise(resolve => setTimeout(resolve, WAIT_POLL_MS));
+        }
+    }
+
+    /**
+     * One queue pass: after a restart first re-send entries that were queued
+     * but maybe never broadcast (their nonce may have mined meanwhile, so a
+     * rejection is left to refresh), then settle, drop or bump every sent entry
+     * @returns {Object} counts: { sent, confirmed, failed, dropped, recovered }
+     */
+    async runOnce() {
+        const wallet = await this.ensureWallet();
+        const where = { chainId: this.chainId, fromAddress: wallet.address };
+        const stats = { sent: 0, confirmed: 0, failed: 0, dropped: 0, recovered: 0 };
+
+        if (!this.recovered) {
+            const queued = await CustodialTransaction.findAll({ where: { ...where, status: 'queued' }, order: [['nonce', 'ASC']] });
+            for (const entry of queued) {
+                try {
+                    await this.exclusive(() => this.broadcast(entry, {}, { tolerateRejection: true }));
+                    stats.recovered++;
+                } catch (error) {
+                    console.error(`Re-sending queued custodial tx nonce ${entry.nonce} failed:`, error.message);
+                }
+            }
+            this.recovered = true;
+        }
+
+        const sent = await CustodialTransaction.findAll({ where: { ...where, status: 'sent' }, order: [['nonce', 'ASC']] });
+        for (const entry of sent) {
+            try {
+                const { entry: refreshed } = await this.exclusive(async () => this.refresh(await entry.reload()));
+                stats[refreshed.status]++;
+            } catch (error) {
+                console.error(`Refreshing custodial tx ${entry.txHash} failed:`, error.message);
+            }
+        }
+        return stats;
+    }
+}
+
+export default new CustodialSendQueue();
@@ -0,0 +1,197 @@
+import { ethers } from 'ethers';
+import Swap from '../models/Swap.js';
+import routingEngine from './routingEngine.js';
+import priceFeedService from './priceFeedService.js';
+import swapDatabaseService from './swapDatabase.js';
+import { PROTOCOL_V2, PROTOCOL_V3 } from './poolAdapters.js';
+
+/**
+ * Execution Report
+ * What a confirmed swap actually did, read from its receipt: the pool Swap
+ * events give each hop's amounts, the ERC-20 Transfer logs tie them to tokens
+ * and give what the sender paid and the recipient received. From these come
+ * the realized price, the slippage against the quote and the gas cost in USD.
+ * Stored on Swap.execution.
+ */
+
+const eventInterface = new ethers.Interface([
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+    "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)"
+]);
+const TRANSFER_TOPIC = eventInterface.getEvent('Transfer').topicHash;
+const V3_SWAP_TOPIC = eventInterface.getEvent('Swap(address,address,int256,int256,uint160,uint128,int24)').topicHash;
+const V2_SWAP_TOPIC = eventInterface.getEvent('Swap(address,uint256,uint256,uint256,uint256,address)').topicHash;
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+const round = (value, places) => Number(value.toFixed(places));
+
+/**
+ * Decode the Transfer logs and pool Swap events of a receipt
+ * @returns {{ transfers: Object[], hops: Object[] }} transfers { token, from, to, value };
+ *   hops { pool, protocol, tokenIn, tokenOut, amountIn, amountOut } in log order, tokens
+ *   taken from the transfers into and out of the pool (null when absent)
+ */
+export function decodeSwapLogs(logs) {
+    const transfers = [];
+    const swaps = [];
+    for (const log of logs) {
+        const topic = log.topics[0];
+        if (topic === TRANSFER_TOPIC && log.topics.length === 3) {
+            const { args } = eventInterface.parseLog(log);
+            transfers.push({ token: log.address.toLowerCase(), from: args.from.toLowerCase(), to: args.to.toLowerCase(), value: args.value });
+        } else if (topic === V3_SWAP_TOPIC) {
+            const { args } = eventInterface.parseLog(log);
+            const zeroForOne = args.amount0 > 0n;
+            swaps.push({
+                pool: log.address.toLowerCase(),
+                protocol: PROTOCOL_V3,
+                amountIn: zeroForOne ? args.amount0 : args.amount1,
+                amountOut: zeroForOne ? -args.amount1 : -args.amount0
+            });
+        } else if (topic === V2_SWAP_TOPIC) {
+            const { args } = eventInterface.parseLog(log);
+            swaps.push({
+                pool: log.address.toLowerCase(),
+                protocol: PROTOCOL_V2,
+                amountIn: args.amount0In + args.amount1In,
+                amountOut: args.amount0Out + args.amount1Out
+            });
+        }
+    }
+
+    const hops = swaps.map(swap => ({
+        ...swap,
+        tokenIn: transfers.find(t => t.to === swap.pool)?.token ?? null,
+        tokenOut: transfers.find(t => t.from === swap.pool)?.token ?? null
+    }));
+    return { transfers, hops };
+}
+
+/**
+ * Actual base-unit amounts of a swap. What the payer sent and the recipient
+ * received in tokenIn/tokenOut Transfers wins; native legs have no such
+ * transfer, so they fall back to the pool hops in those tokens.
+ * @returns {Object} { amountIn, amountOut, sources: { amountIn, amountOut }, hops }
+ */
+export function realizedAmounts(logs, { tokenIn, tokenOut, payer, recipient }) {
+    const { transfers, hops } = decodeSwapLogs(logs);
+    const [inToken, outToken] = [tokenIn.toLowerCase(), tokenOut.toLowerCase()];
+    const sum = (items, pick) => items.reduce((total, item) => total + pick(item), 0n);
+
+    const paid = sum(transfers.filter(t => t.token === inToken && t.from === payer.toLowerCase()), t => t.value);
+    const received = sum(transfers.filter(t => t.token === outToken && t.to === recipient.toLowerCase()), t => t.value);
+    const pooledIn = sum(hops.filter(hop => hop.tokenIn === inToken), hop => hop.amountIn);
+    const pooledOut = sum(hops.filter(hop => hop.tokenOut === outToken), hop => hop.amountOut);
+
+    return {
+        amountIn: paid > 0n ? paid : pooledIn,
+        amountOut: received > 0n ? received : pooledOut,
+        sources: { amountIn: paid > 0n ? 'transfer' : 'pool', amountOut: received > 0n ? 'transfer' : 'pool' },
+        hops
+    };
+}
+
+class ExecutionReportService {
+    /**
+     * Build the report for a confirmed swap and store it on Swap.execution;
+     * failures are logged, never thrown, so settlement is not held up
+     * @param {Object} swap - Swap row
+     * @param {Object} receipt - ethers TransactionReceipt of swap.txHash
+     * @returns {Object|null} the report
+     */
+    async recordForSwap(swap, receipt) {
+        try {
+            const execution = await this.build(swap, receipt);
+            await Swap.update({ execution }, { where: { id: swap.id } });
+            return execution;
+        } catch (error) {
+            console.error(`Execution report for swap ${swap.id} failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Report for a swap from its receipt
+     * @returns {Object} realized amounts (decimal strings and base units), realizedPrice
+     *   and quotedPrice (tokenOut per tokenIn), slippagePct (positive = worse than quoted),
+     *   gas cost in wei/ETH/USD, hops and the log source of each amount
+     */
+    async build(swap, receipt) {
+        const chainId = swap.chainId;
+        const [decimalsIn, decimalsOut] = await Promise.all([
+            this.getDecimals(swap.tokenIn, chainId),
+            this.getDecimals(swap.tokenOut, chainId)
+        ]);
+        const { amountIn, amountOut, sources, hops } = realizedAmounts(receipt.logs, {
+            tokenIn: swap.tokenIn,
+            tokenOut: swap.tokenOut,
+            payer: receipt.from,
+            recipient: swap.recipient
+        });
+
+        const actualIn = Number(ethers.formatUnits(amountIn, decimalsIn));
+        const actualOut = Number(ethers.formatUnits(amountOut, decimalsOut));
+        const exactOut = swap.mode === 'EXACT_OUT';
+        const quotedIn = Number(exactOut ? swap.requiredIn ?? swap.amountIn : swap.amountIn);
+        const quotedOut = Number(swap.expectedOut);
+
+        // EXACT_IN slips on the output received, EXACT_OUT on the input spent
+        let slippagePct = null;
+        if (exactOut && quotedIn > 0) {
+            slippagePct = round(((actualIn - quotedIn) / quotedIn) * 100, 4);
+        } else if (!exactOut && quotedOut > 0) {
+            slippagePct = round(((quotedOut - actualOut) / quotedOut) * 100, 4);
+        }
+
+        const gasPrice = receipt.gasPrice ?? 0n;
+        const gasCostWei = receipt.gasUsed * gasPrice;
+        const gasCostEth = Number(ethers.formatEther(gasCostWei));
+        const nativeUsdPrice = await this.getNativeUsdPrice(chainId);
+
+        return {
+            amountIn: ethers.formatUnits(amountIn, decimalsIn),
+            amountOut: ethers.formatUnits(amountOut, decimalsOut),
+            amountInWei: amountIn.toString(),
+            amountOutWei: amountOut.toString(),
+            realizedPrice: actualIn > 0 ? actualOut / actualIn : null,
+            quotedPrice: quotedIn > 0 ? quotedOut / quotedIn : null,
+            slippagePct,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: gasPrice.toString(),
+            gasCostWei: gasCostWei.toString(),
+            gasCostEth,
+            gasCostUsd: nativeUsdPrice ? round(gasCostEth * nativeUsdPrice, 6) : null,
+            hops: hops.map(hop => ({ ...hop, amountIn: hop.amountIn.toString(), amountOut: hop.amountOut.toString() })),
+            sources,
+            blockNumber: receipt.blockNumber,
+            computedAt: new Date().toISOString()
+        };
+    }
+
+    async getDecimals(tokenAddress, chainId) {
+        const token = await swapDatabaseService.getTokenByAddress(tokenAddress, chainId);
+        if (token) {
+            return Number(token.decimals);
+        }
+        await routingEngine.ensureProvider();
+        return Number(await new ethers.Contract(tokenAddress, ERC20_DECIMALS_ABI, routingEngine.provider).decimals());
+    }
+
+    /**
+     * USD price of the native gas token (via its wrapped token), null when unknown
+     */
+    async getNativeUsdPrice(chainId) {
+        try {
+            const wrappedNative = await routingEngine.getNativeWrappedAddress();
+            const price = await priceFeedService.getTokenPrice(wrappedNative, chainId.toString());
+            return Number(price) > 0 ? Number(price) : null;
+        } catch (error) {
+            console.warn('Native USD price unavailable for gas cost:', error.message);
+            return null;
+        }
+    }
+}
+
+export default new ExecutionReportService();
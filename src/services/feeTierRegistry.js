@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+import { getUniswapAddresses, getMulticallAddress } from '../config/chains.js';
+import multicallQuoter from './multicallQuoter.js';
+import { MIN_TICK, MAX_TICK } from '../utils/v3Math.js';
+
+/**
+ * Fee Tier Registry
+ * Per-chain map of enabled V3 fee tiers to tick spacing, read from the
+ * factory's `feeAmountTickSpacing` (0 = tier not enabled) and cached. Until a
+ * chain has been read, and whenever the read fails, the canonical Uniswap
+ * tiers are assumed.
+ */
+
+export const FACTORY_FEE_ABI = [
+    "function feeAmountTickSpacing(uint24 fee) view returns (int24)"
+];
+
+// Tiers enabled on every canonical Uniswap V3 factory
+export const DEFAULT_TICK_SPACINGS = { 100: 1, 500: 10, 3000: 60, 10000: 200 };
+
+const factoryInterface = new ethers.Interface(FACTORY_FEE_ABI);
+
+class FeeTierRegistry {
+    constructor() {
+        this.cache = new Map(); // chainId -> { tiers: Map<fee, tickSpacing>, timestamp }
+        this.cacheTimeout = 60 * 60 * 1000; // tiers only change by factory governance
+    }
+
+    defaultTiers() {
+        return new Map(Object.entries(DEFAULT_TICK_SPACINGS).map(([fee, spacing]) => [Number(fee), spacing]));
+    }
+
+    /**
+     * Fee tiers to probe: the defaults plus any `feeTiers` listed in the chain config
+     */
+    probeFees(chainId) {
+        let extra = [];
+        try {
+            extra = getUniswapAddresses(chainId).feeTiers || [];
+        } catch {
+            // Unsupported chain: defaults only
+        }
+        return [...new Set([...Object.keys(DEFAULT_TICK_SPACINGS).map(Number), ...extra.map(Number)])].sort((a, b) => a - b);
+    }
+
+    /**
+     * Enabled tiers for a chain, read from the factory when the cache is cold
+     * @param {string|number} chainId - Chain to look up
+     * @param {ethers.Provider} provider - Provider for the factory reads (omit to use cache/defaults)
+     * @returns {Map<number, number>} fee -> tick spacing
+     */
+    async getTiers(chainId, provider = null) {
+        const key = String(chainId);
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.tiers;
+        }
+        if (!provider) {
+            return cached ? cached.tiers : this.defaultTiers();
+        }
+
+        try {
+            const { factory } = getUniswapAddresses(key);
+            const fees = this.probeFees(key);
+            const calls = fees.map(fee => ({ target: factory, callData: factoryInterface.encodeFunctionData('feeAmountTickSpacing', [fee]) }));
+            const results = await multicallQuoter.aggregate(provider, getMulticallAddress(key), calls);
+
+            const tiers = new Map();
+            results.forEach((result, i) => {
+                if (!result || !result.success) return;
+                const [spacing] = factoryInterface.decodeFunctionResult('feeAmountTickSpacing', result.returnData);
+                if (Number(spacing) > 0) tiers.set(fees[i], Number(spacing));
+            });
+            if (tiers.size === 0) {
+                throw new Error('factory reported no enabled fee tiers');
+            }
+
+            this.cache.set(key, { tiers, timestamp: Date.now() });
+            return tiers;
+        } catch (error) {
+            console.warn(`Fee tier lookup failed for chain ${key}, using defaults:`, error.message);
+            return cached ? cached.tiers : this.defaultTiers();
+        }
+    }
+
+    /**
+     * Enabled fee tiers, ascending
+     */
+    async getFees(chainId, provider = null) {
+        const tiers = await this.getTiers(chainId, provider);
+        return [...tiers.keys()].sort((a, b) => a - b);
+    }
+
+    /**
+     * Tick spacing for a fee tier, or null when the tier is not enabled
+     */
+    async getTickSpacing(chainId, fee, provider = null) {
+        const tiers = await this.getTiers(chainId, provider);
+        return tiers.get(Number(fee)) ?? null;
+    }
+
+    async isValidFee(chainId, fee, provider = null) {
+        return (await this.getTickSpacing(chainId, fee, provider)) !== null;
+    }
+
+    /**
+     * Fees a risk policy allows: enabled on the chain and listed in the policy
+     * (a policy without a list allows every enabled tier)
+     */
+    async getAllowedFees(chainId, policyFees = null, provider = null) {
+        const fees = await this.getFees(chainId, provider);
+        if (!Array.isArray(policyFees) || policyFees.length === 0) return fees;
+        const allowed = new Set(policyFees.map(Number));
+        return fees.filter(fee => allowed.has(fee));
+    }
+
+    /**
+     * Widen a tick range to the nearest usable ticks for a spacing
+     * (lower rounds down, upper rounds up, both clamped to the usable bounds)
+     */
+    snapTicks(tickLower, tickUpper, tickSpacing) {
+        const minUsable = Math.ceil(MIN_TICK / tickSpacing) * tickSpacing;
+        const maxUsable = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+        const lower = Math.max(Math.floor(tickLower / tickSpacing) * tickSpacing, minUsable);
+        const upper = Math.min(Math.ceil(tickUpper / tickSpacing) * tickSpacing, maxUsable);
+        return { tickLower: lower, tickUpper: upper };
+    }
+
+    /**
+     * Drop cached tiers (e.g. after a factory enableFeeAmount)
+     */
+    invalidate(chainId = null) {
+        if (chainId === null) {
+            this.cache.clear();
+        } else {
+            this.cache.delete(String(chainId));
+        }
+    }
+}
+
+export default new FeeTierRegistry();
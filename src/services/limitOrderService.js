@@ -0,0 +1,582 @@
+import { ethers } from 'ethers';
+import { Op } from 'sequelize';
+import { v4 as uuidv4 } from 'uuid';
+import LimitOrder from '../models/LimitOrder.js';
+import Notification from '../models/Notification.js';
+import routingEngine from './routingEngine.js';
+import quoteService from './quoteService.js';
+import swapPopulator from './swapPopulator.js';
+import swapDatabaseService from './swapDatabase.js';
+import custodialExecutor from './custodialExecutor.js';
+import priceFeedService from './priceFeedService.js';
+import { validateToken } from './tokenValidation.js';
+
+/**
+ * Limit Order Service
+ * Makers sign orders off-chain (EIP-712, domain without a verifying contract);
+ * the executor job re-quotes open orders and, once the route pays at least
+ * minAmountOut, builds the swap through swapPopulator. Stop-loss and
+ * take-profit orders (ConditionalOrder) first wait for tokenIn's USD price to
+ * cross triggerPriceUsd, both on priceFeedService and on the pool TWAP so a
+ * single manipulated block cannot trigger them. Custodial orders are
+ * sent through custodialExecutor and paid from what the maker deposited to the
+ * backend wallet (custodialFunds); the others are handed to the maker to sign.
+ * Every status change leaves a TRANSACTION notification for the maker.
+ */
+
+export const LIMIT_ORDER_DOMAIN_NAME = 'TPay Limit Orders';
+export const LIMIT_ORDER_DOMAIN_VERSION = '1';
+
+export const LIMIT_ORDER_TYPES = {
+    LimitOrder: [
+        { name: 'maker', type: 'address' },
+        { name: 'tokenIn', type: 'address' },
+        { name: 'tokenOut', type: 'address' },
+        { name: 'amountIn', type: 'uint256' },
+        { name: 'minAmountOut', type: 'uint256' },
+        { name: 'recipient', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'expiresAt', type: 'uint256' },
+        { name: 'executionMode', type: 'string' } // custodial | notify
+    ]
+};
+
+export const CONDITIONAL_ORDER_TYPES = {
+    ConditionalOrder: [
+        ...LIMIT_ORDER_TYPES.LimitOrder,
+        { name: 'orderKind', type: 'string' },      // STOP_LOSS | TAKE_PROFIT
+        { name: 'triggerPriceUsd', type: 'string' } // USD price of tokenIn, decimal string
+    ]
+};
+
+export const CANCEL_TYPES = {
+    CancelLimitOrder: [
+        { name: 'orderHash', type: 'bytes32' }
+    ]
+};
+
+export const SUBMIT_TYPES = {
+    SubmitLimitOrder: [
+        { name: 'orderHash', type: 'bytes32' },
+        { name: 'txHash', type: 'bytes32' }
+    ]
+};
+
+const EXECUTION_MODES = ['custodial', 'notify'];
+const CONDITIONAL_KINDS = ['STOP_LOSS', 'TAKE_PROFIT'];
+const ORDER_KINDS = {
+    LIMIT: { name: 'limit order', trigger: 'limit price' },
+    STOP_LOSS: { name: 'stop-loss order', trigger: 'stop-loss price' },
+    TAKE_PROFIT: { name: 'take-profit order', trigger: 'take-profit price' }
+};
+const MAX_ORDER_LIFETIME_SEC = 90 * 24 * 60 * 60;
+
+/**
+ * A limit order request that cannot be served; `status` is the HTTP status to answer with
+ */
+export class LimitOrderError extends Error {
+    constructor(message, status, details = null) {
+        super(message);
+        this.name = 'LimitOrderError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class LimitOrderService {
+    constructor() {
+        this.slippagePct = 0.5;              // executions also stay within this of the quote (never below the limit)
+        this.notifyDeadlineSec = 20 * 60;    // time the maker has to sign a triggered order
+        this.custodialDeadlineSec = 5 * 60;
+        this.batchSize = 100;                // orders re-quoted per executor run
+        this.twapWindowSec = 10 * 60;        // pool TWAP that confirms stop-loss/take-profit triggers
+    }
+
+    kindName(order) {
+        return ORDER_KINDS[order.orderKind].name;
+    }
+
+    kindTitle(order) {
+        const name = this.kindName(order);
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    triggerName(order) {
+        return ORDER_KINDS[order.orderKind].trigger;
+    }
+
+    getDomain(chainId) {
+        return { name: LIMIT_ORDER_DOMAIN_NAME, version: LIMIT_ORDER_DOMAIN_VERSION, chainId: BigInt(chainId) };
+    }
+
+    /**
+     * Domain and types clients sign orders, cancellations and submissions with (JSON-safe)
+     */
+    async getTypedData() {
+        const chainId = await routingEngine.getChainId();
+        return {
+            domain: { name: LIMIT_ORDER_DOMAIN_NAME, version: LIMIT_ORDER_DOMAIN_VERSION, chainId: String(chainId) },
+            types: { ...LIMIT_ORDER_TYPES, ...CONDITIONAL_ORDER_TYPES, ...CANCEL_TYPES, ...SUBMIT_TYPES },
+            primaryTypes: { order: 'LimitOrder', conditional: 'ConditionalOrder', cancel: 'CancelLimitOrder', submit: 'SubmitLimitOrder' }
+        };
+    }
+
+    /**
+     * Validate and store a signed limit order
+     * @param {Object} order - LimitOrder message (amounts in base units, expiresAt in unix seconds)
+     * @param {string} signature - Maker's EIP-712 signature
+     */
+    async createOrder(order, signature) {
+        return this.storeSignedOrder(order, signature, LIMIT_ORDER_TYPES);
+    }
+
+    /**
+     * Validate and store a signed stop-loss or take-profit order
+     * @param {Object} order - ConditionalOrder message: LimitOrder fields (minAmountOut may be 0
+     *   for no floor) plus orderKind and triggerPriceUsd
+     * @param {string} signature - Maker's EIP-712 signature
+     */
+    async createConditionalOrder(order, signature) {
+        return this.storeSignedOrder(order, signature, CONDITIONAL_ORDER_TYPES);
+    }
+
+    async storeSignedOrder(order, signature, types) {
+        const conditional = types === CONDITIONAL_ORDER_TYPES;
+        const fields = Object.values(types)[0];
+        if (!order || !signature) {
+            throw new LimitOrderError('order and signature are required', 400);
+        }
+        const missing = fields.map(f => f.name).filter(name => order[name] === undefined || order[name] === null || order[name] === '');
+        if (missing.length > 0) {
+            throw new LimitOrderError(`Missing order fields: ${missing.join(', ')}`, 400);
+        }
+        if (!EXECUTION_MODES.includes(order.executionMode)) {
+            throw new LimitOrderError(`executionMode must be one of: ${EXECUTION_MODES.join(', ')}`, 400);
+        }
+        if (conditional && !CONDITIONAL_KINDS.includes(order.orderKind)) {
+            throw new LimitOrderError(`orderKind must be one of: ${CONDITIONAL_KINDS.join(', ')}`, 400);
+        }
+        if (conditional && !(/^\d+(\.\d+)?$/.test(String(order.triggerPriceUsd)) && Number(order.triggerPriceUsd) > 0)) {
+            throw new LimitOrderError('triggerPriceUsd must be a positive decimal string', 400);
+        }
+
+        let message;
+        try {
+            message = {
+                maker: ethers.getAddress(order.maker),
+                tokenIn: validateToken(order.tokenIn),
+                tokenOut: validateToken(order.tokenOut),
+                amountIn: BigInt(order.amountIn).toString(),
+                minAmountOut: BigInt(order.minAmountOut).toString(),
+                recipient: ethers.getAddress(order.recipient),
+                nonce: BigInt(order.nonce).toString(),
+                expiresAt: String(Number(order.expiresAt)),
+                executionMode: order.executionMode,
+                ...(conditional ? { orderKind: order.orderKind, triggerPriceUsd: String(order.triggerPriceUsd) } : {})
+            };
+        } catch (error) {
+            throw new LimitOrderError('Invalid order', 400, error.shortMessage || error.message);
+        }
+        if (message.tokenIn === message.tokenOut) {
+            throw new LimitOrderError('tokenIn and tokenOut must differ', 400);
+        }
+        // Stop-loss/take-profit orders may sell at market (no floor)
+        if (BigInt(message.amountIn) <= 0n || BigInt(message.minAmountOut) < (conditional ? 0n : 1n)) {
+            throw new LimitOrderError(conditional ? 'amountIn must be positive' : 'amountIn and minAmountOut must be positive', 400);
+        }
+        const nowSec = Math.floor(Date.now() / 1000);
+        const expiresAt = Number(message.expiresAt);
+        if (!Number.isInteger(expiresAt) || expiresAt <= nowSec || expiresAt > nowSec + MAX_ORDER_LIFETIME_SEC) {
+            throw new LimitOrderError('expiresAt must be in the future and at most 90 days away', 400);
+        }
+
+        const chainId = Number(await routingEngine.getChainId());
+        const domain = this.getDomain(chainId);
+        let signer;
+        try {
+            signer = ethers.verifyTypedData(domain, types, message, signature);
+        } catch (error) {
+            throw new LimitOrderError('Malformed signature', 400, error.shortMessage || error.message);
+        }
+        if (signer !== message.maker) {
+            throw new LimitOrderError('Order was not signed by the maker', 400);
+        }
+
+        if (message.executionMode === 'custodial' && !(await swapDatabaseService.isFeatureEnabled('CUSTODIAL_MODE'))) {
+            throw new LimitOrderError('Custodial execution is currently disabled', 403);
+        }
+
+        const orderHash = ethers.TypedDataEncoder.hash(domain, types, message);
+        if (await LimitOrder.findOne({ where: { orderHash } })) {
+            throw new LimitOrderError('Order already submitted', 409, { orderHash });
+        }
+
+        const created = await LimitOrder.create({
+            orderKind: conditional ? message.orderKind : 'LIMIT',
+            orderHash,
+            chainId,
+            maker: message.maker.toLowerCase(),
+            tokenIn: message.tokenIn.toLowerCase(),
+            tokenOut: message.tokenOut.toLowerCase(),
+            amountIn: message.amountIn,
+            minAmountOut: message.minAmountOut,
+            triggerPriceUsd: conditional ? message.triggerPriceUsd : null,
+            recipient: message.recipient.toLowerCase(),
+            nonce: message.nonce,
+            expiresAt: new Date(expiresAt * 1000),
+            signature,
+            executionMode: message.executionMode
+        });
+        await this.notify(created, 'info', `${this.kindTitle(created)} placed`, `Your ${this.kindName(created)} is open and will execute when the price is met.`);
+        return created;
+    }
+
+    /**
+     * Cancel an open or triggered order; the maker signs CancelLimitOrder { orderHash }
+     */
+    async cancelOrder(orderHash, signature) {
+        const order = await this.getOrder(orderHash);
+        if (!['open', 'triggered'].includes(order.status)) {
+            throw new LimitOrderError(`Order is ${order.status}`, 409);
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyTypedData(this.getDomain(order.chainId), CANCEL_TYPES, { orderHash }, signature || '0x');
+        } catch (error) {
+            throw new LimitOrderError('Malformed cancel signature', 400, error.shortMessage || error.message);
+        }
+        if (signer.toLowerCase() !== order.maker) {
+            throw new LimitOrderError('Cancellation was not signed by the maker', 403);
+        }
+
+        return this.transition(order, 'cancelled', { closedAt: new Date() },
+            'info', `${this.kindTitle(order)} cancelled`, `Your ${this.kindName(order)} was cancelled.`);
+    }
+
+    /**
+     * Record the hash of a triggered order the maker signed and broadcast, so
+     * the executor follows it to filled/failed. The maker signs
+     * SubmitLimitOrder { orderHash, txHash }, and the transaction must be the
+     * stored populatedTransaction sent from the maker's address
+     */
+    async markSubmitted(orderHash, txHash, signature) {
+        const order = await this.getOrder(orderHash);
+        if (order.status !== 'triggered') {
+            throw new LimitOrderError(`Order is ${order.status}`, 409);
+        }
+        if (!ethers.isHexString(txHash, 32)) {
+            throw new LimitOrderError('txHash must be a 32-byte hex string', 400);
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyTypedData(this.getDomain(order.chainId), SUBMIT_TYPES, { orderHash, txHash }, signature || '0x');
+        } catch (error) {
+            throw new LimitOrderError('Malformed submit signature', 400, error.shortMessage || error.message);
+        }
+        if (signer.toLowerCase() !== order.maker) {
+            throw new LimitOrderError('Submission was not signed by the maker', 403);
+        }
+
+        await routingEngine.ensureProvider();
+        const tx = await routingEngine.provider.getTransaction(txHash);
+        if (!tx) {
+            throw new LimitOrderError('Transaction not found yet; retry once the node has seen it', 409);
+        }
+        const expected = order.populatedTransaction;
+        const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+        const mismatches = [];
+        if (!sameAddress(tx.from, order.maker)) mismatches.push('from');
+        if (!sameAddress(tx.to, expected.to)) mismatches.push('to');
+        if (tx.data.toLowerCase() !== expected.data.toLowerCase()) mismatches.push('data');
+        if (BigInt(tx.value) !== BigInt(expected.value || 0)) mismatches.push('value');
+        if (mismatches.length > 0) {
+            throw new LimitOrderError('Transaction does not match the triggered order', 400, { mismatches });
+        }
+
+        return this.transition(order, 'submitted', { txHash: tx.hash },
+            'info', `${this.kindTitle(order)} submitted`, `Your ${this.kindName(order)} transaction was broadcast.`);
+    }
+
+    async getOrder(orderHash) {
+        const order = await LimitOrder.findOne({ where: { orderHash } });
+        if (!order) {
+            throw new LimitOrderError(`Order ${orderHash} not found`, 404);
+        }
+        return order;
+    }
+
+    async listOrders({ maker, status, kind, limit = 50, offset = 0 } = {}) {
+        const where = {};
+        if (maker) where.maker = maker.toLowerCase();
+        if (status) where.status = status;
+        if (kind) where.orderKind = kind;
+        return LimitOrder.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit: Math.min(Number(limit) || 50, 200),
+            offset: Number(offset) || 0
+        });
+    }
+
+    /**
+     * Change status and tell the maker
+     */
+    async transition(order, status, fields, severity, title, message) {
+        await order.update({ ...fields, status });
+        await this.notify(order, severity, title, message);
+        return order;
+    }
+
+    async notify(order, severity, title, message) {
+        try {
+            await Notification.create({
+                userAddress: order.maker,
+                category: 'TRANSACTION',
+                severity,
+                title,
+                message,
+                txHash: order.txHash || null,
+                metadata: {
+                    orderHash: order.orderHash,
+                    orderKind: order.orderKind,
+                    status: order.status,
+                    ...(order.triggerPriceUsd ? { triggerPriceUsd: order.triggerPriceUsd, lastPriceUsd: order.lastPriceUsd, lastTwapPriceUsd: order.lastTwapPriceUsd } : {}),
+                    ...(order.status === 'triggered' ? { populatedTransaction: order.populatedTransaction } : {})
+                }
+            });
+        } catch (error) {
+            console.error('Limit order notification failed:', error.message);
+        }
+    }
+
+    /**
+     * One executor pass: expire lapsed orders, follow submitted transactions,
+     * re-open triggered orders the maker did not sign in time and re-quote open ones
+     * @returns {Object} Counts per outcome
+     */
+    async runOnce() {
+        await routingEngine.ensureProvider();
+        const chainId = Number(await routingEngine.getChainId());
+        const stats = { expired: 0, filled: 0, failed: 0, reopened: 0, triggered: 0, submitted: 0, checked: 0 };
+
+        const lapsed = await LimitOrder.findAll({
+            where: { chainId, status: { [Op.in]: ['open', 'triggered'] }, expiresAt: { [Op.lte]: new Date() } }
+        });
+        for (const order of lapsed) {
+            await this.transition(order, 'expired', { closedAt: new Date() },
+                'warning', `${this.kindTitle(order)} expired`, `Your ${this.kindName(order)} expired before it could execute.`);
+            stats.expired++;
+        }
+
+        const submitted = await LimitOrder.findAll({ where: { chainId, status: 'submitted' } });
+        for (const order of submitted) {
+            const outcome = await this.checkSubmitted(order);
+            if (outcome) stats[outcome]++;
+        }
+
+        const triggered = await LimitOrder.findAll({ where: { chainId, status: 'triggered' } });
+        for (const order of triggered) {
+            const deadline = Number(order.populatedTransaction?.deadline || 0);
+            if (deadline <= Math.floor(Date.now() / 1000)) {
+                await this.transition(order, 'open', { populatedTransaction: null, populationRequestId: null },
+                    'info', `${this.kindTitle(order)} re-opened`, 'The prepared transaction was not signed in time; the order is open again.');
+                stats.reopened++;
+            }
+        }
+
+        const open = await LimitOrder.findAll({
+            where: { chainId, status: 'open' },
+            order: [['lastCheckedAt', 'ASC NULLS FIRST']],
+            limit: this.batchSize
+        });
+        for (const order of open) {
+            try {
+                const outcome = await this.checkOrder(order);
+                stats.checked++;
+                if (outcome) stats[outcome]++;
+            } catch (error) {
+                console.error(`Limit order ${order.orderHash} check failed:`, error.message);
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Re-quote an open order and execute it when the limit is met (stop-loss and
+     * take-profit orders only once their trigger price is crossed)
+     * @returns {string|null} 'triggered' | 'submitted' | 'failed' | null (price not met)
+     */
+    async checkOrder(order) {
+        if (order.orderKind !== 'LIMIT' && !(await this.isTriggerCrossed(order))) {
+            return null;
+        }
+        const decimalsIn = await quoteService.getTokenDecimals(order.tokenIn);
+        const decimalsOut = await quoteService.getTokenDecimals(order.tokenOut);
+        const amountIn = BigInt(order.amountIn);
+
+        let best;
+        try {
+            best = await routingEngine.findBestRoute({
+                tokenIn: ethers.getAddress(order.tokenIn),
+                tokenOut: ethers.getAddress(order.tokenOut),
+                amount: amountIn,
+                mode: 'EXACT_IN',
+                decimalsIn,
+                decimalsOut
+            });
+        } catch (error) {
+            await order.update({ lastCheckedAt: new Date() });
+            console.debug(`Limit order ${order.orderHash} not quotable:`, error.message);
+            return null;
+        }
+
+        await order.update({ lastQuotedAmountOut: best.amountOut.toString(), lastCheckedAt: new Date() });
+        if (best.amountOut < BigInt(order.minAmountOut)) {
+            return null;
+        }
+        return this.executeOrder(order, best, { decimalsIn, decimalsOut });
+    }
+
+    /**
+     * Whether tokenIn's USD price crossed the trigger on both the price feed
+     * and the pool TWAP; records both readings on the order
+     */
+    async isTriggerCrossed(order) {
+        const chainId = String(order.chainId);
+        const priceUsd = await priceFeedService.getTokenPrice(order.tokenIn, chainId);
+        const twapPriceUsd = await priceFeedService.getTwapPrice(order.tokenIn, chainId, this.twapWindowSec);
+        await order.update({ lastPriceUsd: priceUsd || null, lastTwapPriceUsd: twapPriceUsd || null, lastCheckedAt: new Date() });
+        if (!priceUsd || !twapPriceUsd) {
+            return false;
+        }
+
+        const trigger = Number(order.triggerPriceUsd);
+        const crossed = price => (order.orderKind === 'STOP_LOSS' ? price <= trigger : price >= trigger);
+        return crossed(priceUsd) && crossed(twapPriceUsd);
+    }
+
+    /**
+     * Build the swap for a triggered order and hand it to the maker or send it
+     */
+    async executeOrder(order, routeInfo, { decimalsIn, decimalsOut }) {
+        const custodial = order.executionMode === 'custodial';
+        const nowSec = Math.floor(Date.now() / 1000);
+        const deadline = nowSec + (custodial ? this.custodialDeadlineSec : this.notifyDeadlineSec);
+        const fee = routeInfo.route[0].fee;
+
+        // Protect the fill against the quote moving, but never below the maker's limit (or floor)
+        const slippageMin = quoteService.calcMinOutFromSlippage(routeInfo.amountOut, this.slippagePct);
+        const limit = BigInt(order.minAmountOut);
+        const amountOutMinimum = slippageMin > limit ? slippageMin : limit;
+
+        if (custodial) {
+            const blocked = await custodialExecutor.getBlocker({
+                chainId: order.chainId,
+                fee,
+                ttlSec: deadline - nowSec,
+                slippagePct: this.slippagePct,
+                maker: order.maker,
+                tokenIn: order.tokenIn,
+                amountIn: order.amountIn,
+                decimalsIn
+            });
+            if (blocked) {
+                await this.transition(order, 'failed', { errorMsg: blocked, closedAt: new Date() },
+                    'error', `${this.kindTitle(order)} failed`, `Your ${this.kindName(order)} could not be executed: ${blocked}`);
+                return 'failed';
+            }
+        }
+
+        const requestId = uuidv4();
+        const { populatedTransaction } = await swapPopulator.populate({
+            routeInfo,
+            chainId: order.chainId,
+            mode: 'EXACT_IN',
+            tokenIn: ethers.getAddress(order.tokenIn),
+            tokenOut: ethers.getAddress(order.tokenOut),
+            recipient: ethers.getAddress(order.recipient),
+            deadline,
+            amountIn: BigInt(order.amountIn),
+            amountOutMinimum,
+            amountOut: routeInfo.amountOut,
+            decimalsIn,
+            decimalsOut,
+            fee,
+            slippagePct: this.slippagePct / 100,
+            requestId,
+            userAddress: order.maker
+        });
+
+        if (!custodial) {
+            await this.transition(order, 'triggered', {
+                populationRequestId: requestId,
+                populatedTransaction: { ...populatedTransaction, deadline },
+                triggeredAt: new Date()
+            }, 'success', `${this.kindTitle(order)} ready to sign`, `Your ${this.triggerName(order)} was reached. Sign the prepared transaction to execute the order.`);
+            return 'triggered';
+        }
+
+        return this.sendCustodial(order, { requestId, populatedTransaction, routeInfo, amountOutMinimum, deadline, fee, decimalsIn, decimalsOut });
+    }
+
+    async sendCustodial(order, { requestId, populatedTransaction, routeInfo, amountOutMinimum, deadline, fee, decimalsIn, decimalsOut }) {
+        const { swap, txHash, error } = await custodialExecutor.send(populatedTransaction, requestId, {
+            chainId: order.chainId,
+            mode: 'EXACT_IN',
+            tokenIn: order.tokenIn,
+            tokenOut: order.tokenOut,
+            recipient: order.recipient,
+            feeTier: fee,
+            slippagePct: this.slippagePct / 100,
+            ttlSec: deadline - Math.floor(Date.now() / 1000),
+            deadline: new Date(deadline * 1000),
+            amountIn: ethers.formatUnits(BigInt(order.amountIn), decimalsIn),
+            amountInWei: order.amountIn,
+            expectedOut: ethers.formatUnits(routeInfo.amountOut, decimalsOut),
+            minOut: ethers.formatUnits(amountOutMinimum, decimalsOut),
+            userAddress: order.maker,
+            parentOrderId: order.id,
+            metadata: { limitOrderHash: order.orderHash }
+        });
+
+        if (error) {
+            await this.transition(order, 'failed', { swapId: swap ? swap.id : null, errorMsg: error.message, closedAt: new Date() },
+                'error', `${this.kindTitle(order)} failed`, `Your ${this.kindName(order)} could not be sent: ${error.shortMessage || error.message}`);
+            return 'failed';
+        }
+        await this.transition(order, 'submitted', {
+            populationRequestId: requestId,
+            swapId: swap.id,
+            txHash,
+            triggeredAt: new Date()
+        }, 'info', `${this.kindTitle(order)} submitted`, `Your ${this.triggerName(order)} was reached and the swap was sent.`);
+        return 'submitted';
+    }
+
+    /**
+     * Follow a submitted transaction to filled or failed
+     * @returns {string|null} 'filled' | 'failed' | null (still pending)
+     */
+    async checkSubmitted(order) {
+        const settled = await custodialExecutor.settle({
+            txHash: order.txHash,
+            swapId: order.swapId,
+            tokenOut: order.tokenOut,
+            recipient: order.recipient
+        });
+        if (!settled) return null;
+
+        if (settled.success) {
+            await this.transition(order, 'filled', { txHash: settled.txHash, closedAt: new Date() },
+                'success', `${this.kindTitle(order)} filled`, `Your ${this.kindName(order)} was executed.`);
+            return 'filled';
+        }
+        await this.transition(order, 'failed', { txHash: settled.txHash, errorMsg: 'Transaction reverted', closedAt: new Date() },
+            'error', `${this.kindTitle(order)} failed`, `Your ${this.kindName(order)} transaction reverted.`);
+        return 'failed';
+    }
+}
+
+export default new LimitOrderService();
@@ -0,0 +1,102 @@
+import { ethers } from 'ethers';
+
+/**
+ * Multicall Quoter
+ * Runs many read calls (Quoter staticCalls in practice) through Multicall3
+ * `aggregate3` in fixed-size batches, with a cap on in-flight batches and a
+ * wall-clock budget. Calls that have not resolved when the budget runs out
+ * come back as null so a slow RPC cannot hold a quote past the frontend timeout.
+ */
+
+export const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+class MulticallQuoter {
+    constructor() {
+        this.batchSize = 12;      // calls per aggregate3
+        this.maxConcurrency = 3;  // aggregate3 requests in flight
+        this.timeBudgetMs = 2500; // per-quote budget, below the frontend timeout
+    }
+
+    /**
+     * Execute calls through Multicall3
+     * @param {ethers.Provider} provider - Provider to eth_call through
+     * @param {string} multicallAddress - Multicall3 address for the chain
+     * @param {Array} calls - [{ target, callData }]
+     * @param {Object} options - { batchSize, maxConcurrency, timeBudgetMs, blockTag }
+     * @returns {Array} One entry per call: { success, returnData } or null when the budget ran out
+     */
+    async aggregate(provider, multicallAddress, calls, options = {}) {
+        const batchSize = options.batchSize || this.batchSize;
+        const maxConcurrency = options.maxConcurrency || this.maxConcurrency;
+        const timeBudgetMs = options.timeBudgetMs || this.timeBudgetMs;
+        const blockTag = options.blockTag;
+
+        const results = new Array(calls.length).fill(null);
+        const queue = [];
+        for (let start = 0; start < calls.length; start += batchSize) {
+            queue.push({ start, calls: calls.slice(start, start + batchSize) });
+        }
+
+        let expired = false;
+        const worker = async () => {
+            while (queue.length > 0 && !expired) {
+                const batch = queue.shift();
+                const batchResults = await this.runBatch(provider, multicallAddress, batch.calls, blockTag);
+                if (expired) return;
+                batchResults.forEach((r, i) => { results[batch.start + i] = r; });
+            }
+        };
+
+        let timer;
+        const budget = new Promise(resolve => {
+            timer = setTimeout(() => {
+                expired = true;
+                resolve();
+            }, timeBudgetMs);
+        });
+        const workers = Array.from({ length: Math.min(maxConcurrency, queue.length) }, worker);
+
+        try {
+            await Promise.race([Promise.all(workers), budget]);
+        } finally {
+            clearTimeout(timer);
+        }
+        if (expired) {
+            console.warn(`Multicall quote budget of ${timeBudgetMs}ms exhausted; ${results.filter(r => r === null).length}/${calls.length} calls dropped`);
+        }
+
+        return [...results];
+    }
+
+    /**
+     * One aggregate3 round-trip; falls back to plain eth_calls when the
+     * aggregate itself fails (e.g. Multicall3 not deployed on a devnet)
+     */
+    async runBatch(provider, multicallAddress, calls, blockTag) {
+        try {
+            const data = multicallInterface.encodeFunctionData('aggregate3', [
+                calls.map(c => ({ target: c.target, allowFailure: true, callData: c.callData }))
+            ]);
+            const raw = await provider.call({ to: multicallAddress, data, blockTag });
+            const [decoded] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+            return decoded.map(r => ({ success: r.success, returnData: r.returnData }));
+        } catch (error) {
+            console.debug('Multicall aggregate failed, falling back to direct calls:', error.message);
+        }
+
+        return await Promise.all(calls.map(async (c) => {
+            try {
+                const returnData = await provider.call({ to: c.target, data: c.callData, blockTag });
+                return { success: true, returnData };
+            } catch {
+                return { success: false, returnData: '0x' };
+            }
+        }));
+    }
+}
+
+export default new MulticallQuoter();
@@ -0,0 +1,153 @@
+import { ethers } from 'ethers';
+import Pool from '../models/Pool.js';
+import { OPERATIONAL_LIMITS } from '../config/operationalLimits.js';
+
+/**
+ * Path Finder Service
+ * Builds a token graph from active Pool rows and enumerates multi-hop paths
+ * (up to maxHops) between two tokens. Pools below the liquidity floor are
+ * dropped before the search so the Quoter is never asked about dust pools.
+ */
+
+class PathFinder {
+    constructor() {
+        this.cache = new Map();
+        this.cacheTimeout = 60000; // 60 seconds graph cache
+        this.maxHops = 3;
+        this.maxHopsLimit = 4;
+        this.topK = 10;
+        this.maxExplored = 5000; // hard cap on DFS expansions per search
+        this.minTvlUsd = OPERATIONAL_LIMITS.RISK_LIMITS.MIN_LIQUIDITY_THRESHOLD;
+        this.minLiquidity = 1n;
+    }
+
+    /**
+     * Liquidity floor: prefer the USD TVL figure, fall back to raw in-range
+     * liquidity (V3) or non-empty reserves (V2) for pools not valued yet.
+     */
+    isLiquidEnough(pool, minTvlUsd = this.minTvlUsd) {
+        const tvl = Number(pool.tvl || 0);
+        if (tvl > 0) return tvl >= minTvlUsd;
+        try {
+            if (pool.protocol === 'V2') {
+                return BigInt(pool.reserve0 || '0') > 0n && BigInt(pool.reserve1 || '0') > 0n;
+            }
+            return BigInt(pool.liquidity || '0') >= this.minLiquidity;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Load (or reuse) the adjacency list for a chain
+     * @returns {Map<string, Array>} token (lowercase) -> outgoing edges
+     */
+    async getGraph(chainId, { minTvlUsd = this.minTvlUsd } = {}) {
+        const cacheKey = `${chainId}_${minTvlUsd}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.graph;
+        }
+
+        const pools = await Pool.findAll({
+            where: { chainId: parseInt(chainId), isActive: true }
+        });
+
+        const graph = new Map();
+        const addEdge = (from, to, pool) => {
+            if (!graph.has(from)) graph.set(from, []);
+            graph.get(from).push({
+                tokenOut: to,
+                fee: Number(pool.feeTier),
+                poolAddress: pool.poolAddress,
+                protocol: pool.protocol || 'V3',
+                tvl: Number(pool.tvl || 0)
+            });
+        };
+
+        for (const pool of pools) {
+            if (!this.isLiquidEnough(pool, minTvlUsd)) continue;
+            const t0 = pool.token0.toLowerCase();
+            const t1 = pool.token1.toLowerCase();
+            addEdge(t0, t1, pool);
+            addEdge(t1, t0, pool);
+        }
+
+        // Deepest pools first so the DFS cap keeps the most useful edges
+        for (const edges of graph.values()) {
+            edges.sort((a, b) => b.tvl - a.tvl);
+        }
+
+        this.cache.set(cacheKey, { graph, timestamp: Date.now() });
+        return graph;
+    }
+
+    /**
+     * Find the top-K simple paths from tokenIn to tokenOut
+     * @param {string|number} chainId - Chain to search
+     * @param {string} tokenIn - Input token address
+     * @param {string} tokenOut - Output token address
+     * @param {Object} options - { maxHops, topK, minTvlUsd }
+     * @returns {Array} Paths as { route, fees, hops, minTvlUsd }, best first
+     */
+    async findPaths(chainId, tokenIn, tokenOut, options = {}) {
+        const maxHops = Math.min(Math.max(1, options.maxHops || this.maxHops), this.maxHopsLimit);
+        const topK = options.topK || this.topK;
+        const graph = await this.getGraph(chainId, options);
+
+        const source = tokenIn.toLowerCase();
+        const target = tokenOut.toLowerCase();
+        const found = [];
+        let explored = 0;
+
+        const visit = (token, visited, hops) => {
+            if (explored++ > this.maxExplored) return;
+            if (hops.length >= maxHops) return;
+            for (const edge of graph.get(token) || []) {
+                if (visited.has(edge.tokenOut)) continue;
+                const next = [...hops, { tokenIn: token, ...edge }];
+                if (edge.tokenOut === target) {
+                    found.push(next);
+                    continue;
+                }
+                visited.add(edge.tokenOut);
+                visit(edge.tokenOut, visited, next);
+                visited.delete(edge.tokenOut);
+            }
+        };
+
+        visit(source, new Set([source]), []);
+
+        // Rank by bottleneck liquidity, then by fewer hops
+        const paths = found.map(hops => ({
+            route: hops.map(h => ({
+                tokenIn: ethers.getAddress(h.tokenIn),
+                tokenOut: ethers.getAddress(h.tokenOut),
+                fee: h.fee,
+                poolAddress: h.poolAddress,
+                protocol: h.protocol
+            })),
+            fees: hops.map(h => h.fee),
+            hops: hops.length,
+            minTvlUsd: Math.min(...hops.map(h => h.tvl))
+        }));
+        paths.sort((a, b) => (b.minTvlUsd - a.minTvlUsd) || (a.hops - b.hops));
+
+        return paths.slice(0, topK);
+    }
+
+    /**
+     * Drop cached graphs (e.g. after pool sync)
+     */
+    invalidate(chainId = null) {
+        if (chainId === null) {
+            this.cache.clear();
+            return;
+        }
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(`${chainId}_`)) this.cache.delete(key);
+        }
+    }
+}
+
+export default new PathFinder();
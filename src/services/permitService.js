@@ -0,0 +1,290 @@
+import { ethers } from 'ethers';
+import { PERMIT2_ADDRESS } from '../config/chains.js';
+import swapDatabaseService from './swapDatabase.js';
+
+/**
+ * Permit Service
+ * Gasless approvals for populated swaps: detects whether a token implements
+ * EIP-2612 (or the DAI-style `allowed` permit), builds the typed data the
+ * user signs, and encodes the router's selfPermit call so the approval and
+ * the swap go out as one multicall. Support is cached on Token.riskFlags.permit.
+ * Swaps through the Universal Router use Permit2 instead (any ERC20 the user
+ * has approved to Permit2 once): the PermitSingle is applied by a
+ * PERMIT2_PERMIT command ahead of the swap.
+ */
+
+const PERMIT_PROBE_ABI = [
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function PERMIT_TYPEHASH() view returns (bytes32)",
+    "function nonces(address owner) view returns (uint256)",
+    "function name() view returns (string)",
+    "function version() view returns (string)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+const PERMIT2_ABI = [
+    "function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)"
+];
+
+const ERC20_ALLOWANCE_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)"
+];
+
+// SelfPermit (SwapRouter and SwapRouter02): no-ops when the allowance is already in place
+const SELF_PERMIT_INTERFACE = new ethers.Interface([
+    "function selfPermitIfNecessary(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) payable",
+    "function selfPermitAllowedIfNecessary(address token, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s) payable"
+]);
+
+export const PERMIT_TYPES = {
+    eip2612: {
+        Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    },
+    dai: {
+        Permit: [
+            { name: 'holder', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'expiry', type: 'uint256' },
+            { name: 'allowed', type: 'bool' }
+        ]
+    },
+    permit2: {
+        PermitSingle: [
+            { name: 'details', type: 'PermitDetails' },
+            { name: 'spender', type: 'address' },
+            { name: 'sigDeadline', type: 'uint256' }
+        ],
+        PermitDetails: [
+            { name: 'token', type: 'address' },
+            { name: 'amount', type: 'uint160' },
+            { name: 'expiration', type: 'uint48' },
+            { name: 'nonce', type: 'uint48' }
+        ]
+    }
+};
+
+const EIP2612_TYPEHASH = ethers.id('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)');
+const DAI_TYPEHASH = ethers.id('Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)');
+
+// Versions tried against DOMAIN_SEPARATOR when the token exposes neither eip712Domain() nor version()
+const FALLBACK_VERSIONS = ['1', '2'];
+
+// Token contracts behind proxies can gain or lose permit; re-probe cached results after a week
+const PERMIT_RECHECK_MS = 7 * 24 * 60 * 60 * 1000;
+
+export class PermitError extends Error {
+    constructor(message, status, details = null) {
+        super(message);
+        this.name = 'PermitError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class PermitService {
+    constructor() {
+        // `${chainId}:${token}` -> { type, name, version, checkedAt }
+        this.cache = new Map();
+    }
+
+    /**
+     * Permit flavour a token supports, cached in memory and on Token.riskFlags.permit
+     * @returns {Object} { type: 'eip2612' | 'dai' | null, name, version, checkedAt }
+     */
+    async getSupport(provider, chainId, tokenAddress) {
+        const key = `${chainId}:${tokenAddress.toLowerCase()}`;
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.checkedAt < PERMIT_RECHECK_MS) {
+            return cached;
+        }
+
+        const token = await swapDatabaseService.getTokenByAddress(tokenAddress, chainId);
+        const stored = token?.riskFlags?.permit;
+        if (stored && Date.now() - new Date(stored.checkedAt).getTime() < PERMIT_RECHECK_MS) {
+            const support = { ...stored, checkedAt: new Date(stored.checkedAt).getTime() };
+            this.cache.set(key, support);
+            return support;
+        }
+
+        const support = { ...(await this.detect(provider, chainId, tokenAddress)), checkedAt: Date.now() };
+        this.cache.set(key, support);
+        if (token) {
+            await token.update({
+                riskFlags: { ...(token.riskFlags || {}), permit: { ...support, checkedAt: new Date(support.checkedAt).toISOString() } }
+            });
+        }
+        return support;
+    }
+
+    /**
+     * Probe the token contract: it supports permit when one of its candidate
+     * EIP-712 domains hashes to DOMAIN_SEPARATOR and nonces() is callable
+     * @returns {Object} { type, name, version }
+     */
+    async detect(provider, chainId, tokenAddress) {
+        const token = new ethers.Contract(tokenAddress, PERMIT_PROBE_ABI, provider);
+        const [separator, typehash, name, version, domain] = await Promise.all([
+            this.optionalCall(token.DOMAIN_SEPARATOR()),
+            this.optionalCall(token.PERMIT_TYPEHASH()),
+            this.optionalCall(token.name()),
+            this.optionalCall(token.version()),
+            this.optionalCall(token.eip712Domain())
+        ]);
+        const unsupported = { type: null, name: null, version: null };
+        if (!separator || (!name && !domain)) {
+            return unsupported;
+        }
+        if (await this.optionalCall(token.nonces(ethers.ZeroAddress)) === null) {
+            return unsupported;
+        }
+
+        let type;
+        if (!typehash || typehash === EIP2612_TYPEHASH) {
+            type = 'eip2612';
+        } else if (typehash === DAI_TYPEHASH) {
+            type = 'dai';
+        } else {
+            return unsupported;
+        }
+
+        const candidates = domain
+            ? [{ name: domain.name, version: domain.version }]
+            : (version ? [version] : FALLBACK_VERSIONS).map(candidate => ({ name, version: candidate }));
+        for (const candidate of candidates) {
+            const hash = ethers.TypedDataEncoder.hashDomain({ ...candidate, chainId, verifyingContract: tokenAddress });
+            if (hash === separator) {
+                return { type, name: candidate.name, version: candidate.version };
+            }
+        }
+        return unsupported;
+    }
+
+    /**
+     * Resolve a view call, treating a revert or undecodable result as "not implemented";
+     * transport errors propagate so an RPC outage is never cached as "no permit"
+     */
+    async optionalCall(promise) {
+        try {
+            return await promise;
+        } catch (error) {
+            if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Permit for `owner` to let `spender` pull `value` of the token until `deadline`
+     * @returns {Object|null} { type, token, owner, spender, value, nonce, deadline, domain } or null when unsupported
+     */
+    async buildOffer({ provider, chainId, token, owner, spender, value, deadline }) {
+        const support = await this.getSupport(provider, chainId, token);
+        if (!support.type) {
+            return null;
+        }
+        const nonce = await new ethers.Contract(token, PERMIT_PROBE_ABI, provider).nonces(owner);
+        return {
+            type: support.type,
+            token: ethers.getAddress(token),
+            owner: ethers.getAddress(owner),
+            spender: ethers.getAddress(spender),
+            value: value.toString(),
+            nonce: nonce.toString(),
+            deadline: Number(deadline),
+            domain: { name: support.name, version: support.version, chainId: Number(chainId), verifyingContract: ethers.getAddress(token) }
+        };
+    }
+
+    /**
+     * Permit2 PermitSingle letting `spender` (the Universal Router) pull `value`
+     * until `deadline`, or null when Permit2 already allows it
+     * @returns {Object|null} offer as for buildOffer, plus permit2Approved (whether
+     *   the token allowance to Permit2 itself covers value; if not, the user must
+     *   approve Permit2 once)
+     */
+    async buildPermit2Offer({ provider, chainId, token, owner, spender, value, deadline }) {
+        const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, provider);
+        const erc20 = new ethers.Contract(token, ERC20_ALLOWANCE_ABI, provider);
+        const [[amount, expiration, nonce], tokenAllowance] = await Promise.all([
+            permit2.allowance(owner, token, spender),
+            erc20.allowance(owner, PERMIT2_ADDRESS)
+        ]);
+        if (amount >= BigInt(value) && Number(expiration) >= Number(deadline)) {
+            return null;
+        }
+        return {
+            type: 'permit2',
+            token: ethers.getAddress(token),
+            owner: ethers.getAddress(owner),
+            spender: ethers.getAddress(spender),
+            value: value.toString(),
+            nonce: nonce.toString(),
+            deadline: Number(deadline),
+            permit2Approved: tokenAllowance >= BigInt(value),
+            domain: { name: 'Permit2', chainId: Number(chainId), verifyingContract: PERMIT2_ADDRESS }
+        };
+    }
+
+    /**
+     * EIP-712 payload for an offer ({ domain, types, primaryType, message })
+     */
+    getTypedData(offer) {
+        if (offer.type === 'permit2') {
+            return { domain: offer.domain, types: PERMIT_TYPES.permit2, primaryType: 'PermitSingle', message: this.getPermitSingle(offer) };
+        }
+        const message = offer.type === 'dai'
+            ? { holder: offer.owner, spender: offer.spender, nonce: offer.nonce, expiry: offer.deadline, allowed: true }
+            : { owner: offer.owner, spender: offer.spender, value: offer.value, nonce: offer.nonce, deadline: offer.deadline };
+        return { domain: offer.domain, types: PERMIT_TYPES[offer.type], primaryType: 'Permit', message };
+    }
+
+    /**
+     * PermitSingle struct of a Permit2 offer; the allowance lapses with the swap deadline
+     */
+    getPermitSingle(offer) {
+        return {
+            details: { token: offer.token, amount: offer.value, expiration: offer.deadline, nonce: offer.nonce },
+            spender: offer.spender,
+            sigDeadline: offer.deadline
+        };
+    }
+
+    /**
+     * Check a signature over an offer
+     * @returns {ethers.Signature}
+     * @throws {PermitError} when the signature is malformed or not by the offer's owner
+     */
+    verifySignature(offer, signature) {
+        const { domain, types, message } = this.getTypedData(offer);
+        let sig, signer;
+        try {
+            sig = ethers.Signature.from(signature);
+            signer = ethers.verifyTypedData(domain, types, message, sig);
+        } catch (error) {
+            throw new PermitError('Malformed permit signature', 400, error.message);
+        }
+        if (signer.toLowerCase() !== offer.owner.toLowerCase()) {
+            throw new PermitError('Permit signature does not match userAddress', 401, { signer, owner: offer.owner });
+        }
+        return sig;
+    }
+
+    /**
+     * Router call applying a verified EIP-2612/DAI offer (selfPermitIfNecessary / selfPermitAllowedIfNecessary)
+     */
+    encodeSelfPermit(offer, sig) {
+        return offer.type === 'dai'
+            ? SELF_PERMIT_INTERFACE.encodeFunctionData('selfPermitAllowedIfNecessary', [offer.token, offer.nonce, offer.deadline, sig.v, sig.r, sig.s])
+            : SELF_PERMIT_INTERFACE.encodeFunctionData('selfPermitIfNecessary', [offer.token, offer.value, offer.deadline, sig.v, sig.r, sig.s]);
+    }
+}
+
+export default new PermitService();
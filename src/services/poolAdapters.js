@@ -0,0 +1,133 @@
+import { ethers } from 'ethers';
+import multicallQuoter from './multicallQuoter.js';
+
+/**
+ * Pool Adapters
+ * Protocol-specific routing pieces. V3 hops are quoted by the Quoter (or the
+ * pool state cache) and executed through path-encoded SwapRouter calls; V2-style
+ * pairs are priced from reserves with constant-product math. Routes that touch
+ * a V2 pair execute through SwapRouter02, which can chain V2 and V3 segments.
+ */
+
+export const PROTOCOL_V2 = 'V2';
+export const PROTOCOL_V3 = 'V3';
+
+export const V2_PAIR_ABI = [
+    "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+];
+
+// SwapRouter02 subset used for mixed V2/V3 routes
+export const SWAP_ROUTER02_ABI = [
+    "function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)",
+    "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to) payable returns (uint256 amountOut)",
+    "function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)",
+    "function unwrapWETH9(uint256 amountMinimum, address recipient) payable",
+    "function refundETH() payable"
+];
+
+// SwapRouter02 sentinels: recipient = router itself, amountIn = router's balance
+export const ROUTER02_ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+export const ROUTER02_CONTRACT_BALANCE = 0n;
+
+const pairInterface = new ethers.Interface(V2_PAIR_ABI);
+const router02Interface = new ethers.Interface(SWAP_ROUTER02_ABI);
+
+export function hopProtocol(hop) {
+    return hop.protocol === PROTOCOL_V2 ? PROTOCOL_V2 : PROTOCOL_V3;
+}
+
+/**
+ * Group consecutive hops of the same protocol
+ * @returns {Array} [{ protocol, hops }]
+ */
+export function segmentRoute(route) {
+    const segments = [];
+    for (const hop of route) {
+        const protocol = hopProtocol(hop);
+        const last = segments[segments.length - 1];
+        if (last && last.protocol === protocol) {
+            last.hops.push(hop);
+        } else {
+            segments.push({ protocol, hops: [hop] });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Constant-product output for an exact input; fee in pips (3000 = 0.30%)
+ */
+export function getAmountOutV2(amountIn, reserveIn, reserveOut, fee = 3000) {
+    if (amountIn <= 0n) throw new Error('V2: insufficient input amount');
+    if (reserveIn <= 0n || reserveOut <= 0n) throw new Error('V2: insufficient liquidity');
+    const amountInWithFee = amountIn * (1000000n - BigInt(fee));
+    return (amountInWithFee * reserveOut) / (reserveIn * 1000000n + amountInWithFee);
+}
+
+/**
+ * Constant-product input required for an exact output
+ */
+export function getAmountInV2(amountOut, reserveIn, reserveOut, fee = 3000) {
+    if (amountOut <= 0n) throw new Error('V2: insufficient output amount');
+    if (reserveIn <= 0n || amountOut >= reserveOut) throw new Error('V2: insufficient liquidity');
+    return (reserveIn * amountOut * 1000000n) / ((reserveOut - amountOut) * (1000000n - BigInt(fee))) + 1n;
+}
+
+class V2PoolAdapter {
+    /**
+     * Reserves for a set of pairs in one Multicall3 round-trip
+     * @returns {Map<string, {reserve0: bigint, reserve1: bigint}>} keyed by lowercase pair address
+     */
+    async loadReserves(provider, multicallAddress, pairAddresses) {
+        const unique = [...new Set(pairAddresses.map(a => a.toLowerCase()))];
+        const calls = unique.map(target => ({ target, callData: pairInterface.encodeFunctionData('getReserves') }));
+        const results = await multicallQuoter.aggregate(provider, multicallAddress, calls);
+
+        const reserves = new Map();
+        results.forEach((result, i) => {
+            if (!result || !result.success) return;
+            const [reserve0, reserve1] = pairInterface.decodeFunctionResult('getReserves', result.returnData);
+            reserves.set(unique[i], { reserve0, reserve1 });
+        });
+        return reserves;
+    }
+
+    /**
+     * Orient a pair's reserves for a hop (V2 pairs sort token0 < token1)
+     */
+    hopReserves(hop, reserves) {
+        const pair = reserves.get(hop.poolAddress.toLowerCase());
+        if (!pair) throw new Error(`V2: no reserves for ${hop.poolAddress}`);
+        const zeroForOne = hop.tokenIn.toLowerCase() < hop.tokenOut.toLowerCase();
+        return zeroForOne
+            ? { reserveIn: pair.reserve0, reserveOut: pair.reserve1 }
+            : { reserveIn: pair.reserve1, reserveOut: pair.reserve0 };
+    }
+
+    quoteExactIn(hop, amountIn, reserves) {
+        const { reserveIn, reserveOut } = this.hopReserves(hop, reserves);
+        return getAmountOutV2(BigInt(amountIn), reserveIn, reserveOut, hop.fee);
+    }
+
+    quoteExactOut(hop, amountOut, reserves) {
+        const { reserveIn, reserveOut } = this.hopReserves(hop, reserves);
+        return getAmountInV2(BigInt(amountOut), reserveIn, reserveOut, hop.fee);
+    }
+
+    /**
+     * SwapRouter02 call for a V2 segment
+     */
+    encodeSegment(hops, { amountIn, amountOutMinimum, recipient }) {
+        const path = [hops[0].tokenIn, ...hops.map(h => h.tokenOut)];
+        return router02Interface.encodeFunctionData('swapExactTokensForTokens', [amountIn, amountOutMinimum, path, recipient]);
+    }
+}
+
+/**
+ * SwapRouter02 call for a V3 segment (path already packed)
+ */
+export function encodeV3Segment(path, { amountIn, amountOutMinimum, recipient }) {
+    return router02Interface.encodeFunctionData('exactInput', [{ path, recipient, amountIn, amountOutMinimum }]);
+}
+
+export const v2Adapter = new V2PoolAdapter();
@@ -0,0 +1,314 @@
+import { ethers } from 'ethers';
+import Pool from '../models/Pool.js';
+import { getUniswapAddresses, getMulticallAddress } from '../config/chains.js';
+import multicallQuoter from './multicallQuoter.js';
+import { PoolStateMissingError, quoteExactInputSingle, quoteExactOutputSingle } from '../utils/v3Math.js';
+
+/**
+ * Pool State Cache
+ * Keeps slot0, active liquidity and the initialized ticks around the current
+ * price for every active Pool in memory so quotes can be computed locally with
+ * V3 tick math. State follows the chain block by block: Swap events carry the
+ * new price/tick/liquidity directly, Mint and Burn trigger a reload of the pool.
+ */
+
+// UniswapV3Pool creation code hash used by the factory's CREATE2
+export const POOL_INIT_CODE_HASH = '0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54';
+
+export const POOL_STATE_ABI = [
+    "function token0() view returns (address)",
+    "function token1() view returns (address)",
+    "function fee() view returns (uint24)",
+    "function tickSpacing() view returns (int24)",
+    "function liquidity() view returns (uint128)",
+    "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+    "function tickBitmap(int16 wordPosition) view returns (uint256)",
+    "function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)",
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+    "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+    "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)"
+];
+
+const poolInterface = new ethers.Interface(POOL_STATE_ABI);
+const SWAP_TOPIC = poolInterface.getEvent('Swap').topicHash;
+const MINT_TOPIC = poolInterface.getEvent('Mint').topicHash;
+const BURN_TOPIC = poolInterface.getEvent('Burn').topicHash;
+
+class PoolStateCache {
+    constructor() {
+        this.pools = new Map(); // `${chainId}_${poolAddress}` -> state
+        this.provider = null;
+        this.chainId = null;
+        this.listener = null;
+        this.lastBlock = null;
+        this.syncedAt = 0;
+        this.refreshing = false;
+        this.wordRadius = 4;       // bitmap words loaded on each side of the current tick
+        this.maxBlockGap = 100;    // beyond this many missed blocks reload instead of replaying logs
+        this.maxAgeMs = 60000;     // state older than this is not used for quoting
+        this.loadBudgetMs = 15000;
+    }
+
+    key(chainId, poolAddress) {
+        return `${chainId}_${poolAddress.toLowerCase()}`;
+    }
+
+    /**
+     * Deterministic pool address from the factory (no RPC)
+     */
+    computePoolAddress(chainId, tokenA, tokenB, fee) {
+        const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+        const salt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ['address', 'address', 'uint24'],
+            [token0, token1, fee]
+        ));
+        return ethers.getCreate2Address(getUniswapAddresses(chainId).factory, salt, POOL_INIT_CODE_HASH);
+    }
+
+    /**
+     * Pool reads through Multicall3; throws if any read fails or times out
+     */
+    async readPool(poolAddress, reads, blockTag) {
+        const calls = reads.map(([method, args = []]) => ({
+            target: poolAddress,
+            callData: poolInterface.encodeFunctionData(method, args)
+        }));
+        const results = await multicallQuoter.aggregate(this.provider, getMulticallAddress(this.chainId), calls, {
+            timeBudgetMs: this.loadBudgetMs,
+            blockTag
+        });
+        return results.map((result, i) => {
+            if (!result || !result.success) {
+                throw new Error(`Pool read ${reads[i][0]} failed for ${poolAddress}`);
+            }
+            return poolInterface.decodeFunctionResult(reads[i][0], result.returnData);
+        });
+    }
+
+    /**
+     * Load full quoting state for one pool
+     * @returns {Object} Cached state
+     */
+    async loadPool(poolAddress, blockTag = 'latest') {
+        const [[token0], [token1], [fee], [tickSpacing], [liquidity], slot0] = await this.readPool(poolAddress, [
+            ['token0'], ['token1'], ['fee'], ['tickSpacing'], ['liquidity'], ['slot0']
+        ], blockTag);
+
+        const spacing = Number(tickSpacing);
+        const tick = Number(slot0.tick);
+        const centerWord = Math.floor(tick / spacing) >> 8;
+        const words = [];
+        for (let w = centerWord - this.wordRadius; w <= centerWord + this.wordRadius; w++) words.push(w);
+
+        const bitmapWords = await this.readPool(poolAddress, words.map(w => ['tickBitmap', [w]]), blockTag);
+        const bitmap = new Map();
+        const initializedTicks = [];
+        words.forEach((w, i) => {
+            const word = bitmapWords[i][0];
+            bitmap.set(w, word);
+            for (let bit = 0; bit < 256; bit++) {
+                if ((word >> BigInt(bit)) & 1n) initializedTicks.push(((w << 8) + bit) * spacing);
+            }
+        });
+
+        const ticks = new Map();
+        if (initializedTicks.length > 0) {
+            const tickData = await this.readPool(poolAddress, initializedTicks.map(t => ['ticks', [t]]), blockTag);
+            initializedTicks.forEach((t, i) => ticks.set(t, tickData[i].liquidityNet));
+        }
+
+        const state = {
+            address: ethers.getAddress(poolAddress),
+            token0,
+            token1,
+            fee: Number(fee),
+            tickSpacing: spacing,
+            sqrtPriceX96: slot0.sqrtPriceX96,
+            tick,
+            liquidity,
+            bitmap,
+            ticks,
+            blockNumber: typeof blockTag === 'number' ? blockTag : null,
+            updatedAt: Date.now()
+        };
+        this.pools.set(this.key(this.chainId, poolAddress), state);
+        return state;
+    }
+
+    /**
+     * Load every active Pool row for the chain; pools that do not exist on
+     * chain are skipped (they are quoted through the Quoter)
+     */
+    async warm() {
+        const rows = await Pool.findAll({ where: { chainId: parseInt(this.chainId), isActive: true, protocol: 'V3' } });
+        let loaded = 0;
+        for (const row of rows) {
+            const address = this.computePoolAddress(this.chainId, row.token0, row.token1, Number(row.feeTier));
+            try {
+                await this.loadPool(address);
+                loaded++;
+            } catch (error) {
+                console.debug(`Pool state load skipped for ${address}:`, error.message);
+            }
+        }
+        console.log(`Pool state cache warmed: ${loaded}/${rows.length} pools`);
+        return loaded;
+    }
+
+    /**
+     * Warm the cache and follow new blocks
+     */
+    async start(provider, chainId) {
+        this.stop();
+        this.provider = provider;
+        this.chainId = String(chainId);
+        await this.warm();
+        this.lastBlock = await provider.getBlockNumber();
+        this.syncedAt = Date.now();
+        this.listener = (blockNumber) => {
+            this.onBlock(blockNumber).catch(error => console.error('Pool state refresh failed:', error.message));
+        };
+        await provider.on('block', this.listener);
+    }
+
+    stop() {
+        if (this.provider && this.listener) {
+            this.provider.off('block', this.listener);
+        }
+        this.listener = null;
+    }
+
+    /**
+     * Bring tracked pools up to blockNumber from their Swap/Mint/Burn logs
+     */
+    async onBlock(blockNumber) {
+        if (this.refreshing || this.lastBlock === null || blockNumber <= this.lastBlock) return;
+        this.refreshing = true;
+        try {
+            const tracked = [...this.pools.values()].map(s => s.address);
+            if (tracked.length === 0) {
+                this.lastBlock = blockNumber;
+                this.syncedAt = Date.now();
+                return;
+            }
+
+            if (blockNumber - this.lastBlock > this.maxBlockGap) {
+                await this.reload(tracked, blockNumber);
+            } else {
+                const logs = await this.provider.getLogs({
+                    address: tracked,
+                    fromBlock: this.lastBlock + 1,
+                    toBlock: blockNumber,
+                    topics: [[SWAP_TOPIC, MINT_TOPIC, BURN_TOPIC]]
+                });
+                const stale = this.applyLogs(logs);
+                await this.reload([...stale], blockNumber);
+            }
+            this.lastBlock = blockNumber;
+            this.syncedAt = Date.now();
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    /**
+     * Apply Swap events in log order; returns pools whose tick data changed
+     * (Mint/Burn) and need a reload
+     */
+    applyLogs(logs) {
+        const stale = new Set();
+        const ordered = [...logs].sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+        for (const log of ordered) {
+            const state = this.pools.get(this.key(this.chainId, log.address));
+            if (!state) continue;
+            if (log.topics[0] !== SWAP_TOPIC) {
+                stale.add(state.address);
+                continue;
+            }
+            const parsed = poolInterface.parseLog(log);
+            state.sqrtPriceX96 = parsed.args.sqrtPriceX96;
+            state.tick = Number(parsed.args.tick);
+            state.liquidity = parsed.args.liquidity;
+            state.blockNumber = log.blockNumber;
+            state.updatedAt = Date.now();
+        }
+        return stale;
+    }
+
+    async reload(addresses, blockNumber) {
+        for (const address of addresses) {
+            try {
+                await this.loadPool(address, blockNumber);
+            } catch (error) {
+                console.warn(`Pool state reload failed for ${address}, dropping it:`, error.message);
+                this.pools.delete(this.key(this.chainId, address));
+            }
+        }
+    }
+
+    /**
+     * Cached state for a pair/fee, or null when unknown or stale
+     */
+    getState(chainId, tokenA, tokenB, fee) {
+        const address = this.computePoolAddress(chainId, tokenA, tokenB, Number(fee));
+        const state = this.pools.get(this.key(chainId, address));
+        if (!state) return null;
+        if (Date.now() - Math.max(state.updatedAt, this.syncedAt) > this.maxAgeMs) return null;
+        return state;
+    }
+
+    requireState(chainId, tokenIn, tokenOut, fee) {
+        const state = this.getState(chainId, tokenIn, tokenOut, fee);
+        if (!state) throw new PoolStateMissingError(`No cached state for ${tokenIn}/${tokenOut}/${fee}`);
+        return state;
+    }
+
+    quoteExactInputSingle(chainId, tokenIn, tokenOut, fee, amountIn) {
+        const state = this.requireState(chainId, tokenIn, tokenOut, fee);
+        const zeroForOne = tokenIn.toLowerCase() === state.token0.toLowerCase();
+        return quoteExactInputSingle(state, zeroForOne, amountIn);
+    }
+
+    quoteExactOutputSingle(chainId, tokenIn, tokenOut, fee, amountOut) {
+        const state = this.requireState(chainId, tokenIn, tokenOut, fee);
+        const zeroForOne = tokenIn.toLowerCase() === state.token0.toLowerCase();
+        return quoteExactOutputSingle(state, zeroForOne, amountOut);
+    }
+
+    /**
+     * JSON-safe copy of a pool's state (used for recorded test snapshots)
+     */
+    snapshot(state) {
+        return {
+            address: state.address,
+            token0: state.token0,
+            token1: state.token1,
+            fee: state.fee,
+            tickSpacing: state.tickSpacing,
+            sqrtPriceX96: state.sqrtPriceX96.toString(),
+            tick: state.tick,
+            liquidity: state.liquidity.toString(),
+            bitmap: Object.fromEntries([...state.bitmap].map(([w, word]) => [w, word.toString()])),
+            ticks: Object.fromEntries([...state.ticks].map(([t, net]) => [t, net.toString()])),
+            blockNumber: state.blockNumber
+        };
+    }
+
+    /**
+     * Put a snapshot back into the cache
+     */
+    hydrate(chainId, snapshot) {
+        const state = {
+            ...snapshot,
+            sqrtPriceX96: BigInt(snapshot.sqrtPriceX96),
+            liquidity: BigInt(snapshot.liquidity),
+            bitmap: new Map(Object.entries(snapshot.bitmap).map(([w, word]) => [Number(w), BigInt(word)])),
+            ticks: new Map(Object.entries(snapshot.ticks).map(([t, net]) => [Number(t), BigInt(net)])),
+            updatedAt: Date.now()
+        };
+        this.pools.set(this.key(chainId, snapshot.address), state);
+        return state;
+    }
+}
+
+export default new PoolStateCache();
@@ -1,6 +1,12 @@
 import { ethers } from 'ethers';
+import { Op } from 'sequelize';
 import config from '../config/env.js';
 import Token from '../models/Token.js';
+import Pool from '../models/Pool.js';
+
+const POOL_OBSERVE_ABI = [
+    "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)"
+];
 
 /**
  * Price Feed Service
@@ -14,6 +20,7 @@ class PriceFeedService {
         this.cacheTimeout = 30000; // 30 seconds cache
         this.coingeckoApiKey = config.COINGECKO_API_KEY;
         this.chainlinkFeeds = this.initializeChainlinkFeeds();
+        this.provider = null;
     }
 
     initializeChainlinkFeeds() {
@@ -180,6 +187,107 @@ class PriceFeedService {
         throw new Error('No fallback price available');
     }
 
+    /**
+     * USD price from Uniswap V3 pool TWAPs over windowSec: the token's deepest
+     * pool against a stablecoin, or against WETH priced the same way. A single
+     * manipulated block barely moves it, so price triggers confirm against it.
+     * @returns {number} USD price, 0 when no pool can price the token
+     */
+    async getTwapPrice(tokenAddress, chainId = '1', windowSec = 600) {
+        const cacheKey = `twap_${tokenAddress.toLowerCase()}_${chainId}_${windowSec}`;
+        const cached = this.cache.get(cacheKey);
+
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.price;
+        }
+
+        try {
+            const price = await this.getTwapUsd(tokenAddress.toLowerCase(), chainId, windowSec);
+            this.cache.set(cacheKey, { price, timestamp: Date.now(), source: 'twap' });
+            return price;
+        } catch (error) {
+            console.warn(`TWAP price unavailable for ${tokenAddress}:`, error.message);
+            return 0;
+        }
+    }
+
+    async getTwapUsd(token, chainId, windowSec) {
+        const stablecoins = [config.USDC_ADDRESS, config.USDT_ADDRESS].filter(Boolean).map(a => a.toLowerCase());
+        if (stablecoins.includes(token)) {
+            return 1.0;
+        }
+
+        for (const stable of stablecoins) {
+            const pool = await this.findDeepestPool(token, stable, chainId);
+            if (pool) {
+                return this.getPoolTwap(pool, token, windowSec);
+            }
+        }
+
+        const weth = config.WETH_ADDRESS?.toLowerCase();
+        if (weth && token !== weth) {
+            const pool = await this.findDeepestPool(token, weth, chainId);
+            if (pool) {
+                const priceInWeth = await this.getPoolTwap(pool, token, windowSec);
+                return priceInWeth * await this.getTwapUsd(weth, chainId, windowSec);
+            }
+        }
+
+        throw new Error('No V3 pool against a stablecoin or WETH');
+    }
+
+    /**
+     * Active V3 pool between two tokens with the highest TVL
+     */
+    async findDeepestPool(tokenA, tokenB, chainId) {
+        return Pool.findOne({
+            where: {
+                chainId: parseInt(chainId),
+                protocol: 'V3',
+                isActive: true,
+                [Op.or]: [
+                    { token0: { [Op.iLike]: tokenA }, token1: { [Op.iLike]: tokenB } },
+                    { token0: { [Op.iLike]: tokenB }, token1: { [Op.iLike]: tokenA } }
+                ]
+            },
+            order: [['tvl', 'DESC NULLS LAST']]
+        });
+    }
+
+    /**
+     * Time-weighted price of `token` in the pool's other token (arithmetic mean tick)
+     */
+    async getPoolTwap(pool, token, windowSec) {
+        if (!this.provider) {
+            this.provider = new ethers.JsonRpcProvider(config.RPC_URL);
+        }
+        const poolContract = new ethers.Contract(pool.poolAddress, POOL_OBSERVE_ABI, this.provider);
+        const [tickCumulatives] = await poolContract.observe([windowSec, 0]);
+        const delta = tickCumulatives[1] - tickCumulatives[0];
+        let meanTick = delta / BigInt(windowSec);
+        // Round toward negative infinity like OracleLibrary.consult
+        if (delta < 0n && delta % BigInt(windowSec) !== 0n) meanTick--;
+
+        const [decimals0, decimals1] = await Promise.all([
+            this.getTokenDecimals(pool.token0, pool.chainId),
+            this.getTokenDecimals(pool.token1, pool.chainId)
+        ]);
+        // token1 per token0
+        const price0 = Math.pow(1.0001, Number(meanTick)) * Math.pow(10, decimals0 - decimals1);
+        return pool.token0.toLowerCase() === token ? price0 : 1 / price0;
+    }
+
+    async getTokenDecimals(tokenAddress, chainId) {
+        const token = await Token.findOne({
+            where: { address: tokenAddress.toLowerCase(), chainId: parseInt(chainId) }
+        });
+        if (token) {
+            return Number(token.decimals);
+        }
+        const erc20 = new ethers.Contract(tokenAddress, ["function decimals() view returns (uint8)"], this.provider);
+        return Number(await erc20.decimals());
+    }
+
     /**
      * Calculate price impact for a swap
      */
@@ -4,7 +4,8 @@ import QuoteRequest from '../models/QuoteRequest.js';
 import QuoteCache from '../models/QuoteCache.js';
 import Token from '../models/Token.js';
 import { validateToken } from './tokenValidation.js';
-import { getUniswapAddresses } from '../config/chains.js';
+import routingEngine from './routingEngine.js';
+import quoteSigner from './quoteSigner.js';
 import config from '../config/env.js';
 
 /**
@@ -12,67 +13,27 @@ import config from '../config/env.js';
  * Handles quote generation, caching, and database integration
  */
 
+/**
+ * A stored quote that cannot be executed; `status` is the HTTP status to answer with
+ */
+export class QuoteUnavailableError extends Error {
+    constructor(message, status, details = null) {
+        super(message);
+        this.name = 'QuoteUnavailableError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
 class QuoteService {
     constructor() {
         this.provider = null;
-        this.quoter = null;
-        this.VALID_FEES = [500, 3000, 10000];
     }
 
     async ensureProvider() {
-        if (!this.provider || !this.quoter) {
-            this.provider = new ethers.JsonRpcProvider(config.RPC_URL);
-            const network = await this.provider.getNetwork();
-            const chainId = (config.FORCE_CHAIN_ID || network.chainId.toString());
-            const addresses = getUniswapAddresses(chainId);
-            
-            // Minimal Quoter ABI for single and multi-hop quoting
-            const quoterABI = {
-                abi: [
-                    {
-                        inputs: [
-                            { internalType: "address", name: "tokenIn", type: "address" },
-                            { internalType: "address", name: "tokenOut", type: "address" },
-                            { internalType: "uint24", name: "fee", type: "uint24" },
-                            { internalType: "uint256", name: "amountIn", type: "uint256" },
-                            { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
-                        ],
-                        name: "quoteExactInputSingle",
-                        outputs: [{ internalType: "uint256", name: "amountOut", type: "uint256" }],
-                        stateMutability: "nonpayable",
-                        type: "function"
-                    },
-                    {
-                        inputs: [{ internalType: "bytes", name: "path", type: "bytes" }, { internalType: "uint256", name: "amountIn", type: "uint256" }],
-                        name: "quoteExactInput",
-                        outputs: [{ internalType: "uint256", name: "amountOut", type: "uint256" }],
-                        stateMutability: "nonpayable",
-                        type: "function"
-                    },
-                    {
-                        inputs: [
-                            { internalType: "address", name: "tokenIn", type: "address" },
-                            { internalType: "address", name: "tokenOut", type: "address" },
-                            { internalType: "uint24", name: "fee", type: "uint24" },
-                            { internalType: "uint256", name: "amountOut", type: "uint256" },
-                            { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
-                        ],
-                        name: "quoteExactOutputSingle",
-                        outputs: [{ internalType: "uint256", name: "amountIn", type: "uint256" }],
-                        stateMutability: "nonpayable",
-                        type: "function"
-                    },
-                    {
-                        inputs: [{ internalType: "bytes", name: "path", type: "bytes" }, { internalType: "uint256", name: "amountOut", type: "uint256" }],
-                        name: "quoteExactOutput",
-                        outputs: [{ internalType: "uint256", name: "amountIn", type: "uint256" }],
-                        stateMutability: "nonpayable",
-                        type: "function"
-                    }
-                ]
-            };
-            
-            this.quoter = new ethers.Contract(addresses.quoter, quoterABI.abi, this.provider);
+        if (!this.provider) {
+            await routingEngine.ensureProvider();
+            this.provider = routingEngine.provider;
         }
     }
 
@@ -95,21 +56,6 @@ class QuoteService {
         }
     }
 
-    encodeV3Path(hops) {
-        const types = [];
-        const values = [];
-        for (let i = 0; i < hops.length; i++) {
-            if (typeof hops[i] === 'string' && ethers.isAddress(hops[i])) {
-                types.push("address");
-                values.push(hops[i]);
-            } else {
-                types.push("uint24");
-                values.push(hops[i]);
-            }
-        }
-        return ethers.solidityPacked(types, values);
-    }
-
     calcMinOutFromSlippage(amountOut, slippagePct = 0.5, isExactOut = false) {
         // Normalize percent to basis points
         const pct = Number(slippagePct);
@@ -121,94 +67,9 @@ class QuoteService {
         return (BigInt(amountOut) * (DENOM - BigInt(bps))) / DENOM;
     }
 
-    getAnchors() {
-        return [config.WETH_ADDRESS, config.USDC_ADDRESS, config.USDT_ADDRESS].filter(Boolean);
-    }
-
-    async generateRouteCandidates(tokenIn, tokenOut) {
-        const candidates = [];
-
-        // Single-hop candidates across all fee tiers
-        for (const fee of this.VALID_FEES) {
-            candidates.push({ 
-                kind: 'single', 
-                route: [{ tokenIn, tokenOut, fee }], 
-                pathTokens: [tokenIn, fee, tokenOut] 
-            });
-        }
-
-        // Two-hop via anchors
-        const anchors = this.getAnchors().map(a => ethers.getAddress(a));
-        for (const mid of anchors) {
-            if (mid.toLowerCase() === tokenIn.toLowerCase() || mid.toLowerCase() === tokenOut.toLowerCase()) continue;
-            for (const feeA of this.VALID_FEES) {
-                for (const feeB of this.VALID_FEES) {
-                    candidates.push({ 
-                        kind: 'multi', 
-                        route: [
-                            { tokenIn, tokenOut: mid, fee: feeA },
-                            { tokenIn: mid, tokenOut, fee: feeB }
-                        ], 
-                        pathTokens: [tokenIn, feeA, mid, feeB, tokenOut] 
-                    });
-                }
-            }
-        }
-
-        return candidates;
-    }
-
-    async evaluateRoutes(candidates, amountIn, mode = 'EXACT_IN') {
-        const evals = [];
-        
-        for (const candidate of candidates) {
-            try {
-                let result;
-                
-                if (candidate.kind === 'single') {
-                    if (mode === 'EXACT_IN') {
-                        result = await this.quoter.quoteExactInputSingle.staticCall(
-                            candidate.route[0].tokenIn, 
-                            candidate.route[0].tokenOut, 
-                            candidate.route[0].fee, 
-                            amountIn, 
-                            0
-                        );
-                    } else {
-                        result = await this.quoter.quoteExactOutputSingle.staticCall(
-                            candidate.route[0].tokenIn, 
-                            candidate.route[0].tokenOut, 
-                            candidate.route[0].fee, 
-                            amountIn, 
-                            0
-                        );
-                    }
-                } else {
-                    const encodedPath = this.encodeV3Path(candidate.pathTokens);
-                    if (mode === 'EXACT_IN') {
-                        result = await this.quoter.quoteExactInput.staticCall(encodedPath, amountIn);
-                    } else {
-                        result = await this.quoter.quoteExactOutput.staticCall(encodedPath, amountIn);
-                    }
-                }
-                
-                if (mode === 'EXACT_IN') {
-                    evals.push({ ...candidate, amountOut: result });
-                } else {
-                    evals.push({ ...candidate, amountIn: result });
-                }
-            } catch (error) {
-                // Ignore failing routes
-                console.debug(`Route evaluation failed for ${candidate.kind}:`, error.message);
-            }
-        }
-        
-        return evals;
-    }
-
-    async getCachedQuote(chainId, tokenIn, tokenOut, fee, amountIn, mode) {
+    async getCachedQuote(chainId, tokenIn, tokenOut, amount, mode, slippagePct) {
         try {
-            return await QuoteCache.findCachedQuote(chainId, tokenIn, tokenOut, fee, amountIn, mode);
+            return await QuoteCache.findCachedQuote(chainId, tokenIn, tokenOut, amount, mode, slippagePct);
         } catch (error) {
             console.error('Cache lookup failed:', error);
             return null;
@@ -259,190 +120,137 @@ class QuoteService {
         }
     }
 
+    /**
+     * Human-readable split allocation for responses and the stored quote route
+     */
+    formatSplit(splitRoute, decIn, decOut) {
+        const singleOut = splitRoute.single.amountOut;
+        const gainBps = singleOut > 0n ? ((splitRoute.amountOut - singleOut) * 10000n) / singleOut : 0n;
+        return {
+            legs: splitRoute.legs.map(leg => ({
+                percent: leg.percent,
+                route: leg.route,
+                path: routingEngine.getExecutionPath(leg, 'EXACT_IN'),
+                amountIn: ethers.formatUnits(leg.amountIn, decIn),
+                amountOut: ethers.formatUnits(leg.amountOut, decOut)
+            })),
+            singleRouteAmountOut: ethers.formatUnits(singleOut, decOut),
+            improvementBps: gainBps.toString()
+        };
+    }
+
+    /**
+     * Validate and normalize the parameters of one quote
+     * @returns {Object} { tIn, tOut, amountIn, slippagePct, ttlSec, mode, split }
+     */
+    normalizeQuoteParams(params) {
+        const { tokenIn, tokenOut, amountIn, slippagePct = 0.5, ttlSec = 600, mode = 'EXACT_IN' } = params;
+        // Split routing only applies to EXACT_IN
+        const split = mode === 'EXACT_IN' && (params.split === true || params.split === 'true');
+        
+        // Validate inputs
+        if (!tokenIn || !tokenOut || !amountIn) {
+            throw new Error("tokenIn, tokenOut, amountIn are required");
+        }
+        if (!['EXACT_IN', 'EXACT_OUT'].includes(mode)) {
+            throw new Error("mode must be EXACT_IN or EXACT_OUT");
+        }
+        
+        const tIn = ethers.getAddress(tokenIn);
+        const tOut = ethers.getAddress(tokenOut);
+        
+        // Validate tokens
+        validateToken(tIn);
+        validateToken(tOut);
+        
+        if (tIn.toLowerCase() === tOut.toLowerCase()) {
+            throw new Error("tokenIn and tokenOut must differ");
+        }
+
+        return { tIn, tOut, amountIn, slippagePct, ttlSec, mode, split };
+    }
+
+    /**
+     * QuoteRequest log row for a normalized quote
+     */
+    quoteRequestLog(request, chainId, requestInfo) {
+        return {
+            chainId,
+            tokenIn: request.tIn.toLowerCase(),
+            tokenOut: request.tOut.toLowerCase(),
+            amountIn: String(request.amountIn),
+            mode: request.mode,
+            slippagePct: request.slippagePct,
+            ipAddress: requestInfo.ipAddress,
+            userAgent: requestInfo.userAgent,
+            userId: requestInfo.userId,
+            userAddress: requestInfo.userAddress ? requestInfo.userAddress.toLowerCase() : null,
+            rateLimitKey: requestInfo.rateLimitKey,
+            rateLimitWeight: requestInfo.rateLimitWeight ?? 1
+        };
+    }
+
+    /**
+     * Raw amount the route is searched with: the input for EXACT_IN,
+     * the desired output for EXACT_OUT
+     */
+    parseQuoteAmount(request, decIn, decOut) {
+        return ethers.parseUnits(request.amountIn.toString(), request.mode === 'EXACT_IN' ? decIn : decOut);
+    }
+
     async generateQuote(params, requestInfo) {
         const startTime = Date.now();
         let requestId = null;
         
         try {
-            const { tokenIn, tokenOut, amountIn, slippagePct = 0.5, ttlSec = 600, mode = 'EXACT_IN' } = params;
-            
-            // Validate inputs
-            if (!tokenIn || !tokenOut || !amountIn) {
-                throw new Error("tokenIn, tokenOut, amountIn are required");
-            }
-            
-            const tIn = ethers.getAddress(tokenIn);
-            const tOut = ethers.getAddress(tokenOut);
-            
-            // Validate tokens
-            validateToken(tIn);
-            validateToken(tOut);
-            
-            if (tIn.toLowerCase() === tOut.toLowerCase()) {
-                throw new Error("tokenIn and tokenOut must differ");
-            }
+            const request = this.normalizeQuoteParams(params);
+            const { tIn, tOut, amountIn, mode, split, slippagePct } = request;
             
             // Get chain info
             await this.ensureProvider();
-            const network = await this.provider.getNetwork();
-            const chainId = (config.FORCE_CHAIN_ID || network.chainId.toString());
+            const chainId = await routingEngine.getChainId();
             
             // Log request start
-            requestId = await this.logQuoteRequest({
-                chainId,
-                tokenIn: tIn.toLowerCase(),
-                tokenOut: tOut.toLowerCase(),
-                amountIn: String(amountIn),
-                mode,
-                slippagePct,
-                ipAddress: requestInfo.ipAddress,
-                userAgent: requestInfo.userAgent,
-                userId: requestInfo.userId,
-                userAddress: requestInfo.userAddress ? requestInfo.userAddress.toLowerCase() : null,
-                rateLimitKey: requestInfo.rateLimitKey
-            });
+            requestId = await this.logQuoteRequest(this.quoteRequestLog(request, chainId, requestInfo));
             
-            // Check cache first
-            const cachedQuote = await this.getCachedQuote(chainId, tIn, tOut, 3000, amountIn, mode);
-            if (cachedQuote) {
+            // Check cache first (cached entries carry no split allocation)
+            const cachedQuote = split ? null : await this.getCachedQuote(chainId, tIn, tOut, amountIn, mode, slippagePct);
+            const reissued = cachedQuote ? await this.reissueCachedQuote(request, chainId, cachedQuote) : null;
+            if (reissued) {
                 await this.updateQuoteRequest(requestId, {
                     success: true,
                     responseTime: Date.now() - startTime,
                     cacheHit: true,
-                    quoteId: cachedQuote.quoteId
+                    quoteId: reissued.quoteId
                 });
                 
-                return {
-                    ...cachedQuote.toJSON(),
-                    fromCache: true,
-                    requestId
-                };
+                return { ...reissued, requestId };
             }
             
-            // Generate quote
-            const candidates = await this.generateRouteCandidates(tIn, tOut);
-            // Get token decimals and convert amountIn to proper format for ethers.js v6
+            // Generate quote through the shared routing engine
+            // Get token decimals and convert the amount to proper format for ethers.js v6
             const decIn = await this.getTokenDecimals(tIn);
-            const amountInBigInt = ethers.parseUnits(amountIn.toString(), decIn);
-            const evals = await this.evaluateRoutes(candidates, amountInBigInt, mode);
-            
-            if (evals.length === 0) {
-                throw new Error("No executable route/liquidity for this pair");
-            }
-            
-            // Pick best route
-            let best;
-            if (mode === 'EXACT_IN') {
-                evals.sort((a, b) => (a.amountOut > b.amountOut ? -1 : a.amountOut < b.amountOut ? 1 : 0));
-                best = evals[0];
-            } else {
-                evals.sort((a, b) => (a.amountIn < b.amountIn ? -1 : a.amountIn > b.amountIn ? 1 : 0));
-                best = evals[0];
-            }
-            
-            // Format amounts
             const decOut = await this.getTokenDecimals(tOut);
+            const amount = this.parseQuoteAmount(request, decIn, decOut);
+            const best = split
+                ? await routingEngine.findBestSplit({ tokenIn: tIn, tokenOut: tOut, amount, decimalsOut: decOut })
+                : await routingEngine.findBestRoute({
+                    tokenIn: tIn,
+                    tokenOut: tOut,
+                    amount,
+                    mode,
+                    decimalsIn: decIn,
+                    decimalsOut: decOut
+                });
             
-            let amountOutStr, amountOutMinimum, amountInStr, amountInMaximum;
-            
-            if (mode === 'EXACT_IN') {
-                amountOutStr = ethers.formatUnits(best.amountOut, decOut);
-                amountOutMinimum = ethers.formatUnits(
-                    this.calcMinOutFromSlippage(best.amountOut, slippagePct), 
-                    decOut
-                );
-            } else {
-                amountInStr = ethers.formatUnits(best.amountIn, decIn);
-                amountInMaximum = ethers.formatUnits(
-                    this.calcMinOutFromSlippage(best.amountIn, slippagePct, true), 
-                    decIn
-                );
-            }
-            
-            const encodedPath = this.encodeV3Path(best.pathTokens);
-
-            // Basic price impact approximation using external price feeds
-            // Fetch priceIn and priceOut (USD) when available
-            let priceImpactPct = "0";
-            try {
-                // Lazy import to avoid circular deps
-                const { default: priceFeedService } = await import('./priceFeedService.js');
-                const priceIn = await priceFeedService.getTokenPrice(tIn, chainId);
-                const priceOut = await priceFeedService.getTokenPrice(tOut, chainId);
-                if (priceIn > 0 && priceOut > 0) {
-                    if (mode === 'EXACT_IN') {
-                        const inputAmount = Number(amountIn); // human units
-                        const inputValueUsd = inputAmount * priceIn;
-                        const actualOutAmount = Number(ethers.formatUnits(best.amountOut, decOut));
-                        const expectedOutFromUsd = inputValueUsd / priceOut;
-                        const impact = expectedOutFromUsd > 0 ? Math.max(0, ((expectedOutFromUsd - actualOutAmount) / expectedOutFromUsd) * 100) : 0;
-                        priceImpactPct = impact.toFixed(4);
-                    } else { // EXACT_OUT
-                        const desiredOutAmount = Number(amountIn); // human units (desired output)
-                        const fairInputFromUsd = (desiredOutAmount * priceOut) / priceIn;
-                        const actualInputAmount = Number(ethers.formatUnits(best.amountIn, decIn));
-                        const impact = fairInputFromUsd > 0 ? Math.max(0, ((actualInputAmount - fairInputFromUsd) / fairInputFromUsd) * 100) : 0;
-                        priceImpactPct = impact.toFixed(4);
-                    }
-                }
-            } catch {}
-            const nowSec = Math.floor(Date.now() / 1000);
-            const expiresAtSec = nowSec + Math.min(Math.max(1, Number(ttlSec || 600)), 24 * 60 * 60);
-            const quoteId = `q_${ethers.hexlify(ethers.randomBytes(8)).slice(2)}`;
-            
-            // Prepare response
-            const response = {
-                route: best.route,
-                path: encodedPath,
-                quoteId,
-                expiresAt: expiresAtSec,
-                mode,
-                priceImpactPct,
-                estimatedGas: "0",
-                fromCache: false
-            };
-            
-            if (mode === 'EXACT_IN') {
-                response.amountOut = amountOutStr;
-                response.amountOutMinimum = amountOutMinimum;
-            } else {
-                response.amountIn = amountInStr;
-                response.amountInMaximum = amountInMaximum;
-                response.amountOut = String(amountIn);
-            }
-            
-            // Store in database
-            const quoteData = {
-                chainId: Number(chainId),
-                tokenIn: tIn.toLowerCase(),
-                tokenOut: tOut.toLowerCase(),
-                amountIn: mode === 'EXACT_IN' ? String(amountIn) : amountInStr,
-                amountOut: mode === 'EXACT_IN' ? amountOutStr : String(amountIn),
-                mode,
-                route: best.route,
-                path: encodedPath,
-                amountOutMinimum: mode === 'EXACT_IN' ? amountOutMinimum : String(amountIn),
-                priceImpactPct: response.priceImpactPct,
-                estimatedGas: response.estimatedGas,
-                quoteId,
-                expiresAt: new Date(expiresAtSec * 1000),
-                slippageTolerance: slippagePct
-            };
-            
-            await this.createQuote(quoteData);
-            
-            // Cache the quote
-            await this.cacheQuote({
-                ...quoteData,
-                slippagePct
-            }, 5); // 5 minutes TTL
+            const response = await this.finalizeQuote(request, { chainId, decIn, decOut, best });
             
             // Update request log
             await this.updateQuoteRequest(requestId, {
                 success: true,
                 responseTime: Date.now() - startTime,
                 cacheHit: false,
-                quoteId
+                quoteId: response.quoteId
             });
             
             return { ...response, requestId };
@@ -460,6 +268,514 @@ class QuoteService {
             throw error;
         }
     }
+
+    /**
+     * Live quote for a stream: the route is re-evaluated on every call (bypassing
+     * the quote cache), but a firm quote is signed and stored only when there is
+     * no previous one, the route or quoted amount changed, or the previous one is
+     * past half its lifetime. Otherwise previous is returned as is.
+     * With requestInfo the quote is logged as a QuoteRequest like generateQuote.
+     * @param {Object} request - Normalized params (normalizeQuoteParams), single route only
+     * @param {Object} previous - Firm quote the stream currently holds
+     */
+    async generateLiveQuote(request, requestInfo = null, previous = null) {
+        const startTime = Date.now();
+        await this.ensureProvider();
+        const chainId = await routingEngine.getChainId();
+        const requestId = requestInfo
+            ? await this.logQuoteRequest(this.quoteRequestLog(request, chainId, requestInfo))
+            : null;
+
+        try {
+            const decIn = await this.getTokenDecimals(request.tIn);
+            const decOut = await this.getTokenDecimals(request.tOut);
+            const best = await routingEngine.findBestRoute({
+                tokenIn: request.tIn,
+                tokenOut: request.tOut,
+                amount: this.parseQuoteAmount(request, decIn, decOut),
+                mode: request.mode,
+                decimalsIn: decIn,
+                decimalsOut: decOut
+            });
+            const context = { chainId, decIn, decOut, best };
+            const quote = await this.formatQuote(request, context);
+
+            const ttlSec = Number(request.ttlSec || 600);
+            const stillFresh = previous
+                && this.liveQuoteKey(previous) === this.liveQuoteKey(quote)
+                && previous.expiresAt - Math.floor(Date.now() / 1000) > ttlSec / 2;
+            if (stillFresh) {
+                return previous;
+            }
+
+            const response = await this.issueQuote(request, context, quote, { cache: false });
+            if (requestId) {
+                await this.updateQuoteRequest(requestId, {
+                    success: true,
+                    responseTime: Date.now() - startTime,
+                    cacheHit: false,
+                    quoteId: response.quoteId
+                });
+            }
+            return requestId ? { ...response, requestId } : response;
+        } catch (error) {
+            if (requestId) {
+                await this.updateQuoteRequest(requestId, {
+                    success: false,
+                    responseTime: Date.now() - startTime,
+                    errorMessage: error.message
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * What a live quote commits to: its route and the amount the user gets or pays
+     */
+    liveQuoteKey(quote) {
+        const route = (quote.route || []).map(hop => [hop.tokenIn, hop.tokenOut, Number(hop.fee), hop.protocol || 'V3']);
+        return JSON.stringify([route, quote.mode === 'EXACT_OUT' ? quote.amountIn : quote.amountOut]);
+    }
+
+    /**
+     * Turn the winning route into a firm quote: format it, then sign, store and cache it
+     * @param {Object} request - Normalized params (normalizeQuoteParams)
+     * @param {Object} context - { chainId, decIn, decOut, best }
+     */
+    async finalizeQuote(request, context) {
+        return this.issueQuote(request, context, await this.formatQuote(request, context));
+    }
+
+    /**
+     * Quote response for the winning route: amounts, path, price impact and gas.
+     * Indicative only; nothing is signed or stored
+     * @param {Object} request - Normalized params (normalizeQuoteParams)
+     * @param {Object} context - { chainId, decIn, decOut, best }
+     */
+    async formatQuote(request, { chainId, decIn, decOut, best }) {
+        const { tIn, tOut, amountIn, slippagePct, mode, split } = request;
+
+        // Format amounts
+        
+        let amountOutStr, amountOutMinimum, amountInStr, amountInMaximum;
+        
+        if (mode === 'EXACT_IN') {
+            amountOutStr = ethers.formatUnits(best.amountOut, decOut);
+            amountOutMinimum = ethers.formatUnits(
+                this.calcMinOutFromSlippage(best.amountOut, slippagePct), 
+                decOut
+            );
+        } else {
+            amountInStr = ethers.formatUnits(best.amountIn, decIn);
+            amountInMaximum = ethers.formatUnits(
+                this.calcMinOutFromSlippage(best.amountIn, slippagePct, true), 
+                decIn
+            );
+        }
+        
+        // A split quote reports its largest leg as route/path and every leg under split
+        const primary = best.kind === 'split' ? best.legs[0] : best;
+        const encodedPath = routingEngine.getExecutionPath(primary, mode);
+        const splitInfo = best.kind === 'split' ? this.formatSplit(best, decIn, decOut) : null;
+
+        // Basic price impact approximation using external price feeds
+        // Fetch priceIn and priceOut (USD) when available
+        let priceImpactPct = "0";
+        try {
+            // Lazy import to avoid circular deps
+            const { default: priceFeedService } = await import('./priceFeedService.js');
+            const priceIn = await priceFeedService.getTokenPrice(tIn, chainId);
+            const priceOut = await priceFeedService.getTokenPrice(tOut, chainId);
+            if (priceIn > 0 && priceOut > 0) {
+                if (mode === 'EXACT_IN') {
+                    const inputAmount = Number(amountIn); // human units
+                    const inputValueUsd = inputAmount * priceIn;
+                    const actualOutAmount = Number(ethers.formatUnits(best.amountOut, decOut));
+                    const expectedOutFromUsd = inputValueUsd / priceOut;
+                    const impact = expectedOutFromUsd > 0 ? Math.max(0, ((expectedOutFromUsd - actualOutAmount) / expectedOutFromUsd) * 100) : 0;
+                    priceImpactPct = impact.toFixed(4);
+                } else { // EXACT_OUT
+                    const desiredOutAmount = Number(amountIn); // human units (desired output)
+                    const fairInputFromUsd = (desiredOutAmount * priceOut) / priceIn;
+                    const actualInputAmount = Number(ethers.formatUnits(best.amountIn, decIn));
+                    const impact = fairInputFromUsd > 0 ? Math.max(0, ((actualInputAmount - fairInputFromUsd) / fairInputFromUsd) * 100) : 0;
+                    priceImpactPct = impact.toFixed(4);
+                }
+            }
+        } catch {}
+        
+        // Prepare response
+        const response = {
+            route: primary.route,
+            path: encodedPath,
+            mode,
+            priceImpactPct,
+            estimatedGas: (best.gasEstimate ?? 0n).toString(),
+            gasEstimateSource: best.gasEstimateSource || null,
+            initializedTicksCrossed: best.initializedTicksCrossed ?? null,
+            sqrtPriceX96After: best.sqrtPriceX96After ? best.sqrtPriceX96After.map(p => p.toString()) : null,
+            quoterVersion: routingEngine.quoterVersion,
+            fromCache: false
+        };
+
+        if (split) {
+            response.split = splitInfo;
+        }
+
+        // Gross vs net-of-gas figures (present when gas could be priced)
+        if (best.gasCostToken !== undefined) {
+            response.gasCostUsd = best.gasCostUsd.toFixed(4);
+            if (mode === 'EXACT_IN') {
+                response.amountOutGross = ethers.formatUnits(best.amountOut, decOut);
+                response.amountOutNet = ethers.formatUnits(best.netAmountOut, decOut);
+                response.gasCostInTokenOut = ethers.formatUnits(best.gasCostToken, decOut);
+            } else {
+                response.amountInGross = ethers.formatUnits(best.amountIn, decIn);
+                response.amountInNet = ethers.formatUnits(best.netAmountIn, decIn);
+                response.gasCostInTokenIn = ethers.formatUnits(best.gasCostToken, decIn);
+            }
+        }
+        
+        if (mode === 'EXACT_IN') {
+            response.amountOut = amountOutStr;
+            response.amountOutMinimum = amountOutMinimum;
+        } else {
+            response.amountIn = amountInStr;
+            response.amountInMaximum = amountInMaximum;
+            response.amountOut = String(amountIn);
+        }
+
+        return response;
+    }
+
+    /**
+     * Make a formatted quote firm: give it a quoteId and expiry, sign it
+     * (EIP-712 over tokens, raw amounts, route, expiry and chain; signedQuote
+     * is null when quote signing is off) and store it.
+     * Quotes are single-use, so every response issued gets its own.
+     * @param {Object} quote - formatQuote result for the same request and context
+     * @param {Object} options - cache: also put the quote in the quote cache (single routes only)
+     */
+    async issueQuote(request, { chainId, best }, quote, { cache = true } = {}) {
+        const { tIn, tOut, amountIn, slippagePct, ttlSec, mode, split } = request;
+        const primary = best.kind === 'split' ? best.legs[0] : best;
+        const storedRoute = quote.split ? { legs: quote.split.legs } : primary.route;
+
+        const nowSec = Math.floor(Date.now() / 1000);
+        const expiresAtSec = nowSec + Math.min(Math.max(1, Number(ttlSec || 600)), 24 * 60 * 60);
+        const quoteId = `q_${ethers.hexlify(ethers.randomBytes(8)).slice(2)}`;
+
+        const signedQuote = await quoteSigner.sign({
+            quoteId,
+            chainId,
+            mode,
+            tokenIn: tIn,
+            tokenOut: tOut,
+            amountIn: best.amountIn,
+            amountOut: best.amountOut,
+            amountLimit: mode === 'EXACT_IN'
+                ? this.calcMinOutFromSlippage(best.amountOut, slippagePct)
+                : this.calcMinOutFromSlippage(best.amountIn, slippagePct, true),
+            route: storedRoute,
+            expiresAt: expiresAtSec
+        });
+        
+        // Store in database
+        const quoteData = {
+            chainId: Number(chainId),
+            tokenIn: tIn.toLowerCase(),
+            tokenOut: tOut.toLowerCase(),
+            amountIn: mode === 'EXACT_IN' ? String(amountIn) : quote.amountIn,
+            amountOut: quote.amountOut,
+            mode,
+            route: storedRoute,
+            path: quote.path || '', // mixed V2/V3 routes have no V3 path
+            signature: signedQuote ? signedQuote.signature : null,
+            amountOutMinimum: mode === 'EXACT_IN' ? quote.amountOutMinimum : String(amountIn),
+            priceImpactPct: quote.priceImpactPct,
+            estimatedGas: quote.estimatedGas,
+            quoteId,
+            expiresAt: new Date(expiresAtSec * 1000),
+            slippageTolerance: slippagePct
+        };
+        
+        // The stored quote records the first hop's fee tier (populate by quoteId reads it back)
+        const fee = primary.route ? primary.route[0].fee : 3000;
+        await this.createQuote({ ...quoteData, fee });
+        
+        // Cache the quote under the requested amount
+        if (cache && !split) {
+            await this.cacheQuote({
+                ...quoteData,
+                fee,
+                requestedAmount: String(amountIn),
+                slippagePct
+            }, 5); // 5 minutes TTL
+        }
+
+        return { ...quote, quoteId, expiresAt: expiresAtSec, signedQuote };
+    }
+
+    /**
+     * Answer a request from a cache row: the cached route is re-quoted at the
+     * current pool state and issued as a new firm quote (own quoteId and
+     * signature; the cache entry is not extended), so a signature never vouches
+     * for cached amounts. The cache only spares the route search.
+     * @returns {Object|null} null when the cached route no longer quotes
+     */
+    async reissueCachedQuote(request, chainId, cached) {
+        const decIn = await this.getTokenDecimals(request.tIn);
+        const decOut = await this.getTokenDecimals(request.tOut);
+        const storedRoute = Array.isArray(cached.route) && cached.route.length > 0 ? cached.route : null;
+        let best;
+        try {
+            best = await routingEngine.findBestRoute({
+                tokenIn: request.tIn,
+                tokenOut: request.tOut,
+                amount: this.parseQuoteAmount(request, decIn, decOut),
+                mode: request.mode,
+                route: storedRoute,
+                path: storedRoute ? undefined : (cached.path || undefined),
+                decimalsIn: decIn,
+                decimalsOut: decOut
+            });
+        } catch (error) {
+            console.warn('Cached route no longer quotes, searching again:', error.message);
+            return null;
+        }
+        const context = { chainId, decIn, decOut, best };
+        const response = await this.issueQuote(request, context, await this.formatQuote(request, context), { cache: false });
+        return { ...response, fromCache: true };
+    }
+
+    /**
+     * Quote many pairs in one call. Items share token decimal lookups, route
+     * candidates and gas context per pair, and a single route evaluation (so
+     * one set of Multicall3 batches); each item is logged as its own
+     * QuoteRequest and answered from QuoteCache when possible.
+     * Split routing is not offered in batches.
+     * @param {Array} items - [{ tokenIn, tokenOut, amountIn | amountOut, mode, slippagePct?, ttlSec? }]
+     * @param {Object} requestInfo - As for generateQuote; rateLimitWeight is logged per item
+     * @returns {Array} Per item, in order: { index, success: true, quote } or { index, success: false, error }
+     */
+    async generateBatchQuotes(items, requestInfo) {
+        await this.ensureProvider();
+        const chainId = await routingEngine.getChainId();
+        const results = new Array(items.length);
+        const pending = [];
+
+        const fail = async (job, error) => {
+            if (job.requestId) {
+                await this.updateQuoteRequest(job.requestId, {
+                    success: false,
+                    responseTime: Date.now() - job.startTime,
+                    errorMessage: error.message
+                });
+            }
+            results[job.index] = { index: job.index, success: false, error: error.message };
+        };
+
+        // Validate, log and serve cache hits
+        for (let index = 0; index < items.length; index++) {
+            const job = { index, startTime: Date.now(), requestId: null };
+            try {
+                const item = items[index] || {};
+                const mode = item.mode || 'EXACT_IN';
+                // EXACT_OUT items may name the desired output amountOut
+                const amountIn = mode === 'EXACT_OUT' ? (item.amountOut ?? item.amountIn) : item.amountIn;
+                job.request = this.normalizeQuoteParams({ ...item, mode, amountIn, split: false });
+                job.requestId = await this.logQuoteRequest(this.quoteRequestLog(job.request, chainId, requestInfo));
+
+                const { tIn, tOut, amountIn: amount, mode: m, slippagePct } = job.request;
+                const cachedQuote = await this.getCachedQuote(chainId, tIn, tOut, amount, m, slippagePct);
+                const response = cachedQuote ? await this.reissueCachedQuote(job.request, chainId, cachedQuote) : null;
+                if (response) {
+                    await this.updateQuoteRequest(job.requestId, {
+                        success: true,
+                        responseTime: Date.now() - job.startTime,
+                        cacheHit: true,
+                        quoteId: response.quoteId
+                    });
+                    results[index] = { index, success: true, quote: { ...response, requestId: job.requestId } };
+                    continue;
+                }
+                pending.push(job);
+            } catch (error) {
+                await fail(job, error);
+            }
+        }
+
+        // Resolve decimals, candidates and gas context once per token / pair / pair+mode
+        const memo = new Map();
+        const once = (key, load) => {
+            if (!memo.has(key)) memo.set(key, load());
+            return memo.get(key);
+        };
+        const evaluable = [];
+        for (const job of pending) {
+            try {
+                const { tIn, tOut, mode } = job.request;
+                job.decIn = await once(`dec:${tIn}`, () => this.getTokenDecimals(tIn));
+                job.decOut = await once(`dec:${tOut}`, () => this.getTokenDecimals(tOut));
+                job.amount = this.parseQuoteAmount(job.request, job.decIn, job.decOut);
+                job.candidates = await once(`route:${tIn}:${tOut}`, () => routingEngine.generateRouteCandidates(tIn, tOut));
+                job.gasContext = await once(`gas:${tIn}:${tOut}:${mode}`, () => routingEngine.getGasContext({
+                    tokenIn: tIn,
+                    tokenOut: tOut,
+                    mode,
+                    decimalsIn: job.decIn,
+                    decimalsOut: job.decOut
+                }));
+                evaluable.push(job);
+            } catch (error) {
+                await fail(job, error);
+            }
+        }
+
+        let ranked = [];
+        try {
+            ranked = await routingEngine.evaluateRouteSets(evaluable.map(job => ({
+                candidates: job.candidates,
+                amount: job.amount,
+                mode: job.request.mode,
+                gasContext: job.gasContext
+            })));
+        } catch (error) {
+            for (const job of evaluable) await fail(job, error);
+            return results;
+        }
+
+        for (let i = 0; i < evaluable.length; i++) {
+            const job = evaluable[i];
+            try {
+                if (!ranked[i] || ranked[i].length === 0) {
+                    throw new Error("No executable route/liquidity for this pair");
+                }
+                const response = await this.finalizeQuote(job.request, { chainId, decIn: job.decIn, decOut: job.decOut, best: ranked[i][0] });
+                await this.updateQuoteRequest(job.requestId, {
+                    success: true,
+                    responseTime: Date.now() - job.startTime,
+                    cacheHit: false,
+                    quoteId: response.quoteId
+                });
+                results[job.index] = { index: job.index, success: true, quote: { ...response, requestId: job.requestId } };
+            } catch (error) {
+                await fail(job, error);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Load a stored quote for execution; only active, unexpired quotes qualify
+     * @throws {QuoteUnavailableError} 404 unknown, 409 not active, 410 expired
+     */
+    async getExecutableQuote(quoteId) {
+        const quote = await Quote.findOne({ where: { quoteId } });
+        if (!quote) {
+            throw new QuoteUnavailableError(`Quote ${quoteId} not found`, 404);
+        }
+        if (quote.status !== 'active') {
+            throw new QuoteUnavailableError(`Quote ${quoteId} is ${quote.status}`, 409);
+        }
+        if (quote.isExpired()) {
+            quote.status = 'expired';
+            await quote.save();
+            throw new QuoteUnavailableError(`Quote ${quoteId} has expired`, 410);
+        }
+        return quote;
+    }
+
+    /**
+     * Claim a loaded quote for one execution: the active -> used switch is a
+     * single conditional UPDATE, so of two concurrent populates only one wins
+     * @throws {QuoteUnavailableError} 409 when another request claimed it first
+     */
+    async claimQuote(quote) {
+        const usedAt = new Date();
+        const [claimed] = await Quote.update(
+            { status: 'used', usedAt },
+            { where: { id: quote.id, status: 'active' } }
+        );
+        if (claimed === 0) {
+            throw new QuoteUnavailableError(`Quote ${quote.quoteId} has already been used`, 409);
+        }
+        quote.status = 'used';
+        quote.usedAt = usedAt;
+        return quote;
+    }
+
+    /**
+     * Hand a claimed quote back when its execution could not be built
+     */
+    async releaseQuote(quote) {
+        const [released] = await Quote.update(
+            { status: 'active', usedAt: null },
+            { where: { id: quote.id, status: 'used', swapId: null } }
+        );
+        if (released > 0) {
+            quote.status = 'active';
+            quote.usedAt = null;
+        }
+    }
+
+    /**
+     * Re-quote a stored quote's route on-chain and check it has not moved
+     * against the user by more than toleranceBps (EXACT_IN: output, EXACT_OUT: input)
+     * @returns {Object} { routeInfo, amountIn, amountOut, quotedAmount, freshAmount, driftBps }
+     *                   with amounts as bigint; routeInfo is ready for buildSwapCall
+     * @throws {QuoteUnavailableError} 409 when the quote drifted past the tolerance
+     */
+    async reverifyQuote(quote, { decimalsIn, decimalsOut, toleranceBps = config.QUOTE_REVERIFY_TOLERANCE_BPS }) {
+        await this.ensureProvider();
+        const tokenIn = ethers.getAddress(quote.tokenIn);
+        const tokenOut = ethers.getAddress(quote.tokenOut);
+        const amountIn = ethers.parseUnits(String(quote.amountIn), decimalsIn);
+        const amountOut = ethers.parseUnits(String(quote.amountOut), decimalsOut);
+
+        let routeInfo;
+        if (quote.route && Array.isArray(quote.route.legs)) {
+            // Split: every leg re-quoted at its stored size
+            const legs = [];
+            for (const leg of quote.route.legs) {
+                const candidate = routingEngine.candidateFromRoute(leg.route);
+                const legIn = ethers.parseUnits(String(leg.amountIn), decimalsIn);
+                const legOut = await routingEngine.quoteCandidate(candidate, legIn, 'EXACT_IN');
+                legs.push({ ...candidate, percent: leg.percent, amountIn: legIn, amountOut: legOut });
+            }
+            routeInfo = { kind: 'split', legs, amountIn, amountOut: legs.reduce((sum, leg) => sum + leg.amountOut, 0n) };
+        } else {
+            const storedRoute = Array.isArray(quote.route) && quote.route.length > 0 ? quote.route : null;
+            routeInfo = await routingEngine.findBestRoute({
+                tokenIn,
+                tokenOut,
+                mode: quote.mode,
+                amount: quote.mode === 'EXACT_IN' ? amountIn : amountOut,
+                route: storedRoute,
+                path: storedRoute ? undefined : (quote.path || undefined)
+            });
+        }
+
+        const exactIn = quote.mode === 'EXACT_IN';
+        const quotedAmount = exactIn ? amountOut : amountIn;
+        const freshAmount = exactIn ? routeInfo.amountOut : routeInfo.amountIn;
+        const worse = exactIn ? quotedAmount - freshAmount : freshAmount - quotedAmount;
+        const driftBps = quotedAmount > 0n ? Number((worse * 10000n) / quotedAmount) : 0;
+        if (driftBps > toleranceBps) {
+            throw new QuoteUnavailableError(
+                `Quote ${quote.quoteId} moved ${driftBps} bps against the user (tolerance ${toleranceBps} bps)`,
+                409,
+                {
+                    quoted: ethers.formatUnits(quotedAmount, exactIn ? decimalsOut : decimalsIn),
+                    current: ethers.formatUnits(freshAmount, exactIn ? decimalsOut : decimalsIn)
+                }
+            );
+        }
+
+        return { routeInfo, amountIn, amountOut, quotedAmount, freshAmount, driftBps };
+    }
 }
 
 export default new QuoteService();
@@ -0,0 +1,144 @@
+import { ethers } from 'ethers';
+import config from '../config/env.js';
+
+/**
+ * Quote Signer
+ * Signs firm quotes as EIP-712 typed data with the server quote key so
+ * partners (and /swap/populate) can check a quote was issued by us and not
+ * altered. The signature covers tokens, raw amounts, a hash of the route,
+ * expiry and chainId; there is no verifying contract, the domain is off-chain.
+ * Without QUOTE_SIGNER_KEY signing is off: quotes are issued unsigned.
+ */
+
+export const QUOTE_DOMAIN_NAME = 'TPay Quotes';
+export const QUOTE_DOMAIN_VERSION = '1';
+
+export const QUOTE_TYPES = {
+    Quote: [
+        { name: 'quoteId', type: 'string' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'mode', type: 'string' },
+        { name: 'tokenIn', type: 'address' },
+        { name: 'tokenOut', type: 'address' },
+        { name: 'amountIn', type: 'uint256' },
+        { name: 'amountOut', type: 'uint256' },
+        { name: 'amountLimit', type: 'uint256' }, // amountOutMinimum (EXACT_IN) or amountInMaximum (EXACT_OUT)
+        { name: 'routeHash', type: 'bytes32' },
+        { name: 'expiresAt', type: 'uint256' }
+    ]
+};
+
+// Route legs: (share in bps, hops(tokenIn, tokenOut, fee, isV2))
+const ROUTE_ABI_TYPE = 'tuple(uint256 shareBps, tuple(address tokenIn, address tokenOut, uint24 fee, bool v2)[] hops)[]';
+
+class QuoteSigner {
+    constructor() {
+        this.wallet = null;
+    }
+
+    isEnabled() {
+        return Boolean(config.QUOTE_SIGNER_KEY);
+    }
+
+    getWallet() {
+        if (!this.wallet && this.isEnabled()) {
+            const key = config.QUOTE_SIGNER_KEY;
+            this.wallet = new ethers.Wallet(key.startsWith('0x') ? key : `0x${key}`);
+        }
+        return this.wallet;
+    }
+
+    getSignerAddress() {
+        return this.isEnabled() ? this.getWallet().address : null;
+    }
+
+    getDomain(chainId) {
+        return { name: QUOTE_DOMAIN_NAME, version: QUOTE_DOMAIN_VERSION, chainId: BigInt(chainId) };
+    }
+
+    /**
+     * Hash of a stored quote route: a hop array, or { legs: [{ percent, route }] } for splits
+     */
+    hashRoute(route) {
+        const legs = route && Array.isArray(route.legs)
+            ? route.legs.map(leg => ({ shareBps: Math.round(Number(leg.percent) * 100), hops: leg.route }))
+            : [{ shareBps: 10000, hops: route || [] }];
+        const encoded = ethers.AbiCoder.defaultAbiCoder().encode([ROUTE_ABI_TYPE], [
+            legs.map(leg => [
+                leg.shareBps,
+                leg.hops.map(hop => [hop.tokenIn, hop.tokenOut, Number(hop.fee), hop.protocol === 'V2'])
+            ])
+        ]);
+        return ethers.keccak256(encoded);
+    }
+
+    /**
+     * Sign a quote
+     * @param {Object} quote - { quoteId, chainId, mode, tokenIn, tokenOut, amountIn, amountOut, amountLimit, route, expiresAt }
+     *                         with raw (base-unit) amounts and expiresAt in unix seconds
+     * @returns {Object|null} { domain, types, primaryType, message, signature, signer } (JSON-safe),
+     *                         null when signing is off
+     */
+    async sign({ quoteId, chainId, mode, tokenIn, tokenOut, amountIn, amountOut, amountLimit, route, expiresAt }) {
+        if (!this.isEnabled()) return null;
+        const message = {
+            quoteId,
+            chainId: String(chainId),
+            mode,
+            tokenIn: ethers.getAddress(tokenIn),
+            tokenOut: ethers.getAddress(tokenOut),
+            amountIn: amountIn.toString(),
+            amountOut: amountOut.toString(),
+            amountLimit: amountLimit.toString(),
+            routeHash: this.hashRoute(route),
+            expiresAt: String(expiresAt)
+        };
+        const wallet = this.getWallet();
+        const signature = await wallet.signTypedData(this.getDomain(chainId), QUOTE_TYPES, message);
+        return {
+            domain: { name: QUOTE_DOMAIN_NAME, version: QUOTE_DOMAIN_VERSION, chainId: String(chainId) },
+            types: QUOTE_TYPES,
+            primaryType: 'Quote',
+            message,
+            signature,
+            signer: wallet.address
+        };
+    }
+
+    /**
+     * Check a signed quote: signature by the server key, not expired and,
+     * when expectedChainId is given, issued for that chain
+     * @returns {Object} { valid, expired, signer, reasons }
+     */
+    verify(signedQuote, { expectedChainId = null, now = Math.floor(Date.now() / 1000) } = {}) {
+        const reasons = [];
+        const message = signedQuote?.message;
+        if (!this.isEnabled()) {
+            return { valid: false, expired: false, signer: null, reasons: ['Quote signing is not configured'] };
+        }
+        if (!message || !signedQuote.signature) {
+            return { valid: false, expired: false, signer: null, reasons: ['message and signature are required'] };
+        }
+
+        let signer = null;
+        try {
+            signer = ethers.verifyTypedData(this.getDomain(message.chainId), QUOTE_TYPES, message, signedQuote.signature);
+        } catch (error) {
+            reasons.push(`Malformed signed quote: ${error.shortMessage || error.message}`);
+        }
+        if (signer && signer !== this.getSignerAddress()) {
+            reasons.push('Quote was not signed by the quote signer (tampered or foreign quote)');
+        }
+        if (expectedChainId !== null && String(message.chainId) !== String(expectedChainId)) {
+            reasons.push(`Quote was issued for chain ${message.chainId}, not ${expectedChainId}`);
+        }
+        const expired = Number(message.expiresAt) <= now;
+        if (expired) {
+            reasons.push('Quote has expired');
+        }
+
+        return { valid: reasons.length === 0, expired, signer, reasons };
+    }
+}
+
+export default new QuoteSigner();
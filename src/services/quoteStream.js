@@ -0,0 +1,200 @@
+import routingEngine from './routingEngine.js';
+import quoteService from './quoteService.js';
+import { serializeBigInts } from '../utils/bigIntSerializer.js';
+import config from '../config/env.js';
+
+/**
+ * Quote Stream
+ * Live quotes for Server-Sent Events subscribers. One block listener serves
+ * every open stream: each new block re-evaluates the subscriptions' routes and
+ * pushes a new firm quote (flagged when the best route changed) only when the
+ * route or amount moved or the current quote is past half its lifetime, so
+ * quiet blocks sign and store nothing. A one-second tick pushes the expiry
+ * countdown. A stream ends once its quote can no longer be executed: no route
+ * is left, or the last quote expired without a replacement.
+ *
+ * Events: quote, expiry, end ({ reason: no_route | expired | max_duration | error })
+ */
+
+class QuoteStream {
+    constructor() {
+        this.subscriptions = new Map(); // id -> { res, request, quote, routeKey, ... }
+        this.nextId = 1;
+        this.provider = null;
+        this.listener = null;
+        this.ticker = null;
+        this.starting = null; // pending startListening attempt
+        this.refreshing = false;
+        this.quoteTtlSec = config.QUOTE_STREAM_TTL_SEC;
+        this.minRequoteMs = 3000;              // fast chains re-quote at most this often
+        this.maxDurationMs = 30 * 60 * 1000;   // clients reconnect after this
+    }
+
+    send(sub, event, data) {
+        sub.res.write(`event: ${event}\ndata: ${JSON.stringify(serializeBigInts(data))}\n\n`);
+    }
+
+    /**
+     * Identity of a route for change detection
+     */
+    routeKey(route) {
+        return JSON.stringify((route || []).map(hop => [hop.tokenIn, hop.tokenOut, Number(hop.fee), hop.protocol || 'V3']));
+    }
+
+    /**
+     * Turn a response into an SSE stream and push the first quote
+     * @param {Object} request - Normalized quote params (quoteService.normalizeQuoteParams)
+     * @param {Object} requestInfo - Logged with the first quote so the stream counts against the rate limit
+     */
+    async open(req, res, request, requestInfo) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const sub = {
+            id: this.nextId++,
+            res,
+            request: { ...request, split: false, ttlSec: this.quoteTtlSec },
+            quote: null,
+            routeKey: null,
+            lastQuotedAt: 0,
+            openedAt: Date.now(),
+            busy: false,
+            closed: false
+        };
+        req.on('close', () => this.close(sub));
+        this.subscriptions.set(sub.id, sub);
+
+        await this.requote(sub, null, requestInfo);
+        if (!sub.closed) {
+            await this.startListening();
+        }
+    }
+
+    /**
+     * Attach the shared block listener and ticker. Streams opening while it is
+     * being attached wait on the same attempt; an attempt torn down because
+     * every stream closed meanwhile is retried while streams remain.
+     */
+    async startListening() {
+        while (!this.listener && this.subscriptions.size > 0) {
+            this.starting ??= this.attachListener().finally(() => {
+                this.starting = null;
+            });
+            await this.starting;
+        }
+    }
+
+    async attachListener() {
+        await routingEngine.ensureProvider();
+        if (this.subscriptions.size === 0) return;
+        this.provider = routingEngine.provider;
+        const listener = (blockNumber) => {
+            this.onBlock(blockNumber).catch(error => console.error('Quote stream refresh failed:', error.message));
+        };
+        this.listener = listener;
+        this.ticker = setInterval(() => this.tick(), 1000);
+        await this.provider.on('block', listener);
+        // stopListening ran while the listener was being attached
+        if (this.listener !== listener) {
+            this.provider.off('block', listener);
+        }
+    }
+
+    stopListening() {
+        if (this.provider && this.listener) {
+            this.provider.off('block', this.listener);
+        }
+        if (this.ticker) {
+            clearInterval(this.ticker);
+        }
+        this.listener = null;
+        this.ticker = null;
+    }
+
+    /**
+     * Re-quote every stream that has not been quoted within minRequoteMs
+     */
+    async onBlock(blockNumber) {
+        if (this.refreshing) return;
+        this.refreshing = true;
+        try {
+            for (const sub of [...this.subscriptions.values()]) {
+                if (Date.now() - sub.lastQuotedAt >= this.minRequoteMs) {
+                    await this.requote(sub, blockNumber);
+                }
+            }
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    async requote(sub, blockNumber, requestInfo = null) {
+        if (sub.busy || sub.closed) return;
+        sub.busy = true;
+        try {
+            const quote = await quoteService.generateLiveQuote(sub.request, requestInfo, sub.quote);
+            if (sub.closed) return;
+            sub.lastQuotedAt = Date.now();
+            if (quote === sub.quote) return;
+
+            const routeKey = this.routeKey(quote.route);
+            const routeChanged = sub.routeKey !== null && routeKey !== sub.routeKey;
+            sub.quote = quote;
+            sub.routeKey = routeKey;
+            this.send(sub, 'quote', { ...quote, blockNumber, routeChanged });
+        } catch (error) {
+            if (error.message.includes('No executable route')) {
+                this.end(sub, 'no_route', error.message);
+            } else if (!sub.quote) {
+                this.end(sub, 'error', error.message);
+            } else {
+                // Keep the last quote; the countdown ends the stream if no re-quote succeeds in time
+                console.warn(`Quote stream ${sub.id} re-quote failed:`, error.message);
+            }
+        } finally {
+            sub.busy = false;
+        }
+    }
+
+    /**
+     * Expiry countdown; ends streams whose quote lapsed or that reached maxDurationMs
+     */
+    tick() {
+        const nowSec = Math.floor(Date.now() / 1000);
+        for (const sub of [...this.subscriptions.values()]) {
+            if (!sub.quote) continue;
+            if (Date.now() - sub.openedAt >= this.maxDurationMs) {
+                this.end(sub, 'max_duration', 'Stream lifetime reached, reconnect to continue');
+                continue;
+            }
+            const secondsLeft = sub.quote.expiresAt - nowSec;
+            if (secondsLeft <= 0) {
+                this.end(sub, 'expired', `Quote ${sub.quote.quoteId} expired without a fresh quote`);
+                continue;
+            }
+            this.send(sub, 'expiry', { quoteId: sub.quote.quoteId, expiresAt: sub.quote.expiresAt, secondsLeft });
+        }
+    }
+
+    end(sub, reason, details = null) {
+        if (sub.closed) return;
+        this.send(sub, 'end', { reason, details, quoteId: sub.quote ? sub.quote.quoteId : null });
+        sub.res.end();
+        this.close(sub);
+    }
+
+    close(sub) {
+        sub.closed = true;
+        this.subscriptions.delete(sub.id);
+        if (this.subscriptions.size === 0) {
+            this.stopListening();
+        }
+    }
+}
+
+export default new QuoteStream();
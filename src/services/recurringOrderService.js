@@ -0,0 +1,610 @@
+import { ethers } from 'ethers';
+import { Op } from 'sequelize';
+import { v4 as uuidv4 } from 'uuid';
+import RecurringOrder from '../models/RecurringOrder.js';
+import Swap from '../models/Swap.js';
+import Notification from '../models/Notification.js';
+import routingEngine from './routingEngine.js';
+import quoteService from './quoteService.js';
+import swapPopulator from './swapPopulator.js';
+import swapDatabaseService from './swapDatabase.js';
+import custodialExecutor from './custodialExecutor.js';
+import { validateToken } from './tokenValidation.js';
+
+/**
+ * Recurring Order Service
+ * DCA (a fixed amount every interval) and TWAP (a large amount split over a
+ * duration) schedules, signed by the maker with EIP-712 and executed from the
+ * backend wallet through custodialExecutor, paid from what the maker deposited
+ * to that wallet (custodialFunds). The runner job sends one slice at a time:
+ * each due slice is routed, skipped when it would cost more than maxPrice or
+ * the maker's deposits do not cover it, otherwise sent and settled before the
+ * next one runs. Fills are Swap rows linked to the order (parentOrderId).
+ */
+
+export const RECURRING_ORDER_DOMAIN_NAME = 'TPay Recurring Orders';
+export const RECURRING_ORDER_DOMAIN_VERSION = '1';
+
+export const RECURRING_ORDER_TYPES = {
+    RecurringOrder: [
+        { name: 'maker', type: 'address' },
+        { name: 'orderType', type: 'string' }, // DCA | TWAP
+        { name: 'tokenIn', type: 'address' },
+        { name: 'tokenOut', type: 'address' },
+        { name: 'recipient', type: 'address' },
+        { name: 'sliceAmountIn', type: 'uint256' },
+        { name: 'totalSlices', type: 'uint256' },
+        { name: 'intervalSec', type: 'uint256' },
+        { name: 'startAt', type: 'uint256' },
+        { name: 'maxPrice', type: 'string' },  // tokenIn per tokenOut, '' for no cap
+        { name: 'nonce', type: 'uint256' }
+    ]
+};
+
+export const ORDER_ACTION_TYPES = {
+    RecurringOrderAction: [
+        { name: 'orderHash', type: 'bytes32' },
+        { name: 'action', type: 'string' },    // pause | resume | cancel
+        { name: 'actionNonce', type: 'uint256' }
+    ]
+};
+
+const ORDER_TYPES = ['DCA', 'TWAP'];
+// Statuses each signed action applies to
+const ACTION_FROM_STATUSES = { pause: ['active'], resume: ['paused'], cancel: ['active', 'paused'] };
+const MIN_INTERVAL_SEC = 60;
+const MAX_SLICES = 1000;
+const MAX_SCHEDULE_SEC = 365 * 24 * 60 * 60;
+const MAX_START_DELAY_SEC = 30 * 24 * 60 * 60;
+const PRICE_SCALE_DECIMALS = 18;
+
+/**
+ * A recurring order request that cannot be served; `status` is the HTTP status to answer with
+ */
+export class RecurringOrderError extends Error {
+    constructor(message, status, details = null) {
+        super(message);
+        this.name = 'RecurringOrderError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class RecurringOrderService {
+    constructor() {
+        this.slippagePct = 0.5;              // each slice also stays within this of its quote
+        this.deadlineSec = 5 * 60;
+        this.maxConsecutiveFailures = 3;     // failed sends/reverts in a row before the order fails
+        this.batchSize = 50;                 // due slices run per pass
+    }
+
+    getDomain(chainId) {
+        return { name: RECURRING_ORDER_DOMAIN_NAME, version: RECURRING_ORDER_DOMAIN_VERSION, chainId: BigInt(chainId) };
+    }
+
+    /**
+     * Domain and types clients sign orders and actions with (JSON-safe)
+     */
+    async getTypedData() {
+        const chainId = await routingEngine.getChainId();
+        return {
+            domain: { name: RECURRING_ORDER_DOMAIN_NAME, version: RECURRING_ORDER_DOMAIN_VERSION, chainId: String(chainId) },
+            types: { ...RECURRING_ORDER_TYPES, ...ORDER_ACTION_TYPES },
+            primaryTypes: { order: 'RecurringOrder', action: 'RecurringOrderAction' }
+        };
+    }
+
+    /**
+     * Slice size and interval for a TWAP over durationSec, to fill into the signed order
+     * @returns {Object} { orderType, sliceAmountIn, totalSlices, intervalSec, remainder }
+     *   - remainder is the part of totalAmountIn that does not divide into slices
+     */
+    planTwap({ totalAmountIn, durationSec, slices }) {
+        let total, duration, count;
+        try {
+            total = BigInt(totalAmountIn);
+            duration = Number(durationSec);
+            count = Number(slices);
+        } catch (error) {
+            throw new RecurringOrderError('totalAmountIn, durationSec and slices are required', 400);
+        }
+        if (total <= 0n || !Number.isInteger(duration) || !Number.isInteger(count) || count < 2 || count > MAX_SLICES) {
+            throw new RecurringOrderError(`totalAmountIn must be positive and slices between 2 and ${MAX_SLICES}`, 400);
+        }
+        const intervalSec = Math.floor(duration / (count - 1));
+        if (intervalSec < MIN_INTERVAL_SEC) {
+            throw new RecurringOrderError(`Slices must be at least ${MIN_INTERVAL_SEC}s apart`, 400);
+        }
+        const sliceAmountIn = total / BigInt(count);
+        return {
+            orderType: 'TWAP',
+            sliceAmountIn: sliceAmountIn.toString(),
+            totalSlices: count,
+            intervalSec,
+            remainder: (total - sliceAmountIn * BigInt(count)).toString()
+        };
+    }
+
+    /**
+     * Least output (base units) a slice must return to cost at most maxPrice tokenIn per tokenOut
+     */
+    minOutForMaxPrice(sliceAmountIn, maxPrice, decimalsIn, decimalsOut) {
+        const price = ethers.parseUnits(maxPrice, PRICE_SCALE_DECIMALS);
+        const numerator = sliceAmountIn * 10n ** BigInt(decimalsOut) * 10n ** BigInt(PRICE_SCALE_DECIMALS);
+        const denominator = price * 10n ** BigInt(decimalsIn);
+        return (numerator + denominator - 1n) / denominator;
+    }
+
+    /**
+     * Validate and store a signed order
+     * @param {Object} order - RecurringOrder message (amounts in base units, startAt in unix seconds)
+     * @param {string} signature - Maker's EIP-712 signature
+     */
+    async createOrder(order, signature) {
+        if (!order || !signature) {
+            throw new RecurringOrderError('order and signature are required', 400);
+        }
+        const missing = RECURRING_ORDER_TYPES.RecurringOrder.map(f => f.name)
+            .filter(name => name !== 'maxPrice' && (order[name] === undefined || order[name] === null || order[name] === ''));
+        if (missing.length > 0) {
+            throw new RecurringOrderError(`Missing order fields: ${missing.join(', ')}`, 400);
+        }
+        if (!ORDER_TYPES.includes(order.orderType)) {
+            throw new RecurringOrderError(`orderType must be one of: ${ORDER_TYPES.join(', ')}`, 400);
+        }
+
+        let message;
+        try {
+            message = {
+                maker: ethers.getAddress(order.maker),
+                orderType: order.orderType,
+                tokenIn: validateToken(order.tokenIn),
+                tokenOut: validateToken(order.tokenOut),
+                recipient: ethers.getAddress(order.recipient),
+                sliceAmountIn: BigInt(order.sliceAmountIn).toString(),
+                totalSlices: String(Number(order.totalSlices)),
+                intervalSec: String(Number(order.intervalSec)),
+                startAt: String(Number(order.startAt)),
+                maxPrice: String(order.maxPrice ?? ''),
+                nonce: BigInt(order.nonce).toString()
+            };
+        } catch (error) {
+            throw new RecurringOrderError('Invalid order', 400, error.shortMessage || error.message);
+        }
+        if (message.tokenIn === message.tokenOut) {
+            throw new RecurringOrderError('tokenIn and tokenOut must differ', 400);
+        }
+        if (BigInt(message.sliceAmountIn) <= 0n) {
+            throw new RecurringOrderError('sliceAmountIn must be positive', 400);
+        }
+        const totalSlices = Number(message.totalSlices);
+        const intervalSec = Number(message.intervalSec);
+        if (!Number.isInteger(totalSlices) || totalSlices < 1 || totalSlices > MAX_SLICES) {
+            throw new RecurringOrderError(`totalSlices must be between 1 and ${MAX_SLICES}`, 400);
+        }
+        if (!Number.isInteger(intervalSec) || intervalSec < MIN_INTERVAL_SEC || intervalSec * (totalSlices - 1) > MAX_SCHEDULE_SEC) {
+            throw new RecurringOrderError(`intervalSec must be at least ${MIN_INTERVAL_SEC}s and the schedule at most 365 days`, 400);
+        }
+        const nowSec = Math.floor(Date.now() / 1000);
+        const startAt = Number(message.startAt);
+        if (!Number.isInteger(startAt) || startAt < nowSec - intervalSec || startAt > nowSec + MAX_START_DELAY_SEC) {
+            throw new RecurringOrderError('startAt must be now or at most 30 days away', 400);
+        }
+        if (message.maxPrice !== '' && !(/^\d+(\.\d+)?$/.test(message.maxPrice) && Number(message.maxPrice) > 0)) {
+            throw new RecurringOrderError('maxPrice must be a positive decimal string or empty', 400);
+        }
+
+        const chainId = Number(await routingEngine.getChainId());
+        const domain = this.getDomain(chainId);
+        let signer;
+        try {
+            signer = ethers.verifyTypedData(domain, RECURRING_ORDER_TYPES, message, signature);
+        } catch (error) {
+            throw new RecurringOrderError('Malformed signature', 400, error.shortMessage || error.message);
+        }
+        if (signer !== message.maker) {
+            throw new RecurringOrderError('Order was not signed by the maker', 400);
+        }
+
+        if (!(await swapDatabaseService.isFeatureEnabled('CUSTODIAL_MODE'))) {
+            throw new RecurringOrderError('Custodial execution is currently disabled', 403);
+        }
+
+        const orderHash = ethers.TypedDataEncoder.hash(domain, RECURRING_ORDER_TYPES, message);
+        if (await RecurringOrder.findOne({ where: { orderHash } })) {
+            throw new RecurringOrderError('Order already submitted', 409, { orderHash });
+        }
+
+        const decimalsIn = await quoteService.getTokenDecimals(message.tokenIn);
+        const decimalsOut = await quoteService.getTokenDecimals(message.tokenOut);
+        let minSliceAmountOut = null;
+        if (message.maxPrice !== '') {
+            try {
+                minSliceAmountOut = this.minOutForMaxPrice(BigInt(message.sliceAmountIn), message.maxPrice, decimalsIn, decimalsOut).toString();
+            } catch (error) {
+                throw new RecurringOrderError('Invalid maxPrice', 400, error.shortMessage || error.message);
+            }
+        }
+
+        const created = await RecurringOrder.create({
+            orderHash,
+            chainId,
+            orderType: message.orderType,
+            maker: message.maker.toLowerCase(),
+            tokenIn: message.tokenIn.toLowerCase(),
+            tokenOut: message.tokenOut.toLowerCase(),
+            decimalsIn,
+            decimalsOut,
+            recipient: message.recipient.toLowerCase(),
+            sliceAmountIn: message.sliceAmountIn,
+            totalSlices,
+            intervalSec,
+            maxPrice: message.maxPrice || null,
+            minSliceAmountOut,
+            nonce: message.nonce,
+            signature,
+            nextRunAt: new Date(Math.max(startAt, nowSec) * 1000)
+        });
+        await this.notify(created, 'info', `${created.orderType} order placed`,
+            `Your ${created.orderType} order of ${totalSlices} slices is scheduled.`);
+        return created;
+    }
+
+    /**
+     * Pause, resume or cancel an order; the maker signs RecurringOrderAction
+     * { orderHash, action, actionNonce } with the order's current actionNonce
+     */
+    async applyAction(orderHash, action, signature, actionNonce) {
+        if (!Object.hasOwn(ACTION_FROM_STATUSES, action)) {
+            throw new RecurringOrderError(`action must be one of: ${Object.keys(ACTION_FROM_STATUSES).join(', ')}`, 400);
+        }
+        const order = await this.getOrder(orderHash);
+        if (!ACTION_FROM_STATUSES[action].includes(order.status)) {
+            throw new RecurringOrderError(`Order is ${order.status}`, 409);
+        }
+        if (Number(actionNonce) !== order.actionNonce) {
+            throw new RecurringOrderError('Stale actionNonce', 409, { actionNonce: order.actionNonce });
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyTypedData(this.getDomain(order.chainId), ORDER_ACTION_TYPES,
+                { orderHash, action, actionNonce: String(order.actionNonce) }, signature || '0x');
+        } catch (error) {
+            throw new RecurringOrderError('Malformed action signature', 400, error.shortMessage || error.message);
+        }
+        if (signer.toLowerCase() !== order.maker) {
+            throw new RecurringOrderError(`${action} was not signed by the maker`, 403);
+        }
+
+        const actionNonceNext = order.actionNonce + 1;
+        if (action === 'pause') {
+            return this.transition(order, 'paused', { actionNonce: actionNonceNext },
+                'info', `${order.orderType} order paused`, 'Your order is paused; no slices run until you resume it.');
+        }
+        if (action === 'resume') {
+            return this.transition(order, 'active', { actionNonce: actionNonceNext, nextRunAt: new Date() },
+                'info', `${order.orderType} order resumed`, 'Your order is active again; the next slice runs shortly.');
+        }
+        return this.transition(order, 'cancelled', { actionNonce: actionNonceNext, nextRunAt: null, closedAt: new Date() },
+            'info', `${order.orderType} order cancelled`, 'Your order was cancelled; a slice already sent still settles.');
+    }
+
+    async getOrder(orderHash) {
+        const order = await RecurringOrder.findOne({ where: { orderHash } });
+        if (!order) {
+            throw new RecurringOrderError(`Order ${orderHash} not found`, 404);
+        }
+        return order;
+    }
+
+    async listOrders({ maker, status, limit = 50, offset = 0 } = {}) {
+        const where = {};
+        if (maker) where.maker = maker.toLowerCase();
+        if (status) where.status = status;
+        return RecurringOrder.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit: Math.min(Number(limit) || 50, 200),
+            offset: Number(offset) || 0
+        });
+    }
+
+    /**
+     * Swaps executed for an order, oldest first
+     */
+    async getFills(order) {
+        return Swap.findAll({ where: { parentOrderId: order.id }, order: [['createdAt', 'ASC']] });
+    }
+
+    /**
+     * Order with its progress: slices run, amounts spent/received/remaining
+     * (formatted) and the average price paid in tokenIn per tokenOut
+     */
+    describe(order) {
+        const sliceAmountIn = BigInt(order.sliceAmountIn);
+        const spent = BigInt(order.amountInSpent);
+        const received = BigInt(order.amountOutReceived);
+        const slicesRun = order.slicesRun();
+        const open = ['active', 'paused'].includes(order.status);
+        const remaining = open ? sliceAmountIn * BigInt(order.totalSlices - slicesRun) : 0n;
+        const averagePrice = received > 0n
+            ? ethers.formatUnits(spent * 10n ** BigInt(order.decimalsOut + PRICE_SCALE_DECIMALS) / (received * 10n ** BigInt(order.decimalsIn)), PRICE_SCALE_DECIMALS)
+            : null;
+
+        return {
+            ...order.toJSON(),
+            progress: {
+                slicesRun,
+                totalSlices: order.totalSlices,
+                slicesFilled: order.slicesFilled,
+                slicesSkipped: order.slicesSkipped,
+                slicesFailed: order.slicesFailed,
+                percent: Math.round(slicesRun / order.totalSlices * 10000) / 100,
+                totalAmountIn: ethers.formatUnits(sliceAmountIn * BigInt(order.totalSlices), order.decimalsIn),
+                amountInSpent: ethers.formatUnits(spent, order.decimalsIn),
+                amountOutReceived: ethers.formatUnits(received, order.decimalsOut),
+                amountInRemaining: ethers.formatUnits(remaining, order.decimalsIn),
+                averagePrice
+            }
+        };
+    }
+
+    /**
+     * Change status and tell the maker
+     */
+    async transition(order, status, fields, severity, title, message) {
+        await order.update({ ...fields, status });
+        await this.notify(order, severity, title, message);
+        return order;
+    }
+
+    async notify(order, severity, title, message) {
+        try {
+            await Notification.create({
+                userAddress: order.maker,
+                category: 'TRANSACTION',
+                severity,
+                title,
+                message,
+                metadata: {
+                    orderHash: order.orderHash,
+                    orderType: order.orderType,
+                    status: order.status
+                }
+            });
+        } catch (error) {
+            console.error('Recurring order notification failed:', error.message);
+        }
+    }
+
+    /**
+     * One runner pass: settle slices in flight, then run the slices that are due
+     * @returns {Object} Counts per outcome
+     */
+    async runOnce() {
+        await routingEngine.ensureProvider();
+        const chainId = Number(await routingEngine.getChainId());
+        const stats = { filled: 0, reverted: 0, sent: 0, skipped: 0, failed: 0, completed: 0 };
+
+        // Cancelled orders still account for the slice they had in flight
+        const inFlight = await RecurringOrder.findAll({ where: { chainId, pendingTxHash: { [Op.ne]: null } } });
+        for (const order of inFlight) {
+            try {
+                const outcome = await this.settleSlice(order);
+                if (outcome) stats[outcome]++;
+                if (await this.completeIfDone(order)) stats.completed++;
+            } catch (error) {
+                console.error(`Recurring order ${order.orderHash} settlement failed:`, error.message);
+            }
+        }
+
+        const due = await RecurringOrder.findAll({
+            where: { chainId, status: 'active', pendingTxHash: null, nextRunAt: { [Op.lte]: new Date() } },
+            order: [['nextRunAt', 'ASC']],
+            limit: this.batchSize
+        });
+        for (const order of due) {
+            try {
+                const outcome = await this.runSlice(order);
+                if (outcome) stats[outcome]++;
+                if (await this.completeIfDone(order)) stats.completed++;
+            } catch (error) {
+                console.error(`Recurring order ${order.orderHash} slice failed:`, error.message);
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Route and send the next slice, or skip it when it cannot run at an acceptable price
+     * @returns {string} 'sent' | 'skipped' | 'failed'
+     */
+    async runSlice(order) {
+        const amountIn = BigInt(order.sliceAmountIn);
+        const nowSec = Math.floor(Date.now() / 1000);
+        const deadline = nowSec + this.deadlineSec;
+
+        let best;
+        try {
+            best = await routingEngine.findBestRoute({
+                tokenIn: ethers.getAddress(order.tokenIn),
+                tokenOut: ethers.getAddress(order.tokenOut),
+                amount: amountIn,
+                mode: 'EXACT_IN',
+                decimalsIn: order.decimalsIn,
+                decimalsOut: order.decimalsOut
+            });
+        } catch (error) {
+            return this.skipSlice(order, `No route: ${error.message}`);
+        }
+
+        const limit = order.minSliceAmountOut ? BigInt(order.minSliceAmountOut) : 0n;
+        if (best.amountOut < limit) {
+            return this.skipSlice(order, `Price above maxPrice ${order.maxPrice}`);
+        }
+        const fee = best.route[0].fee;
+        let blocked;
+        try {
+            blocked = await custodialExecutor.getBlocker({
+                chainId: order.chainId,
+                fee,
+                ttlSec: deadline - nowSec,
+                slippagePct: this.slippagePct,
+                maker: order.maker,
+                tokenIn: order.tokenIn,
+                amountIn,
+                decimalsIn: order.decimalsIn
+            });
+        } catch (error) {
+            return this.failSliceRun(order, error);
+        }
+        if (blocked) {
+            return this.skipSlice(order, blocked);
+        }
+
+        // Protect the fill against the quote moving, but never below the max price
+        const slippageMin = quoteService.calcMinOutFromSlippage(best.amountOut, this.slippagePct);
+        const amountOutMinimum = slippageMin > limit ? slippageMin : limit;
+
+        const requestId = uuidv4();
+        let populatedTransaction;
+        try {
+            ({ populatedTransaction } = await swapPopulator.populate({
+                routeInfo: best,
+                chainId: order.chainId,
+                mode: 'EXACT_IN',
+                tokenIn: ethers.getAddress(order.tokenIn),
+                tokenOut: ethers.getAddress(order.tokenOut),
+                recipient: ethers.getAddress(order.recipient),
+                deadline,
+                amountIn,
+                amountOutMinimum,
+                amountOut: best.amountOut,
+                decimalsIn: order.decimalsIn,
+                decimalsOut: order.decimalsOut,
+                fee,
+                slippagePct: this.slippagePct / 100,
+                requestId,
+                userAddress: order.maker
+            }));
+        } catch (error) {
+            return this.failSliceRun(order, error);
+        }
+
+        const { swap, txHash, error } = await custodialExecutor.send(populatedTransaction, requestId, {
+            chainId: order.chainId,
+            mode: 'EXACT_IN',
+            tokenIn: order.tokenIn,
+            tokenOut: order.tokenOut,
+            recipient: order.recipient,
+            feeTier: fee,
+            slippagePct: this.slippagePct / 100,
+            ttlSec: deadline - nowSec,
+            deadline: new Date(deadline * 1000),
+            amountIn: ethers.formatUnits(amountIn, order.decimalsIn),
+            amountInWei: order.sliceAmountIn,
+            expectedOut: ethers.formatUnits(best.amountOut, order.decimalsOut),
+            minOut: ethers.formatUnits(amountOutMinimum, order.decimalsOut),
+            userAddress: order.maker,
+            parentOrderId: order.id,
+            metadata: { recurringOrderHash: order.orderHash, slice: order.slicesRun() + 1 }
+        });
+
+        if (error) {
+            return this.failSliceRun(order, error);
+        }
+        await order.update({ pendingSwapId: swap.id, pendingTxHash: txHash, lastRunAt: new Date(), ...this.schedule(order) });
+        return 'sent';
+    }
+
+    async skipSlice(order, reason) {
+        await order.update({
+            slicesSkipped: order.slicesSkipped + 1,
+            lastError: reason,
+            lastRunAt: new Date(),
+            ...this.schedule(order)
+        });
+        return 'skipped';
+    }
+
+    /**
+     * A slice that could not be sent still moves the order on to its next run
+     */
+    async failSliceRun(order, error) {
+        await this.failSlice(order, { ...this.schedule(order), lastRunAt: new Date() }, error.shortMessage || error.message);
+        return 'failed';
+    }
+
+    /**
+     * Count a failed slice; the order fails after maxConsecutiveFailures in a row
+     */
+    async failSlice(order, fields, reason) {
+        const consecutiveFailures = order.consecutiveFailures + 1;
+        await order.update({ ...fields, slicesFailed: order.slicesFailed + 1, consecutiveFailures, lastError: reason });
+        if (consecutiveFailures >= this.maxConsecutiveFailures && ['active', 'paused'].includes(order.status)) {
+            await this.transition(order, 'failed', { nextRunAt: null, closedAt: new Date() },
+                'error', `${order.orderType} order failed`, `Your order stopped after ${consecutiveFailures} failed slices: ${reason}`);
+        }
+    }
+
+    /**
+     * Next run time once the slice being run is accounted for (null when it is the last).
+     * Keeps to the interval grid, but a runner that fell behind does not catch up in a burst.
+     */
+    schedule(order) {
+        if (order.slicesRun() + 1 >= order.totalSlices) {
+            return { nextRunAt: null };
+        }
+        const now = Date.now();
+        let next = (order.nextRunAt ? order.nextRunAt.getTime() : now) + order.intervalSec * 1000;
+        if (next <= now) {
+            next = now + order.intervalSec * 1000;
+        }
+        return { nextRunAt: new Date(next) };
+    }
+
+    /**
+     * Follow the slice in flight to filled or failed
+     * @returns {string|null} 'filled' | 'reverted' | null (still pending)
+     */
+    async settleSlice(order) {
+        const settled = await custodialExecutor.settle({
+            txHash: order.pendingTxHash,
+            swapId: order.pendingSwapId,
+            tokenOut: order.tokenOut,
+            recipient: order.recipient
+        });
+        if (!settled) return null;
+
+        const cleared = { pendingSwapId: null, pendingTxHash: null };
+        if (!settled.success) {
+            await this.failSlice(order, cleared, 'Transaction reverted');
+            return 'reverted';
+        }
+        await order.update({
+            ...cleared,
+            slicesFilled: order.slicesFilled + 1,
+            consecutiveFailures: 0,
+            amountInSpent: (BigInt(order.amountInSpent) + BigInt(order.sliceAmountIn)).toString(),
+            amountOutReceived: (BigInt(order.amountOutReceived) + settled.amountOut).toString()
+        });
+        return 'filled';
+    }
+
+    /**
+     * Close an order whose every slice has run and settled
+     */
+    async completeIfDone(order) {
+        if (!['active', 'paused'].includes(order.status) || order.pendingTxHash || order.slicesRun() < order.totalSlices) {
+            return false;
+        }
+        const { progress } = this.describe(order);
+        await this.transition(order, 'completed', { nextRunAt: null, closedAt: new Date() },
+            order.slicesFilled > 0 ? 'success' : 'warning', `${order.orderType} order completed`,
+            `Your order finished: ${order.slicesFilled}/${order.totalSlices} slices filled, average price ${progress.averagePrice ?? 'n/a'}.`);
+        return true;
+    }
+}
+
+export default new RecurringOrderService();
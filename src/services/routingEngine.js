@@ -0,0 +1,982 @@
+import { ethers } from 'ethers';
+import { getUniswapAddresses, getMulticallAddress } from '../config/chains.js';
+import config from '../config/env.js';
+import pathFinder from './pathFinder.js';
+import priceFeedService from './priceFeedService.js';
+import Chain from '../models/Chain.js';
+import multicallQuoter from './multicallQuoter.js';
+import feeTierRegistry from './feeTierRegistry.js';
+import poolStateCache from './poolStateCache.js';
+import { PoolStateMissingError } from '../utils/v3Math.js';
+import {
+    PROTOCOL_V2,
+    v2Adapter,
+    segmentRoute,
+    encodeV3Segment,
+    ROUTER02_ADDRESS_THIS,
+    ROUTER02_CONTRACT_BALANCE,
+    SWAP_ROUTER02_ABI
+} from './poolAdapters.js';
+
+/**
+ * Routing Engine
+ * Single owner of Uniswap V3 route candidate generation, Quoter evaluation,
+ * path encoding and ranking. QuoteService and every /dex/swap* endpoint go
+ * through this module so a route quoted by /quote is the route that executes.
+ */
+
+// SwapRouter fragments used to encode split-route multicall legs
+const SWAP_ROUTER_INTERFACE = new ethers.Interface([
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)",
+    "function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)",
+    "function sweepToken(address token, uint256 amountMinimum, address recipient) payable",
+    "function multicall(bytes[] data) payable returns (bytes[] results)",
+    "function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountIn)",
+    "function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params) payable returns (uint256 amountIn)",
+    "function unwrapWETH9(uint256 amountMinimum, address recipient) payable",
+    "function refundETH() payable"
+]);
+const SWAP_ROUTER02_INTERFACE = new ethers.Interface(SWAP_ROUTER02_ABI);
+
+// Sentinel clients pass as tokenIn/tokenOut for the chain's native asset (ETH)
+export const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+export function isNativeToken(token) {
+    return typeof token === 'string' && token.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase();
+}
+
+// Minimal Quoter ABI for single and multi-hop quoting
+export const QUOTER_ABI = [
+    {
+        inputs: [
+            { internalType: "address", name: "tokenIn", type: "address" },
+            { internalType: "address", name: "tokenOut", type: "address" },
+            { internalType: "uint24", name: "fee", type: "uint24" },
+            { internalType: "uint256", name: "amountIn", type: "uint256" },
+            { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
+        ],
+        name: "quoteExactInputSingle",
+        outputs: [{ internalType: "uint256", name: "amountOut", type: "uint256" }],
+        stateMutability: "nonpayable",
+        type: "function"
+    },
+    {
+        inputs: [{ internalType: "bytes", name: "path", type: "bytes" }, { internalType: "uint256", name: "amountIn", type: "uint256" }],
+        name: "quoteExactInput",
+        outputs: [{ internalType: "uint256", name: "amountOut", type: "uint256" }],
+        stateMutability: "nonpayable",
+        type: "function"
+    },
+    {
+        inputs: [
+            { internalType: "address", name: "tokenIn", type: "address" },
+            { internalType: "address", name: "tokenOut", type: "address" },
+            { internalType: "uint24", name: "fee", type: "uint24" },
+            { internalType: "uint256", name: "amountOut", type: "uint256" },
+            { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
+        ],
+        name: "quoteExactOutputSingle",
+        outputs: [{ internalType: "uint256", name: "amountIn", type: "uint256" }],
+        stateMutability: "nonpayable",
+        type: "function"
+    },
+    {
+        inputs: [{ internalType: "bytes", name: "path", type: "bytes" }, { internalType: "uint256", name: "amountOut", type: "uint256" }],
+        name: "quoteExactOutput",
+        outputs: [{ internalType: "uint256", name: "amountIn", type: "uint256" }],
+        stateMutability: "nonpayable",
+        type: "function"
+    }
+];
+
+// QuoterV2: struct params for single-hop, and every method also returns the
+// post-swap sqrt price(s), initialized ticks crossed and a gas estimate
+export const QUOTER_V2_ABI = [
+    "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+    "function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)",
+    "function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+    "function quoteExactOutput(bytes path, uint256 amountOut) returns (uint256 amountIn, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)"
+];
+
+// PUSH4 <quoteExactInputSingle((address,address,uint256,uint24,uint160))> in the dispatcher marks a QuoterV2
+const QUOTER_V2_SELECTOR_MARKER = '63' + ethers.id('quoteExactInputSingle((address,address,uint256,uint24,uint160))').slice(2, 10);
+
+/**
+ * Encode V3 path for multi-hop swaps
+ * Example: [A,fee1,B,fee2,C] -> packed bytes
+ */
+export function encodeV3Path(pathTokens) {
+    const types = [];
+    const values = [];
+    for (let i = 0; i < pathTokens.length; i++) {
+        if (typeof pathTokens[i] === 'string' && ethers.isAddress(pathTokens[i])) {
+            types.push("address");
+            values.push(pathTokens[i]);
+        } else {
+            types.push("uint24");
+            values.push(pathTokens[i]);
+        }
+    }
+    return ethers.solidityPacked(types, values);
+}
+
+/**
+ * Decode a packed V3 path back into its token-fee sequence
+ * Example: packed bytes -> [A,fee1,B,fee2,C]
+ */
+export function decodeV3Path(path) {
+    const bytes = ethers.getBytes(path);
+    if (bytes.length < 43 || (bytes.length - 20) % 23 !== 0) {
+        throw new Error('Invalid V3 path length');
+    }
+    const pathTokens = [ethers.getAddress(ethers.hexlify(bytes.slice(0, 20)))];
+    for (let offset = 20; offset < bytes.length; offset += 23) {
+        pathTokens.push(Number(ethers.toBigInt(bytes.slice(offset, offset + 3))));
+        pathTokens.push(ethers.getAddress(ethers.hexlify(bytes.slice(offset + 3, offset + 23))));
+    }
+    return pathTokens;
+}
+
+/**
+ * Reverse a V3 path token-fee sequence for exactOutput
+ * Example: [A,fee1,B,fee2,C] -> [C,fee2,B,fee1,A]
+ */
+export function reverseV3Path(pathTokens) {
+    const tokens = [];
+    const fees = [];
+    for (let i = 0; i < pathTokens.length; i++) {
+        if (typeof pathTokens[i] === 'string' && ethers.isAddress(pathTokens[i])) {
+            tokens.push(pathTokens[i]);
+        } else {
+            fees.push(pathTokens[i]);
+        }
+    }
+    const reversed = [];
+    for (let i = tokens.length - 1; i >= 0; i--) {
+        reversed.push(tokens[i]);
+        if (i > 0) {
+            reversed.push(fees[i - 1]);
+        }
+    }
+    return reversed;
+}
+
+/**
+ * Flatten hops ([{tokenIn, tokenOut, fee}, ...]) into a tokenIn→tokenOut path sequence
+ */
+export function pathTokensFromRoute(route) {
+    const pathTokens = [];
+    for (let i = 0; i < route.length; i++) {
+        pathTokens.push(route[i].tokenIn);
+        pathTokens.push(Number(route[i].fee));
+        if (i === route.length - 1) {
+            pathTokens.push(route[i].tokenOut);
+        }
+    }
+    return pathTokens;
+}
+
+class RoutingEngine {
+    constructor() {
+        this.provider = null;
+        this.quoter = null;
+        this.quoterVersion = 1;
+        this.chainId = null;
+        this.VALID_FEES = [100, 500, 3000, 10000]; // default tiers; routing reads the chain's from feeTierRegistry
+        this.splitSteps = 10; // allocate EXACT_IN splits in 10% chunks
+        this.maxSplitLegs = 3;
+        this.maxSplitRoutes = 5; // top evaluated routes considered for a split
+        this.quoteMode = config.QUOTE_MODE; // onchain | offchain | verify
+        // Swap gas model for quotes without a Quoter gas estimate (V1, local)
+        this.gasPerHop = 80000;
+        this.gasPerInitializedTick = 31000;
+        this.quoterVersions = new Map(); // chainId -> detected quoter version
+        this.nativeWrapped = new Map(); // chainId -> wrapped native token address
+    }
+
+    async ensureProvider() {
+        if (!this.provider || !this.quoter) {
+            this.provider = new ethers.JsonRpcProvider(config.RPC_URL);
+            const network = await this.provider.getNetwork();
+            this.chainId = (config.FORCE_CHAIN_ID || network.chainId.toString());
+            const addresses = getUniswapAddresses(this.chainId);
+            this.quoterVersion = await this.detectQuoterVersion(this.chainId, addresses);
+            this.quoter = new ethers.Contract(addresses.quoter, this.quoterVersion === 2 ? QUOTER_V2_ABI : QUOTER_ABI, this.provider);
+        }
+    }
+
+    /**
+     * Quoter version for a chain: the `quoterVersion` config entry when set,
+     * otherwise sniffed from the deployed bytecode (V1 when unsure)
+     */
+    async detectQuoterVersion(chainId, addresses) {
+        if (addresses.quoterVersion) return Number(addresses.quoterVersion);
+        const key = String(chainId);
+        if (!this.quoterVersions.has(key)) {
+            let version = 1;
+            try {
+                const code = await this.provider.getCode(addresses.quoter);
+                if (code.toLowerCase().includes(QUOTER_V2_SELECTOR_MARKER)) version = 2;
+            } catch (error) {
+                console.warn('Quoter version detection failed, assuming V1:', error.message);
+            }
+            this.quoterVersions.set(key, version);
+        }
+        return this.quoterVersions.get(key);
+    }
+
+    async getChainId() {
+        await this.ensureProvider();
+        return this.chainId;
+    }
+
+    getAnchors() {
+        return [config.WETH_ADDRESS, config.USDC_ADDRESS, config.USDT_ADDRESS].filter(Boolean);
+    }
+
+    /**
+     * Candidate routes for a pair: multi-hop paths from the Pool graph when the
+     * table knows the pair, otherwise the direct/anchor heuristic
+     */
+    async generateRouteCandidates(tokenIn, tokenOut, options = {}) {
+        const chainId = await this.getChainId();
+        try {
+            const paths = await pathFinder.findPaths(chainId, tokenIn, tokenOut, options);
+            if (paths.length > 0) {
+                return paths.map(p => ({ ...this.candidateFromRoute(p.route), fees: p.fees, source: 'graph' }));
+            }
+        } catch (error) {
+            console.warn('Pool graph path search failed, using anchor routes:', error.message);
+        }
+        const fees = await feeTierRegistry.getFees(chainId, this.provider);
+        return this.generateAnchorCandidates(tokenIn, tokenOut, fees);
+    }
+
+    /**
+     * Direct pools across the given fee tiers plus one hop through each anchor token
+     * @param {number[]} fees - The chain's enabled fee tiers (feeTierRegistry.getFees)
+     */
+    generateAnchorCandidates(tokenIn, tokenOut, fees = this.VALID_FEES) {
+        const candidates = [];
+
+        for (const fee of fees) {
+            candidates.push(this.candidateFromRoute([{ tokenIn, tokenOut, fee }]));
+        }
+
+        const anchors = this.getAnchors().map(a => ethers.getAddress(a));
+        for (const mid of anchors) {
+            if (mid.toLowerCase() === tokenIn.toLowerCase() || mid.toLowerCase() === tokenOut.toLowerCase()) {
+                continue;
+            }
+            for (const feeA of fees) {
+                for (const feeB of fees) {
+                    candidates.push(this.candidateFromRoute([
+                        { tokenIn, tokenOut: mid, fee: feeA },
+                        { tokenIn: mid, tokenOut, fee: feeB }
+                    ]));
+                }
+            }
+        }
+
+        return candidates.map(c => ({ ...c, source: 'anchor' }));
+    }
+
+    /**
+     * Build a candidate from hops ordered tokenIn→tokenOut
+     * Any V2 hop makes the route 'mixed' (executed through SwapRouter02)
+     */
+    candidateFromRoute(route) {
+        const hops = route.map(hop => ({
+            tokenIn: hop.tokenIn,
+            tokenOut: hop.tokenOut,
+            fee: Number(hop.fee),
+            ...(hop.poolAddress ? { poolAddress: hop.poolAddress } : {}),
+            ...(hop.protocol === PROTOCOL_V2 ? { protocol: PROTOCOL_V2 } : {})
+        }));
+        const mixed = hops.some(hop => hop.protocol === PROTOCOL_V2);
+        return {
+            kind: mixed ? 'mixed' : (hops.length === 1 ? 'single' : 'multi'),
+            route: hops,
+            pathTokens: pathTokensFromRoute(hops),
+            hops: hops.length
+        };
+    }
+
+    /**
+     * Build a candidate from a client-encoded path. The path must already be in
+     * execution order for the mode (tokenOut→tokenIn for EXACT_OUT).
+     */
+    candidateFromPath(path, pathTokens = null) {
+        return {
+            kind: 'multi',
+            route: null,
+            path,
+            pathTokens,
+            hops: pathTokens ? (pathTokens.length - 1) / 2 : null
+        };
+    }
+
+    /**
+     * Fee tier of the hop that spends tokenIn. A client-supplied path has no
+     * hop list, so the tier is read from the encoded path (tokenOut first for
+     * EXACT_OUT); null when neither can be read.
+     */
+    entryFee(routeInfo, mode = 'EXACT_IN') {
+        if (routeInfo.route) return Number(routeInfo.route[0].fee);
+        if (!routeInfo.path) return null;
+        try {
+            const pathTokens = decodeV3Path(routeInfo.path);
+            return mode === 'EXACT_OUT' ? pathTokens[pathTokens.length - 2] : pathTokens[1];
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Encoded path in the order the Quoter and SwapRouter expect for the mode
+     * (null for mixed routes, which have no single V3 path)
+     */
+    getExecutionPath(candidate, mode = 'EXACT_IN') {
+        if (candidate.path) return candidate.path;
+        if (candidate.kind === 'mixed') return null;
+        const tokens = mode === 'EXACT_OUT' ? reverseV3Path(candidate.pathTokens) : candidate.pathTokens;
+        return encodeV3Path(tokens);
+    }
+
+    /**
+     * Quoter method and arguments for a candidate
+     * @returns {{ method: string, args: Array }}
+     */
+    buildQuoteCall(candidate, amount, mode = 'EXACT_IN') {
+        if (candidate.kind === 'single') {
+            const hop = candidate.route[0];
+            const method = mode === 'EXACT_IN' ? 'quoteExactInputSingle' : 'quoteExactOutputSingle';
+            if (this.quoterVersion === 2) {
+                const params = { tokenIn: hop.tokenIn, tokenOut: hop.tokenOut, fee: hop.fee, sqrtPriceLimitX96: 0 };
+                params[mode === 'EXACT_IN' ? 'amountIn' : 'amount'] = amount;
+                return { method, args: [params] };
+            }
+            return { method, args: [hop.tokenIn, hop.tokenOut, hop.fee, amount, 0] };
+        }
+        const method = mode === 'EXACT_IN' ? 'quoteExactInput' : 'quoteExactOutput';
+        return { method, args: [this.getExecutionPath(candidate, mode), amount] };
+    }
+
+    /**
+     * Quote a candidate from cached pool state (hop by hop, like the Quoter)
+     * @returns {bigint|null} null when any hop is not cached locally
+     */
+    quoteLocally(candidate, amount, mode = 'EXACT_IN') {
+        if (!candidate.route) return null;
+        try {
+            let value = BigInt(amount);
+            if (mode === 'EXACT_IN') {
+                for (const hop of candidate.route) {
+                    value = poolStateCache.quoteExactInputSingle(this.chainId, hop.tokenIn, hop.tokenOut, hop.fee, value);
+                }
+            } else {
+                for (const hop of [...candidate.route].reverse()) {
+                    value = poolStateCache.quoteExactOutputSingle(this.chainId, hop.tokenIn, hop.tokenOut, hop.fee, value);
+                }
+            }
+            return value;
+        } catch (error) {
+            if (!(error instanceof PoolStateMissingError)) {
+                console.debug('Local quote failed:', error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Quote a single candidate; returns amountOut (EXACT_IN) or amountIn (EXACT_OUT)
+     */
+    async quoteCandidate(candidate, amount, mode = 'EXACT_IN') {
+        await this.ensureProvider();
+        if (candidate.kind === 'mixed') {
+            const reserves = await this.loadV2Reserves([candidate]);
+            return this.quoteMixed(candidate, amount, mode, reserves);
+        }
+        if (this.quoteMode === 'offchain') {
+            const local = this.quoteLocally(candidate, amount, mode);
+            if (local !== null) return local;
+        }
+        const { method, args } = this.buildQuoteCall(candidate, amount, mode);
+        const result = await this.quoter[method].staticCallResult(...args);
+        return this.parseQuoteResult(result).amount;
+    }
+
+    /**
+     * Mixed routes execute through SwapRouter02, EXACT_IN only
+     */
+    supportsMixed(mode = 'EXACT_IN') {
+        return mode === 'EXACT_IN' && Boolean(getUniswapAddresses(this.chainId).swapRouter02);
+    }
+
+    /**
+     * Reserves for every V2 hop of the given candidates (one Multicall3 round-trip)
+     */
+    async loadV2Reserves(candidates) {
+        const pairs = candidates.flatMap(c => c.route.filter(hop => hop.protocol === PROTOCOL_V2).map(hop => hop.poolAddress));
+        if (pairs.length === 0) return new Map();
+        return await v2Adapter.loadReserves(this.provider, getMulticallAddress(this.chainId), pairs);
+    }
+
+    /**
+     * Quote a mixed V2/V3 route segment by segment: V2 segments from reserves,
+     * V3 segments like evaluateRouteSets does (cached pool state, the Quoter,
+     * or both in verify mode)
+     */
+    async quoteMixed(candidate, amount, mode, reserves) {
+        if (!this.supportsMixed(mode)) {
+            throw new Error('Mixed V2/V3 routes are EXACT_IN only and need SwapRouter02');
+        }
+        let value = BigInt(amount);
+        for (const segment of segmentRoute(candidate.route)) {
+            if (segment.protocol === PROTOCOL_V2) {
+                for (const hop of segment.hops) {
+                    value = v2Adapter.quoteExactIn(hop, value, reserves);
+                }
+                continue;
+            }
+            const v3 = this.candidateFromRoute(segment.hops);
+            const local = this.quoteMode === 'onchain' ? null : this.quoteLocally(v3, value, mode);
+            if (this.quoteMode === 'offchain' && local !== null) {
+                value = local;
+                continue;
+            }
+            const { method, args } = this.buildQuoteCall(v3, value, mode);
+            const quoted = this.parseQuoteResult(await this.quoter[method].staticCallResult(...args)).amount;
+            if (local !== null && quoted !== local) {
+                console.warn(`Local quote mismatch for ${JSON.stringify(v3.route)}: local ${local}, quoter ${quoted}`);
+            }
+            value = quoted;
+        }
+        return value;
+    }
+
+    /**
+     * Normalize a V1 (amount only) or V2 Quoter result
+     * @returns {{ amount: bigint, sqrtPriceX96After: bigint[]|null, initializedTicksCrossed: number|null, gasEstimate: bigint|null }}
+     */
+    parseQuoteResult(result) {
+        if (this.quoterVersion !== 2) {
+            return { amount: result[0], sqrtPriceX96After: null, initializedTicksCrossed: null, gasEstimate: null };
+        }
+        const after = result[1];
+        const ticks = result[2];
+        return {
+            amount: result[0],
+            sqrtPriceX96After: typeof after === 'bigint' ? [after] : [...after],
+            initializedTicksCrossed: typeof ticks === 'bigint' ? Number(ticks) : [...ticks].reduce((sum, t) => sum + Number(t), 0),
+            gasEstimate: result[3]
+        };
+    }
+
+    /**
+     * Swap gas for a route when the Quoter did not report one
+     */
+    estimateRouteGas(candidate, initializedTicksCrossed = 0) {
+        const hops = candidate.hops || 1;
+        return BigInt(hops * this.gasPerHop + (initializedTicksCrossed || 0) * this.gasPerInitializedTick);
+    }
+
+    /**
+     * Quote every candidate and return the ones that quoted, ranked.
+     * onchain: Quoter via Multicall3 batches (reverts and budget misses dropped)
+     * offchain: cached pool state, Quoter only for candidates it cannot cover
+     * verify: both, logging any mismatch and trusting the Quoter
+     * @param {Object} options - multicallQuoter overrides ({ batchSize, maxConcurrency, timeBudgetMs })
+     *                           plus gasContext (from getGasContext) for net ranking
+     */
+    async evaluateRoutes(candidates, amount, mode = 'EXACT_IN', options = {}) {
+        const [ranked] = await this.evaluateRouteSets([{ candidates, amount, mode, gasContext: options.gasContext }], options);
+        return ranked;
+    }
+
+    /**
+     * evaluateRoutes for several (candidates, amount, mode) sets at once; the
+     * Quoter calls of every set share the same Multicall3 batches
+     * @param {Array} sets - [{ candidates, amount, mode, gasContext? }]
+     * @param {Object} options - multicallQuoter overrides
+     * @returns {Array} Ranked evaluations per set, in input order
+     */
+    async evaluateRouteSets(sets, options = {}) {
+        await this.ensureProvider();
+        const entries = sets.flatMap((set, s) => set.candidates.map(candidate => ({
+            s,
+            candidate,
+            amount: set.amount,
+            mode: set.mode || 'EXACT_IN',
+            quote: null, // parsed quote once the route quoted
+            local: null  // cached-state quote (offchain/verify)
+        })));
+
+        // Mixed V2/V3 routes are quoted on their own; they never go through the Quoter batch
+        const mixed = entries.filter(e => e.candidate.kind === 'mixed' && this.supportsMixed(e.mode));
+        if (mixed.length > 0) {
+            try {
+                const reserves = await this.loadV2Reserves(mixed.map(e => e.candidate));
+                for (const e of mixed) {
+                    try {
+                        e.quote = { amount: await this.quoteMixed(e.candidate, e.amount, e.mode, reserves) };
+                    } catch (error) {
+                        console.debug('Route evaluation failed for mixed:', error.message);
+                    }
+                }
+            } catch (error) {
+                console.warn('V2 reserve lookup failed, skipping mixed routes:', error.message);
+            }
+        }
+
+        const quotable = entries.filter(e => e.candidate.kind !== 'mixed');
+        if (this.quoteMode !== 'onchain') {
+            for (const e of quotable) {
+                e.local = this.quoteLocally(e.candidate, e.amount, e.mode);
+                if (this.quoteMode === 'offchain' && e.local !== null) e.quote = { amount: e.local };
+            }
+        }
+
+        const pending = quotable.filter(e => e.quote === null);
+        if (pending.length > 0) {
+            const quoterAddress = await this.quoter.getAddress();
+            const calls = pending.map(e => {
+                const { method, args } = this.buildQuoteCall(e.candidate, e.amount, e.mode);
+                return { target: quoterAddress, method, callData: this.quoter.interface.encodeFunctionData(method, args) };
+            });
+
+            const results = await multicallQuoter.aggregate(this.provider, getMulticallAddress(this.chainId), calls, options);
+
+            results.forEach((result, j) => {
+                const e = pending[j];
+                if (!result || !result.success) {
+                    // Ignore failing routes
+                    console.debug(`Route evaluation failed for ${e.candidate.kind}:`, result ? 'reverted' : 'timed out');
+                    return;
+                }
+                try {
+                    const decoded = this.quoter.interface.decodeFunctionResult(calls[j].method, result.returnData);
+                    e.quote = this.parseQuoteResult(decoded);
+                } catch (error) {
+                    console.debug(`Route evaluation failed for ${e.candidate.kind}:`, error.message);
+                }
+            });
+        }
+
+        if (this.quoteMode === 'verify') {
+            for (const e of quotable) {
+                if (e.local !== null && e.quote && e.quote.amount !== e.local) {
+                    console.warn(`Local quote mismatch for ${JSON.stringify(e.candidate.route)}: local ${e.local}, quoter ${e.quote.amount}`);
+                }
+            }
+        }
+
+        return sets.map((set, s) => {
+            const mode = set.mode || 'EXACT_IN';
+            const evals = entries.filter(e => e.s === s && e.quote).map(({ candidate, quote: q, amount }) => {
+                const quoteData = {
+                    sqrtPriceX96After: q.sqrtPriceX96After || null,
+                    initializedTicksCrossed: q.initializedTicksCrossed ?? null,
+                    gasEstimate: q.gasEstimate ?? this.estimateRouteGas(candidate, q.initializedTicksCrossed),
+                    gasEstimateSource: q.gasEstimate != null ? 'quoter' : 'model'
+                };
+                return mode === 'EXACT_IN'
+                    ? { ...candidate, ...quoteData, amountIn: BigInt(amount), amountOut: q.amount }
+                    : { ...candidate, ...quoteData, amountIn: q.amount, amountOut: BigInt(amount) };
+            });
+            const priced = set.gasContext ? evals.map(e => this.applyGasCost(e, mode, set.gasContext)) : evals;
+            return this.rankRoutes(priced, mode);
+        });
+    }
+
+    /**
+     * Wrapped native token for the current chain (Chain table, then WETH_ADDRESS)
+     */
+    async getNativeWrappedAddress() {
+        const key = String(this.chainId);
+        if (!this.nativeWrapped.has(key)) {
+            let address = null;
+            try {
+                const chain = await Chain.findOne({ where: { chainId: parseInt(key) } });
+                address = chain?.nativeWrappedAddress || null;
+            } catch (error) {
+                console.warn('Chain lookup failed for native token:', error.message);
+            }
+            this.nativeWrapped.set(key, address || config.WETH_ADDRESS);
+        }
+        return this.nativeWrapped.get(key);
+    }
+
+    /**
+     * Inputs for pricing route gas in the token the trade is measured in
+     * (tokenOut for EXACT_IN, tokenIn for EXACT_OUT). Uses the latest base fee.
+     * @param {Object} params - { tokenIn, tokenOut, mode, decimalsIn, decimalsOut }
+     * @returns {Object|null} null when decimals or prices are unknown (rank by gross amounts)
+     */
+    async getGasContext({ tokenIn, tokenOut, mode = 'EXACT_IN', decimalsIn, decimalsOut }) {
+        const costToken = mode === 'EXACT_IN' ? tokenOut : tokenIn;
+        const costDecimals = mode === 'EXACT_IN' ? decimalsOut : decimalsIn;
+        if (costDecimals === undefined || costDecimals === null) return null;
+
+        try {
+            await this.ensureProvider();
+            const block = await this.provider.getBlock('latest');
+            let baseFeeWei = block?.baseFeePerGas ?? null;
+            if (baseFeeWei === null) {
+                // Pre-London chains have no base fee
+                baseFeeWei = (await this.provider.getFeeData()).gasPrice;
+            }
+            const nativeToken = await this.getNativeWrappedAddress();
+            const [nativeUsd, tokenUsd] = await Promise.all([
+                priceFeedService.getTokenPrice(nativeToken, this.chainId),
+                priceFeedService.getTokenPrice(costToken, this.chainId)
+            ]);
+            if (!baseFeeWei || !(nativeUsd > 0) || !(tokenUsd > 0)) return null;
+
+            return { baseFeeWei: BigInt(baseFeeWei), nativeUsd, tokenUsd, costToken, costDecimals: Number(costDecimals) };
+        } catch (error) {
+            console.warn('Gas context unavailable, ranking by gross amounts:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Attach gas cost (wei, USD, cost token units) and the net amount:
+     * netAmountOut = amountOut - gas (EXACT_IN), netAmountIn = amountIn + gas (EXACT_OUT)
+     */
+    applyGasCost(evaluated, mode, gasContext) {
+        const gasCostWei = BigInt(evaluated.gasEstimate || 0n) * gasContext.baseFeeWei;
+        const gasCostUsd = Number(ethers.formatEther(gasCostWei)) * gasContext.nativeUsd;
+        const gasCostToken = ethers.parseUnits(
+            (gasCostUsd / gasContext.tokenUsd).toFixed(gasContext.costDecimals),
+            gasContext.costDecimals
+        );
+        const net = mode === 'EXACT_IN'
+            ? { netAmountOut: evaluated.amountOut - gasCostToken }
+            : { netAmountIn: evaluated.amountIn + gasCostToken };
+        return { ...evaluated, gasCostWei, gasCostUsd, gasCostToken, ...net };
+    }
+
+    /**
+     * Sort by best output (EXACT_IN) or lowest input (EXACT_OUT), fewer hops on ties.
+     * Gas-priced evaluations compare net amounts.
+     */
+    rankRoutes(evals, mode = 'EXACT_IN') {
+        return [...evals].sort((a, b) => {
+            if (mode === 'EXACT_IN') {
+                const outA = a.netAmountOut ?? a.amountOut;
+                const outB = b.netAmountOut ?? b.amountOut;
+                if (outA !== outB) return outA > outB ? -1 : 1;
+            } else {
+                const inA = a.netAmountIn ?? a.amountIn;
+                const inB = b.netAmountIn ?? b.amountIn;
+                if (inA !== inB) return inA < inB ? -1 : 1;
+            }
+            return (a.hops || 0) - (b.hops || 0);
+        });
+    }
+
+    /**
+     * Resolve the route to use for a swap and quote it
+     * A client-provided path or route is quoted as-is; otherwise candidates are generated.
+     * Passing decimalsIn/decimalsOut enables ranking by net-of-gas amounts.
+     * @param {Object} params - { tokenIn, tokenOut, amount, mode, path?, pathTokens?, route?, decimalsIn?, decimalsOut? }
+     * @returns {Object} Best evaluated candidate with amountIn/amountOut as bigint
+     */
+    async findBestRoute({ tokenIn, tokenOut, amount, mode = 'EXACT_IN', path, pathTokens, route, decimalsIn, decimalsOut }) {
+        let candidates;
+        if (path) {
+            candidates = [this.candidateFromPath(path, pathTokens || null)];
+        } else if (Array.isArray(route) && route.length > 0) {
+            candidates = [this.candidateFromRoute(route)];
+        } else {
+            candidates = await this.generateRouteCandidates(tokenIn, tokenOut);
+        }
+
+        const gasContext = await this.getGasContext({ tokenIn, tokenOut, mode, decimalsIn, decimalsOut });
+        const evals = await this.evaluateRoutes(candidates, amount, mode, { gasContext });
+        if (evals.length === 0) {
+            throw new Error("No executable route/liquidity for this pair");
+        }
+        return evals[0];
+    }
+
+    /**
+     * Pool identities a candidate touches; split legs must not share a pool
+     * because each leg is quoted against the untouched pool state
+     */
+    poolKeys(candidate) {
+        return (candidate.route || []).map(hop => {
+            if (hop.poolAddress) return hop.poolAddress.toLowerCase();
+            const [a, b] = [hop.tokenIn.toLowerCase(), hop.tokenOut.toLowerCase()].sort();
+            return `${a}_${b}_${hop.fee}`;
+        });
+    }
+
+    /**
+     * Split an EXACT_IN amount across up to maxLegs pool-disjoint routes.
+     * The amount is handed out in 1/steps chunks, each chunk going to the route
+     * with the largest marginal output for it (incremental quoting).
+     * @param {Object} params - { tokenIn, tokenOut, amount, steps?, maxLegs?, decimalsOut? }
+     * @returns {Object} A split ({ kind: 'split', legs, amountIn, amountOut }) when
+     *                   it beats the best single route, otherwise that route
+     */
+    async findBestSplit({ tokenIn, tokenOut, amount, steps = this.splitSteps, maxLegs = this.maxSplitLegs, decimalsOut }) {
+        const total = BigInt(amount);
+        const candidates = await this.generateRouteCandidates(tokenIn, tokenOut);
+        const gasContext = await this.getGasContext({ tokenIn, tokenOut, mode: 'EXACT_IN', decimalsOut });
+        const ranked = await this.evaluateRoutes(candidates, total, 'EXACT_IN', { gasContext });
+        if (ranked.length === 0) {
+            throw new Error("No executable route/liquidity for this pair");
+        }
+        const best = ranked[0];
+
+        // Keep the strongest routes that do not share a pool with a stronger one
+        const routes = [];
+        const usedPools = new Set();
+        for (const candidate of ranked) {
+            if (routes.length >= this.maxSplitRoutes) break;
+            if (!candidate.route || candidate.kind === 'mixed') continue;
+            const keys = this.poolKeys(candidate);
+            if (keys.some(k => usedPools.has(k))) continue;
+            keys.forEach(k => usedPools.add(k));
+            routes.push(candidate);
+        }
+        if (routes.length < 2 || steps < 2) {
+            return best;
+        }
+
+        const chunks = BigInt(steps);
+        const levelAmount = (k) => (total * BigInt(k)) / chunks;
+
+        // quotes[r][k] = output of route r for k chunks (null = reverted)
+        const quotes = routes.map(r => {
+            const q = new Array(steps + 1).fill(undefined);
+            q[0] = 0n;
+            q[steps] = r.amountOut;
+            return q;
+        });
+        const quoteLevel = async (r, k) => {
+            if (quotes[r][k] === undefined) {
+                try {
+                    quotes[r][k] = await this.quoteCandidate(routes[r], levelAmount(k), 'EXACT_IN');
+                } catch (error) {
+                    console.debug('Split level quote failed:', error.message);
+                    quotes[r][k] = null;
+                }
+            }
+            return quotes[r][k];
+        };
+
+        const alloc = new Array(routes.length).fill(0);
+        for (let step = 0; step < steps; step++) {
+            const legsUsed = alloc.filter(a => a > 0).length;
+            let pick = -1;
+            let pickGain = null;
+            for (let r = 0; r < routes.length; r++) {
+                if (alloc[r] === 0 && legsUsed >= maxLegs) continue;
+                const current = quotes[r][alloc[r]];
+                const next = await quoteLevel(r, alloc[r] + 1);
+                if (current === null || next === null) continue;
+                const gain = next - current;
+                if (pickGain === null || gain > pickGain) {
+                    pick = r;
+                    pickGain = gain;
+                }
+            }
+            if (pick === -1) break;
+            alloc[pick]++;
+        }
+
+        const legIdx = alloc.map((a, r) => r).filter(r => alloc[r] > 0);
+        if (legIdx.length < 2 || alloc.reduce((a, b) => a + b, 0) !== steps) {
+            return best;
+        }
+
+        // Rounding dust goes to the largest leg, then every leg is re-quoted at its exact size
+        legIdx.sort((a, b) => alloc[b] - alloc[a]);
+        const amounts = legIdx.map(r => levelAmount(alloc[r]));
+        amounts[0] += total - amounts.reduce((a, b) => a + b, 0n);
+
+        const legs = [];
+        for (let i = 0; i < legIdx.length; i++) {
+            const route = routes[legIdx[i]];
+            let out;
+            try {
+                out = await this.quoteCandidate(route, amounts[i], 'EXACT_IN');
+            } catch (error) {
+                console.debug('Split leg quote failed:', error.message);
+                return best;
+            }
+            // Drop full-size amounts and gas pricing; the split is priced as a whole
+            const candidate = { ...route };
+            for (const field of ['amountIn', 'amountOut', 'netAmountOut', 'gasCostWei', 'gasCostUsd', 'gasCostToken']) {
+                delete candidate[field];
+            }
+            // Price/tick data came from the full-size quote; gas barely depends on size
+            legs.push({
+                ...candidate,
+                sqrtPriceX96After: null,
+                initializedTicksCrossed: null,
+                percent: (alloc[legIdx[i]] * 100) / steps,
+                amountIn: amounts[i],
+                amountOut: out
+            });
+        }
+
+        const amountOut = legs.reduce((sum, leg) => sum + leg.amountOut, 0n);
+        let split = {
+            kind: 'split',
+            legs,
+            amountIn: total,
+            amountOut,
+            hops: Math.max(...legs.map(leg => leg.hops)),
+            gasEstimate: legs.reduce((sum, leg) => sum + (leg.gasEstimate || 0n), 0n),
+            gasEstimateSource: legs.every(leg => leg.gasEstimateSource === 'quoter') ? 'quoter' : 'model',
+            single: { route: best.route, amountOut: best.amountOut, netAmountOut: best.netAmountOut ?? null }
+        };
+        if (gasContext) {
+            split = this.applyGasCost(split, 'EXACT_IN', gasContext);
+        }
+
+        // Extra legs cost extra gas: the split has to win on net output
+        if ((split.netAmountOut ?? split.amountOut) <= (best.netAmountOut ?? best.amountOut)) {
+            return best;
+        }
+        return split;
+    }
+
+    /**
+     * Encode a split route as one SwapRouter multicall: every leg swaps into the
+     * router itself, then sweepToken pays the recipient and enforces the
+     * aggregate minimum, so the legs succeed or revert together
+     * @returns {{ method: 'multicall', params: string[] }}
+     */
+    buildSplitSwapCall(routeInfo, { tokenOut, recipient, deadline, amountOutMinimum, routerAddress }) {
+        const router = routerAddress || getUniswapAddresses(this.chainId).router;
+        const calls = routeInfo.legs.map(leg => {
+            const { method, params } = this.buildTokenSwapCall(leg, {
+                mode: 'EXACT_IN',
+                recipient: router,
+                deadline,
+                amountIn: leg.amountIn,
+                amountOutMinimum: 0
+            });
+            return SWAP_ROUTER_INTERFACE.encodeFunctionData(method, [params]);
+        });
+        calls.push(SWAP_ROUTER_INTERFACE.encodeFunctionData('sweepToken', [tokenOut, amountOutMinimum, recipient]));
+        return { method: 'multicall', params: calls };
+    }
+
+    /**
+     * Encode a mixed route as one SwapRouter02 multicall, one call per protocol
+     * segment. Intermediate segments leave their output in the router
+     * (ADDRESS_THIS) and the next segment spends the router balance
+     * (CONTRACT_BALANCE); only the last one pays the recipient and enforces the
+     * minimum. V2 hops must be pairs of the factory SwapRouter02 is bound to.
+     * @returns {{ method: 'multicall', params: string[], args: Array, router: 'swapRouter02' }}
+     */
+    buildMixedSwapCall(routeInfo, { mode = 'EXACT_IN', recipient, deadline, amountIn, amountOutMinimum }) {
+        if (mode !== 'EXACT_IN') {
+            throw new Error('Mixed V2/V3 routes only support EXACT_IN');
+        }
+        const segments = segmentRoute(routeInfo.route);
+        const calls = segments.map((segment, i) => {
+            const last = i === segments.length - 1;
+            const options = {
+                amountIn: i === 0 ? amountIn : ROUTER02_CONTRACT_BALANCE,
+                amountOutMinimum: last ? amountOutMinimum : 0,
+                recipient: last ? recipient : ROUTER02_ADDRESS_THIS
+            };
+            if (segment.protocol === PROTOCOL_V2) {
+                return v2Adapter.encodeSegment(segment.hops, options);
+            }
+            return encodeV3Segment(encodeV3Path(pathTokensFromRoute(segment.hops)), options);
+        });
+        return { method: 'multicall', params: calls, args: [deadline, calls], router: 'swapRouter02' };
+    }
+
+    /**
+     * Build the SwapRouter method and params that execute a route
+     * Mixed routes also return `args` and `router: 'swapRouter02'`; native
+     * ETH legs (nativeIn/nativeOut, route in wrapped native) also return the
+     * `value` to send (see buildNativeSwapCall)
+     * @returns {{ method: string, params: Object }}
+     */
+    buildSwapCall(routeInfo, options) {
+        if (options.nativeIn || options.nativeOut) {
+            return this.buildNativeSwapCall(routeInfo, options);
+        }
+        return this.buildTokenSwapCall(routeInfo, options);
+    }
+
+    /**
+     * Wrap a route's swap in a router multicall that moves native ETH: the
+     * input is paid as msg.value (the router wraps it), the output is swapped
+     * into the router and unwrapWETH9 pays the recipient, and EXACT_OUT ends
+     * with refundETH so unspent value goes back to the sender
+     * @returns {{ method: 'multicall', params: string[], value: bigint, args?, router? }}
+     */
+    buildNativeSwapCall(routeInfo, options) {
+        const { mode = 'EXACT_IN', recipient, deadline, amountIn, amountOutMinimum, amountOut, amountInMaximum, nativeIn, nativeOut, routerAddress } = options;
+        const mixed = routeInfo.kind === 'mixed';
+        const routerInterface = mixed ? SWAP_ROUTER02_INTERFACE : SWAP_ROUTER_INTERFACE;
+        const router = mixed ? ROUTER02_ADDRESS_THIS : (routerAddress || getUniswapAddresses(this.chainId).router);
+
+        // The output stays in the router until unwrapWETH9 pays the recipient
+        const inner = this.buildTokenSwapCall(routeInfo, { ...options, recipient: nativeOut ? router : recipient });
+        let calls;
+        if (inner.method !== 'multicall') {
+            calls = [routerInterface.encodeFunctionData(inner.method, [inner.params])];
+        } else if (routeInfo.kind === 'split' && nativeOut) {
+            // unwrapWETH9 enforces the aggregate minimum instead of the trailing sweepToken
+            calls = inner.params.slice(0, -1);
+        } else {
+            calls = inner.params;
+        }
+
+        if (nativeOut) {
+            calls.push(routerInterface.encodeFunctionData('unwrapWETH9', [mode === 'EXACT_IN' ? amountOutMinimum : amountOut, recipient]));
+        }
+        if (nativeIn && mode === 'EXACT_OUT') {
+            calls.push(routerInterface.encodeFunctionData('refundETH', []));
+        }
+        const value = nativeIn ? BigInt(mode === 'EXACT_IN' ? amountIn : amountInMaximum) : 0n;
+        return mixed
+            ? { method: 'multicall', params: calls, args: [deadline, calls], router: 'swapRouter02', value }
+            : { method: 'multicall', params: calls, value };
+    }
+
+    /**
+     * Router call for a route between two ERC20s
+     */
+    buildTokenSwapCall(routeInfo, { mode = 'EXACT_IN', tokenIn, tokenOut, recipient, deadline, amountIn, amountOutMinimum, amountOut, amountInMaximum, routerAddress }) {
+        if (routeInfo.kind === 'mixed') {
+            return this.buildMixedSwapCall(routeInfo, { mode, recipient, deadline, amountIn, amountOutMinimum });
+        }
+        if (routeInfo.kind === 'split') {
+            return this.buildSplitSwapCall(routeInfo, { tokenOut, recipient, deadline, amountOutMinimum, routerAddress });
+        }
+        if (routeInfo.kind === 'single') {
+            const hop = routeInfo.route[0];
+            if (mode === 'EXACT_IN') {
+                return {
+                    method: 'exactInputSingle',
+                    params: { tokenIn: hop.tokenIn || tokenIn, tokenOut: hop.tokenOut || tokenOut, fee: hop.fee, recipient, deadline, amountIn, amountOutMinimum, sqrtPriceLimitX96: 0 }
+                };
+            }
+            return {
+                method: 'exactOutputSingle',
+                params: { tokenIn: hop.tokenIn || tokenIn, tokenOut: hop.tokenOut || tokenOut, fee: hop.fee, recipient, deadline, amountOut, amountInMaximum, sqrtPriceLimitX96: 0 }
+            };
+        }
+
+        const path = this.getExecutionPath(routeInfo, mode);
+        if (mode === 'EXACT_IN') {
+            return { method: 'exactInput', params: { path, recipient, deadline, amountIn, amountOutMinimum } };
+        }
+        return { method: 'exactOutput', params: { path, recipient, deadline, amountOut, amountInMaximum } };
+    }
+}
+
+export default new RoutingEngine();
@@ -39,6 +39,7 @@ class SwapDatabaseService {
                 isCustodial: swapData.isCustodial || false,
                 userAddress: swapData.userAddress,
                 clientRequestId: swapData.clientRequestId,
+                parentOrderId: swapData.parentOrderId || null,
                 metadata: swapData.metadata || {}
             });
             
@@ -100,7 +101,8 @@ class SwapDatabaseService {
                     error: txData.error,
                     fee: txData.fee,
                     value: txData.value,
-                    nonce: txData.nonce
+                    nonce: txData.nonce,
+                    replacedBy: txData.replacedBy
                 }
             });
             
@@ -197,6 +199,73 @@ class SwapDatabaseService {
         }
     }
     
+    /**
+     * Claim a generated population for one broadcast: the generated -> executed
+     * switch is a single conditional UPDATE, so of two concurrent broadcasts
+     * only one wins
+     * @returns {boolean} false when the population was no longer generated
+     */
+    async claimTxPopulation(requestId, txHash) {
+        try {
+            const [claimed] = await TxPopulation.update(
+                { status: 'executed', txHash, executedAt: new Date() },
+                { where: { requestId, status: 'generated' } }
+            );
+            return claimed > 0;
+        } catch (error) {
+            console.error('Error claiming transaction population:', error);
+            throw new Error(`Failed to claim transaction population: ${error.message}`);
+        }
+    }
+
+    /**
+     * Hand a claimed population back when the node rejected its transaction
+     */
+    async releaseTxPopulation(requestId, txHash) {
+        try {
+            const [released] = await TxPopulation.update(
+                { status: 'generated', txHash: null, executedAt: null },
+                { where: { requestId, status: 'executed', txHash } }
+            );
+            return released > 0;
+        } catch (error) {
+            console.error('Error releasing transaction population:', error);
+            throw new Error(`Failed to release transaction population: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get transaction population by request ID
+     */
+    async getTxPopulation(requestId) {
+        try {
+            return await TxPopulation.findOne({ where: { requestId } });
+        } catch (error) {
+            console.error('Error getting transaction population:', error);
+            throw new Error(`Failed to get transaction population: ${error.message}`);
+        }
+    }
+
+    /**
+     * Merge fields into a transaction population's payload (and optionally update columns)
+     */
+    async updateTxPopulationPayload(requestId, payloadPatch, fields = {}) {
+        try {
+            const population = await this.getTxPopulation(requestId);
+            if (!population) {
+                throw new Error(`Transaction population with request ID ${requestId} not found`);
+            }
+
+            return await population.update({
+                ...fields,
+                payload: { ...population.payload, ...payloadPatch }
+            });
+        } catch (error) {
+            console.error('Error updating transaction population payload:', error);
+            throw new Error(`Failed to update transaction population payload: ${error.message}`);
+        }
+    }
+
     /**
      * Get swap by ID with related data
      */
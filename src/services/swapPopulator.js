@@ -0,0 +1,287 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/env.js';
+import { getUniswapAddresses } from '../config/chains.js';
+import routingEngine from './routingEngine.js';
+import swapDatabaseService from './swapDatabase.js';
+import universalRouter from './universalRouter.js';
+import permitService from './permitService.js';
+import { SWAP_ROUTER02_ABI } from './poolAdapters.js';
+
+/**
+ * Swap Populator
+ * Owns the router contracts (connected to the backend wallet) and turns a
+ * quoted route into an unsigned swap transaction: router call, gas estimate
+ * and the TxPopulation record. /dex/swap/populate and the limit order
+ * executor both build their transactions here.
+ */
+
+const WETH9_ABI = [
+    "function deposit() payable",
+    "function withdraw(uint256 wad)"
+];
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const routerABI = JSON.parse(fs.readFileSync(path.join(__dirname, "../../node_modules/@uniswap/v3-periphery/artifacts/contracts/SwapRouter.sol/SwapRouter.json"), 'utf8'));
+
+// Used when the node cannot estimate the swap (e.g. allowance not granted yet)
+const FALLBACK_GAS_LIMIT = '500000';
+const WRAP_GAS_LIMIT = '60000';
+
+class SwapPopulator {
+    constructor() {
+        this.provider = null;
+        this.wallet = null;
+        this.chainId = null;
+        this.uniswapRouter = null;
+        this.swapRouter02 = null;
+        this.universalRouterAddress = null;
+    }
+
+    async ensureContracts() {
+        if (!this.uniswapRouter) {
+            this.provider = new ethers.JsonRpcProvider(config.RPC_URL);
+            this.wallet = new ethers.Wallet(config.PRIVATE_KEY, this.provider);
+            const network = await this.provider.getNetwork();
+            this.chainId = Number(network.chainId);
+            const addresses = getUniswapAddresses(network.chainId);
+            this.uniswapRouter = new ethers.Contract(addresses.router, routerABI.abi, this.wallet);
+            // Mixed V2/V3 routes execute through SwapRouter02 where it is deployed
+            this.swapRouter02 = addresses.swapRouter02 ? new ethers.Contract(addresses.swapRouter02, SWAP_ROUTER02_ABI, this.wallet) : null;
+            this.universalRouterAddress = addresses.universalRouter || null;
+        }
+    }
+
+    /**
+     * Router contract and call arguments for a routingEngine.buildSwapCall result
+     * (native ETH calls carry their msg.value as a trailing overrides argument)
+     */
+    resolveSwapCall(swapCall) {
+        const overrides = swapCall.value ? [{ value: swapCall.value }] : [];
+        if (swapCall.router === 'swapRouter02') {
+            if (!this.swapRouter02) {
+                throw new Error('SwapRouter02 is not configured for this chain; mixed V2/V3 routes cannot execute');
+            }
+            return { contract: this.swapRouter02, args: [...swapCall.args, ...overrides] };
+        }
+        return { contract: this.uniswapRouter, args: [swapCall.params, ...overrides] };
+    }
+
+    /**
+     * Unsigned WETH9 deposit (wrap) or withdraw (unwrap) of `amount` wei
+     * @param {string} wrappedNative - Wrapped native token (Chain.nativeWrappedAddress)
+     * @param {string} from - Signer, used for the gas estimate when given
+     * @returns {Object} { to, data, value, gasLimit }
+     */
+    async populateWrap(wrappedNative, direction, amount, from = null) {
+        await this.ensureContracts();
+        const weth = new ethers.Contract(wrappedNative, WETH9_ABI, this.provider);
+        const tx = direction === 'wrap'
+            ? await weth.deposit.populateTransaction({ value: amount })
+            : await weth.withdraw.populateTransaction(amount);
+
+        let gasLimit;
+        try {
+            gasLimit = from ? await this.provider.estimateGas({ ...tx, from }) : BigInt(WRAP_GAS_LIMIT);
+        } catch (error) {
+            console.error(`${direction} gas estimation failed:`, error.shortMessage || error.message);
+            gasLimit = BigInt(WRAP_GAS_LIMIT);
+        }
+        return {
+            to: tx.to,
+            data: tx.data,
+            value: (tx.value ?? 0n).toString(),
+            gasLimit: gasLimit.toString()
+        };
+    }
+
+    /**
+     * SwapRouter (or SwapRouter02 for mixed routes) transaction for a route,
+     * gas estimated from the backend wallet
+     */
+    async buildSwapRouterTransaction(routeInfo, callOptions) {
+        const swapCall = routingEngine.buildSwapCall(routeInfo, { ...callOptions, routerAddress: this.uniswapRouter.target });
+        const { contract: swapContract, args: swapArgs } = this.resolveSwapCall(swapCall);
+
+        let estimatedGas;
+        try {
+            estimatedGas = await swapContract[swapCall.method].estimateGas(...swapArgs);
+        } catch (error) {
+            console.error('Gas estimation failed:', error);
+            estimatedGas = FALLBACK_GAS_LIMIT;
+        }
+
+        const populatedTx = await swapContract[swapCall.method].populateTransaction(...swapArgs);
+        return {
+            transaction: { to: populatedTx.to, data: populatedTx.data, value: populatedTx.value?.toString() || '0' },
+            estimatedGas,
+            path: swapCall.params.path || null,
+            commands: null
+        };
+    }
+
+    /**
+     * Universal Router execute() transaction for a route; the router pulls
+     * tokenIn through Permit2, so gas is estimated for the user when known
+     */
+    async buildUniversalRouterTransaction(routeInfo, callOptions, userAddress) {
+        if (!this.universalRouterAddress) {
+            throw new Error('Universal Router is not configured for this chain');
+        }
+        const urCall = universalRouter.buildSwapCall(routeInfo, callOptions);
+        const transaction = { to: this.universalRouterAddress, data: urCall.data, value: urCall.value.toString() };
+
+        let estimatedGas;
+        try {
+            estimatedGas = await this.provider.estimateGas({ ...transaction, value: urCall.value, from: userAddress || this.wallet.address });
+        } catch (error) {
+            console.error('Universal Router gas estimation failed:', error.shortMessage || error.message);
+            estimatedGas = FALLBACK_GAS_LIMIT;
+        }
+        return {
+            transaction,
+            estimatedGas,
+            path: routeInfo.kind === 'split' ? null : routingEngine.getExecutionPath(routeInfo, callOptions.mode),
+            commands: urCall.commands
+        };
+    }
+
+    /**
+     * Build and record an unsigned swap for a quoted route
+     * @param {Object} params - routeInfo (routingEngine result), chainId, mode, tokenIn, tokenOut,
+     *   recipient, deadline (unix seconds), amountIn (EXACT_IN input or EXACT_OUT maximum),
+     *   amountOutMinimum, amountOut (expected output), decimalsIn, decimalsOut, fee, slippagePct,
+     *   requestId, quoteId?, userAddress?, clientIp?, userAgent?, nativeIn?, nativeOut? (tokenIn/tokenOut
+     *   are then the wrapped native token; the router wraps msg.value / unwraps to the recipient),
+     *   routerTarget? ('swapRouter' or 'universalRouter', see getSwapTarget)
+     * @returns {Object} { population, populatedTransaction: { to, data, value, gasLimit }, estimatedGas, splitLegs }
+     */
+    async populate({
+        routeInfo, chainId, mode, tokenIn, tokenOut, recipient, deadline,
+        amountIn, amountOutMinimum, amountOut, decimalsIn, decimalsOut,
+        fee, slippagePct, requestId, quoteId = null, userAddress = null, clientIp = null, userAgent = null,
+        nativeIn = false, nativeOut = false, routerTarget = 'swapRouter'
+    }) {
+        await this.ensureContracts();
+
+        const callOptions = {
+            mode,
+            tokenIn,
+            tokenOut,
+            recipient,
+            deadline,
+            amountIn,
+            amountOutMinimum,
+            amountOut,
+            amountInMaximum: amountIn,
+            nativeIn,
+            nativeOut
+        };
+        const { transaction, estimatedGas, path, commands } = routerTarget === 'universalRouter'
+            ? await this.buildUniversalRouterTransaction(routeInfo, callOptions, userAddress)
+            : await this.buildSwapRouterTransaction(routeInfo, callOptions);
+        const splitLegs = routeInfo.kind === 'split'
+            ? routeInfo.legs.map(leg => ({
+                percent: leg.percent,
+                route: leg.route,
+                amountIn: leg.amountIn.toString(),
+                amountOut: leg.amountOut.toString()
+            }))
+            : null;
+
+        // Create transaction population record
+        const population = await swapDatabaseService.createTxPopulation({
+            chainId,
+            requestId,
+            payload: {
+                tokenIn,
+                tokenOut,
+                fee,
+                recipient,
+                deadline,
+                mode,
+                quoteId,
+                ...(nativeIn || nativeOut ? { nativeIn, nativeOut } : {}),
+                route: splitLegs ? { legs: splitLegs } : routeInfo.route,
+                path,
+                ...(commands ? { routerTarget, commands } : {}),
+                // Lets a signed permit be embedded later (populateWithPermit)
+                transaction,
+                ...(mode === 'EXACT_IN' ? {
+                    amountIn: amountIn.toString(),
+                    amountOutMinimum: amountOutMinimum.toString()
+                } : {
+                    amountOut: amountOut.toString(),
+                    amountInMaximum: amountIn.toString()
+                })
+            },
+            estimatedGas: estimatedGas.toString(),
+            tokenIn,
+            tokenOut,
+            mode,
+            slippagePct,
+            deadline: new Date(deadline * 1000),
+            amountIn: ethers.formatUnits(amountIn, decimalsIn),
+            amountOut: ethers.formatUnits(amountOut, decimalsOut),
+            userAddress,
+            clientIp,
+            userAgent
+        });
+
+        return {
+            population,
+            populatedTransaction: {
+                ...transaction,
+                gasLimit: estimatedGas.toString()
+            },
+            estimatedGas,
+            splitLegs
+        };
+    }
+
+    /**
+     * Rebuild a populated swap so it applies a verified permit first and needs
+     * no separate approve transaction: a selfPermit call at the head of the
+     * router multicall, or a PERMIT2_PERMIT command for the Universal Router
+     * @param {Object} population - TxPopulation whose payload.transaction is the swap
+     * @param {Object} offer - permitService offer stored on the population
+     * @param {ethers.Signature} sig - permitService.verifySignature result
+     * @returns {Object} { to, data, value, gasLimit }
+     */
+    async populateWithPermit(population, offer, sig) {
+        await this.ensureContracts();
+        const { transaction } = population.payload;
+        let data;
+        if (offer.type === 'permit2') {
+            data = universalRouter.prependPermit2(transaction.data, permitService.getPermitSingle(offer), sig.serialized);
+        } else {
+            const viaRouter02 = this.swapRouter02 && transaction.to.toLowerCase() === this.swapRouter02.target.toLowerCase();
+            const contract = viaRouter02 ? this.swapRouter02 : this.uniswapRouter;
+
+            // Flatten an existing multicall so the permit runs ahead of every swap step
+            const parsed = contract.interface.parseTransaction({ data: transaction.data, value: transaction.value });
+            const calls = [permitService.encodeSelfPermit(offer, sig), ...(parsed.name === 'multicall' ? parsed.args.at(-1) : [transaction.data])];
+            data = viaRouter02
+                ? contract.interface.encodeFunctionData('multicall', [parsed.name === 'multicall' ? parsed.args[0] : population.payload.deadline, calls])
+                : contract.interface.encodeFunctionData('multicall', [calls]);
+        }
+
+        let gasLimit;
+        try {
+            gasLimit = await this.provider.estimateGas({ to: transaction.to, data, value: BigInt(transaction.value), from: offer.owner });
+        } catch (error) {
+            console.error('Permit swap gas estimation failed:', error.shortMessage || error.message);
+            gasLimit = FALLBACK_GAS_LIMIT;
+        }
+        return {
+            to: transaction.to,
+            data,
+            value: transaction.value,
+            gasLimit: gasLimit.toString()
+        };
+    }
+}
+
+export default new SwapPopulator();
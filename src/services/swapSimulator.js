@@ -0,0 +1,144 @@
+import { ethers } from 'ethers';
+
+/**
+ * Swap Simulator
+ * Preflight for populated swaps: runs the router call with eth_call from the
+ * user's address and reads their tokenIn balance (ETH for native input) and
+ * router allowance, all pinned to the same latest block. Reverts are decoded into stable codes
+ * (Uniswap router reason strings, Panic) so clients can tell an approval
+ * problem from a moved price or an expired deadline.
+ */
+
+const ERC20_PREFLIGHT_ABI = [
+    "function balanceOf(address owner) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)"
+];
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';        // Panic(uint256)
+
+// Router/periphery reason strings -> preflight codes
+export const REVERT_REASONS = {
+    'STF': { code: 'TRANSFER_FROM_FAILED', message: 'Token transfer from the sender failed (balance or allowance too low)' },
+    'ST': { code: 'TRANSFER_FAILED', message: 'Token transfer to the recipient failed' },
+    'STE': { code: 'ETH_TRANSFER_FAILED', message: 'ETH transfer failed' },
+    'Too little received': { code: 'INSUFFICIENT_OUTPUT', message: 'Output would be below amountOutMinimum; the price moved beyond the slippage tolerance' },
+    'Too much requested': { code: 'EXCESSIVE_INPUT', message: 'Input would exceed amountInMaximum; the price moved beyond the slippage tolerance' },
+    'Transaction too old': { code: 'DEADLINE_EXPIRED', message: 'The transaction deadline has passed' },
+    'SPL': { code: 'PRICE_LIMIT', message: 'Swap hit the sqrtPriceLimit' },
+    'LOK': { code: 'POOL_LOCKED', message: 'Pool is locked (reentrancy)' },
+    'IIA': { code: 'INSUFFICIENT_INPUT', message: 'Pool received less input than required' }
+};
+
+class SwapSimulator {
+    /**
+     * Decode revert data into { code, reason, message }
+     * @param {string} data - Revert return data (may be empty)
+     * @param {string} fallbackMessage - Provider error message when there is no data
+     */
+    decodeRevert(data, fallbackMessage = 'execution reverted') {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        try {
+            if (data && data.startsWith(ERROR_STRING_SELECTOR)) {
+                const [reason] = coder.decode(['string'], ethers.dataSlice(data, 4));
+                const known = REVERT_REASONS[reason];
+                return known ? { code: known.code, reason, message: known.message } : { code: 'REVERTED', reason, message: reason };
+            }
+            if (data && data.startsWith(PANIC_SELECTOR)) {
+                const [panicCode] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+                return { code: 'PANIC', reason: `Panic(0x${panicCode.toString(16)})`, message: 'Contract panicked (arithmetic or assertion failure)' };
+            }
+        } catch {
+            // Malformed payload: report it raw below
+        }
+        if (data && data !== '0x') {
+            return { code: 'CUSTOM_ERROR', reason: ethers.dataSlice(data, 0, 4), message: 'Reverted with a custom error', data };
+        }
+        return { code: 'REVERTED', reason: null, message: fallbackMessage };
+    }
+
+    /**
+     * Simulate a populated swap for `from` and check its funding
+     * @param {Object} params
+     * @param {ethers.Provider} params.provider
+     * @param {string} params.from - Address that will sign the transaction
+     * @param {Object} params.transaction - { to, data, value }
+     * @param {string|null} params.tokenIn - Token the router pulls from `from`; null when the
+     *   input is native ETH sent as msg.value (ETH balance checked, no allowance needed)
+     * @param {bigint} params.requiredIn - amountIn (EXACT_IN) or amountInMaximum (EXACT_OUT)
+     * @param {boolean} params.permitted - The transaction grants its own allowance (embedded permit)
+     * @param {string} params.spender - Address the allowance is checked for (default: transaction.to;
+     *   Permit2 for Universal Router swaps)
+     * @returns {Object} { ok, blockNumber, from, balance, allowance, call, issues }
+     */
+    async preflight({ provider, from, transaction, tokenIn, requiredIn, permitted = false, spender = transaction.to }) {
+        const blockNumber = await provider.getBlockNumber();
+        const blockTag = blockNumber;
+        const token = tokenIn ? new ethers.Contract(tokenIn, ERC20_PREFLIGHT_ABI, provider) : null;
+        const settle = promise => promise.then(value => ({ value }), error => ({ error }));
+
+        const [balanceResult, allowanceResult, call] = await Promise.all([
+            settle(token ? token.balanceOf(from, { blockTag }) : provider.getBalance(from, blockTag)),
+            token && !permitted ? settle(token.allowance(from, spender, { blockTag })) : null,
+            this.call(provider, { from, ...transaction }, blockTag)
+        ]);
+
+        const balance = { ...this.fundingCheck(balanceResult, requiredIn), asset: token ? 'token' : 'native' };
+        const allowance = allowanceResult
+            ? { ...this.fundingCheck(allowanceResult, requiredIn), spender }
+            : { ok: true, required: '0', available: null, spender, notRequired: true };
+
+        const issues = [];
+        if (balance.ok === false) {
+            issues.push({ code: 'INSUFFICIENT_BALANCE', message: `Balance ${balance.available} is below the required ${balance.required}` });
+        }
+        if (allowance.ok === false) {
+            issues.push({ code: 'INSUFFICIENT_ALLOWANCE', message: `Router allowance ${allowance.available} is below the required ${allowance.required}` });
+        }
+        if (!call.ok) {
+            issues.push({ code: call.revert.code, message: call.revert.message });
+        }
+
+        return {
+            ok: call.ok && balance.ok !== false && allowance.ok !== false,
+            blockNumber,
+            from,
+            balance,
+            allowance,
+            call,
+            issues
+        };
+    }
+
+    /**
+     * eth_call the transaction at blockTag
+     * @returns {Object} { ok, returnData } or { ok: false, revert }
+     */
+    async call(provider, tx, blockTag) {
+        try {
+            const returnData = await provider.call({
+                from: tx.from,
+                to: tx.to,
+                data: tx.data,
+                value: BigInt(tx.value || 0),
+                blockTag
+            });
+            return { ok: true, returnData };
+        } catch (error) {
+            const data = error.data ?? error.info?.error?.data ?? null;
+            return { ok: false, revert: this.decodeRevert(typeof data === 'string' ? data : null, error.shortMessage || error.message) };
+        }
+    }
+
+    /**
+     * Compare a balance/allowance read with the amount the swap pulls (ok is null when the read failed)
+     */
+    fundingCheck(result, requiredIn) {
+        if (result.error) {
+            return { ok: null, required: requiredIn.toString(), available: null, error: result.error.shortMessage || result.error.message };
+        }
+        return { ok: result.value >= requiredIn, required: requiredIn.toString(), available: result.value.toString() };
+    }
+}
+
+export default new SwapSimulator();
@@ -1,9 +1,10 @@
 import { ethers } from "ethers";
 import config from "../config/env.js";
+import custodialSendQueue, { SendQueueError } from "./custodialSendQueue.js";
 
 /**
  * Generic ERC-20 token approval service
- * - Approve spender for any ERC-20 token address
+ * - Approve spender for any ERC-20 token address (sent through the custodial send queue)
  * - Check allowance using backend wallet as owner (server-signer model)
  */
 class TokenApprovalService {
@@ -33,7 +34,8 @@ class TokenApprovalService {
             const symbol = await token.symbol().catch(() => "TOKEN");
             const amount = humanAmount ? ethers.parseUnits(humanAmount, decimals) : ethers.MaxUint256;
 
-            const tx = await token.approve(spender, amount);
+            // Queued like every backend wallet transaction so its nonce never races a swap's
+            const tx = await custodialSendQueue.submit(await token.approve.populateTransaction(spender, amount), { kind: 'approve' });
             const receipt = await tx.wait();
 
             return {
@@ -46,6 +48,7 @@ class TokenApprovalService {
                 gasUsed: receipt.gasUsed?.toString?.(),
             };
         } catch (error) {
+            if (error instanceof SendQueueError) throw error;
             throw new Error(`Token approval failed: ${error.message}`);
         }
     }
@@ -0,0 +1,417 @@
+import { Op } from 'sequelize';
+import Swap from '../models/Swap.js';
+import Transaction from '../models/Transaction.js';
+import TxPopulation from '../models/TxPopulation.js';
+import Notification from '../models/Notification.js';
+import routingEngine from './routingEngine.js';
+import swapDatabaseService from './swapDatabase.js';
+import executionReportService from './executionReport.js';
+import { getConfirmationDepth } from '../config/chains.js';
+
+/**
+ * Transaction Tracker
+ * Follows every known tx hash (pending Swaps, executed TxPopulations, pending
+ * Transactions) to its receipt. Once the receipt is buried under the chain's
+ * confirmation depth the rows are finalized: Swap completed/failed,
+ * TxPopulation completed/failed, Transaction confirmed/failed, with gasUsed,
+ * blockNumber and confirmations filled in. Swaps and populations that never
+ * got a transaction before their deadline are marked expired, and those whose
+ * transaction is still unmined after the deadline, unknown to the node and
+ * with its nonce unused are marked dropped (failed/abandoned). Completed
+ * swaps get their execution report (realized amounts, slippage, gas cost).
+ *
+ * An unmined hash is also checked against its sender's nonce: once another
+ * transaction used that nonce (a wallet speed-up or cancel), the original is
+ * marked replaced or cancelled, linked to the replacement, and the swap
+ * either follows the replacement or is cancelled, with a notification.
+ */
+
+// How far back to look for the replacing transaction when we never saw the original pending
+const REPLACEMENT_LOOKBACK_BLOCKS = 5000;
+
+// The nonce search reads historical account state, which only archive nodes keep,
+// so RPC_URL should be an archive node. A pruned node rejects it; then only the
+// latest blocks are scanned for the sender.
+const PRUNED_STATE_SCAN_BLOCKS = 128;
+const MISSING_STATE_ERROR = /missing trie node|header not found|historical state|state (is )?not available|pruned|state histor/i;
+
+class TxTracker {
+    constructor() {
+        // Hashes looked up per pass, oldest first
+        this.batchSize = 100;
+    }
+
+    /**
+     * One tracking pass on the provider's chain
+     * @returns {Object} counts: { tracked, confirming, completed, failed, expired, replaced, cancelled, dropped }
+     */
+    async runOnce() {
+        await routingEngine.ensureProvider();
+        const provider = routingEngine.provider;
+        const chainId = Number(await routingEngine.getChainId());
+        const depth = getConfirmationDepth(chainId);
+        const head = await provider.getBlockNumber();
+        const stats = { tracked: 0, confirming: 0, completed: 0, failed: 0, expired: 0, replaced: 0, cancelled: 0, dropped: 0 };
+
+        for (const txHash of await this.getTrackedHashes(chainId)) {
+            stats.tracked++;
+            try {
+                const outcome = await this.track(provider, chainId, txHash, head, depth);
+                if (outcome) stats[outcome]++;
+            } catch (error) {
+                console.error(`Tracking ${txHash} failed:`, error.message);
+            }
+        }
+
+        stats.expired = await this.expireUnsent(chainId);
+        stats.dropped += await this.dropLost(provider, chainId);
+        return stats;
+    }
+
+    /**
+     * Distinct tx hashes that still await a final receipt
+     */
+    async getTrackedHashes(chainId) {
+        const options = { order: [['updatedAt', 'ASC']], limit: this.batchSize };
+        const [swaps, populations, transactions] = await Promise.all([
+            Swap.findAll({ where: { chainId, status: 'pending', txHash: { [Op.ne]: null } }, attributes: ['txHash'], ...options }),
+            TxPopulation.findAll({ where: { chainId, status: 'executed', txHash: { [Op.ne]: null } }, attributes: ['txHash'], ...options }),
+            Transaction.findAll({ where: { chainId, status: 'pending' }, attributes: ['txHash'], ...options })
+        ]);
+        const hashes = new Set([...swaps, ...populations, ...transactions].map(row => row.txHash.toLowerCase()));
+        return [...hashes].slice(0, this.batchSize);
+    }
+
+    /**
+     * Check one hash and update its rows
+     * @returns {string|null} 'confirming' | 'completed' | 'failed', a checkReplacement
+     *   outcome, or null while unmined
+     */
+    async track(provider, chainId, txHash, head, depth) {
+        const receipt = await provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            return await this.checkReplacement(provider, chainId, txHash, head);
+        }
+
+        const confirmations = Math.max(0, head - receipt.blockNumber + 1);
+        const gasUsed = Number(receipt.gasUsed);
+        const gasPrice = (receipt.gasPrice ?? 0n).toString();
+        const mined = { blockNumber: receipt.blockNumber, confirmations, gasUsed, gasPrice };
+        const swapWhere = { chainId, txHash: { [Op.iLike]: txHash } };
+
+        if (confirmations < depth) {
+            await Swap.update(mined, { where: { ...swapWhere, status: 'pending' } });
+            await this.recordTransaction(chainId, receipt, { ...mined, status: 'pending' });
+            return 'confirming';
+        }
+
+        const success = receipt.status === 1;
+        await Swap.update(
+            { ...mined, status: success ? 'completed' : 'failed', ...(success ? {} : { errorMsg: 'Transaction reverted' }) },
+            { where: { ...swapWhere, status: 'pending' } }
+        );
+        if (success) {
+            const settled = await Swap.findAll({ where: { ...swapWhere, status: 'completed', execution: null } });
+            for (const swap of settled) {
+                await executionReportService.recordForSwap(swap, receipt);
+            }
+        }
+        await TxPopulation.update(
+            { status: success ? 'completed' : 'failed' },
+            { where: { chainId, txHash: { [Op.iLike]: txHash }, status: 'executed' } }
+        );
+        await this.recordTransaction(chainId, receipt, {
+            ...mined,
+            status: success ? 'confirmed' : 'failed',
+            ...(success ? {} : { error: 'Transaction reverted' })
+        });
+        return success ? 'completed' : 'failed';
+    }
+
+    /**
+     * Whether an unmined hash lost its nonce to another transaction. The sender
+     * and nonce come from the node while the tx is in its mempool (remembered on
+     * the Transaction row) or from that row once it is gone.
+     * @returns {string|null} 'replaced' (same call re-sent, e.g. a speed-up), 'cancelled'
+     *   (anything else used the nonce), 'dropped' (nonce used, replacement not found) or null
+     */
+    async checkReplacement(provider, chainId, txHash, head) {
+        const [sent, record] = await Promise.all([
+            provider.getTransaction(txHash),
+            Transaction.findOne({ where: { txHash: { [Op.iLike]: txHash } } })
+        ]);
+        const from = sent?.from ?? record?.fromAddress;
+        const nonce = sent?.nonce ?? record?.nonce;
+        if (!from || nonce === null || nonce === undefined) {
+            return null;
+        }
+        if (sent && record?.raw?.seenAtBlock === undefined) {
+            await swapDatabaseService.upsertTransaction({
+                txHash: sent.hash,
+                chainId,
+                fromAddress: sent.from,
+                toAddress: sent.to,
+                gasLimit: Number(sent.gasLimit),
+                value: sent.value.toString(),
+                nonce: sent.nonce,
+                raw: { ...(record?.raw || {}), seenAtBlock: head }
+            });
+        }
+
+        // Read at the head the search below covers: a nonce used after it is left to a later pass
+        if (await provider.getTransactionCount(from, head) <= nonce) {
+            return null;
+        }
+        const fromBlock = Math.max(0, record?.raw?.seenAtBlock ?? head - REPLACEMENT_LOOKBACK_BLOCKS);
+        const replacement = await this.findNonceTransaction(provider, from, nonce, fromBlock, head);
+        if (replacement?.hash.toLowerCase() === txHash.toLowerCase()) {
+            // Mined after the receipt lookup; the next pass settles it
+            return null;
+        }
+
+        const originalTo = sent?.to ?? record?.toAddress;
+        const kind = !replacement
+            ? 'dropped'
+            : replacement.data !== '0x' && !!originalTo && replacement.to?.toLowerCase() === originalTo.toLowerCase()
+                ? 'replaced'
+                : 'cancelled';
+        await this.linkReplacement(chainId, txHash, { from, to: originalTo, nonce }, replacement, kind);
+        return kind;
+    }
+
+    /**
+     * Mined transaction from `from` with `nonce`: binary search for the block
+     * where the sender's nonce moved past it, then pick the tx out of that block.
+     * Needs archive state (RPC_URL); on a pruned node it falls back to scanning
+     * the last PRUNED_STATE_SCAN_BLOCKS blocks, and a replacement mined before
+     * those is not found (the caller then reports the original as dropped)
+     * @returns {Object|null} ethers TransactionResponse
+     */
+    async findNonceTransaction(provider, from, nonce, fromBlock, toBlock) {
+        let high;
+        try {
+            high = await this.findNonceBlock(provider, from, nonce, fromBlock, toBlock);
+        } catch (error) {
+            if (!MISSING_STATE_ERROR.test(error.message)) {
+                throw error;
+            }
+            console.warn(`No historical state for the nonce search of ${from} (archive node needed), scanning recent blocks`);
+            return this.scanRecentBlocks(provider, from, nonce, Math.max(fromBlock, toBlock - PRUNED_STATE_SCAN_BLOCKS + 1), toBlock);
+        }
+        if (high === null) {
+            return null;
+        }
+        const block = await provider.getBlock(high, true);
+        return this.pickNonceTransaction(block, from, nonce);
+    }
+
+    /**
+     * First block in (fromBlock, toBlock] after which the sender's nonce is past
+     * `nonce`, or null when it already was at fromBlock
+     */
+    async findNonceBlock(provider, from, nonce, fromBlock, toBlock) {
+        if (await provider.getTransactionCount(from, fromBlock) > nonce) {
+            return null;
+        }
+        let [low, high] = [fromBlock, toBlock];
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (await provider.getTransactionCount(from, mid) > nonce) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        return high;
+    }
+
+    /**
+     * Newest-first scan of block bodies, which pruned nodes still serve
+     */
+    async scanRecentBlocks(provider, from, nonce, fromBlock, toBlock) {
+        for (let number = toBlock; number >= fromBlock; number--) {
+            const match = this.pickNonceTransaction(await provider.getBlock(number, true), from, nonce);
+            if (match) {
+                return match;
+            }
+        }
+        return null;
+    }
+
+    pickNonceTransaction(block, from, nonce) {
+        return block?.prefetchedTransactions.find(tx => tx.from.toLowerCase() === from.toLowerCase() && tx.nonce === nonce) ?? null;
+    }
+
+    /**
+     * Move the rows of a replaced hash: the original Transaction is closed and
+     * linked, a speed-up hands the swap and population over to the replacement
+     * (tracked from the next pass), a cancel or drop ends them
+     */
+    async linkReplacement(chainId, txHash, { from, to, nonce }, replacement, kind) {
+        await swapDatabaseService.upsertTransaction({
+            txHash,
+            chainId,
+            fromAddress: from,
+            toAddress: to,
+            nonce,
+            status: kind === 'dropped' ? 'failed' : kind,
+            replacedBy: replacement?.hash ?? null,
+            ...(kind === 'dropped' ? { error: 'Dropped: nonce used by a transaction that was not found' } : {})
+        });
+        if (replacement) {
+            await swapDatabaseService.upsertTransaction({
+                txHash: replacement.hash,
+                chainId,
+                fromAddress: replacement.from,
+                toAddress: replacement.to,
+                gasLimit: Number(replacement.gasLimit),
+                gasPrice: (replacement.maxFeePerGas ?? replacement.gasPrice ?? 0n).toString(),
+                value: replacement.value.toString(),
+                nonce: replacement.nonce,
+                status: 'pending',
+                raw: { replaces: txHash }
+            });
+        }
+
+        const hashWhere = { chainId, txHash: { [Op.iLike]: txHash } };
+        const [swaps, populations] = await Promise.all([
+            Swap.findAll({ where: { ...hashWhere, status: 'pending' } }),
+            TxPopulation.findAll({ where: { ...hashWhere, status: 'executed' } })
+        ]);
+        for (const swap of swaps) {
+            const metadata = { ...(swap.metadata || {}), replacedTxHashes: [...(swap.metadata?.replacedTxHashes || []), txHash] };
+            await swap.update(kind === 'replaced'
+                ? { txHash: replacement.hash, metadata }
+                : {
+                    status: kind === 'cancelled' ? 'cancelled' : 'failed',
+                    errorMsg: kind === 'cancelled' ? 'Cancelled by a transaction with the same nonce' : 'Dropped: nonce used by another transaction',
+                    metadata: { ...metadata, replacedBy: replacement?.hash ?? null }
+                });
+        }
+        for (const population of populations) {
+            await population.update(kind === 'replaced' ? { txHash: replacement.hash } : { status: 'abandoned' });
+        }
+
+        const recipients = new Set([...swaps, ...populations].map(row => row.userAddress?.toLowerCase()).filter(Boolean));
+        if (recipients.size === 0) recipients.add(from.toLowerCase());
+        for (const userAddress of recipients) {
+            await this.notify(userAddress, txHash, replacement, kind, swaps.map(swap => swap.id));
+        }
+    }
+
+    async notify(userAddress, txHash, replacement, kind, swapIds) {
+        const messages = {
+            replaced: ['Transaction sped up', 'Your swap was re-sent with a new transaction; we are now tracking the replacement.'],
+            cancelled: ['Transaction cancelled', 'Another transaction with the same nonce was mined, so your swap will not execute.'],
+            dropped: ['Transaction dropped', 'Your swap transaction was dropped: its nonce was used by another transaction.'],
+            lost: ['Transaction dropped', 'Your swap transaction was not mined before its deadline and the network no longer has it, so it will not execute.']
+        };
+        const [title, message] = messages[kind];
+        try {
+            await Notification.create({
+                userAddress,
+                category: 'TRANSACTION',
+                severity: kind === 'replaced' ? 'info' : 'warning',
+                title,
+                message,
+                txHash: replacement?.hash ?? txHash,
+                metadata: { kind, originalTxHash: txHash, replacementTxHash: replacement?.hash ?? null, swapIds }
+            });
+        } catch (error) {
+            console.error('Failed to create replacement notification:', error.message);
+        }
+    }
+
+    /**
+     * Create or update the Transaction row for a receipt
+     */
+    async recordTransaction(chainId, receipt, fields) {
+        await swapDatabaseService.upsertTransaction({
+            txHash: receipt.hash,
+            chainId,
+            fromAddress: receipt.from,
+            toAddress: receipt.to,
+            blockHash: receipt.blockHash,
+            fee: (receipt.gasUsed * (receipt.gasPrice ?? 0n)).toString(),
+            ...fields
+        });
+    }
+
+    /**
+     * Expire swaps and populations whose deadline passed without a transaction
+     * @returns {number} rows expired
+     */
+    async expireUnsent(chainId) {
+        const now = new Date();
+        const [swaps] = await Swap.update(
+            { status: 'expired', errorMsg: 'No transaction before the deadline' },
+            { where: { chainId, status: 'pending', txHash: null, deadline: { [Op.lt]: now } } }
+        );
+        const [populations] = await TxPopulation.update(
+            { status: 'expired' },
+            { where: { chainId, status: 'generated', deadline: { [Op.lt]: now } } }
+        );
+        return swaps + populations;
+    }
+
+    /**
+     * Drop the swaps and populations whose transaction is still unmined after
+     * their deadline and unknown to the node, while its nonce (remembered on the
+     * Transaction row) is unused. A used nonce is checkReplacement's case.
+     * @returns {number} hashes dropped
+     */
+    async dropLost(provider, chainId) {
+        const where = { chainId, txHash: { [Op.ne]: null }, deadline: { [Op.lt]: new Date() } };
+        const [swaps, populations] = await Promise.all([
+            Swap.findAll({ where: { ...where, status: 'pending' }, attributes: ['txHash'], limit: this.batchSize }),
+            TxPopulation.findAll({ where: { ...where, status: 'executed' }, attributes: ['txHash'], limit: this.batchSize })
+        ]);
+
+        let dropped = 0;
+        for (const txHash of new Set([...swaps, ...populations].map(row => row.txHash.toLowerCase()))) {
+            try {
+                if (await this.isLost(provider, txHash)) {
+                    await this.markLost(chainId, txHash);
+                    dropped++;
+                }
+            } catch (error) {
+                console.error(`Checking lost transaction ${txHash} failed:`, error.message);
+            }
+        }
+        return dropped;
+    }
+
+    async isLost(provider, txHash) {
+        if (await provider.getTransaction(txHash)) {
+            return false;
+        }
+        const record = await Transaction.findOne({ where: { txHash: { [Op.iLike]: txHash } } });
+        if (!record?.fromAddress || record.nonce === null || record.nonce === undefined) {
+            return true;
+        }
+        return await provider.getTransactionCount(record.fromAddress, 'latest') <= record.nonce;
+    }
+
+    async markLost(chainId, txHash) {
+        const hashWhere = { chainId, txHash: { [Op.iLike]: txHash } };
+        const error = 'Dropped: not mined before the deadline and unknown to the node';
+        await Transaction.update({ status: 'failed', error }, { where: { ...hashWhere, status: 'pending' } });
+        const [swaps, populations] = await Promise.all([
+            Swap.findAll({ where: { ...hashWhere, status: 'pending' } }),
+            TxPopulation.findAll({ where: { ...hashWhere, status: 'executed' } })
+        ]);
+        for (const swap of swaps) {
+            await swap.update({ status: 'failed', errorMsg: error });
+        }
+        for (const population of populations) {
+            await population.update({ status: 'abandoned' });
+        }
+
+        const recipients = new Set([...swaps, ...populations].map(row => row.userAddress?.toLowerCase()).filter(Boolean));
+        for (const userAddress of recipients) {
+            await this.notify(userAddress, txHash, null, 'lost', swaps.map(swap => swap.id));
+        }
+    }
+}
+
+export default new TxTracker();
@@ -0,0 +1,262 @@
+import { ethers } from 'ethers';
+import routingEngine, { encodeV3Path, pathTokensFromRoute } from './routingEngine.js';
+import { PROTOCOL_V2, segmentRoute } from './poolAdapters.js';
+
+/**
+ * Universal Router
+ * Encodes routes as Universal Router `execute(commands, inputs, deadline)`
+ * calls: one command byte plus ABI-encoded input per step. Besides the swap
+ * commands this lets a single transaction consume a Permit2 signature, wrap
+ * and unwrap ETH, mix V2 and V3 hops and take a fee (PAY_PORTION) before
+ * sweeping the output to the recipient.
+ */
+
+// Command bytes (Universal Router Commands.sol)
+export const UR_COMMANDS = {
+    V3_SWAP_EXACT_IN: 0x00,
+    V3_SWAP_EXACT_OUT: 0x01,
+    PERMIT2_TRANSFER_FROM: 0x02,
+    SWEEP: 0x04,
+    TRANSFER: 0x05,
+    PAY_PORTION: 0x06,
+    V2_SWAP_EXACT_IN: 0x08,
+    V2_SWAP_EXACT_OUT: 0x09,
+    PERMIT2_PERMIT: 0x0a,
+    WRAP_ETH: 0x0b,
+    UNWRAP_WETH: 0x0c
+};
+
+// Set on a command byte to let the rest of the plan run if that command reverts
+export const UR_ALLOW_REVERT = 0x80;
+const COMMAND_TYPE_MASK = 0x3f;
+
+// Recipient/amount sentinels understood by the router
+export const UR_MSG_SENDER = '0x0000000000000000000000000000000000000001';
+export const UR_ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+export const UR_CONTRACT_BALANCE = 1n << 255n;
+
+const PERMIT_SINGLE = 'tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline)';
+
+// ABI layout of each command's input
+const COMMAND_INPUTS = {
+    V3_SWAP_EXACT_IN: ['address recipient', 'uint256 amountIn', 'uint256 amountOutMin', 'bytes path', 'bool payerIsUser'],
+    V3_SWAP_EXACT_OUT: ['address recipient', 'uint256 amountOut', 'uint256 amountInMax', 'bytes path', 'bool payerIsUser'],
+    PERMIT2_TRANSFER_FROM: ['address token', 'address recipient', 'uint160 amount'],
+    SWEEP: ['address token', 'address recipient', 'uint256 amountMin'],
+    TRANSFER: ['address token', 'address recipient', 'uint256 value'],
+    PAY_PORTION: ['address token', 'address recipient', 'uint256 bips'],
+    V2_SWAP_EXACT_IN: ['address recipient', 'uint256 amountIn', 'uint256 amountOutMin', 'address[] path', 'bool payerIsUser'],
+    V2_SWAP_EXACT_OUT: ['address recipient', 'uint256 amountOut', 'uint256 amountInMax', 'address[] path', 'bool payerIsUser'],
+    PERMIT2_PERMIT: [`${PERMIT_SINGLE} permitSingle`, 'bytes signature'],
+    WRAP_ETH: ['address recipient', 'uint256 amountMin'],
+    UNWRAP_WETH: ['address recipient', 'uint256 amountMin']
+};
+
+const COMMAND_NAMES = Object.fromEntries(Object.entries(UR_COMMANDS).map(([name, type]) => [type, name]));
+
+export const UNIVERSAL_ROUTER_ABI = [
+    "function execute(bytes commands, bytes[] inputs, uint256 deadline) payable",
+    "function execute(bytes commands, bytes[] inputs) payable"
+];
+
+const routerInterface = new ethers.Interface(UNIVERSAL_ROUTER_ABI);
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Ordered list of Universal Router commands and their encoded inputs
+ */
+export class RoutePlanner {
+    constructor() {
+        this.commands = [];
+        this.inputs = [];
+    }
+
+    /**
+     * Append a command
+     * @param {string} name - Key of UR_COMMANDS
+     * @param {Array} params - Values in COMMAND_INPUTS order
+     * @param {boolean} allowRevert - Continue the plan if this command reverts
+     */
+    addCommand(name, params, allowRevert = false) {
+        if (!(name in COMMAND_INPUTS)) {
+            throw new Error(`Unsupported Universal Router command: ${name}`);
+        }
+        this.commands.push(UR_COMMANDS[name] | (allowRevert ? UR_ALLOW_REVERT : 0));
+        this.inputs.push(coder.encode(COMMAND_INPUTS[name], params));
+        return this;
+    }
+
+    /**
+     * Put a command ahead of everything already planned (e.g. a Permit2 permit)
+     */
+    prependCommand(name, params) {
+        const tail = { commands: this.commands, inputs: this.inputs };
+        this.commands = [];
+        this.inputs = [];
+        this.addCommand(name, params);
+        this.commands.push(...tail.commands);
+        this.inputs.push(...tail.inputs);
+        return this;
+    }
+
+    get commandBytes() {
+        return ethers.hexlify(Uint8Array.from(this.commands));
+    }
+
+    get commandNames() {
+        return this.commands.map(command => COMMAND_NAMES[command & COMMAND_TYPE_MASK]);
+    }
+
+    /**
+     * execute() calldata
+     */
+    encode(deadline) {
+        return routerInterface.encodeFunctionData('execute(bytes,bytes[],uint256)', [this.commandBytes, this.inputs, deadline]);
+    }
+
+    /**
+     * Planner and deadline back from execute() calldata
+     * @returns {{ planner: RoutePlanner, deadline: bigint|null }}
+     */
+    static decode(data) {
+        const parsed = routerInterface.parseTransaction({ data });
+        if (!parsed || parsed.name !== 'execute') {
+            throw new Error('Not a Universal Router execute call');
+        }
+        const planner = new RoutePlanner();
+        planner.commands = Array.from(ethers.getBytes(parsed.args[0]));
+        planner.inputs = [...parsed.args[1]];
+        return { planner, deadline: parsed.args.length > 2 ? parsed.args[2] : null };
+    }
+
+    /**
+     * Decoded input of the command at `index`
+     */
+    decodeInput(index) {
+        const name = COMMAND_NAMES[this.commands[index] & COMMAND_TYPE_MASK];
+        return coder.decode(COMMAND_INPUTS[name], this.inputs[index]);
+    }
+}
+
+class UniversalRouterBuilder {
+    /**
+     * Universal Router call that executes a route (same options as
+     * routingEngine.buildSwapCall, plus `permit2` and `fee`)
+     * @param {Object} routeInfo - routingEngine route (single, multi, mixed or split)
+     * @param {Object} options - mode, tokenOut, recipient, deadline, amountIn, amountOutMinimum,
+     *   amountOut, amountInMaximum, nativeIn?, nativeOut?,
+     *   permit2? ({ permitSingle, signature }, applied first),
+     *   fee? ({ recipient, bips }, taken from the output before it is paid out)
+     * @returns {{ data: string, value: bigint, commands: string[] }}
+     */
+    buildSwapCall(routeInfo, options) {
+        const {
+            mode = 'EXACT_IN', tokenOut, recipient, deadline, amountIn, amountOutMinimum,
+            amountOut, amountInMaximum, nativeIn = false, nativeOut = false, permit2 = null, fee = null
+        } = options;
+        const exactIn = mode === 'EXACT_IN';
+        const inputAmount = BigInt(exactIn ? amountIn : amountInMaximum);
+        const planner = new RoutePlanner();
+
+        if (permit2) {
+            planner.addCommand('PERMIT2_PERMIT', [permit2.permitSingle, permit2.signature]);
+        }
+        // Native input is wrapped into the router, which then pays the pool itself
+        if (nativeIn) {
+            planner.addCommand('WRAP_ETH', [UR_ADDRESS_THIS, inputAmount]);
+        }
+
+        // The output stays in the router whenever a later command pays it out
+        const settleInRouter = nativeOut || !!fee || routeInfo.kind === 'split';
+        const minOut = BigInt(exactIn ? amountOutMinimum : amountOut);
+        this.addSwapCommands(planner, routeInfo, {
+            exactIn,
+            recipient: settleInRouter ? UR_ADDRESS_THIS : recipient,
+            amountIn: inputAmount,
+            amountOutMinimum: routeInfo.kind === 'split' ? 0n : minOut,
+            amountOut,
+            payerIsUser: !nativeIn
+        });
+
+        if (settleInRouter) {
+            let payoutMin = minOut;
+            if (fee) {
+                planner.addCommand('PAY_PORTION', [tokenOut, fee.recipient, fee.bips]);
+                payoutMin -= (minOut * BigInt(fee.bips)) / 10000n;
+            }
+            if (nativeOut) {
+                planner.addCommand('UNWRAP_WETH', [recipient, payoutMin]);
+            } else {
+                planner.addCommand('SWEEP', [tokenOut, recipient, payoutMin]);
+            }
+        }
+        // Wrapped input an EXACT_OUT swap did not spend goes back to the sender as ETH
+        if (nativeIn && !exactIn) {
+            planner.addCommand('UNWRAP_WETH', [UR_MSG_SENDER, 0n]);
+        }
+
+        return {
+            data: planner.encode(deadline),
+            value: nativeIn ? inputAmount : 0n,
+            commands: planner.commandNames
+        };
+    }
+
+    /**
+     * Swap commands for a route. Split legs and all but the first mixed
+     * segment are paid from the router; intermediate mixed segments leave
+     * their output in the router for the next one (CONTRACT_BALANCE).
+     * For EXACT_OUT, amountIn is the maximum input
+     */
+    addSwapCommands(planner, routeInfo, { exactIn, recipient, amountIn, amountOutMinimum, amountOut, payerIsUser }) {
+        if (routeInfo.kind === 'split') {
+            for (const leg of routeInfo.legs) {
+                planner.addCommand('V3_SWAP_EXACT_IN', [recipient, leg.amountIn, 0n, routingEngine.getExecutionPath(leg, 'EXACT_IN'), payerIsUser]);
+            }
+            return;
+        }
+
+        if (routeInfo.kind === 'mixed') {
+            if (!exactIn) {
+                throw new Error('Mixed V2/V3 routes only support EXACT_IN');
+            }
+            const segments = segmentRoute(routeInfo.route);
+            segments.forEach((segment, i) => {
+                const first = i === 0;
+                const last = i === segments.length - 1;
+                const params = [
+                    last ? recipient : UR_ADDRESS_THIS,
+                    first ? amountIn : UR_CONTRACT_BALANCE,
+                    last ? amountOutMinimum : 0n
+                ];
+                if (segment.protocol === PROTOCOL_V2) {
+                    const path = [segment.hops[0].tokenIn, ...segment.hops.map(hop => hop.tokenOut)];
+                    planner.addCommand('V2_SWAP_EXACT_IN', [...params, path, first && payerIsUser]);
+                } else {
+                    planner.addCommand('V3_SWAP_EXACT_IN', [...params, encodeV3Path(pathTokensFromRoute(segment.hops)), first && payerIsUser]);
+                }
+            });
+            return;
+        }
+
+        if (exactIn) {
+            planner.addCommand('V3_SWAP_EXACT_IN', [recipient, amountIn, amountOutMinimum, routingEngine.getExecutionPath(routeInfo, 'EXACT_IN'), payerIsUser]);
+        } else {
+            planner.addCommand('V3_SWAP_EXACT_OUT', [recipient, amountOut, amountIn, routingEngine.getExecutionPath(routeInfo, 'EXACT_OUT'), payerIsUser]);
+        }
+    }
+
+    /**
+     * Rebuild execute() calldata with a signed Permit2 PermitSingle as its first command
+     * @returns {string} calldata
+     */
+    prependPermit2(data, permitSingle, signature) {
+        const { planner, deadline } = RoutePlanner.decode(data);
+        planner.prependCommand('PERMIT2_PERMIT', [permitSingle, signature]);
+        return deadline === null
+            ? routerInterface.encodeFunctionData('execute(bytes,bytes[])', [planner.commandBytes, planner.inputs])
+            : planner.encode(deadline);
+    }
+}
+
+export default new UniversalRouterBuilder();
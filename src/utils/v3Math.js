@@ -0,0 +1,318 @@
+/**
+ * Uniswap V3 swap math
+ * BigInt ports of TickMath, SqrtPriceMath, SwapMath and the UniswapV3Pool.swap
+ * loop, so a swap can be simulated against cached pool state with the same
+ * rounding as the contracts (and therefore the same result as the Quoter).
+ */
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = 4295128739n;
+export const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+/**
+ * Thrown when a swap walks into tick bitmap words that are not cached;
+ * callers treat it as "cannot quote locally" and fall back to the Quoter
+ */
+export class PoolStateMissingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PoolStateMissingError';
+    }
+}
+
+const mulDiv = (a, b, d) => (a * b) / d;
+const mulDivRoundingUp = (a, b, d) => {
+    const product = a * b;
+    return product % d === 0n ? product / d : product / d + 1n;
+};
+const divRoundingUp = (a, b) => (a % b === 0n ? a / b : a / b + 1n);
+
+const mostSignificantBit = (x) => x.toString(2).length - 1;
+const leastSignificantBit = (x) => {
+    let bit = 0;
+    while ((x & 1n) === 0n) {
+        x >>= 1n;
+        bit++;
+    }
+    return bit;
+};
+
+// ---------------------------------------------------------------- TickMath
+
+export function getSqrtRatioAtTick(tick) {
+    if (tick < MIN_TICK || tick > MAX_TICK) throw new Error('TICK_OUT_OF_RANGE');
+    const absTick = BigInt(Math.abs(tick));
+
+    let ratio = (absTick & 0x1n) !== 0n ? 0xfffcb933bd6fad37aa2d162d1a594001n : 0x100000000000000000000000000000000n;
+    const factors = [
+        [0x2n, 0xfff97272373d413259a46990580e213an],
+        [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+        [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+        [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+        [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+        [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+        [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+        [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+        [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+        [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+        [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+        [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+        [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+        [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+        [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+        [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+        [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+        [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+        [0x80000n, 0x48a170391f7dc42444e8fa2n]
+    ];
+    for (const [bit, factor] of factors) {
+        if ((absTick & bit) !== 0n) ratio = (ratio * factor) >> 128n;
+    }
+    if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+    return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+    if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) throw new Error('SQRT_RATIO_OUT_OF_RANGE');
+    const sqrtRatioX128 = sqrtPriceX96 << 32n;
+    const msb = mostSignificantBit(sqrtRatioX128);
+
+    let r = msb >= 128 ? sqrtRatioX128 >> BigInt(msb - 127) : sqrtRatioX128 << BigInt(127 - msb);
+    let log2 = BigInt(msb - 128) << 64n;
+    for (let i = 0; i < 14; i++) {
+        r = (r * r) >> 127n;
+        const f = r >> 128n;
+        log2 |= f << BigInt(63 - i);
+        r >>= f;
+    }
+
+    const logSqrt10001 = log2 * 255738958999603826347141n;
+    const tickLow = Number((logSqrt10001 - 3402992956809132418596140100660247210n) >> 128n);
+    const tickHigh = Number((logSqrt10001 + 291339464771989622907027621153398088495n) >> 128n);
+    if (tickLow === tickHigh) return tickLow;
+    return getSqrtRatioAtTick(tickHigh) <= sqrtPriceX96 ? tickHigh : tickLow;
+}
+
+// ----------------------------------------------------------- SqrtPriceMath
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amount, add) {
+    if (amount === 0n) return sqrtPX96;
+    const numerator1 = liquidity << 96n;
+    const product = (amount * sqrtPX96) & MAX_UINT256;
+    const noOverflow = product / amount === sqrtPX96;
+
+    if (add) {
+        if (noOverflow) {
+            const denominator = (numerator1 + product) & MAX_UINT256;
+            if (denominator >= numerator1) return mulDivRoundingUp(numerator1, sqrtPX96, denominator);
+        }
+        return divRoundingUp(numerator1, numerator1 / sqrtPX96 + amount);
+    }
+    if (!noOverflow || numerator1 <= product) throw new Error('SQRT_PRICE_UNDERFLOW');
+    return mulDivRoundingUp(numerator1, sqrtPX96, numerator1 - product);
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amount, add) {
+    if (add) {
+        const quotient = amount <= MAX_UINT160 ? (amount << 96n) / liquidity : mulDiv(amount, Q96, liquidity);
+        return sqrtPX96 + quotient;
+    }
+    const quotient = amount <= MAX_UINT160 ? divRoundingUp(amount << 96n, liquidity) : mulDivRoundingUp(amount, Q96, liquidity);
+    if (sqrtPX96 <= quotient) throw new Error('SQRT_PRICE_UNDERFLOW');
+    return sqrtPX96 - quotient;
+}
+
+function getNextSqrtPriceFromInput(sqrtPX96, liquidity, amountIn, zeroForOne) {
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountIn, true)
+        : getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountIn, true);
+}
+
+function getNextSqrtPriceFromOutput(sqrtPX96, liquidity, amountOut, zeroForOne) {
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountOut, false)
+        : getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountOut, false);
+}
+
+function getAmount0Delta(sqrtA, sqrtB, liquidity, roundUp) {
+    if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+    const numerator1 = liquidity << 96n;
+    const numerator2 = sqrtB - sqrtA;
+    return roundUp
+        ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+        : mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+}
+
+function getAmount1Delta(sqrtA, sqrtB, liquidity, roundUp) {
+    if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+    return roundUp ? mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96) : mulDiv(liquidity, sqrtB - sqrtA, Q96);
+}
+
+// ---------------------------------------------------------------- SwapMath
+
+export function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+    const fee = BigInt(feePips);
+    const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+    const exactIn = amountRemaining >= 0n;
+    let sqrtRatioNextX96;
+    let amountIn = 0n;
+    let amountOut = 0n;
+
+    if (exactIn) {
+        const amountRemainingLessFee = mulDiv(amountRemaining, 1000000n - fee, 1000000n);
+        amountIn = zeroForOne
+            ? getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+            : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+        sqrtRatioNextX96 = amountRemainingLessFee >= amountIn
+            ? sqrtRatioTargetX96
+            : getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+    } else {
+        amountOut = zeroForOne
+            ? getAmount1Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, false)
+            : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, false);
+        sqrtRatioNextX96 = -amountRemaining >= amountOut
+            ? sqrtRatioTargetX96
+            : getNextSqrtPriceFromOutput(sqrtRatioCurrentX96, liquidity, -amountRemaining, zeroForOne);
+    }
+
+    const max = sqrtRatioTargetX96 === sqrtRatioNextX96;
+    if (zeroForOne) {
+        amountIn = max && exactIn ? amountIn : getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+        amountOut = max && !exactIn ? amountOut : getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+    } else {
+        amountIn = max && exactIn ? amountIn : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+        amountOut = max && !exactIn ? amountOut : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+    }
+
+    if (!exactIn && amountOut > -amountRemaining) amountOut = -amountRemaining;
+
+    const feeAmount = exactIn && sqrtRatioNextX96 !== sqrtRatioTargetX96
+        ? amountRemaining - amountIn
+        : mulDivRoundingUp(amountIn, fee, 1000000n - fee);
+
+    return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+// ------------------------------------------------------------- TickBitmap
+
+/**
+ * Same contract as TickBitmap.nextInitializedTickWithinOneWord, reading the
+ * cached bitmap words (Map<wordPos, bigint>)
+ */
+export function nextInitializedTickWithinOneWord(bitmap, tick, tickSpacing, lte) {
+    let compressed = Math.trunc(tick / tickSpacing);
+    if (tick < 0 && tick % tickSpacing !== 0) compressed--;
+
+    const position = (t) => ({ wordPos: t >> 8, bitPos: t & 255 });
+    const readWord = (wordPos) => {
+        if (!bitmap.has(wordPos)) throw new PoolStateMissingError(`Tick bitmap word ${wordPos} not cached`);
+        return BigInt(bitmap.get(wordPos));
+    };
+
+    if (lte) {
+        const { wordPos, bitPos } = position(compressed);
+        const mask = (1n << BigInt(bitPos)) - 1n + (1n << BigInt(bitPos));
+        const masked = readWord(wordPos) & mask;
+        const initialized = masked !== 0n;
+        const next = initialized
+            ? (compressed - (bitPos - mostSignificantBit(masked))) * tickSpacing
+            : (compressed - bitPos) * tickSpacing;
+        return { tickNext: next, initialized };
+    }
+
+    const { wordPos, bitPos } = position(compressed + 1);
+    const mask = ~((1n << BigInt(bitPos)) - 1n) & MAX_UINT256;
+    const masked = readWord(wordPos) & mask;
+    const initialized = masked !== 0n;
+    const next = initialized
+        ? (compressed + 1 + (leastSignificantBit(masked) - bitPos)) * tickSpacing
+        : (compressed + 1 + (255 - bitPos)) * tickSpacing;
+    return { tickNext: next, initialized };
+}
+
+// ------------------------------------------------------------------- swap
+
+/**
+ * Simulate UniswapV3Pool.swap against cached state
+ * @param {Object} pool - { sqrtPriceX96, tick, liquidity, fee, tickSpacing, bitmap: Map, ticks: Map<tick, liquidityNet> }
+ * @param {Object} params - { zeroForOne, amountSpecified (positive = exact in), sqrtPriceLimitX96? }
+ * @returns {Object} { amount0, amount1, sqrtPriceX96, tick, liquidity } with pool-signed amounts
+ */
+export function simulateSwap(pool, { zeroForOne, amountSpecified, sqrtPriceLimitX96 }) {
+    if (amountSpecified === 0n) throw new Error('AS');
+    const limit = sqrtPriceLimitX96 && sqrtPriceLimitX96 !== 0n
+        ? BigInt(sqrtPriceLimitX96)
+        : (zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n);
+    const exactInput = amountSpecified > 0n;
+
+    const state = {
+        amountSpecifiedRemaining: amountSpecified,
+        amountCalculated: 0n,
+        sqrtPriceX96: BigInt(pool.sqrtPriceX96),
+        tick: Number(pool.tick),
+        liquidity: BigInt(pool.liquidity)
+    };
+
+    while (state.amountSpecifiedRemaining !== 0n && state.sqrtPriceX96 !== limit) {
+        const sqrtPriceStartX96 = state.sqrtPriceX96;
+        let { tickNext, initialized } = nextInitializedTickWithinOneWord(pool.bitmap, state.tick, Number(pool.tickSpacing), zeroForOne);
+        if (tickNext < MIN_TICK) tickNext = MIN_TICK;
+        else if (tickNext > MAX_TICK) tickNext = MAX_TICK;
+        const sqrtPriceNextX96 = getSqrtRatioAtTick(tickNext);
+
+        const target = (zeroForOne ? sqrtPriceNextX96 < limit : sqrtPriceNextX96 > limit) ? limit : sqrtPriceNextX96;
+        const step = computeSwapStep(state.sqrtPriceX96, target, state.liquidity, state.amountSpecifiedRemaining, pool.fee);
+        state.sqrtPriceX96 = step.sqrtRatioNextX96;
+
+        if (exactInput) {
+            state.amountSpecifiedRemaining -= step.amountIn + step.feeAmount;
+            state.amountCalculated -= step.amountOut;
+        } else {
+            state.amountSpecifiedRemaining += step.amountOut;
+            state.amountCalculated += step.amountIn + step.feeAmount;
+        }
+
+        if (state.sqrtPriceX96 === sqrtPriceNextX96) {
+            if (initialized) {
+                if (!pool.ticks.has(tickNext)) throw new PoolStateMissingError(`Tick ${tickNext} not cached`);
+                let liquidityNet = BigInt(pool.ticks.get(tickNext));
+                if (zeroForOne) liquidityNet = -liquidityNet;
+                state.liquidity += liquidityNet;
+            }
+            state.tick = zeroForOne ? tickNext - 1 : tickNext;
+        } else if (state.sqrtPriceX96 !== sqrtPriceStartX96) {
+            state.tick = getTickAtSqrtRatio(state.sqrtPriceX96);
+        }
+    }
+
+    const [amount0, amount1] = zeroForOne === exactInput
+        ? [amountSpecified - state.amountSpecifiedRemaining, state.amountCalculated]
+        : [state.amountCalculated, amountSpecified - state.amountSpecifiedRemaining];
+
+    return { amount0, amount1, sqrtPriceX96: state.sqrtPriceX96, tick: state.tick, liquidity: state.liquidity };
+}
+
+/**
+ * Quoter.quoteExactInputSingle equivalent (sqrtPriceLimitX96 = 0)
+ */
+export function quoteExactInputSingle(pool, zeroForOne, amountIn) {
+    const { amount0, amount1 } = simulateSwap(pool, { zeroForOne, amountSpecified: BigInt(amountIn) });
+    return zeroForOne ? -amount1 : -amount0;
+}
+
+/**
+ * Quoter.quoteExactOutputSingle equivalent (sqrtPriceLimitX96 = 0); throws
+ * when the pool cannot deliver the full output, as the Quoter does
+ */
+export function quoteExactOutputSingle(pool, zeroForOne, amountOut) {
+    const { amount0, amount1 } = simulateSwap(pool, { zeroForOne, amountSpecified: -BigInt(amountOut) });
+    const received = zeroForOne ? -amount1 : -amount0;
+    if (received !== BigInt(amountOut)) throw new Error('Insufficient liquidity for exact output');
+    return zeroForOne ? amount0 : amount1;
+}